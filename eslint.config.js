@@ -44,5 +44,13 @@ export default [
         { allowConstantExport: true }
       ]
     }
+  },
+  {
+    files: ['server/**/*.js'],
+    languageOptions: {
+      globals: {
+        ...globals.node
+      }
+    }
   }
 ];
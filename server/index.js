@@ -0,0 +1,661 @@
+import http from 'node:http';
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import {
+  S3Client,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  RestoreObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+  ListObjectVersionsCommand,
+  GetBucketVersioningCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+/**
+ * Vayubox Presign Service
+ * Holds the AWS credentials so they never reach the browser bundle. Every
+ * request must carry the Firebase ID token of the signed-in user. Data
+ * transfers (downloads, uploads, multipart parts) go directly to S3 through
+ * short-lived presigned URLs; small metadata calls (list, head, copy, delete,
+ * restore, tagging, versions, multipart bookkeeping) are executed here and returned as JSON.
+ * Recipients of a share link send the share token instead and may only list,
+ * inspect and download the shared file or folder. Every download URL handed to
+ * them is counted against the link's download limit first; a folder zip is
+ * counted once and then fetched within a signed download session. Uploaders
+ * with an upload link may only add new files to the link's folder, in parts
+ * whose size is signed into the URL so the link's size limit holds.
+ *
+ * Configuration (environment variables):
+ *   PORT                     - Port to listen on (default 8787)
+ *   VAYUBOX_BUCKET           - Bucket the service operates on (required)
+ *   AWS_REGION               - Bucket region
+ *   AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY - or any other AWS SDK credential source
+ *   S3_ENDPOINT              - Optional S3-compatible endpoint
+ *   S3_FORCE_PATH_STYLE      - Use path-style addressing (default true with S3_ENDPOINT)
+ *   FIREBASE_PROJECT_ID      - Firebase project whose ID tokens are accepted
+ *   ALLOWED_ORIGINS          - Comma separated list of origins allowed by CORS
+ *   PRESIGN_EXPIRES_IN       - Maximum presigned URL lifetime in seconds (default 3600)
+ *   SUPABASE_URL / SUPABASE_ANON_KEY - Supabase project share and upload links are checked against (optional)
+ *   DOWNLOAD_SESSION_SECRET  - Signs zip download sessions of share links, needed when several
+ *                              instances serve the same app (default: random per process)
+ */
+
+const PORT = Number(process.env.PORT) || 8787;
+const BUCKET = process.env.VAYUBOX_BUCKET;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const MAX_EXPIRES_IN = Number(process.env.PRESIGN_EXPIRES_IN) || 3600;
+// Metadata requests are small; anything larger is rejected before parsing
+const MAX_BODY_SIZE = 1024 * 1024;
+const SUPABASE_URL = (process.env.SUPABASE_URL || '').replace(/\/+$/, '');
+const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+// Read-only operations recipients of a share link may use
+const SHARE_OPERATIONS = new Set(['listObjects', 'headObject', 'presignGetObject', 'startShareDownload']);
+const DOWNLOAD_SESSION_SECRET = process.env.DOWNLOAD_SESSION_SECRET || randomBytes(32).toString('hex');
+// Long enough to fetch every file of a large folder into a zip
+const DOWNLOAD_SESSION_TTL_MS = 60 * 60 * 1000;
+// Upload links only upload, always in parts so the size can be checked before the file is completed
+const UPLOAD_LINK_OPERATIONS = new Set([
+  'createMultipartUpload', 'presignUploadPart', 'completeMultipartUpload', 'abortMultipartUpload'
+]);
+// Largest part an upload link accepts, the upload page sends parts of this size
+const UPLOAD_LINK_PART_SIZE = 10 * 1024 * 1024;
+
+if (!BUCKET) {
+  console.error('VAYUBOX_BUCKET is not set');
+  process.exit(1);
+}
+
+initializeApp({
+  credential: applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID
+});
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION || (process.env.S3_ENDPOINT ? 'us-east-1' : undefined),
+  ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT)
+});
+
+class HttpError extends Error {
+  constructor(status, message, name = 'HttpError') {
+    super(message);
+    this.name = name;
+    this.status = status;
+  }
+}
+
+// Only these input fields are forwarded to S3 for each operation
+const pick = (input, fields) => fields.reduce((picked, field) => {
+  if (input[field] !== undefined) {
+    picked[field] = input[field];
+  }
+  return picked;
+}, {});
+
+const requireKey = (input) => {
+  if (typeof input.Key !== 'string' || !input.Key) {
+    throw new HttpError(400, 'Key is required');
+  }
+  return input.Key;
+};
+
+// Copies only read from the service's own bucket, optionally from an older version
+const requireCopySource = (input) => {
+  if (typeof input.SourceKey !== 'string' || !input.SourceKey) {
+    throw new HttpError(400, 'SourceKey is required');
+  }
+  const source = encodeURIComponent(`${BUCKET}/${input.SourceKey}`);
+  return typeof input.SourceVersionId === 'string' && input.SourceVersionId
+    ? `${source}?versionId=${encodeURIComponent(input.SourceVersionId)}`
+    : source;
+};
+
+const clampExpiresIn = (expiresIn) =>
+  Math.min(Math.max(Number(expiresIn) || MAX_EXPIRES_IN, 60), MAX_EXPIRES_IN);
+
+const send = async (command) => {
+  const output = await s3Client.send(command);
+  delete output.$metadata;
+  return output;
+};
+
+// Headers in unhoistableHeaders stay signed headers the browser has to send, instead of query parameters
+const presign = (command, expiresIn, unhoistableHeaders) =>
+  getSignedUrl(s3Client, command, { expiresIn: clampExpiresIn(expiresIn), unhoistableHeaders }).then(url => ({ url }));
+
+// Operations the Vayubox UI performs, keyed by the name used in the request path
+const operations = {
+  listObjects: (input) => send(new ListObjectsV2Command({
+    Bucket: BUCKET,
+    ...pick(input, ['Prefix', 'Delimiter', 'ContinuationToken', 'MaxKeys', 'StartAfter'])
+  })),
+
+  headObject: (input) => send(new HeadObjectCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, ['VersionId'])
+  })),
+
+  copyObject: (input) => send(new CopyObjectCommand({
+    Bucket: BUCKET,
+    CopySource: requireCopySource(input),
+    Key: requireKey(input),
+    ...pick(input, [
+      'MetadataDirective', 'ContentType', 'Metadata', 'StorageClass', 'TaggingDirective', 'Tagging',
+      'CacheControl', 'ContentDisposition', 'ContentEncoding', 'ContentLanguage'
+    ])
+  })),
+
+  deleteObject: (input) => send(new DeleteObjectCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, ['VersionId'])
+  })),
+
+  deleteObjects: (input) => {
+    const objects = input.Delete?.Objects;
+    if (!Array.isArray(objects) || objects.length === 0 || objects.length > 1000) {
+      throw new HttpError(400, 'Delete.Objects must contain between 1 and 1000 keys');
+    }
+    return send(new DeleteObjectsCommand({
+      Bucket: BUCKET,
+      Delete: {
+        Objects: objects.map(({ Key }) => ({ Key })),
+        Quiet: Boolean(input.Delete.Quiet)
+      }
+    }));
+  },
+
+  restoreObject: (input) => send(new RestoreObjectCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    RestoreRequest: input.RestoreRequest
+  })),
+
+  createMultipartUpload: (input) => send(new CreateMultipartUploadCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, [
+      'ContentType', 'StorageClass', 'Metadata', 'Tagging',
+      'CacheControl', 'ContentDisposition', 'ContentEncoding', 'ContentLanguage'
+    ])
+  })),
+
+  // Multipart copy for objects too large for a single CopyObject request
+  uploadPartCopy: (input) => send(new UploadPartCopyCommand({
+    Bucket: BUCKET,
+    CopySource: requireCopySource(input),
+    Key: requireKey(input),
+    ...pick(input, ['UploadId', 'PartNumber', 'CopySourceRange'])
+  })),
+
+  listParts: (input) => send(new ListPartsCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, ['UploadId', 'PartNumberMarker', 'MaxParts'])
+  })),
+
+  completeMultipartUpload: (input) => send(new CompleteMultipartUploadCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    UploadId: input.UploadId,
+    MultipartUpload: {
+      Parts: (input.MultipartUpload?.Parts || []).map(({ ETag, PartNumber }) => ({ ETag, PartNumber }))
+    }
+  })),
+
+  abortMultipartUpload: (input) => send(new AbortMultipartUploadCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    UploadId: input.UploadId
+  })),
+
+  getObjectTagging: (input) => send(new GetObjectTaggingCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, ['VersionId'])
+  })),
+
+  putObjectTagging: (input) => send(new PutObjectTaggingCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    Tagging: { TagSet: (input.Tagging?.TagSet || []).map(({ Key, Value }) => ({ Key, Value })) }
+  })),
+
+  listObjectVersions: (input) => send(new ListObjectVersionsCommand({
+    Bucket: BUCKET,
+    ...pick(input, ['Prefix', 'Delimiter', 'KeyMarker', 'VersionIdMarker', 'MaxKeys'])
+  })),
+
+  getBucketVersioning: () => send(new GetBucketVersioningCommand({ Bucket: BUCKET })),
+
+  presignGetObject: (input) => presign(new GetObjectCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, ['VersionId', 'ResponseContentDisposition', 'ResponseContentType'])
+  }), input.expiresIn),
+
+  // ContentType is part of the signature, so the browser must send the same header
+  // S3 only applies tags sent as a header, the PUT sends x-amz-tagging itself
+  presignPutObject: (input) => presign(new PutObjectCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    ...pick(input, ['ContentType', 'StorageClass', 'Metadata', 'Tagging'])
+  }), input.expiresIn, input.Tagging ? new Set(['x-amz-tagging']) : undefined),
+
+  // A ContentLength is signed into the URL, S3 then refuses parts of any other size
+  presignUploadPart: (input) => presign(new UploadPartCommand({
+    Bucket: BUCKET,
+    Key: requireKey(input),
+    UploadId: input.UploadId,
+    PartNumber: input.PartNumber,
+    ...(input.ContentLength !== undefined && { ContentLength: input.ContentLength })
+  }), input.expiresIn)
+};
+
+// Signed together with the share token, so a session only works with the link it was counted for
+const signDownloadSession = (payload, token) =>
+  createHmac('sha256', DOWNLOAD_SESSION_SECRET).update(`${payload}.${token}`).digest('base64url');
+
+// A download session lets one zip fetch the files below a folder of a share after it was counted once
+const createDownloadSession = (share, token, prefix) => {
+  const payload = Buffer.from(JSON.stringify({
+    share: { id: share.id, key_prefix: share.key_prefix, target_key: share.target_key, target_type: share.target_type },
+    prefix,
+    expiresAt: Date.now() + DOWNLOAD_SESSION_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${signDownloadSession(payload, token)}`;
+};
+
+/**
+ * Read the download session a zip sends its requests with
+ * @param {string} session - Session returned by startShareDownload
+ * @param {string} token - Share token of the request
+ * @returns {Object|null} { share, prefix }, null if it is malformed, forged or expired
+ */
+const readDownloadSession = (session, token) => {
+  if (typeof session !== 'string') return null;
+  const [payload, signature] = session.split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(signDownloadSession(payload, token));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) return null;
+  try {
+    const { share, prefix, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return expiresAt > Date.now() ? { share, prefix } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verify the Firebase ID token sent in the Authorization header
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} Decoded token
+ */
+const verifyUser = async (req) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) {
+    throw new HttpError(401, 'Missing Firebase ID token');
+  }
+  try {
+    return await getAuth().verifyIdToken(match[1]);
+  } catch (error) {
+    throw new HttpError(401, 'Invalid or expired Firebase ID token');
+  }
+};
+
+// Call a Supabase database function with the anon key, like the browsers of recipients do
+const callSupabase = async (functionName, args) => {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new HttpError(401, 'Share and upload links are not enabled on this service');
+  }
+  const response = await fetch(`${SUPABASE_URL}/rest/v1/rpc/${functionName}`, {
+    method: 'POST',
+    headers: {
+      'apikey': SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(args)
+  });
+  if (!response.ok) {
+    console.error(`Error calling ${functionName}:`, response.status, await response.text().catch(() => ''));
+    throw new HttpError(502, 'The link could not be checked');
+  }
+  return response.json();
+};
+
+/**
+ * Check a share link against Supabase. The check does not count as a visit or
+ * download, so it runs on every request and revoked links stop working at once.
+ * @param {string} token - Share token
+ * @param {string|null} password - Password entered by the recipient
+ * @param {Object|null} [session] - Download session the request was sent with
+ * @returns {Promise<Object>} Shared target ({ id, key_prefix, target_key, target_type, ... })
+ */
+const checkShare = async (token, password, session = null) => {
+  const result = await callSupabase('vayubox_check_share', { p_token: token, p_password: password });
+  // A zip counted as the last allowed download is still fetched to the end
+  if (result.status === 'exhausted' && session) {
+    return session.share;
+  }
+  if (result.status !== 'ok') {
+    // The status (expired, revoked, ...) lets the share page explain what happened
+    throw new HttpError(403, result.status, 'ShareUnavailable');
+  }
+  return result.share;
+};
+
+/**
+ * Count a download against a share's limit, atomically in the database
+ * @param {Object} link - { share, token, password } the request is authorised by
+ * @param {Object} download - { itemName, size, fileCount }
+ * @returns {Promise<number>} Downloads of the share so far, this one included
+ */
+const recordShareDownload = async ({ token, password }, { itemName, size, fileCount }) => {
+  const result = await callSupabase('vayubox_record_share_download', {
+    p_token: token,
+    p_password: password,
+    p_item_name: itemName,
+    p_file_size: Math.max(0, Math.floor(Number(size) || 0)),
+    p_file_count: Math.max(1, Math.floor(Number(fileCount) || 1))
+  });
+  if (result.status !== 'ok') {
+    // 'exhausted' once the limit is reached
+    throw new HttpError(403, result.status, 'ShareUnavailable');
+  }
+  return result.download_count;
+};
+
+/**
+ * Check an upload link against Supabase
+ * @param {string} token - Upload link token
+ * @returns {Promise<Object>} Link ({ id, key_prefix, target_prefix, max_file_size, allowed_types, ... })
+ */
+const checkUploadLink = async (token) => {
+  const result = await callSupabase('vayubox_check_upload_link', { p_token: token });
+  if (result.status !== 'ok') {
+    throw new HttpError(403, result.status, 'ShareUnavailable');
+  }
+  return result.link;
+};
+
+/**
+ * Identify who a request is made for: a signed-in user, the recipient of a
+ * share link or someone uploading through an upload link
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} { user } with the decoded Firebase token, { share, shareLink } or { uploadLink }
+ */
+const authorize = async (req) => {
+  const match = /^(Share|Upload) (.+)$/.exec(req.headers.authorization || '');
+  if (!match) {
+    return { user: await verifyUser(req) };
+  }
+  if (match[1] === 'Upload') {
+    return { uploadLink: await checkUploadLink(match[2]) };
+  }
+  let password = null;
+  try {
+    // Encoded by the browser, headers cannot carry every character
+    password = req.headers['x-vayubox-share-password'] ? decodeURIComponent(req.headers['x-vayubox-share-password']) : null;
+  } catch (error) {
+    throw new HttpError(400, 'Malformed share password');
+  }
+  const sessionHeader = req.headers['x-vayubox-download-session'];
+  const session = sessionHeader ? readDownloadSession(sessionHeader, match[2]) : null;
+  if (sessionHeader && !session) {
+    throw new HttpError(403, 'The download session has expired, start the download again', 'DownloadSessionExpired');
+  }
+  const share = await checkShare(match[2], password, session);
+  // The token and password are needed again to count downloads
+  return { share, shareLink: { share, token: match[2], password, session } };
+};
+
+// Share recipients only reach the current version of the shared file, or of the files below the shared folder.
+// Download URLs, previews included, are counted before they are signed, unless a zip session of the folder was counted already
+const authorizeShareRequest = async (shareLink, operationName, input) => {
+  const { share } = shareLink;
+  const target = `${share.key_prefix || ''}${share.target_key}`;
+  const inShare = (key) => (share.target_type === 'folder' ? key.startsWith(target) : key === target);
+
+  if (!SHARE_OPERATIONS.has(operationName)) {
+    throw new HttpError(403, 'Share links are read-only');
+  }
+  const key = operationName === 'listObjects' ? input.Prefix : input.Key;
+  if (typeof key !== 'string' || !inShare(key) || (operationName === 'listObjects' && share.target_type !== 'folder')) {
+    throw new HttpError(403, 'Outside the shared item');
+  }
+  if (operationName === 'startShareDownload' && (share.target_type !== 'folder' || !key.endsWith('/'))) {
+    throw new HttpError(400, 'Only folders are downloaded as a zip');
+  }
+  delete input.VersionId;
+
+  if (operationName === 'presignGetObject') {
+    const { session } = shareLink;
+    if (session && session.share.id === share.id && key.startsWith(session.prefix)) {
+      return;
+    }
+    // Missing files fail here without using up a download
+    const head = await operations.headObject({ Key: key });
+    await recordShareDownload(shareLink, { itemName: key.split('/').pop(), size: head.ContentLength, fileCount: 1 });
+  }
+};
+
+// Operations that only exist for share links, run with the link that authorised them
+const shareOperations = {
+  // Count a folder zip as one download and hand out the session its files are fetched with
+  startShareDownload: async (shareLink, input) => {
+    const downloadCount = await recordShareDownload(shareLink, {
+      itemName: typeof input.ItemName === 'string' ? input.ItemName.slice(0, 255) : null,
+      size: input.Size,
+      fileCount: input.FileCount
+    });
+    return { session: createDownloadSession(shareLink.share, shareLink.token, input.Key), downloadCount };
+  }
+};
+
+// Extensions ('.pdf') and content types ('image/*') work like the accept attribute of file inputs.
+// Only extensions are binding: the content type is whatever the uploader's browser claims
+const isAllowedType = (key, contentType, allowedTypes) => {
+  if (!allowedTypes || allowedTypes.length === 0) return true;
+  const name = key.toLowerCase();
+  const type = (contentType || '').toLowerCase();
+  return allowedTypes.some(entry => {
+    if (entry.startsWith('.')) return name.endsWith(entry);
+    if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+    return type === entry;
+  });
+};
+
+const objectExists = async (key) => {
+  try {
+    await operations.headObject({ Key: key });
+    return true;
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+    throw error;
+  }
+};
+
+// Bytes uploaded so far in a multipart upload
+const getUploadedSize = async (key, uploadId) => {
+  let size = 0;
+  let partNumberMarker;
+  let truncated = true;
+  while (truncated) {
+    const output = await operations.listParts({ Key: key, UploadId: uploadId, PartNumberMarker: partNumberMarker });
+    size += (output.Parts || []).reduce((sum, part) => sum + (part.Size || 0), 0);
+    partNumberMarker = output.NextPartNumberMarker;
+    truncated = Boolean(output.IsTruncated);
+  }
+  return size;
+};
+
+// Uploaders only add new files below the link's folder, within its size and type limits
+const authorizeUploadLinkRequest = async (link, operationName, input) => {
+  const target = `${link.key_prefix || ''}${link.target_prefix || ''}`;
+
+  if (!UPLOAD_LINK_OPERATIONS.has(operationName)) {
+    throw new HttpError(403, 'Upload links can only upload files');
+  }
+  const key = requireKey(input);
+  if (!key.startsWith(target) || key.endsWith('/')) {
+    throw new HttpError(403, 'Outside the upload folder');
+  }
+
+  if (operationName === 'createMultipartUpload') {
+    if (!isAllowedType(key, input.ContentType, link.allowed_types)) {
+      throw new HttpError(415, 'This file type is not accepted by the upload link');
+    }
+    if (await objectExists(key)) {
+      throw new HttpError(409, 'A file with this name already exists', 'ObjectExists');
+    }
+    // Uploaders only choose the content type, the object records the link it came through
+    Object.keys(input).filter(field => field !== 'Key' && field !== 'ContentType').forEach(field => delete input[field]);
+    input.Metadata = { 'vayubox-upload-link': link.id };
+  }
+
+  // Parts are at most UPLOAD_LINK_PART_SIZE and signed with their size, so the parts up to this one
+  // cannot add up to more than the limit whatever order they are uploaded in
+  if (operationName === 'presignUploadPart') {
+    const { PartNumber: partNumber, ContentLength: size } = input;
+    if (!Number.isInteger(partNumber) || partNumber < 1 || !Number.isInteger(size) || size < 0 || size > UPLOAD_LINK_PART_SIZE) {
+      throw new HttpError(400, `Parts need a PartNumber and a ContentLength of at most ${UPLOAD_LINK_PART_SIZE} bytes`);
+    }
+    if (link.max_file_size && (partNumber - 1) * UPLOAD_LINK_PART_SIZE + size > link.max_file_size) {
+      throw new HttpError(413, 'The file is larger than the limit of the upload link');
+    }
+  }
+
+  if (operationName === 'completeMultipartUpload' && link.max_file_size) {
+    if (await getUploadedSize(key, input.UploadId) > link.max_file_size) {
+      await operations.abortMultipartUpload({ Key: key, UploadId: input.UploadId });
+      throw new HttpError(413, 'The file is larger than the limit of the upload link');
+    }
+  }
+};
+
+// Oversized bodies are left unread rather than destroyed, so the 413 still reaches the client
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      req.off('data', onData);
+      req.pause();
+      reject(new HttpError(413, 'Request body too large'));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on('data', onData);
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+    } catch (error) {
+      reject(new HttpError(400, 'Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const applyCors = (req, res) => {
+  const origin = req.headers.origin;
+  if (origin && (ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Vayubox-Share-Password, X-Vayubox-Download-Session');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Max-Age', '600');
+  }
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  applyCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && pathname === '/health') {
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  // POST /storage/<operation>
+  const match = /^\/storage\/(\w+)$/.exec(pathname);
+  const operation = match && Object.hasOwn(operations, match[1]) ? operations[match[1]] : null;
+  const shareOperation = match && Object.hasOwn(shareOperations, match[1]) ? shareOperations[match[1]] : null;
+
+  if (req.method !== 'POST' || (!operation && !shareOperation)) {
+    sendJson(res, 404, { error: 'NotFound', message: 'Unknown operation' });
+    return;
+  }
+
+  try {
+    const { user, share, shareLink, uploadLink } = await authorize(req);
+    const input = await readJsonBody(req);
+    if (share) {
+      await authorizeShareRequest(shareLink, match[1], input);
+    }
+    if (uploadLink) {
+      await authorizeUploadLinkRequest(uploadLink, match[1], input);
+    }
+    if (shareOperation && !share) {
+      throw new HttpError(403, 'Only share links use this operation');
+    }
+    const output = shareOperation ? await shareOperation(shareLink, input) : await operation(input);
+    const caller = user ? user.uid : share ? `share:${share.id}` : `upload-link:${uploadLink.id}`;
+    console.log(`[presign] ${caller} ${match[1]} ${input.Key || input.Prefix || ''}`);
+    sendJson(res, 200, output);
+  } catch (error) {
+    // The rest of an unread body would be taken for the next request on the connection
+    if (!req.complete) {
+      res.setHeader('Connection', 'close');
+    }
+    if (error instanceof HttpError) {
+      sendJson(res, error.status, { error: error.name, message: error.message });
+      return;
+    }
+    // Forward S3 errors with their name so the browser can react to NoSuchKey, InvalidObjectState, ...
+    console.error(`Error in ${match[1]}:`, error);
+    sendJson(res, error.$metadata?.httpStatusCode || 500, {
+      error: error.name || 'InternalError',
+      message: error.message
+    });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Vayubox presign service listening on port ${PORT} (bucket: ${BUCKET})`);
+});
@@ -7,13 +7,20 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider } from './contexts/AuthContext';
 import { ToastProvider } from './contexts/ToastContext';
 import { TransferProvider } from './contexts/TransferContext';
+import { ConnectionProvider, useConnections } from './contexts/ConnectionContext';
 import PrivateRoute from './components/PrivateRoute';
 import NavigationBar from './components/Navbar';
 import Home from './pages/Home';
 import Folder from './pages/Folder';
 import History from './pages/History';
 import Cost from './pages/Cost';
+import Connections from './pages/Connections';
+import Trash from './pages/Trash';
+import Search from './pages/Search';
+import Shares from './pages/Shares';
 import Login from './pages/Login';
+import SharedItem from './pages/SharedItem';
+import UploadRequest from './pages/UploadRequest';
 import TransferProgress from './components/TransferProgress';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
@@ -21,39 +28,57 @@ import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Footer from './components/Footer';
 
+// Pages are remounted when the active connection changes so they reload from the new bucket
+function ConnectionRoutes() {
+  const { activeConnection } = useConnections();
+
+  return (
+    <Routes key={activeConnection.id}>
+      <Route path="/" element={<Home />} />
+      <Route path="/folder" element={<Folder />} />
+      <Route path="/search" element={<Search />} />
+      <Route path="/history" element={<History />} />
+      <Route path="/trash" element={<Trash />} />
+      <Route path="/shares" element={<Shares />} />
+      <Route path="/cost" element={<Cost />} />
+      <Route path="/connections" element={<Connections />} />
+    </Routes>
+  );
+}
+
 function App() {
   return (
     <AuthProvider>
-      <ToastProvider>
-        <TransferProvider>
-          <Router>
-            <Routes>
-              <Route path="/login" element={<Login />} />
-              <Route
-                path="/*"
-                element={
-                  <PrivateRoute>
-                    <div className="app-wrapper">
-                      <NavigationBar />
-                      <main className="main-content">
-                        <Routes>
-                          <Route path="/" element={<Home />} />
-                          <Route path="/folder" element={<Folder />} />
-                          <Route path="/history" element={<History />} />
-                          <Route path="/cost" element={<Cost />} />
-                        </Routes>
-                      </main>
-                      <TransferProgress />
-                      <Footer />
-                    </div>
-                  </PrivateRoute>
-                }
-              />
-            </Routes>
-            <ToastContainer />
-          </Router>
-        </TransferProvider>
-      </ToastProvider>
+      <ConnectionProvider>
+        <ToastProvider>
+          <TransferProvider>
+            <Router>
+              <Routes>
+                <Route path="/login" element={<Login />} />
+                {/* Share and upload links are opened by people without an account */}
+                <Route path="/share/:token" element={<SharedItem />} />
+                <Route path="/upload/:token" element={<UploadRequest />} />
+                <Route
+                  path="/*"
+                  element={
+                    <PrivateRoute>
+                      <div className="app-wrapper">
+                        <NavigationBar />
+                        <main className="main-content">
+                          <ConnectionRoutes />
+                        </main>
+                        <TransferProgress />
+                        <Footer />
+                      </div>
+                    </PrivateRoute>
+                  }
+                />
+              </Routes>
+              <ToastContainer />
+            </Router>
+          </TransferProvider>
+        </ToastProvider>
+      </ConnectionProvider>
     </AuthProvider>
   );
 }
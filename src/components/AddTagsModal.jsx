@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, Form, Spinner } from 'react-bootstrap';
+import { MAX_TAGS_PER_OBJECT, getTagError } from '../services/s3Service';
+import KeyValueEditor from './KeyValueEditor';
+
+const emptyRow = () => ({ key: '', value: '' });
+
+const toTag = (row) => ({ Key: row.key.trim(), Value: row.value });
+
+const getRowError = (row, rows) => getTagError(toTag(row), rows.map(toTag));
+
+const AddTagsModal = ({ show, items = [], isBusy = false, onHide, onConfirm }) => {
+  const [rows, setRows] = useState([emptyRow()]);
+  const hasFolders = items.some(item => item.type === 'folder');
+  const hasErrors = rows.some(row => getRowError(row, rows));
+
+  useEffect(() => {
+    if (show) {
+      setRows([emptyRow()]);
+    }
+  }, [show]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (hasErrors) return;
+    onConfirm(rows.map(toTag));
+  };
+
+  return (
+    <Modal show={show} onHide={() => !isBusy && onHide()}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Add Tags</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            Add tags to <strong>{items.length === 1 ? items[0].name : `${items.length} items`}</strong>
+            {hasFolders && ' and every file in the selected folders'}. Existing tags are kept, a tag with the same key gets the new value.
+          </p>
+          <KeyValueEditor
+            rows={rows}
+            onChange={setRows}
+            getError={getRowError}
+            maxRows={MAX_TAGS_PER_OBJECT}
+            minRows={1}
+            disabled={isBusy}
+          />
+          <Form.Text className="d-block text-muted">
+            An object can have at most {MAX_TAGS_PER_OBJECT} tags.
+          </Form.Text>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={isBusy}>
+            Cancel
+          </Button>
+          <Button variant="primary" type="submit" disabled={isBusy || hasErrors}>
+            {isBusy ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                Tagging...
+              </>
+            ) : (
+              'Add Tags'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+AddTagsModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired
+  })),
+  isBusy: PropTypes.bool,
+  onHide: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired
+};
+
+export default AddTagsModal;
@@ -0,0 +1,98 @@
+import PropTypes from 'prop-types';
+import { Button, ButtonGroup, Spinner } from 'react-bootstrap';
+import {
+  FaFileArchive,
+  FaShare,
+  FaCopy,
+  FaClock,
+  FaLayerGroup,
+  FaTags,
+  FaTrashAlt,
+  FaTimes
+} from 'react-icons/fa';
+import { formatFileSize } from '../services/s3Service';
+
+const BulkActionBar = ({
+  items,
+  canRestore = false,
+  isBusy = false,
+  onDownload,
+  onMove,
+  onCopy,
+  onRestore,
+  onChangeStorageClass,
+  onAddTags,
+  onDelete,
+  onClear
+}) => {
+  const folderCount = items.filter(item => item.type === 'folder').length;
+  const fileCount = items.length - folderCount;
+  // Folder sizes are only known once their summaries are loaded
+  const knownSize = items.reduce((sum, item) => sum + (item.size || 0), 0);
+
+  return (
+    <div className="bulk-action-bar">
+      <span className="bulk-action-summary">
+        {isBusy && <Spinner animation="border" size="sm" className="me-2" />}
+        <strong>{items.length} selected</strong>
+        <span className="text-muted ms-2">
+          {[
+            fileCount > 0 && `${fileCount} ${fileCount === 1 ? 'file' : 'files'}`,
+            folderCount > 0 && `${folderCount} ${folderCount === 1 ? 'folder' : 'folders'}`
+          ].filter(Boolean).join(', ')}
+          {knownSize > 0 && ` · ${formatFileSize(knownSize)}`}
+        </span>
+      </span>
+      <div className="d-flex flex-wrap gap-2">
+        <ButtonGroup size="sm">
+          <Button variant="outline-primary" onClick={onDownload} disabled={isBusy} title="Download as zip">
+            <FaFileArchive className="me-1" /> Zip
+          </Button>
+          <Button variant="outline-secondary" onClick={onMove} disabled={isBusy} title="Move to...">
+            <FaShare className="me-1" /> Move
+          </Button>
+          <Button variant="outline-secondary" onClick={onCopy} disabled={isBusy} title="Copy to...">
+            <FaCopy className="me-1" /> Copy
+          </Button>
+          {canRestore && (
+            <Button variant="outline-warning" onClick={onRestore} disabled={isBusy} title="Restore from Glacier">
+              <FaClock className="me-1" /> Restore
+            </Button>
+          )}
+          <Button variant="outline-secondary" onClick={onChangeStorageClass} disabled={isBusy} title="Change storage class">
+            <FaLayerGroup className="me-1" /> Storage class
+          </Button>
+          <Button variant="outline-secondary" onClick={onAddTags} disabled={isBusy} title="Add tags">
+            <FaTags className="me-1" /> Tags
+          </Button>
+          <Button variant="outline-danger" onClick={onDelete} disabled={isBusy} title="Delete">
+            <FaTrashAlt className="me-1" /> Delete
+          </Button>
+        </ButtonGroup>
+        <Button variant="link" size="sm" onClick={onClear} disabled={isBusy} title="Clear selection">
+          <FaTimes />
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+BulkActionBar.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    size: PropTypes.number
+  })).isRequired,
+  canRestore: PropTypes.bool,
+  isBusy: PropTypes.bool,
+  onDownload: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onCopy: PropTypes.func.isRequired,
+  onRestore: PropTypes.func,
+  onChangeStorageClass: PropTypes.func.isRequired,
+  onAddTags: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired
+};
+
+export default BulkActionBar;
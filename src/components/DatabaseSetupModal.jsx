@@ -10,7 +10,7 @@ CREATE TABLE IF NOT EXISTS vayubox_activity_history (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id TEXT NOT NULL,
     user_email TEXT,
-    action TEXT NOT NULL CHECK (action IN ('Upload', 'Download', 'Delete', 'Rename', 'Move', 'Restore')),
+    action TEXT NOT NULL CHECK (action IN ('Upload', 'Download', 'Delete', 'Rename', 'Move', 'Restore', 'Create', 'Copy', 'Update', 'Share')),
     item_name TEXT NOT NULL,
     file_size BIGINT DEFAULT 0,
     file_count INTEGER DEFAULT 1,
@@ -1,6 +1,6 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { Table, Button, Modal, Alert, Form, Badge, ProgressBar, Spinner } from 'react-bootstrap';
+import { Table, Button, ButtonGroup, Modal, Alert, Form, Badge, ProgressBar, Spinner, InputGroup } from 'react-bootstrap';
 import { 
   FaDownload, 
   FaClock, 
@@ -9,7 +9,22 @@ import {
   FaArrowUp, 
   FaPencilAlt,
   FaPause,
-  FaPlay
+  FaPlay,
+  FaFolderPlus,
+  FaCut,
+  FaPaste,
+  FaShare,
+  FaCopy,
+  FaTrashAlt,
+  FaHistory,
+  FaEye,
+  FaList,
+  FaTh,
+  FaLink,
+  FaInbox,
+  FaInfoCircle,
+  FaTags,
+  FaLayerGroup
 } from 'react-icons/fa';
 import { useToast } from '../contexts/ToastContext';
 import { useTransfer } from '../contexts/TransferContext';
@@ -21,45 +36,296 @@ import {
   uploadToS3,
   getS3DownloadUrl,
   downloadFolder,
-  formatFileSize
+  formatFileSize,
+  supportsStorageFeature,
+  validateFolderName,
+  createFolder,
+  moveItems,
+  copyItems,
+  deleteS3Object,
+  getFolderDeletionSummary,
+  moveToTrash,
+  TRASH_RETENTION_DAYS,
+  getVersioningStatus,
+  downloadItemsAsZip,
+  deleteItems,
+  restoreItemsFromGlacier,
+  changeStorageClass,
+  addTags,
+  getPreviewType,
+  canHaveThumbnail,
+  getTagsForItems,
+  parseTagFilter,
+  matchesTagFilter
 } from '../services/s3Service';
 import GlacierStats from './GlacierStats';
+import FolderPickerModal from './FolderPickerModal';
+import VersionsModal from './VersionsModal';
+import BulkActionBar from './BulkActionBar';
+import StorageClassModal from './StorageClassModal';
+import AddTagsModal from './AddTagsModal';
+import FilePreviewModal from './FilePreviewModal';
+import GalleryView from './GalleryView';
+import ShareModal from './ShareModal';
+import UploadLinkModal from './UploadLinkModal';
+import ObjectDetailsDrawer from './ObjectDetailsDrawer';
 import './FileBrowser.css';
 
+// Large folders only render the rows in view (plus some overscan) so they stay responsive
+const VIRTUALIZE_THRESHOLD = 200;
+const ROW_HEIGHT = 53;
+const OVERSCAN_ROWS = 10;
+const VIEWPORT_HEIGHT = 640;
+// Start fetching the next page this many rows before the end of the list
+const LOAD_MORE_THRESHOLD = 20;
+// The table or gallery view is remembered across folders and visits
+const VIEW_MODE_KEY = 'vayubox_view_mode';
+
+// Copy and move share the folder picker, progress and failure report
+const TRANSFER_OPERATIONS = {
+  move: {
+    run: moveItems,
+    label: 'Move',
+    done: 'moved',
+    failureDescription: 'Unless noted otherwise, these objects are still in their original location. Everything else was moved to the destination folder.'
+  },
+  copy: {
+    run: copyItems,
+    label: 'Copy',
+    done: 'copied',
+    failureDescription: 'These objects were not copied. Everything else was copied to the destination folder.'
+  }
+};
+
+const isArchived = (item) => item.storageClass === 'GLACIER' || item.storageClass === 'DEEP_ARCHIVE';
+
+// Name a list of items in messages, e.g. 'report.pdf' or '3 items'
+const describeItems = (list) => (list.length === 1 ? list[0].name : `${list.length} items`);
+
 const EnhancedFileBrowser = ({ 
   currentPath, 
-  items = [],
+  items: listedItems = [],
   isLoading = false,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore,
   onNavigate,
   onUpload,
   onRename,
   onRestore,
+  onFolderCreated,
+  onMove,
+  onCopy,
+  onDelete,
+  onVersionChange,
+  onStorageClassChange,
+  onDetailsChange,
   glacierStats
 }) => {
-  const [selectedItem, setSelectedItem] = useState(null);
+  // Files and folders the restore dialog is open for
+  const [restoreTargets, setRestoreTargets] = useState([]);
   const [showRestoreModal, setShowRestoreModal] = useState(false);
   const [restoreOption, setRestoreOption] = useState('Standard');
   const [loading, setLoading] = useState(false);
+  const [showNewFolderModal, setShowNewFolderModal] = useState(false);
+  const [newFolderName, setNewFolderName] = useState('');
+  const [creatingFolder, setCreatingFolder] = useState(false);
+  // Items cut for pasting into another folder, kept while browsing
+  const [clipboard, setClipboard] = useState(null);
+  // { operation: 'move' | 'copy', items } while the folder picker is open
+  const [pickerRequest, setPickerRequest] = useState(null);
+  const [transferring, setTransferring] = useState(false);
+  // { title, description, failures } after an operation that partly failed
+  const [failureReport, setFailureReport] = useState(null);
+  // { items, summary, permanent } while the delete confirmation is open, summary is null while counting
+  const [deleteRequest, setDeleteRequest] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  // Versions are only offered when the bucket keeps them
+  const [versioningEnabled, setVersioningEnabled] = useState(false);
+  // File whose versions panel is open
+  const [versionsItem, setVersionsItem] = useState(null);
+  // File shown in the preview modal
+  const [previewItem, setPreviewItem] = useState(null);
+  // File or folder a share link is created for
+  const [shareItem, setShareItem] = useState(null);
+  // Whether an upload link is being created for the current folder
+  const [showUploadLinkModal, setShowUploadLinkModal] = useState(false);
+  // File shown in the details drawer
+  const [detailsItem, setDetailsItem] = useState(null);
+  // 'key' or 'key=value' typed in the tag filter, and the tags of the listed files once read
+  const [tagFilterText, setTagFilterText] = useState('');
+  const [tagsByKey, setTagsByKey] = useState(null);
+  const [loadingTags, setLoadingTags] = useState(false);
+  // 'table' or 'gallery'
+  const [viewMode, setViewMode] = useState(() => (localStorage.getItem(VIEW_MODE_KEY) === 'gallery' ? 'gallery' : 'table'));
+  // Keys of the checked rows, and the row index a shift-click selects from
+  const [selectedKeys, setSelectedKeys] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  // 'tags' while the bulk tag dialog is open
+  const [bulkDialog, setBulkDialog] = useState(null);
+  // Row or selected items whose storage class is being changed
+  const [storageClassItems, setStorageClassItems] = useState(null);
+  const [bulkBusy, setBulkBusy] = useState(false);
   const { showToast } = useToast();
-  const { transfers, addTransfer, updateTransferProgress, completeTransfer, errorTransfer } = useTransfer();
+  const { transfers, addTransfer, updateTransfer, updateTransferProgress, completeTransfer, errorTransfer } = useTransfer();
+  const canRestoreFromGlacier = supportsStorageFeature('glacierRestore');
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollContainerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getVersioningStatus().then(status => {
+      if (!cancelled) {
+        // Suspended buckets still hold the versions created while versioning was on
+        setVersioningEnabled(Boolean(status));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Start at the top again when opening another folder
+  useEffect(() => {
+    setSelectedKeys(new Set());
+    setSelectionAnchor(null);
+    setScrollTop(0);
+    if (scrollContainerRef.current) {
+      scrollContainerRef.current.scrollTop = 0;
+    }
+  }, [currentPath]);
+
+  const tagFilter = useMemo(() => parseTagFilter(tagFilterText), [tagFilterText]);
+
+  // Tags are not part of listings, they are read file by file while a tag filter is set
+  useEffect(() => {
+    if (!tagFilter) {
+      setTagsByKey(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoadingTags(true);
+    getTagsForItems(listedItems)
+      .then(tags => {
+        if (!cancelled) setTagsByKey(tags);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingTags(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [tagFilter, listedItems]);
+
+  // Only files have tags, so a tag filter hides the folders
+  const items = useMemo(() => {
+    if (!tagFilter) return listedItems;
+    if (!tagsByKey) return [];
+    return listedItems.filter(item => item.type === 'file' && matchesTagFilter(tagsByKey.get(item.key) || [], tagFilter));
+  }, [listedItems, tagFilter, tagsByKey]);
+
+  const isVirtualized = items.length > VIRTUALIZE_THRESHOLD;
+  const firstRow = isVirtualized
+    ? Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS)
+    : 0;
+  const lastRow = isVirtualized
+    ? Math.min(items.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS)
+    : items.length;
+  const visibleItems = items.slice(firstRow, lastRow);
+
+  // Selected rows that are still listed, in listing order
+  const selectedItems = useMemo(
+    () => (selectedKeys.size > 0 ? items.filter(item => selectedKeys.has(item.key)) : []),
+    [items, selectedKeys]
+  );
+  const allSelected = items.length > 0 && selectedItems.length === items.length;
+  // Images and videos of the folder, previewing one of them steps through the others like a lightbox
+  const mediaItems = useMemo(
+    () => items.filter(item => item.type === 'file' && canHaveThumbnail(item.name)),
+    [items]
+  );
+  const lightboxIndex = previewItem ? mediaItems.findIndex(item => item.key === previewItem.key) : -1;
+  const transferContext = { addTransfer, updateTransfer, updateTransferProgress, completeTransfer, errorTransfer };
+
+  // Shift-click checks or unchecks every row between the last clicked row and this one
+  const handleSelect = (index, e) => {
+    const select = !selectedKeys.has(items[index].key);
+    const [from, to] = e.nativeEvent.shiftKey && selectionAnchor !== null
+      ? [Math.min(selectionAnchor, index), Math.max(selectionAnchor, index)]
+      : [index, index];
+    setSelectedKeys(current => {
+      const next = new Set(current);
+      items.slice(from, to + 1).forEach(item => (select ? next.add(item.key) : next.delete(item.key)));
+      return next;
+    });
+    setSelectionAnchor(index);
+  };
+
+  const handleSelectAll = () => {
+    setSelectedKeys(allSelected ? new Set() : new Set(items.map(item => item.key)));
+    setSelectionAnchor(null);
+  };
 
-  // Convert lastModified date to string if it's a Date object
-  const formatItems = items.map(item => ({
-    ...item,
-    lastModified: item.lastModified instanceof Date ? 
-      item.lastModified.toLocaleString() : 
-      item.lastModified
-  }));
+  const changeViewMode = (mode) => {
+    setViewMode(mode);
+    localStorage.setItem(VIEW_MODE_KEY, mode);
+  };
+
+  // Gallery tiles open folders and preview files
+  const handleOpen = (item) => {
+    if (item.type === 'folder') {
+      onNavigate(item.key);
+    } else if (getPreviewType(item.name)) {
+      setPreviewItem(item);
+    }
+  };
+
+  const clearSelection = () => {
+    setSelectedKeys(new Set());
+    setSelectionAnchor(null);
+  };
+
+  const handleScroll = (e) => {
+    const { scrollTop: top, scrollHeight, clientHeight } = e.currentTarget;
+    setScrollTop(top);
+    if (hasMore && !isLoadingMore && onLoadMore && scrollHeight - top - clientHeight < LOAD_MORE_THRESHOLD * ROW_HEIGHT) {
+      onLoadMore();
+    }
+  };
+
+  // Dates are only formatted for rendered rows, formatting 100k dates up front is slow
+  const formatLastModified = (lastModified) => (
+    lastModified instanceof Date ? lastModified.toLocaleString() : lastModified
+  );
 
   const handleRestore = async (item) => {
-    setSelectedItem(item);
+    setRestoreTargets([item]);
+    setShowRestoreModal(true);
+  };
+
+  const handleBulkRestore = () => {
+    setRestoreTargets(selectedItems.filter(item => (item.type === 'folder' ? item.hasArchivedFiles : isArchived(item))));
     setShowRestoreModal(true);
   };
 
   const confirmRestore = async () => {
+    const [selectedItem] = restoreTargets;
     setLoading(true);
     try {
-      if (selectedItem.type === 'folder') {
+      if (restoreTargets.length > 1) {
+        const result = await restoreItemsFromGlacier(restoreTargets, restoreOption, transferContext);
+        if (result.failed.length > 0) {
+          setFailureReport({
+            title: 'Some restores were not started',
+            description: 'These items could not be restored. Restores of everything else were started.',
+            failures: result.failed
+          });
+        }
+        showToast(
+          `Restoration initiated for ${result.initiatedCount} files. This may take ${GLACIER_RETRIEVAL_TIERS[restoreOption].time}.`,
+          result.failed.length > 0 ? 'warning' : 'success'
+        );
+      } else if (selectedItem.type === 'folder') {
         const result = await restoreFromGlacierBulk(
           selectedItem.key, 
           restoreOption, 
@@ -97,7 +363,7 @@ const EnhancedFileBrowser = ({
       const glacierStatus = await checkGlacierStatus(file.key);
       
       // If file is in Glacier and not restored, prompt for restore
-      if (glacierStatus.isGlacier && !glacierStatus.restoreStatus?.isReady) {
+      if (canRestoreFromGlacier && glacierStatus.isGlacier && !glacierStatus.restoreStatus?.isReady) {
         handleRestore(file);
         return;
       }
@@ -151,10 +417,224 @@ const EnhancedFileBrowser = ({
     return <Badge bg="secondary" className="standard-badge">STANDARD</Badge>;
   };
 
+  // Check the name locally first so obvious problems show up while typing
+  const getNewFolderError = (name) => {
+    const error = validateFolderName(name);
+    if (error) return error;
+    const trimmed = name.trim();
+    if (listedItems.some(item => item.name === trimmed)) {
+      return `An item named ${trimmed} already exists here`;
+    }
+    return null;
+  };
+
+  const openNewFolderModal = () => {
+    setNewFolderName('');
+    setShowNewFolderModal(true);
+  };
+
+  const handleCreateFolder = async (e) => {
+    e.preventDefault();
+    if (getNewFolderError(newFolderName)) return;
+
+    setCreatingFolder(true);
+    try {
+      const folder = await createFolder(currentPath, newFolderName);
+      showToast(`Folder ${folder.name} created`, 'success');
+      setShowNewFolderModal(false);
+      onFolderCreated && onFolderCreated(folder);
+    } catch (error) {
+      showToast(`Failed to create folder: ${error.message}`, 'error');
+    } finally {
+      setCreatingFolder(false);
+    }
+  };
+
+  const performTransfer = async (operation, transferList, destinationPath) => {
+    const { run, label, done, failureDescription } = TRANSFER_OPERATIONS[operation];
+    setTransferring(true);
+    try {
+      const result = await run(transferList, destinationPath, transferContext);
+      const destinationName = destinationPath || 'Home';
+
+      if (result.failed.length === 0) {
+        showToast(`${label} of ${transferList.length === 1 ? transferList[0].name : `${transferList.length} items`} to ${destinationName} complete`, 'success');
+      } else {
+        setFailureReport({
+          title: `Some items were not ${done}`,
+          description: failureDescription,
+          failures: result.failed
+        });
+        if (result.completedCount > 0) {
+          showToast(`${result.completedCount} objects ${done} to ${destinationName}, ${result.failed.length} failed`, 'warning');
+        } else {
+          showToast(`Nothing was ${done} to ${destinationName}`, 'error');
+        }
+      }
+      return true;
+    } catch (error) {
+      showToast(`${label} failed: ${error.message}`, 'error');
+      return false;
+    } finally {
+      setTransferring(false);
+      const onComplete = operation === 'move' ? onMove : onCopy;
+      onComplete && onComplete();
+    }
+  };
+
+  const handleDelete = async (itemsToDelete) => {
+    const files = itemsToDelete.filter(item => item.type !== 'folder');
+    const folders = itemsToDelete.filter(item => item.type === 'folder');
+    // Archived files cannot be copied into the trash, only deleted
+    const permanent = folders.length === 0 && files.every(isArchived);
+    const filesSummary = { objectCount: files.length, totalSize: files.reduce((sum, item) => sum + (item.size || 0), 0) };
+    if (folders.length === 0) {
+      setDeleteRequest({ items: itemsToDelete, summary: filesSummary, permanent });
+      return;
+    }
+    setDeleteRequest({ items: itemsToDelete, summary: null, permanent });
+    try {
+      const summaries = await Promise.all(folders.map(folder => getFolderDeletionSummary(folder.key)));
+      const summary = summaries.reduce((total, folderSummary) => ({
+        objectCount: total.objectCount + folderSummary.objectCount,
+        totalSize: total.totalSize + folderSummary.totalSize
+      }), filesSummary);
+      setDeleteRequest(current => (current?.items === itemsToDelete ? { ...current, summary } : current));
+    } catch (error) {
+      showToast(`Could not count the folder contents: ${error.message}`, 'error');
+      setDeleteRequest(null);
+    }
+  };
+
+  const confirmDelete = async () => {
+    const { items: itemsToDelete, permanent } = deleteRequest;
+    const [item] = itemsToDelete;
+    const label = itemsToDelete.length === 1 ? item.name : 'the selection';
+    setDeleting(true);
+    try {
+      let result;
+      if (itemsToDelete.length > 1) {
+        result = await deleteItems(itemsToDelete, { permanent }, transferContext);
+      } else {
+        result = permanent
+          ? await deleteS3Object(item.key, transferContext)
+          : await moveToTrash(item, transferContext);
+      }
+      if (result?.failed?.length > 0) {
+        setFailureReport({
+          title: `Some objects in ${label} were not deleted`,
+          description: permanent
+            ? 'These objects are still in the bucket. Everything else was deleted.'
+            : 'These objects could not be moved to the trash and are still in place. Archived Glacier objects can only be deleted permanently.',
+          failures: result.failed
+        });
+        showToast(`Deleted ${result.deletedCount} objects, ${result.failed.length} failed`, 'warning');
+      } else {
+        showToast(permanent ? `Deleted ${describeItems(itemsToDelete)}` : `Moved ${describeItems(itemsToDelete)} to the trash`, 'success');
+      }
+      setDeleteRequest(null);
+      clearSelection();
+    } catch (error) {
+      showToast(`Delete failed: ${error.message}`, 'error');
+    } finally {
+      setDeleting(false);
+      onDelete && onDelete();
+    }
+  };
+
+  const handleCut = (item) => {
+    setClipboard({ items: [item], sourcePath: currentPath });
+    showToast(`${item.name} cut, open the destination folder and paste`, 'info');
+  };
+
+  const handlePaste = async () => {
+    if (await performTransfer('move', clipboard.items, currentPath)) {
+      setClipboard(null);
+    }
+  };
+
+  const handlePickDestination = async (destinationPath) => {
+    if (await performTransfer(pickerRequest.operation, pickerRequest.items, destinationPath)) {
+      if (pickerRequest.operation === 'move') {
+        clearSelection();
+      }
+      setPickerRequest(null);
+    }
+  };
+
+  const handleBulkDownload = async () => {
+    setBulkBusy(true);
+    try {
+      const zipName = currentPath.split('/').filter(Boolean).pop() || 'vayubox';
+      const result = await downloadItemsAsZip(selectedItems, zipName, transferContext);
+      if (result.failed.length > 0) {
+        setFailureReport({
+          title: 'Some files were left out of the zip',
+          description: 'These files could not be downloaded. Archived Glacier files have to be restored first.',
+          failures: result.failed
+        });
+      }
+    } catch (error) {
+      showToast(`Error downloading the selection: ${error.message}`, 'error');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const confirmStorageClass = async (storageClass) => {
+    setBulkBusy(true);
+    try {
+      const { changedCount, skippedCount, failed } = await changeStorageClass(storageClassItems, storageClass, transferContext);
+      const skipped = skippedCount > 0 ? `, ${skippedCount} already were` : '';
+      if (failed.length > 0) {
+        setFailureReport({
+          title: `Some files are not ${storageClass}`,
+          description: `The storage class of these files was not changed. Everything else is now ${storageClass}.`,
+          failures: failed
+        });
+        showToast(`Changed ${changedCount} files to ${storageClass}${skipped}, ${failed.length} failed`, 'warning');
+      } else {
+        showToast(`Changed ${changedCount} ${changedCount === 1 ? 'file' : 'files'} to ${storageClass}${skipped}`, 'success');
+      }
+      setStorageClassItems(null);
+    } catch (error) {
+      showToast(`Error changing the storage class: ${error.message}`, 'error');
+    } finally {
+      setBulkBusy(false);
+      onStorageClassChange && onStorageClassChange();
+    }
+  };
+
+  const confirmAddTags = async (tagSet) => {
+    setBulkBusy(true);
+    try {
+      const { taggedCount, failed } = await addTags(selectedItems, tagSet, transferContext);
+      if (failed.length > 0) {
+        setFailureReport({
+          title: 'Some files were not tagged',
+          description: 'These files did not get the new tags. Everything else was tagged.',
+          failures: failed
+        });
+        showToast(`Tagged ${taggedCount} files, ${failed.length} failed`, 'warning');
+      } else {
+        showToast(`Tagged ${taggedCount} ${taggedCount === 1 ? 'file' : 'files'}`, 'success');
+      }
+      setBulkDialog(null);
+    } catch (error) {
+      showToast(`Error adding tags: ${error.message}`, 'error');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // Pasting into the folder the items came from, or into a cut folder itself, is not a move
+  const canPaste = clipboard && clipboard.sourcePath !== currentPath &&
+    !clipboard.items.some(item => item.type === 'folder' && currentPath.startsWith(item.key));
+
   const renderBreadcrumb = () => {
     const parts = currentPath.split('/').filter(Boolean);
     return (
-      <div className="breadcrumb-container mb-3">
+      <div className="breadcrumb-container file-browser-toolbar mb-3">
         <nav aria-label="breadcrumb">
           <ol className="breadcrumb m-0">
             <li className="breadcrumb-item">
@@ -179,6 +659,59 @@ const EnhancedFileBrowser = ({
             })}
           </ol>
         </nav>
+        <div className="d-flex gap-2">
+          <InputGroup size="sm" className="tag-filter">
+            <InputGroup.Text title="Filter the loaded files by tag">
+              {loadingTags ? <Spinner animation="border" size="sm" /> : <FaTags />}
+            </InputGroup.Text>
+            <Form.Control
+              type="search"
+              placeholder="Tag or tag=value"
+              aria-label="Filter by tag"
+              value={tagFilterText}
+              onChange={(e) => setTagFilterText(e.target.value)}
+            />
+          </InputGroup>
+          <ButtonGroup size="sm">
+            <Button
+              variant={viewMode === 'table' ? 'secondary' : 'outline-secondary'}
+              onClick={() => changeViewMode('table')}
+              title="Table view"
+            >
+              <FaList />
+            </Button>
+            <Button
+              variant={viewMode === 'gallery' ? 'secondary' : 'outline-secondary'}
+              onClick={() => changeViewMode('gallery')}
+              title="Gallery view"
+            >
+              <FaTh />
+            </Button>
+          </ButtonGroup>
+          {clipboard && (
+            <>
+              <Button variant="primary" size="sm" onClick={handlePaste} disabled={!canPaste || transferring}>
+                {transferring ? (
+                  <Spinner animation="border" size="sm" className="me-2" />
+                ) : (
+                  <FaPaste className="me-2" />
+                )}
+                Paste {clipboard.items.length === 1 ? clipboard.items[0].name : `${clipboard.items.length} items`}
+              </Button>
+              <Button variant="outline-secondary" size="sm" onClick={() => setClipboard(null)} disabled={transferring}>
+                Cancel
+              </Button>
+            </>
+          )}
+          <Button variant="outline-primary" size="sm" onClick={openNewFolderModal}>
+            <FaFolderPlus className="me-2" />
+            New Folder
+          </Button>
+          <Button variant="outline-primary" size="sm" onClick={() => setShowUploadLinkModal(true)}>
+            <FaInbox className="me-2" />
+            Request Files
+          </Button>
+        </div>
       </div>
     );
   };
@@ -188,6 +721,22 @@ const EnhancedFileBrowser = ({
       {renderBreadcrumb()}
       
       {glacierStats && <GlacierStats stats={glacierStats} />}
+
+      {!isLoading && selectedItems.length > 0 && (
+        <BulkActionBar
+          items={selectedItems}
+          canRestore={canRestoreFromGlacier && selectedItems.some(item => (item.type === 'folder' ? item.hasArchivedFiles : isArchived(item)))}
+          isBusy={bulkBusy || transferring || deleting}
+          onDownload={handleBulkDownload}
+          onMove={() => setPickerRequest({ operation: 'move', items: selectedItems })}
+          onCopy={() => setPickerRequest({ operation: 'copy', items: selectedItems })}
+          onRestore={handleBulkRestore}
+          onChangeStorageClass={() => setStorageClassItems(selectedItems)}
+          onAddTags={() => setBulkDialog('tags')}
+          onDelete={() => handleDelete(selectedItems)}
+          onClear={clearSelection}
+        />
+      )}
       
       {isLoading ? (
         <div className="text-center p-5">
@@ -196,86 +745,258 @@ const EnhancedFileBrowser = ({
           </Spinner>
         </div>
       ) : (
-        <Table striped hover responsive className="file-table">
-          <thead>
-            <tr>
-              <th>Name</th>
-              <th>Size</th>
-              <th>Last Modified</th>
-              <th>Storage Class</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {formatItems.map((item) => (
-              <tr key={item.key}>
-                <td>
-                  {item.type === 'folder' ? (
-                    <div 
-                      className="folder-name" 
-                      onClick={() => onNavigate(item.key)}
+        <>
+          {viewMode === 'gallery' ? (
+            <GalleryView
+              currentPath={currentPath}
+              items={items}
+              selectedKeys={selectedKeys}
+              hasMore={hasMore}
+              isLoadingMore={isLoadingMore}
+              onLoadMore={onLoadMore}
+              onSelect={handleSelect}
+              onSelectAll={handleSelectAll}
+              onOpen={handleOpen}
+            />
+          ) : (
+            <div
+              ref={scrollContainerRef}
+              className={`file-table-scroll ${isVirtualized ? 'virtualized' : ''}`}
+              style={isVirtualized ? { maxHeight: VIEWPORT_HEIGHT } : undefined}
+              onScroll={isVirtualized ? handleScroll : undefined}
+            >
+              <Table striped={!isVirtualized} hover className="file-table">
+                <thead>
+                  <tr>
+                    <th className="select-column">
+                      <Form.Check
+                        type="checkbox"
+                        aria-label="Select all"
+                        checked={allSelected}
+                        ref={(input) => {
+                          if (input) input.indeterminate = selectedItems.length > 0 && !allSelected;
+                        }}
+                        onChange={handleSelectAll}
+                        disabled={items.length === 0}
+                      />
+                    </th>
+                    <th>Name</th>
+                    <th>Size</th>
+                    <th>Last Modified</th>
+                    <th>Storage Class</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {firstRow > 0 && (
+                    <tr className="virtual-spacer" aria-hidden="true" style={{ height: firstRow * ROW_HEIGHT }}>
+                      <td colSpan="6" />
+                    </tr>
+                  )}
+                  {visibleItems.map((item, i) => (
+                    <tr
+                      key={item.key}
+                      className={[
+                        clipboard?.items.some(cut => cut.key === item.key) && 'cut-row',
+                        selectedKeys.has(item.key) && 'selected-row'
+                      ].filter(Boolean).join(' ') || undefined}
                     >
-                      <FaFolder className="me-2 text-warning" />
-                      {item.name}
-                      {item.hasArchivedFiles && (
-                        <Badge bg="info" pill className="ms-2">
-                          Glacier
-                        </Badge>
-                      )}
-                    </div>
+                      <td className="select-column">
+                        <Form.Check
+                          type="checkbox"
+                          aria-label={`Select ${item.name}`}
+                          checked={selectedKeys.has(item.key)}
+                          onChange={(e) => handleSelect(firstRow + i, e)}
+                        />
+                      </td>
+                      <td>
+                        {item.type === 'folder' ? (
+                          <div 
+                            className="folder-name" 
+                            onClick={() => onNavigate(item.key)}
+                          >
+                            <FaFolder className="me-2 text-warning" />
+                            {item.name}
+                            {item.hasArchivedFiles && (
+                              <Badge bg="info" pill className="ms-2">
+                                Glacier
+                              </Badge>
+                            )}
+                          </div>
+                        ) : (
+                          <div
+                            className={`file-name${getPreviewType(item.name) ? ' previewable' : ''}`}
+                            onClick={() => getPreviewType(item.name) && setPreviewItem(item)}
+                          >
+                            <FaFile className="me-2 text-primary" />
+                            {item.name}
+                          </div>
+                        )}
+                      </td>
+                      <td>{item.size ? formatFileSize(item.size) : '-'}</td>
+                      <td>{formatLastModified(item.lastModified) || '-'}</td>
+                      <td>{item.storageClass ? renderGlacierStatus(item) : '-'}</td>
+                      <td>
+                        <div className="d-flex gap-2">
+                          <Button 
+                            variant="outline-primary" 
+                            size="sm" 
+                            onClick={() => handleDownload(item)}
+                            title="Download"
+                          >
+                            <FaDownload />
+                          </Button>
+
+                          {item.type === 'file' && getPreviewType(item.name) && (
+                            <Button 
+                              variant="outline-primary" 
+                              size="sm" 
+                              onClick={() => setPreviewItem(item)}
+                              title="Preview"
+                            >
+                              <FaEye />
+                            </Button>
+                          )}
+
+                          {item.type === 'file' && (
+                            <Button 
+                              variant="outline-secondary" 
+                              size="sm" 
+                              onClick={() => setDetailsItem(item)}
+                              title="Details, tags and metadata"
+                            >
+                              <FaInfoCircle />
+                            </Button>
+                          )}
+                      
+                          {canRestoreFromGlacier && (item.storageClass === 'GLACIER' || item.storageClass === 'DEEP_ARCHIVE') && (
+                            <Button 
+                              variant="outline-warning" 
+                              size="sm" 
+                              onClick={() => handleRestore(item)}
+                              title="Restore from Glacier"
+                            >
+                              <FaClock />
+                            </Button>
+                          )}
+                      
+                          <Button 
+                            variant="outline-secondary" 
+                            size="sm" 
+                            onClick={() => onRename(item)}
+                            title="Rename"
+                          >
+                            <FaPencilAlt />
+                          </Button>
+
+                          {versioningEnabled && item.type === 'file' && (
+                            <Button 
+                              variant="outline-secondary" 
+                              size="sm" 
+                              onClick={() => setVersionsItem(item)}
+                              title="Versions"
+                            >
+                              <FaHistory />
+                            </Button>
+                          )}
+
+                          <Button 
+                            variant="outline-secondary" 
+                            size="sm" 
+                            onClick={() => handleCut(item)}
+                            title="Cut"
+                          >
+                            <FaCut />
+                          </Button>
+
+                          <Button 
+                            variant="outline-secondary" 
+                            size="sm" 
+                            onClick={() => setPickerRequest({ operation: 'move', items: [item] })}
+                            title="Move to..."
+                          >
+                            <FaShare />
+                          </Button>
+
+                          <Button 
+                            variant="outline-secondary" 
+                            size="sm" 
+                            onClick={() => setPickerRequest({ operation: 'copy', items: [item] })}
+                            title="Copy to..."
+                          >
+                            <FaCopy />
+                          </Button>
+
+                          <Button 
+                            variant="outline-secondary" 
+                            size="sm" 
+                            onClick={() => setStorageClassItems([item])}
+                            title="Change storage class"
+                          >
+                            <FaLayerGroup />
+                          </Button>
+
+                          <Button 
+                            variant="outline-secondary" 
+                            size="sm" 
+                            onClick={() => setShareItem(item)}
+                            title="Share"
+                          >
+                            <FaLink />
+                          </Button>
+
+                          <Button 
+                            variant="outline-danger" 
+                            size="sm" 
+                            onClick={() => handleDelete([item])}
+                            title="Delete"
+                          >
+                            <FaTrashAlt />
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                  {lastRow < items.length && (
+                    <tr className="virtual-spacer" aria-hidden="true" style={{ height: (items.length - lastRow) * ROW_HEIGHT }}>
+                      <td colSpan="6" />
+                    </tr>
+                  )}
+                  {items.length === 0 && (
+                    <tr>
+                      <td colSpan="6" className="text-center">
+                        {tagFilter
+                          ? (loadingTags ? 'Reading tags...' : 'No loaded files in this location have this tag')
+                          : 'No items found in this location'}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </div>
+          )}
+          {(items.length > 0 || hasMore) && (
+            <div className="listing-footer">
+              <span className="text-muted small">
+                {items.length.toLocaleString()} {items.length === 1 ? 'item' : 'items'}
+                {tagFilter && ` with the tag ${tagFilter.key}`}
+                {hasMore && ' loaded, more available'}
+              </span>
+              {hasMore && (
+                <Button variant="outline-primary" size="sm" onClick={onLoadMore} disabled={isLoadingMore}>
+                  {isLoadingMore ? (
+                    <>
+                      <Spinner animation="border" size="sm" className="me-2" />
+                      Loading...
+                    </>
                   ) : (
-                    <div className="file-name">
-                      <FaFile className="me-2 text-primary" />
-                      {item.name}
-                    </div>
+                    'Load more'
                   )}
-                </td>
-                <td>{item.size ? formatFileSize(item.size) : '-'}</td>
-                <td>{item.lastModified || '-'}</td>
-                <td>{item.storageClass ? renderGlacierStatus(item) : '-'}</td>
-                <td>
-                  <div className="d-flex gap-2">
-                    <Button 
-                      variant="outline-primary" 
-                      size="sm" 
-                      onClick={() => handleDownload(item)}
-                      title="Download"
-                    >
-                      <FaDownload />
-                    </Button>
-                    
-                    {(item.storageClass === 'GLACIER' || item.storageClass === 'DEEP_ARCHIVE') && (
-                      <Button 
-                        variant="outline-warning" 
-                        size="sm" 
-                        onClick={() => handleRestore(item)}
-                        title="Restore from Glacier"
-                      >
-                        <FaClock />
-                      </Button>
-                    )}
-                    
-                    <Button 
-                      variant="outline-secondary" 
-                      size="sm" 
-                      onClick={() => onRename(item)}
-                      title="Rename"
-                    >
-                      <FaPencilAlt />
-                    </Button>
-                  </div>
-                </td>
-              </tr>
-            ))}
-            {formatItems.length === 0 && (
-              <tr>
-                <td colSpan="5" className="text-center">
-                  No items found in this location
-                </td>
-              </tr>
-            )}
-          </tbody>
-        </Table>
+                </Button>
+              )}
+            </div>
+          )}
+        </>
       )}
       
       {/* Restore Modal */}
@@ -285,8 +1006,9 @@ const EnhancedFileBrowser = ({
         </Modal.Header>
         <Modal.Body>
           <p>
-            You are about to restore <strong>{selectedItem?.name}</strong> from Glacier storage.
-            {selectedItem?.type === 'folder' && ' This will restore all files in this folder.'}
+            You are about to restore <strong>{describeItems(restoreTargets)}</strong> from Glacier storage.
+            {restoreTargets.length === 1 && restoreTargets[0].type === 'folder' && ' This will restore all files in this folder.'}
+            {restoreTargets.length > 1 && ' Every archived file in the selected folders is restored too, all with the same retrieval option.'}
           </p>
           
           <Alert variant="info">
@@ -329,6 +1051,209 @@ const EnhancedFileBrowser = ({
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Move To / Copy To Modal */}
+      <FolderPickerModal
+        show={Boolean(pickerRequest)}
+        title={pickerRequest ? `${TRANSFER_OPERATIONS[pickerRequest.operation].label} ${pickerRequest.items.length === 1 ? pickerRequest.items[0].name : `${pickerRequest.items.length} items`} to...` : ''}
+        confirmLabel={pickerRequest ? `${TRANSFER_OPERATIONS[pickerRequest.operation].label} here` : ''}
+        initialPath={currentPath}
+        excludedPaths={(pickerRequest?.items || []).filter(item => item.type === 'folder').map(item => item.key)}
+        isBusy={transferring}
+        onHide={() => setPickerRequest(null)}
+        onSelect={handlePickDestination}
+      />
+
+      {/* Delete Confirmation Modal */}
+      <Modal show={Boolean(deleteRequest)} onHide={() => !deleting && setDeleteRequest(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Delete {deleteRequest?.items.length === 1 ? deleteRequest.items[0].type : 'items'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {!deleteRequest?.summary ? (
+            <div className="d-flex align-items-center">
+              <Spinner animation="border" size="sm" className="me-2" />
+              Counting the contents of {deleteRequest?.items.length === 1 ? deleteRequest.items[0].name : 'the selected folders'}...
+            </div>
+          ) : (
+            <>
+              <p>
+                {deleteRequest.permanent ? 'Delete' : 'Move'} <strong>{describeItems(deleteRequest.items)}</strong>
+                {(deleteRequest.items.length > 1 || deleteRequest.items[0].type === 'folder') && (
+                  <>
+                    {deleteRequest.items.length > 1 ? ' with ' : ' and the '}
+                    {deleteRequest.summary.objectCount.toLocaleString()} {deleteRequest.summary.objectCount === 1 ? 'file' : 'files'}
+                    {deleteRequest.items.length > 1 ? '' : ' in it'}
+                  </>
+                )}
+                {' '}({formatFileSize(deleteRequest.summary.totalSize)}){deleteRequest.permanent ? '?' : ' to the trash?'}
+              </p>
+              <Form.Check
+                type="switch"
+                id="delete-permanently"
+                className="mb-3"
+                label="Delete permanently instead of moving to the trash"
+                checked={deleteRequest.permanent}
+                onChange={(e) => setDeleteRequest(current => ({ ...current, permanent: e.target.checked }))}
+                disabled={deleting}
+              />
+              {deleteRequest.permanent ? (
+                <Alert variant="danger" className="mb-0">
+                  This cannot be undone.
+                </Alert>
+              ) : (
+                <>
+                  {deleteRequest.items.some(item => item.hasArchivedFiles || isArchived(item)) && (
+                    <Alert variant="warning">
+                      Archived Glacier files cannot be moved to the trash and will stay in place.
+                    </Alert>
+                  )}
+                  <p className="text-muted small mb-0">
+                    Items in the trash can be restored for {TRASH_RETENTION_DAYS} days, then they are deleted for good.
+                  </p>
+                </>
+              )}
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setDeleteRequest(null)} disabled={deleting}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={confirmDelete} disabled={deleting || !deleteRequest?.summary}>
+            {deleting ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                Deleting...
+              </>
+            ) : (
+              deleteRequest?.permanent ? 'Delete' : 'Move to trash'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      <FilePreviewModal
+        show={Boolean(previewItem)}
+        item={previewItem}
+        onHide={() => setPreviewItem(null)}
+        onDownload={handleDownload}
+        onRestore={canRestoreFromGlacier ? (item) => {
+          setPreviewItem(null);
+          handleRestore(item);
+        } : undefined}
+        navigation={lightboxIndex !== -1 && mediaItems.length > 1 ? {
+          index: lightboxIndex,
+          count: mediaItems.length,
+          onNavigate: (index) => setPreviewItem(mediaItems[index])
+        } : undefined}
+      />
+
+      <ShareModal
+        show={Boolean(shareItem)}
+        item={shareItem}
+        onHide={() => setShareItem(null)}
+      />
+
+      <ObjectDetailsDrawer
+        show={Boolean(detailsItem)}
+        item={detailsItem}
+        onHide={() => setDetailsItem(null)}
+        onChange={onDetailsChange}
+      />
+
+      <UploadLinkModal
+        show={showUploadLinkModal}
+        folderPath={currentPath || ''}
+        folderName={currentPath ? currentPath.replace(/\/$/, '').split('/').pop() : 'Home'}
+        onHide={() => setShowUploadLinkModal(false)}
+      />
+
+      <VersionsModal
+        show={Boolean(versionsItem)}
+        item={versionsItem}
+        onHide={() => setVersionsItem(null)}
+        onChange={onVersionChange}
+      />
+
+      <StorageClassModal
+        show={Boolean(storageClassItems)}
+        items={storageClassItems || []}
+        isBusy={bulkBusy}
+        onHide={() => setStorageClassItems(null)}
+        onConfirm={confirmStorageClass}
+      />
+
+      <AddTagsModal
+        show={bulkDialog === 'tags'}
+        items={selectedItems}
+        isBusy={bulkBusy}
+        onHide={() => setBulkDialog(null)}
+        onConfirm={confirmAddTags}
+      />
+
+      {/* Failures Modal */}
+      <Modal show={Boolean(failureReport)} onHide={() => setFailureReport(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>{failureReport?.title}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>{failureReport?.description}</p>
+          <ul className="failure-list">
+            {(failureReport?.failures || []).map(failure => (
+              <li key={failure.key}>
+                <strong>{failure.key}</strong>: {failure.error}
+              </li>
+            ))}
+          </ul>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setFailureReport(null)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* New Folder Modal */}
+      <Modal show={showNewFolderModal} onHide={() => !creatingFolder && setShowNewFolderModal(false)}>
+        <Form onSubmit={handleCreateFolder}>
+          <Modal.Header closeButton>
+            <Modal.Title>New Folder</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group>
+              <Form.Label>Folder name in {currentPath || 'Home'}</Form.Label>
+              <Form.Control
+                type="text"
+                value={newFolderName}
+                onChange={(e) => setNewFolderName(e.target.value)}
+                placeholder="Enter folder name"
+                isInvalid={Boolean(newFolderName) && Boolean(getNewFolderError(newFolderName))}
+                disabled={creatingFolder}
+                autoFocus
+              />
+              <Form.Control.Feedback type="invalid">
+                {newFolderName && getNewFolderError(newFolderName)}
+              </Form.Control.Feedback>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowNewFolderModal(false)} disabled={creatingFolder}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={creatingFolder || Boolean(getNewFolderError(newFolderName))}>
+              {creatingFolder ? (
+                <>
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  Creating...
+                </>
+              ) : (
+                'Create'
+              )}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
     </div>
   );
 };
@@ -337,10 +1262,20 @@ EnhancedFileBrowser.propTypes = {
   currentPath: PropTypes.string.isRequired,
   items: PropTypes.array,
   isLoading: PropTypes.bool,
+  hasMore: PropTypes.bool,
+  isLoadingMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
   onNavigate: PropTypes.func.isRequired,
   onUpload: PropTypes.func,
   onRename: PropTypes.func,
   onRestore: PropTypes.func,
+  onFolderCreated: PropTypes.func,
+  onMove: PropTypes.func,
+  onCopy: PropTypes.func,
+  onDelete: PropTypes.func,
+  onVersionChange: PropTypes.func,
+  onStorageClassChange: PropTypes.func,
+  onDetailsChange: PropTypes.func,
   glacierStats: PropTypes.object
 };
 
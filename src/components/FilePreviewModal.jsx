@@ -0,0 +1,257 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, Table, Spinner, Alert, ButtonGroup } from 'react-bootstrap';
+import { FaDownload, FaClock, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import {
+  loadPreview,
+  formatFileSize,
+  MAX_TEXT_PREVIEW_BYTES,
+  MAX_TABLE_ROWS
+} from '../services/s3Service';
+import { highlightCode } from '../utils/syntaxHighlight';
+
+// Highlighting creates one element per token, very long files are shown as plain text
+const MAX_HIGHLIGHT_LENGTH = 200 * 1024;
+
+const CodeView = ({ text, language }) => {
+  const tokens = useMemo(
+    () => (language && text.length <= MAX_HIGHLIGHT_LENGTH ? highlightCode(text, language) : [{ type: null, text }]),
+    [text, language]
+  );
+  return (
+    <pre className="preview-code">
+      <code>
+        {tokens.map((token, index) => (token.type
+          ? <span key={index} className={`token-${token.type}`}>{token.text}</span>
+          : token.text))}
+      </code>
+    </pre>
+  );
+};
+
+CodeView.propTypes = {
+  text: PropTypes.string.isRequired,
+  language: PropTypes.string
+};
+
+const TableView = ({ table }) => (
+  <>
+    <div className="preview-table-container">
+      <Table striped bordered size="sm" className="preview-table">
+        <thead>
+          <tr>
+            {table.columns.map((column, index) => <th key={index}>{column}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, rowIndex) => (
+            <tr key={rowIndex}>
+              {table.columns.map((_, index) => <td key={index}>{row[index]}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </div>
+    {table.totalRows > MAX_TABLE_ROWS && (
+      <p className="text-muted small mt-2 mb-0">
+        Showing the first {MAX_TABLE_ROWS.toLocaleString()} of {table.totalRows.toLocaleString()} rows.
+      </p>
+    )}
+  </>
+);
+
+TableView.propTypes = {
+  table: PropTypes.shape({
+    columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+    rows: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    totalRows: PropTypes.number.isRequired
+  }).isRequired
+};
+
+// Arrow keys pressed in these elements belong to them, e.g. seeking a video
+const KEY_HANDLING_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'VIDEO', 'AUDIO'];
+
+const FilePreviewModal = ({ show, item, adapter, load = loadPreview, onHide, onDownload, onRestore, navigation }) => {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // JSON and CSV files open as a table, the source is one click away
+  const [view, setView] = useState('table');
+
+  useEffect(() => {
+    if (!show || !item) return undefined;
+    let cancelled = false;
+    setPreview(null);
+    setError(null);
+    setView('table');
+    setLoading(true);
+    load(item, adapter)
+      .then(result => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [show, item, adapter, load]);
+
+  const hasPrevious = Boolean(navigation) && navigation.index > 0;
+  const hasNext = Boolean(navigation) && navigation.index < navigation.count - 1;
+
+  // With a navigation the modal is a lightbox, the arrow keys step through the files
+  useEffect(() => {
+    if (!show || !navigation) return undefined;
+    const handleKeyDown = (e) => {
+      if (KEY_HANDLING_TAGS.includes(e.target.tagName)) return;
+      if (e.key === 'ArrowLeft' && hasPrevious) {
+        e.preventDefault();
+        navigation.onNavigate(navigation.index - 1);
+      } else if (e.key === 'ArrowRight' && hasNext) {
+        e.preventDefault();
+        navigation.onNavigate(navigation.index + 1);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [show, navigation, hasPrevious, hasNext]);
+
+  const renderArchived = () => (
+    <Alert variant="warning" className="mb-0">
+      <Alert.Heading as="h6">This file is archived in {preview.storageClass}</Alert.Heading>
+      {preview.restoring ? (
+        <p className="mb-0">A restore is in progress. The file can be previewed once the restored copy is available.</p>
+      ) : (
+        <>
+          <p className={onRestore ? 'mb-3' : 'mb-0'}>Archived files have to be restored before they can be previewed or downloaded.</p>
+          {onRestore && (
+            <Button variant="warning" size="sm" onClick={() => onRestore(item)}>
+              <FaClock className="me-2" />
+              Restore from Glacier
+            </Button>
+          )}
+        </>
+      )}
+    </Alert>
+  );
+
+  const renderText = () => (
+    <>
+      {preview.truncated && (
+        <Alert variant="info" className="py-2">
+          This file is {formatFileSize(item.size)}, only the first {formatFileSize(MAX_TEXT_PREVIEW_BYTES)} are shown.
+          Download it to see everything.
+        </Alert>
+      )}
+      {preview.table && (
+        <ButtonGroup size="sm" className="mb-3">
+          <Button variant={view === 'table' ? 'primary' : 'outline-primary'} onClick={() => setView('table')}>Table</Button>
+          <Button variant={view === 'source' ? 'primary' : 'outline-primary'} onClick={() => setView('source')}>Source</Button>
+        </ButtonGroup>
+      )}
+      {preview.table && view === 'table'
+        ? <TableView table={preview.table} />
+        : <CodeView text={preview.text} language={preview.language} />}
+    </>
+  );
+
+  const renderPreview = () => {
+    if (preview.archived) return renderArchived();
+    switch (preview.type) {
+      case 'image':
+        return <img src={preview.url} alt={item.name} className="preview-image" />;
+      case 'pdf':
+        return <iframe src={preview.url} title={item.name} className="preview-frame" />;
+      case 'audio':
+        return <audio src={preview.url} controls preload="metadata" className="preview-audio" />;
+      case 'video':
+        return <video src={preview.url} controls preload="metadata" className="preview-video" />;
+      default:
+        return renderText();
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl" centered>
+      <Modal.Header closeButton>
+        <Modal.Title className="preview-title">{item?.name}</Modal.Title>
+        {navigation && (
+          <span className="preview-position text-muted small">
+            {navigation.index + 1} / {navigation.count}
+          </span>
+        )}
+      </Modal.Header>
+      <Modal.Body className={`preview-body${navigation ? ' lightbox-body' : ''}`}>
+        {navigation && (
+          <>
+            <Button
+              variant="light"
+              className="lightbox-nav previous"
+              onClick={() => navigation.onNavigate(navigation.index - 1)}
+              disabled={!hasPrevious}
+              title="Previous"
+            >
+              <FaChevronLeft />
+            </Button>
+            <Button
+              variant="light"
+              className="lightbox-nav next"
+              onClick={() => navigation.onNavigate(navigation.index + 1)}
+              disabled={!hasNext}
+              title="Next"
+            >
+              <FaChevronRight />
+            </Button>
+          </>
+        )}
+        {loading && (
+          <div className="text-center p-4">
+            <Spinner animation="border" size="sm" className="me-2" />
+            Loading preview...
+          </div>
+        )}
+        {error && <Alert variant="danger" className="mb-0">{error}</Alert>}
+        {preview && renderPreview()}
+      </Modal.Body>
+      <Modal.Footer>
+        {onDownload && !preview?.archived && (
+          <Button variant="outline-primary" onClick={() => onDownload(item)}>
+            <FaDownload className="me-2" />
+            Download
+          </Button>
+        )}
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+FilePreviewModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  item: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    size: PropTypes.number
+  }),
+  // Storage adapter the file is read through, the active connection's by default
+  adapter: PropTypes.object,
+  // Loads the preview of an item with the adapter, loadPreview() by default
+  load: PropTypes.func,
+  onHide: PropTypes.func.isRequired,
+  onDownload: PropTypes.func,
+  onRestore: PropTypes.func,
+  // Position of the item in the files the lightbox steps through
+  navigation: PropTypes.shape({
+    index: PropTypes.number.isRequired,
+    count: PropTypes.number.isRequired,
+    onNavigate: PropTypes.func.isRequired
+  })
+};
+
+export default FilePreviewModal;
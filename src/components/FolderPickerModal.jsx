@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, ListGroup, Spinner, Alert } from 'react-bootstrap';
+import { FaFolder, FaArrowUp } from 'react-icons/fa';
+import { listS3ObjectsPage } from '../services/s3Service';
+
+// Folder prefix one level up, '' for folders in the root
+const getParentPath = (path) => {
+  const parts = path.split('/').filter(Boolean);
+  return parts.length > 1 ? `${parts.slice(0, -1).join('/')}/` : '';
+};
+
+const FolderPickerModal = ({
+  show,
+  title = 'Choose a folder',
+  confirmLabel = 'Select',
+  initialPath = '',
+  excludedPaths = [],
+  isBusy = false,
+  onHide,
+  onSelect
+}) => {
+  const [path, setPath] = useState(initialPath);
+  const [folders, setFolders] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Identifies the latest listing so a folder we already left doesn't overwrite the list
+  const listingRequest = useRef(0);
+
+  const loadFolders = useCallback(async (folderPath, cursor = null) => {
+    const requestId = ++listingRequest.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await listS3ObjectsPage(folderPath, { cursor });
+      if (requestId !== listingRequest.current) return;
+      const pageFolders = page.items.filter(item => item.type === 'folder');
+      setFolders(current => (cursor ? [...current, ...pageFolders] : pageFolders));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      if (requestId === listingRequest.current) {
+        setError(err.message);
+      }
+    } finally {
+      if (requestId === listingRequest.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  // Start from the given folder every time the dialog opens
+  useEffect(() => {
+    if (show) {
+      setPath(initialPath);
+    }
+  }, [show, initialPath]);
+
+  useEffect(() => {
+    if (show) {
+      setFolders([]);
+      loadFolders(path);
+    }
+  }, [show, path, loadFolders]);
+
+  // A folder cannot be picked as the destination of itself or of its sub-folders
+  const isExcluded = (folderPath) => excludedPaths.some(excluded => folderPath.startsWith(excluded));
+  const parts = path.split('/').filter(Boolean);
+
+  return (
+    <Modal show={show} onHide={() => !isBusy && onHide()} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>{title}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="breadcrumb-container mb-3">
+          <nav aria-label="breadcrumb">
+            <ol className="breadcrumb m-0">
+              <li className="breadcrumb-item">
+                <a href="#" onClick={(e) => { e.preventDefault(); setPath(''); }}>
+                  Home
+                </a>
+              </li>
+              {parts.map((part, i) => {
+                const partPath = parts.slice(0, i + 1).join('/') + '/';
+                return (
+                  <li key={partPath} className={`breadcrumb-item ${i === parts.length - 1 ? 'active' : ''}`}>
+                    {i === parts.length - 1 ? (
+                      part
+                    ) : (
+                      <a href="#" onClick={(e) => { e.preventDefault(); setPath(partPath); }}>
+                        {part}
+                      </a>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </nav>
+        </div>
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <ListGroup className="folder-picker-list">
+          {path && (
+            <ListGroup.Item action onClick={() => setPath(getParentPath(path))} disabled={isBusy}>
+              <FaArrowUp className="me-2" />
+              Up one level
+            </ListGroup.Item>
+          )}
+          {folders.map(folder => (
+            <ListGroup.Item
+              key={folder.key}
+              action
+              onClick={() => setPath(folder.key)}
+              disabled={isBusy || isExcluded(folder.key)}
+            >
+              <FaFolder className="me-2 text-warning" />
+              {folder.name}
+            </ListGroup.Item>
+          ))}
+          {!loading && folders.length === 0 && (
+            <ListGroup.Item className="text-muted">No sub-folders</ListGroup.Item>
+          )}
+        </ListGroup>
+
+        {loading && (
+          <div className="text-center p-3">
+            <Spinner animation="border" size="sm" />
+          </div>
+        )}
+        {!loading && nextCursor && (
+          <div className="text-center mt-2">
+            <Button variant="link" size="sm" onClick={() => loadFolders(path, nextCursor)}>
+              Load more folders
+            </Button>
+          </div>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <span className="me-auto text-muted small">Destination: /{path}</span>
+        <Button variant="secondary" onClick={onHide} disabled={isBusy}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={() => onSelect(path)} disabled={isBusy || isExcluded(path)}>
+          {isBusy ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Working...
+            </>
+          ) : (
+            confirmLabel
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+FolderPickerModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  title: PropTypes.string,
+  confirmLabel: PropTypes.string,
+  initialPath: PropTypes.string,
+  excludedPaths: PropTypes.arrayOf(PropTypes.string),
+  isBusy: PropTypes.bool,
+  onHide: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired
+};
+
+export default FolderPickerModal;
@@ -0,0 +1,260 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Button, Form, Spinner } from 'react-bootstrap';
+import { FaFolder, FaFile, FaFileImage, FaFileVideo, FaPlayCircle, FaImages } from 'react-icons/fa';
+import { useToast } from '../contexts/ToastContext';
+import {
+  formatFileSize,
+  getPreviewType,
+  canHaveThumbnail,
+  listThumbnails,
+  getThumbnailUrl,
+  createThumbnailForObject,
+  onThumbnailsChange
+} from '../services/s3Service';
+
+// Tiles are rendered in batches as the gallery is scrolled
+const GALLERY_BATCH_SIZE = 120;
+// Thumbnail changes often come in bursts (moves, uploads), the folder's thumbnails are listed once per burst
+const THUMBNAIL_RELOAD_DELAY_MS = 500;
+
+const isArchived = (item) => item.storageClass === 'GLACIER' || item.storageClass === 'DEEP_ARCHIVE';
+
+const GalleryTile = ({ item, hasThumbnail, selected, onSelect, onOpen }) => {
+  const tileRef = useRef(null);
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const previewType = item.type === 'file' ? getPreviewType(item.name) : null;
+
+  useEffect(() => {
+    setThumbnailUrl(null);
+    setFailed(false);
+    if (!hasThumbnail || !tileRef.current) return undefined;
+    let cancelled = false;
+    // URLs are only requested for tiles that come into view
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      getThumbnailUrl(item.key)
+        .then(url => {
+          if (!cancelled) setThumbnailUrl(url);
+        })
+        .catch(() => {
+          if (!cancelled) setFailed(true);
+        });
+    }, { rootMargin: '200px' });
+    observer.observe(tileRef.current);
+    return () => {
+      cancelled = true;
+      observer.disconnect();
+    };
+  }, [item.key, hasThumbnail]);
+
+  const renderIcon = () => {
+    if (item.type === 'folder') return <FaFolder className="gallery-icon text-warning" />;
+    if (previewType === 'image') return <FaFileImage className="gallery-icon text-primary" />;
+    if (previewType === 'video') return <FaFileVideo className="gallery-icon text-primary" />;
+    return <FaFile className="gallery-icon text-secondary" />;
+  };
+
+  const canOpen = item.type === 'folder' || Boolean(previewType);
+
+  return (
+    <div ref={tileRef} className={`gallery-tile${selected ? ' selected' : ''}`}>
+      <Form.Check
+        type="checkbox"
+        className="gallery-select"
+        aria-label={`Select ${item.name}`}
+        checked={selected}
+        onChange={onSelect}
+      />
+      <button
+        type="button"
+        className="gallery-thumbnail"
+        onClick={() => onOpen(item)}
+        disabled={!canOpen}
+        title={item.name}
+      >
+        {thumbnailUrl && !failed ? (
+          <img src={thumbnailUrl} alt={item.name} loading="lazy" onError={() => setFailed(true)} />
+        ) : (
+          renderIcon()
+        )}
+        {previewType === 'video' && thumbnailUrl && !failed && <FaPlayCircle className="gallery-play" />}
+      </button>
+      <div className="gallery-caption">
+        <span className="gallery-name" title={item.name}>{item.name}</span>
+        <span className="text-muted small">
+          {item.type === 'folder' ? 'Folder' : formatFileSize(item.size || 0)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+GalleryTile.propTypes = {
+  item: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    size: PropTypes.number
+  }).isRequired,
+  hasThumbnail: PropTypes.bool.isRequired,
+  selected: PropTypes.bool.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired
+};
+
+const GalleryView = ({
+  currentPath,
+  items,
+  selectedKeys,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore,
+  onSelect,
+  onSelectAll,
+  onOpen
+}) => {
+  // Keys of the files that have a thumbnail, null while they are listed
+  const [thumbnails, setThumbnails] = useState(null);
+  const [renderCount, setRenderCount] = useState(GALLERY_BATCH_SIZE);
+  // { done, total } while missing thumbnails are created
+  const [creating, setCreating] = useState(null);
+  const sentinelRef = useRef(null);
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    setThumbnails(null);
+    setRenderCount(GALLERY_BATCH_SIZE);
+
+    const load = () => {
+      listThumbnails(currentPath)
+        .then(found => {
+          if (!cancelled) setThumbnails(found);
+        })
+        .catch(() => {
+          if (!cancelled) setThumbnails(new Set());
+        });
+    };
+    load();
+
+    // Thumbnails made after an upload, or copied along by a move, show up without reloading the folder
+    const unsubscribe = onThumbnailsChange(({ keys }) => {
+      if (!keys.some(key => key.slice(0, key.lastIndexOf('/') + 1) === currentPath)) return;
+      clearTimeout(timer);
+      timer = setTimeout(load, THUMBNAIL_RELOAD_DELAY_MS);
+    });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [currentPath]);
+
+  // Render the next batch, then load the next page, when the end of the gallery comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      if (renderCount < items.length) {
+        setRenderCount(count => count + GALLERY_BATCH_SIZE);
+      } else if (hasMore && !isLoadingMore && onLoadMore) {
+        onLoadMore();
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [renderCount, items.length, hasMore, isLoadingMore, onLoadMore]);
+
+  // Files uploaded before thumbnails existed, or whose thumbnail could not be made at upload time
+  const missingThumbnails = thumbnails
+    ? items.filter(item => item.type === 'file' && canHaveThumbnail(item.name) && !isArchived(item) && !thumbnails.has(item.key))
+    : [];
+
+  const handleCreateThumbnails = async () => {
+    const targets = missingThumbnails;
+    let createdCount = 0;
+    setCreating({ done: 0, total: targets.length });
+    for (const item of targets) {
+      if (await createThumbnailForObject(item)) {
+        createdCount++;
+      }
+      setCreating(current => ({ ...current, done: current.done + 1 }));
+    }
+    setCreating(null);
+    showToast(
+      createdCount === targets.length
+        ? `Created ${createdCount} ${createdCount === 1 ? 'thumbnail' : 'thumbnails'}`
+        : `Created ${createdCount} of ${targets.length} thumbnails. The others could not be read by the browser.`,
+      createdCount === targets.length ? 'success' : 'warning'
+    );
+  };
+
+  const selectedCount = items.filter(item => selectedKeys.has(item.key)).length;
+
+  if (items.length === 0) {
+    return <p className="text-center text-muted p-4 mb-0">No items found in this location</p>;
+  }
+
+  return (
+    <div className="gallery-view">
+      <div className="gallery-toolbar">
+        <Form.Check
+          type="checkbox"
+          id="gallery-select-all"
+          label="Select all"
+          checked={selectedCount === items.length}
+          ref={(input) => {
+            if (input) input.indeterminate = selectedCount > 0 && selectedCount < items.length;
+          }}
+          onChange={onSelectAll}
+        />
+        {(missingThumbnails.length > 0 || creating) && (
+          <div className="d-flex align-items-center gap-2">
+            <span className="text-muted small">
+              {creating
+                ? `Creating thumbnails... ${creating.done} of ${creating.total}`
+                : `${missingThumbnails.length} ${missingThumbnails.length === 1 ? 'image or video has' : 'images and videos have'} no thumbnail yet.`}
+            </span>
+            <Button variant="outline-primary" size="sm" onClick={handleCreateThumbnails} disabled={Boolean(creating)}>
+              {creating ? <Spinner animation="border" size="sm" className="me-2" /> : <FaImages className="me-2" />}
+              Create thumbnails
+            </Button>
+          </div>
+        )}
+      </div>
+      <div className="gallery-grid">
+        {items.slice(0, renderCount).map((item, index) => (
+          <GalleryTile
+            key={item.key}
+            item={item}
+            hasThumbnail={Boolean(thumbnails?.has(item.key))}
+            selected={selectedKeys.has(item.key)}
+            onSelect={(e) => onSelect(index, e)}
+            onOpen={onOpen}
+          />
+        ))}
+      </div>
+      <div ref={sentinelRef} className="gallery-sentinel" aria-hidden="true" />
+    </div>
+  );
+};
+
+GalleryView.propTypes = {
+  currentPath: PropTypes.string.isRequired,
+  items: PropTypes.arrayOf(PropTypes.object).isRequired,
+  selectedKeys: PropTypes.instanceOf(Set).isRequired,
+  hasMore: PropTypes.bool,
+  isLoadingMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
+  onSelect: PropTypes.func.isRequired,
+  onSelectAll: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired
+};
+
+export default GalleryView;
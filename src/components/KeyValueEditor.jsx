@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import { Button, Form, InputGroup } from 'react-bootstrap';
+import { FaPlus, FaTimes } from 'react-icons/fa';
+
+// Rows of key and value inputs, used for object tags and metadata
+const KeyValueEditor = ({
+  rows,
+  onChange,
+  getError,
+  maxRows,
+  minRows = 0,
+  disabled = false,
+  addLabel = 'Add another tag'
+}) => {
+  const updateRow = (index, changes) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  return (
+    <>
+      {rows.map((row, index) => {
+        // Untouched rows are not flagged until something is typed
+        const error = (row.key || row.value) ? getError(row, rows) : null;
+        return (
+          <Form.Group key={index} className="mb-2">
+            <InputGroup hasValidation>
+              <Form.Control
+                placeholder="Key"
+                aria-label="Key"
+                value={row.key}
+                onChange={(e) => updateRow(index, { key: e.target.value })}
+                isInvalid={Boolean(error)}
+                disabled={disabled}
+              />
+              <Form.Control
+                placeholder="Value"
+                aria-label="Value"
+                value={row.value}
+                onChange={(e) => updateRow(index, { value: e.target.value })}
+                isInvalid={Boolean(error)}
+                disabled={disabled}
+              />
+              <Button
+                variant="outline-secondary"
+                onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                disabled={disabled || rows.length <= minRows}
+                title="Remove"
+              >
+                <FaTimes />
+              </Button>
+              <Form.Control.Feedback type="invalid">{error}</Form.Control.Feedback>
+            </InputGroup>
+          </Form.Group>
+        );
+      })}
+      <Button
+        variant="link"
+        size="sm"
+        className="px-0"
+        onClick={() => onChange([...rows, { key: '', value: '' }])}
+        disabled={disabled || (maxRows !== undefined && rows.length >= maxRows)}
+      >
+        <FaPlus className="me-1" /> {addLabel}
+      </Button>
+    </>
+  );
+};
+
+KeyValueEditor.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+  getError: PropTypes.func.isRequired,
+  maxRows: PropTypes.number,
+  minRows: PropTypes.number,
+  disabled: PropTypes.bool,
+  addLabel: PropTypes.string
+};
+
+export default KeyValueEditor;
@@ -1,12 +1,13 @@
 import { Navbar, Nav, Container, Dropdown, DropdownButton } from 'react-bootstrap';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaUser, FaHome, FaFolder, FaHistory, FaCog, FaSignOutAlt, FaKey, FaMoneyBillWave } from 'react-icons/fa';
+import { FaUser, FaHome, FaFolder, FaHistory, FaCog, FaSignOutAlt, FaKey, FaMoneyBillWave, FaDatabase, FaCheck, FaPlug, FaTrashAlt, FaSearch, FaLink } from 'react-icons/fa';
 import { useState } from 'react';
 import ProfileModal from './ProfileModal';
 import awsLogo from '../images/Logo.png';
 import './Navbar.css';
 import { useToast } from '../contexts/ToastContext';
+import { useConnections } from '../contexts/ConnectionContext';
 
 function NavigationBar() {
   const { currentUser, logout, resetPassword } = useAuth();
@@ -15,6 +16,7 @@ function NavigationBar() {
   const [showProfileModal, setShowProfileModal] = useState(false);
   const { showToast } = useToast();
   const [expanded, setExpanded] = useState(false);
+  const { connections, activeConnection, switchConnection } = useConnections();
 
   const handleLogout = async () => {
     try {
@@ -27,6 +29,27 @@ function NavigationBar() {
     }
   };
 
+  const handleSwitchConnection = (connection) => {
+    if (connection.id === activeConnection.id) return;
+    // Secret keys are not kept across reloads, they are entered again on the Connections page
+    if (connection.needsSecret) {
+      showToast(`Enter the secret key of ${connection.name} again to use it`, 'warning');
+      navigate('/connections');
+      return;
+    }
+    try {
+      switchConnection(connection.id);
+      showToast(`Switched to ${connection.name}`, 'success');
+      // Folder paths belong to the previous bucket
+      if (location.pathname === '/folder') {
+        navigate('/folder');
+      }
+    } catch (error) {
+      showToast('Failed to switch connection. Please try again.', 'error');
+      console.error('Failed to switch connection:', error);
+    }
+  };
+
   const handleResetPassword = async () => {
     try {
       await resetPassword(currentUser.email);
@@ -61,7 +84,10 @@ function NavigationBar() {
               {[
                 { path: '/', icon: FaHome, label: 'Home' },
                 { path: '/folder', icon: FaFolder, label: 'Folders' },
+                { path: '/search', icon: FaSearch, label: 'Search' },
                 { path: '/history', icon: FaHistory, label: 'Activity' },
+                { path: '/trash', icon: FaTrashAlt, label: 'Trash' },
+                { path: '/shares', icon: FaLink, label: 'Shares' },
                 { path: '/cost', icon: FaMoneyBillWave, label: 'Cost' }
               ].map(({ path, icon: Icon, label }) => (
                 <Nav.Link
@@ -78,6 +104,44 @@ function NavigationBar() {
             </Nav>
             
             <div className="nav-actions">
+              <DropdownButton
+                id="connection-dropdown"
+                title={
+                  <div className="d-flex align-items-center">
+                    <FaDatabase className="nav-icon" />
+                    <span className="ms-2 connection-name">{activeConnection?.name}</span>
+                  </div>
+                }
+                variant="ghost"
+                className="user-dropdown connection-dropdown"
+              >
+                <Dropdown.Header>Connections</Dropdown.Header>
+                {connections.map(connection => (
+                  <Dropdown.Item
+                    key={connection.id}
+                    active={connection.id === activeConnection?.id}
+                    onClick={() => {
+                      handleSwitchConnection(connection);
+                      setExpanded(false);
+                    }}
+                  >
+                    {connection.id === activeConnection?.id
+                      ? <FaCheck className="dropdown-icon" />
+                      : <FaDatabase className="dropdown-icon" />}
+                    {connection.name}
+                  </Dropdown.Item>
+                ))}
+                <Dropdown.Divider />
+                <Dropdown.Item
+                  onClick={() => {
+                    navigate('/connections');
+                    setExpanded(false);
+                  }}
+                >
+                  <FaPlug className="dropdown-icon" />
+                  Manage Connections
+                </Dropdown.Item>
+              </DropdownButton>
               <DropdownButton
                 id="user-dropdown"
                 title={
@@ -0,0 +1,213 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Offcanvas, Button, Form, Spinner, Alert } from 'react-bootstrap';
+import { FaTags, FaListUl } from 'react-icons/fa';
+import { useToast } from '../contexts/ToastContext';
+import {
+  getObjectDetails,
+  updateObjectTags,
+  updateObjectMetadata,
+  getTagError,
+  getMetadataError,
+  formatFileSize,
+  MAX_TAGS_PER_OBJECT,
+  MAX_METADATA_BYTES
+} from '../services/s3Service';
+import KeyValueEditor from './KeyValueEditor';
+
+const toTag = (row) => ({ Key: row.key.trim(), Value: row.value });
+// S3 stores metadata keys in lower case
+const toMetadataEntry = (row) => ({ Key: row.key.trim().toLowerCase(), Value: row.value });
+
+const getTagRowError = (row, rows) => getTagError(toTag(row), rows.map(toTag));
+const getMetadataRowError = (row, rows) => getMetadataError(toMetadataEntry(row), rows.map(toMetadataEntry));
+
+const toRows = (entries) => entries.map(([key, value]) => ({ key, value }));
+
+// Side panel with the properties, tags and user metadata of a file
+const ObjectDetailsDrawer = ({ show, item, onHide, onChange }) => {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [tagRows, setTagRows] = useState([]);
+  const [metadataRows, setMetadataRows] = useState([]);
+  // 'tags' or 'metadata' while it is being saved
+  const [saving, setSaving] = useState(null);
+  const { showToast } = useToast();
+
+  const load = useCallback(async () => {
+    if (!item) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const loaded = await getObjectDetails(item.key);
+      setDetails(loaded);
+      setTagRows(toRows(loaded.tags.map(tag => [tag.Key, tag.Value])));
+      setMetadataRows(toRows(Object.entries(loaded.metadata)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [item]);
+
+  useEffect(() => {
+    if (show) {
+      setDetails(null);
+      load();
+    }
+  }, [show, load]);
+
+  const tagErrors = tagRows.some(row => getTagRowError(row, tagRows));
+  const metadataErrors = metadataRows.some(row => getMetadataRowError(row, metadataRows));
+
+  const handleSaveTags = async () => {
+    setSaving('tags');
+    try {
+      await updateObjectTags(item, tagRows.map(toTag));
+      showToast(`Tags of ${item.name} saved`, 'success');
+      onChange && onChange();
+    } catch (err) {
+      showToast(`Saving tags failed: ${err.message}`, 'error');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleSaveMetadata = async () => {
+    setSaving('metadata');
+    try {
+      const metadata = Object.fromEntries(metadataRows.map(toMetadataEntry).map(entry => [entry.Key, entry.Value]));
+      await updateObjectMetadata({ ...item, size: details.size, storageClass: details.storageClass }, metadata);
+      showToast(`Metadata of ${item.name} saved`, 'success');
+      onChange && onChange();
+      // The copy has a new date, ETag and version
+      await load();
+    } catch (err) {
+      showToast(`Saving metadata failed: ${err.message}`, 'error');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const renderProperties = () => (
+    <dl className="row small mb-4">
+      <dt className="col-4">Size</dt>
+      <dd className="col-8">{formatFileSize(details.size)}</dd>
+      <dt className="col-4">Type</dt>
+      <dd className="col-8">{details.contentType || '-'}</dd>
+      <dt className="col-4">Modified</dt>
+      <dd className="col-8">{details.lastModified ? details.lastModified.toLocaleString() : '-'}</dd>
+      <dt className="col-4">Storage class</dt>
+      <dd className="col-8">{details.storageClass}</dd>
+      <dt className="col-4">ETag</dt>
+      <dd className="col-8 text-break">{details.etag || '-'}</dd>
+      {details.versionId && (
+        <>
+          <dt className="col-4">Version</dt>
+          <dd className="col-8 text-break">{details.versionId}</dd>
+        </>
+      )}
+    </dl>
+  );
+
+  const renderContent = () => {
+    if (loading && !details) {
+      return (
+        <div className="text-center p-4">
+          <Spinner animation="border" size="sm" className="me-2" />
+          Loading details...
+        </div>
+      );
+    }
+    if (error) {
+      return (
+        <Alert variant="danger">
+          <p>{error}</p>
+          <Button variant="outline-danger" size="sm" onClick={load}>Try again</Button>
+        </Alert>
+      );
+    }
+    if (!details) return null;
+
+    return (
+      <>
+        {renderProperties()}
+
+        <h6><FaTags className="me-2" />Tags</h6>
+        <KeyValueEditor
+          rows={tagRows}
+          onChange={setTagRows}
+          getError={getTagRowError}
+          maxRows={MAX_TAGS_PER_OBJECT}
+          disabled={Boolean(saving)}
+          addLabel="Add tag"
+        />
+        <Form.Text className="d-block text-muted mb-2">
+          An object can have at most {MAX_TAGS_PER_OBJECT} tags.
+        </Form.Text>
+        <Button variant="primary" size="sm" onClick={handleSaveTags} disabled={Boolean(saving) || tagErrors}>
+          {saving === 'tags' && <Spinner animation="border" size="sm" className="me-2" />}
+          Save Tags
+        </Button>
+
+        <hr />
+
+        <h6><FaListUl className="me-2" />Metadata</h6>
+        {details.archived ? (
+          <Alert variant="warning" className="small">
+            The file is archived in {details.storageClass}. Restore it before changing its metadata.
+          </Alert>
+        ) : (
+          <Form.Text className="d-block text-muted mb-2">
+            Stored as x-amz-meta-* headers, at most {MAX_METADATA_BYTES / 1024} KB. Saving copies the file onto
+            itself, which creates a new version in versioned buckets.
+          </Form.Text>
+        )}
+        <KeyValueEditor
+          rows={metadataRows}
+          onChange={setMetadataRows}
+          getError={getMetadataRowError}
+          disabled={Boolean(saving) || details.archived}
+          addLabel="Add metadata"
+        />
+        <div>
+          <Button
+            variant="primary"
+            size="sm"
+            onClick={handleSaveMetadata}
+            disabled={Boolean(saving) || metadataErrors || details.archived}
+          >
+            {saving === 'metadata' && <Spinner animation="border" size="sm" className="me-2" />}
+            Save Metadata
+          </Button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <Offcanvas show={show} onHide={() => !saving && onHide()} placement="end">
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title className="text-break">{item?.name}</Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body>
+        {renderContent()}
+      </Offcanvas.Body>
+    </Offcanvas>
+  );
+};
+
+ObjectDetailsDrawer.propTypes = {
+  show: PropTypes.bool.isRequired,
+  item: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    size: PropTypes.number,
+    storageClass: PropTypes.string
+  }),
+  onHide: PropTypes.func.isRequired,
+  onChange: PropTypes.func
+};
+
+export default ObjectDetailsDrawer;
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, Form, Spinner, InputGroup, Alert } from 'react-bootstrap';
+import { FaLink, FaCopy } from 'react-icons/fa';
+import { useToast } from '../contexts/ToastContext';
+import {
+  SHARE_EXPIRY_OPTIONS,
+  canShareFromActiveConnection,
+  createShare
+} from '../services/shareService';
+import { canServeShares } from '../services/shareAccessService';
+
+const CUSTOM_EXPIRY = 'custom';
+// New links last 7 days unless another expiry is picked
+const DEFAULT_EXPIRY = '2';
+
+// Value of a datetime-local input, in local time
+const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+};
+
+const ShareModal = ({ show, item, onHide }) => {
+  // Index into SHARE_EXPIRY_OPTIONS, or CUSTOM_EXPIRY
+  const [expiry, setExpiry] = useState(DEFAULT_EXPIRY);
+  const [customExpiry, setCustomExpiry] = useState('');
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  // The link once it has been created
+  const [share, setShare] = useState(null);
+  const { showToast } = useToast();
+  const canShare = canShareFromActiveConnection() && canServeShares();
+
+  useEffect(() => {
+    if (show) {
+      setExpiry(DEFAULT_EXPIRY);
+      setCustomExpiry(toDateTimeInput(new Date(Date.now() + SHARE_EXPIRY_OPTIONS[Number(DEFAULT_EXPIRY)].duration)));
+      setPassword('');
+      setMaxDownloads('');
+      setError(null);
+      setShare(null);
+    }
+  }, [show, item]);
+
+  const getExpiresAt = () => (expiry === CUSTOM_EXPIRY
+    ? new Date(customExpiry)
+    : new Date(Date.now() + SHARE_EXPIRY_OPTIONS[Number(expiry)].duration));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      setShare(await createShare(item, {
+        expiresAt: getExpiresAt(),
+        password: password || undefined,
+        maxDownloads: maxDownloads ? Number(maxDownloads) : undefined
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      showToast('Link copied to the clipboard', 'success');
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+      showToast('Could not copy the link, select it and copy it instead', 'warning');
+    }
+  };
+
+  const renderCreated = () => (
+    <>
+      <p>
+        Anyone with this link can {share.targetType === 'folder' ? 'browse and download' : 'download'}{' '}
+        <strong>{share.itemName}</strong> until {share.expiresAt.toLocaleString()}
+        {share.maxDownloads && ` or ${share.maxDownloads} ${share.maxDownloads === 1 ? 'download' : 'downloads'}`}.
+        {share.hasPassword && ' They will be asked for the password.'}
+      </p>
+      <InputGroup>
+        <Form.Control value={share.url} readOnly onFocus={(e) => e.target.select()} aria-label="Share link" />
+        <Button variant="primary" onClick={handleCopy}>
+          <FaCopy className="me-2" />
+          Copy
+        </Button>
+      </InputGroup>
+      <p className="text-muted small mt-3 mb-0">
+        Links can be revoked on the Shares page.
+      </p>
+    </>
+  );
+
+  const renderForm = () => (
+    <>
+      <p>
+        Create a link to <strong>{item?.name}</strong> for people without a Vayubox account.
+      </p>
+      {!canShareFromActiveConnection() && (
+        <Alert variant="warning">
+          Only files of the default connection can be shared. Switch to it to create a link.
+        </Alert>
+      )}
+      {!canServeShares() && (
+        <Alert variant="warning">
+          People without an account cannot reach the bucket with federated credentials. Set up the presign service to share files.
+        </Alert>
+      )}
+      <Form.Group className="mb-3" controlId="share-expiry">
+        <Form.Label>Link expires after</Form.Label>
+        <Form.Select value={expiry} onChange={(e) => setExpiry(e.target.value)} disabled={creating}>
+          {SHARE_EXPIRY_OPTIONS.map((option, index) => (
+            <option key={option.label} value={String(index)}>{option.label}</option>
+          ))}
+          <option value={CUSTOM_EXPIRY}>Custom date...</option>
+        </Form.Select>
+        {expiry === CUSTOM_EXPIRY && (
+          <Form.Control
+            type="datetime-local"
+            className="mt-2"
+            value={customExpiry}
+            min={toDateTimeInput(new Date())}
+            onChange={(e) => setCustomExpiry(e.target.value)}
+            disabled={creating}
+            required
+          />
+        )}
+      </Form.Group>
+      <Form.Group className="mb-3" controlId="share-password">
+        <Form.Label>Password (optional)</Form.Label>
+        <Form.Control
+          type="password"
+          autoComplete="new-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={creating}
+        />
+      </Form.Group>
+      <Form.Group controlId="share-max-downloads">
+        <Form.Label>Maximum downloads (optional)</Form.Label>
+        <Form.Control
+          type="number"
+          min="1"
+          step="1"
+          placeholder="Unlimited"
+          value={maxDownloads}
+          onChange={(e) => setMaxDownloads(e.target.value)}
+          disabled={creating}
+        />
+        <Form.Text className="text-muted">
+          Each file, or each zip of the folder, counts as one download.
+        </Form.Text>
+      </Form.Group>
+      {error && <Alert variant="danger" className="mt-3 mb-0">{error}</Alert>}
+    </>
+  );
+
+  return (
+    <Modal show={show} onHide={() => !creating && onHide()}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Share {item?.type === 'folder' ? 'Folder' : 'File'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {share ? renderCreated() : renderForm()}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={creating}>
+            {share ? 'Done' : 'Cancel'}
+          </Button>
+          {!share && (
+            <Button variant="primary" type="submit" disabled={creating || !canShare}>
+              {creating ? (
+                <>
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  Creating...
+                </>
+              ) : (
+                <>
+                  <FaLink className="me-2" />
+                  Create Link
+                </>
+              )}
+            </Button>
+          )}
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+ShareModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  item: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    size: PropTypes.number
+  }),
+  onHide: PropTypes.func.isRequired
+};
+
+export default ShareModal;
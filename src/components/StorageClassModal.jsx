@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, Form, Alert, Spinner } from 'react-bootstrap';
+import { STORAGE_CLASSES, STORAGE_CLASS_DETAILS, formatFileSize } from '../services/s3Service';
+
+const ARCHIVE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+
+const StorageClassModal = ({ show, items = [], isBusy = false, onHide, onConfirm }) => {
+  const [storageClass, setStorageClass] = useState('STANDARD_IA');
+  const hasFolders = items.some(item => item.type === 'folder');
+  // Classes the listed files are in now, folders are only known once they are listed
+  const currentClasses = [...new Set(items
+    .filter(item => item.type === 'file')
+    .map(item => item.storageClass || 'STANDARD'))];
+  const singleClass = items.length === 1 && items[0].type === 'file' ? currentClasses[0] : null;
+  const details = STORAGE_CLASS_DETAILS[storageClass];
+  // Leaving a class before its minimum duration is billed as if the file had stayed
+  const earlyDeletionClasses = currentClasses
+    .filter(option => option !== storageClass && STORAGE_CLASS_DETAILS[option]?.minimumDays > 0);
+  const hasArchived = hasFolders
+    ? items.some(item => item.hasArchivedFiles)
+    : currentClasses.some(option => ARCHIVE_CLASSES.includes(option));
+
+  useEffect(() => {
+    if (show) {
+      setStorageClass(singleClass === 'STANDARD_IA' ? 'STANDARD' : 'STANDARD_IA');
+    }
+  }, [show, singleClass]);
+
+  const getEarlyDeletionWarning = () => {
+    if (earlyDeletionClasses.length === 0) {
+      return hasFolders
+        ? 'Files in the folders that have not yet reached the minimum duration of their current class are still billed for the rest of it.'
+        : null;
+    }
+    const periods = earlyDeletionClasses.map(option => (
+      `${STORAGE_CLASS_DETAILS[option].label} less than ${STORAGE_CLASS_DETAILS[option].minimumDays} days`
+    ));
+    return `Files that have been in ${periods.join(', or ')} are still billed for the rest of that time.`;
+  };
+  const earlyDeletion = getEarlyDeletionWarning();
+
+  return (
+    <Modal show={show} onHide={() => !isBusy && onHide()}>
+      <Modal.Header closeButton>
+        <Modal.Title>Change Storage Class</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p>
+          Change the storage class of <strong>{items.length === 1 ? items[0].name : `${items.length} items`}</strong>
+          {hasFolders && ` and every file in the ${items.length === 1 ? 'folder' : 'selected folders'}`}.
+          {singleClass && ` It is ${STORAGE_CLASS_DETAILS[singleClass]?.label || singleClass} now.`}
+        </p>
+        <Form.Group className="mb-3" controlId="storage-class">
+          <Form.Label>Storage Class</Form.Label>
+          <Form.Select
+            value={storageClass}
+            onChange={(e) => setStorageClass(e.target.value)}
+            disabled={isBusy}
+          >
+            {STORAGE_CLASSES.map(option => (
+              <option key={option} value={option}>
+                {STORAGE_CLASS_DETAILS[option].label}{option === singleClass && ' (current)'}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+        <dl className="row small mb-3">
+          <dt className="col-5">Minimum storage duration</dt>
+          <dd className="col-7">{details.minimumDays > 0 ? `${details.minimumDays} days` : 'None'}</dd>
+          <dt className="col-5">Minimum billed size</dt>
+          <dd className="col-7">{details.minimumSize > 0 ? formatFileSize(details.minimumSize) : 'None'}</dd>
+          <dt className="col-5">Retrieval</dt>
+          <dd className="col-7">{details.retrieval}</dd>
+        </dl>
+        {details.minimumDays > 0 && (
+          <Alert variant="warning" className="small">
+            Files moved out of {details.label} or deleted within {details.minimumDays} days are still billed
+            for the full {details.minimumDays} days.
+          </Alert>
+        )}
+        {earlyDeletion && <Alert variant="warning" className="small">{earlyDeletion}</Alert>}
+        <Alert variant="info" className="small mb-0">
+          Each file is copied onto itself with the new class, files already in it are skipped. Versioned buckets
+          keep the previous version in its old class until it is deleted.
+          {hasArchived && ' Files archived in Glacier have to be restored first.'}
+        </Alert>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isBusy}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={() => onConfirm(storageClass)} disabled={isBusy || storageClass === singleClass}>
+          {isBusy ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Changing...
+            </>
+          ) : (
+            `Change to ${details.label}`
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+StorageClassModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    storageClass: PropTypes.string,
+    hasArchivedFiles: PropTypes.bool
+  })),
+  isBusy: PropTypes.bool,
+  onHide: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired
+};
+
+export default StorageClassModal;
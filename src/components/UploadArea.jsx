@@ -1,4 +1,5 @@
 import React, { useState, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import { Button, Form, ProgressBar, Card, Alert, Spinner } from 'react-bootstrap';
 import { FaUpload, FaFolderOpen, FaBoxes, FaCloudUploadAlt } from 'react-icons/fa';
 import { uploadToS3 } from '../services/s3Service';
@@ -8,7 +9,15 @@ import { isLargeFile, formatFileSize } from '../utils/fileUtils';
 import LargeFileTransferModal from './LargeFileTransferModal';
 import './UploadArea.css';
 
-const UploadArea = ({ currentPath, onUploadComplete }) => {
+// uploadFile takes the arguments of uploadToS3, pages outside the file browser pass their own
+const UploadArea = ({
+  currentPath,
+  onUploadComplete,
+  uploadFile = uploadToS3,
+  title = 'Drop Files Into The Bucket',
+  hint,
+  accept
+}) => {
   const [isDragging, setIsDragging] = useState(false);
   const [showLargeFileModal, setShowLargeFileModal] = useState(false);
   const [largeFileInfo, setLargeFileInfo] = useState(null);
@@ -58,7 +67,7 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
     
     // If no large files, proceed with upload
     await uploadFiles(files);
-  }, [currentPath]);
+  }, [currentPath, uploadFile]);
   
   // Handle file drop
   const handleDrop = useCallback((e) => {
@@ -97,6 +106,8 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
         showToast(`Warning: Uploading ${formatFileSize(totalSize)} of data. This may take a long time.`, 'warning');
       }
       
+      let failedCount = 0;
+      
       // Process each file
       for (let i = 0; i < fileArray.length; i++) {
         const file = fileArray[i];
@@ -114,7 +125,7 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
             showToast(`Uploading large file: ${file.name} (${formatFileSize(file.size)})`, 'info');
           }
           
-          await uploadToS3(
+          await uploadFile(
             file, 
             fullPath, 
             () => {}, // Progress is handled by the TransferContext
@@ -123,11 +134,14 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
         } catch (error) {
           console.error(`Error uploading ${file.name}:`, error);
           showToast(`Failed to upload ${file.name}: ${error.message}`, 'error');
+          failedCount++;
           // Continue with other files
         }
       }
       
-      showToast(`${fileArray.length} file(s) uploaded successfully`, 'success');
+      if (failedCount < fileArray.length) {
+        showToast(`${fileArray.length - failedCount} file(s) uploaded successfully`, 'success');
+      }
       onUploadComplete && onUploadComplete();
     } catch (error) {
       showToast(`Upload failed: ${error.message}`, 'error');
@@ -160,7 +174,7 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
           ) : (
             <>
               <FaCloudUploadAlt className="upload-icon mb-3" />
-              <h5>Drop Files Into The Bucket</h5>
+              <h5>{title}</h5>
               <p className="text-muted mb-4">or choose files using the options below</p>
               
               <div className="d-flex gap-3">
@@ -186,7 +200,7 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
               </div>
               
               <Form.Text className="text-muted mt-3">
-                <strong>Storage Bucket</strong> • Supports files up to 500GB in size
+                {hint || <><strong>Storage Bucket</strong> • Supports files up to 500GB in size</>}
               </Form.Text>
             </>
           )}
@@ -199,6 +213,7 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
         ref={fileInputRef}
         onChange={handleFileChange}
         style={{ display: 'none' }}
+        accept={accept}
         multiple
       />
       <input
@@ -222,4 +237,13 @@ const UploadArea = ({ currentPath, onUploadComplete }) => {
   );
 };
 
+UploadArea.propTypes = {
+  currentPath: PropTypes.string,
+  onUploadComplete: PropTypes.func,
+  uploadFile: PropTypes.func,
+  title: PropTypes.string,
+  hint: PropTypes.node,
+  accept: PropTypes.string
+};
+
 export default UploadArea;
@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, Form, Spinner, InputGroup, Alert } from 'react-bootstrap';
+import { FaInbox, FaCopy } from 'react-icons/fa';
+import { useToast } from '../contexts/ToastContext';
+import { SHARE_EXPIRY_OPTIONS, canShareFromActiveConnection } from '../services/shareService';
+import { canServeShares } from '../services/shareAccessService';
+import { createUploadLink, parseAllowedTypes } from '../services/uploadLinkService';
+import { formatFileSize } from '../services/s3Service';
+
+const CUSTOM_EXPIRY = 'custom';
+// New links last 7 days unless another expiry is picked
+const DEFAULT_EXPIRY = '2';
+const SIZE_UNITS = {
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024
+};
+
+// Value of a datetime-local input, in local time
+const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+};
+
+const UploadLinkModal = ({ show, folderPath, folderName, onHide }) => {
+  // Index into SHARE_EXPIRY_OPTIONS, or CUSTOM_EXPIRY
+  const [expiry, setExpiry] = useState(DEFAULT_EXPIRY);
+  const [customExpiry, setCustomExpiry] = useState('');
+  const [message, setMessage] = useState('');
+  const [maxSize, setMaxSize] = useState('');
+  const [sizeUnit, setSizeUnit] = useState('MB');
+  const [allowedTypes, setAllowedTypes] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  // The link once it has been created
+  const [link, setLink] = useState(null);
+  const { showToast } = useToast();
+  const canCreate = canShareFromActiveConnection() && canServeShares();
+
+  useEffect(() => {
+    if (show) {
+      setExpiry(DEFAULT_EXPIRY);
+      setCustomExpiry(toDateTimeInput(new Date(Date.now() + SHARE_EXPIRY_OPTIONS[Number(DEFAULT_EXPIRY)].duration)));
+      setMessage('');
+      setMaxSize('');
+      setSizeUnit('MB');
+      setAllowedTypes('');
+      setError(null);
+      setLink(null);
+    }
+  }, [show, folderPath]);
+
+  const getExpiresAt = () => (expiry === CUSTOM_EXPIRY
+    ? new Date(customExpiry)
+    : new Date(Date.now() + SHARE_EXPIRY_OPTIONS[Number(expiry)].duration));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      setLink(await createUploadLink(folderPath, {
+        expiresAt: getExpiresAt(),
+        maxFileSize: maxSize ? Number(maxSize) * SIZE_UNITS[sizeUnit] : undefined,
+        allowedTypes: parseAllowedTypes(allowedTypes),
+        message
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      showToast('Link copied to the clipboard', 'success');
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+      showToast('Could not copy the link, select it and copy it instead', 'warning');
+    }
+  };
+
+  const renderCreated = () => (
+    <>
+      <p>
+        Anyone with this link can upload files to <strong>{link.folderName}</strong> until{' '}
+        {link.expiresAt.toLocaleString()}
+        {link.maxFileSize && `, up to ${formatFileSize(link.maxFileSize)} per file`}
+        {link.allowedTypes.length > 0 && ` (${link.allowedTypes.join(', ')})`}.
+        They cannot see or change what is already in the folder.
+      </p>
+      <InputGroup>
+        <Form.Control value={link.url} readOnly onFocus={(e) => e.target.select()} aria-label="Upload link" />
+        <Button variant="primary" onClick={handleCopy}>
+          <FaCopy className="me-2" />
+          Copy
+        </Button>
+      </InputGroup>
+      <p className="text-muted small mt-3 mb-0">
+        Received files and the link itself are on the Shares page.
+      </p>
+    </>
+  );
+
+  const renderForm = () => (
+    <>
+      <p>
+        Create a link people without a Vayubox account can use to upload files to <strong>{folderName}</strong>.
+      </p>
+      {!canShareFromActiveConnection() && (
+        <Alert variant="warning">
+          Upload links can only be created for the default connection. Switch to it to create a link.
+        </Alert>
+      )}
+      {!canServeShares() && (
+        <Alert variant="warning">
+          People without an account cannot reach the bucket with federated credentials. Set up the presign service to receive files.
+        </Alert>
+      )}
+      <Form.Group className="mb-3" controlId="upload-link-message">
+        <Form.Label>Message (optional)</Form.Label>
+        <Form.Control
+          as="textarea"
+          rows={2}
+          maxLength={500}
+          placeholder="e.g. Please send the signed contracts"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          disabled={creating}
+        />
+      </Form.Group>
+      <Form.Group className="mb-3" controlId="upload-link-expiry">
+        <Form.Label>Link expires after</Form.Label>
+        <Form.Select value={expiry} onChange={(e) => setExpiry(e.target.value)} disabled={creating}>
+          {SHARE_EXPIRY_OPTIONS.map((option, index) => (
+            <option key={option.label} value={String(index)}>{option.label}</option>
+          ))}
+          <option value={CUSTOM_EXPIRY}>Custom date...</option>
+        </Form.Select>
+        {expiry === CUSTOM_EXPIRY && (
+          <Form.Control
+            type="datetime-local"
+            className="mt-2"
+            value={customExpiry}
+            min={toDateTimeInput(new Date())}
+            onChange={(e) => setCustomExpiry(e.target.value)}
+            disabled={creating}
+            required
+          />
+        )}
+      </Form.Group>
+      <Form.Group className="mb-3" controlId="upload-link-max-size">
+        <Form.Label>Maximum file size (optional)</Form.Label>
+        <InputGroup>
+          <Form.Control
+            type="number"
+            min="1"
+            step="any"
+            placeholder="Unlimited"
+            value={maxSize}
+            onChange={(e) => setMaxSize(e.target.value)}
+            disabled={creating}
+          />
+          <Form.Select
+            value={sizeUnit}
+            onChange={(e) => setSizeUnit(e.target.value)}
+            disabled={creating}
+            aria-label="Size unit"
+            style={{ maxWidth: '6rem' }}
+          >
+            {Object.keys(SIZE_UNITS).map(unit => (
+              <option key={unit} value={unit}>{unit}</option>
+            ))}
+          </Form.Select>
+        </InputGroup>
+      </Form.Group>
+      <Form.Group controlId="upload-link-types">
+        <Form.Label>Allowed file types (optional)</Form.Label>
+        <Form.Control
+          type="text"
+          placeholder="Any type, or e.g. pdf, docx, image/*"
+          value={allowedTypes}
+          onChange={(e) => setAllowedTypes(e.target.value)}
+          disabled={creating}
+        />
+        <Form.Text className="text-muted">
+          Separate extensions and content types with commas. Content types are reported by the
+          uploader&apos;s browser, only extensions are enforced.
+        </Form.Text>
+      </Form.Group>
+      {error && <Alert variant="danger" className="mt-3 mb-0">{error}</Alert>}
+    </>
+  );
+
+  return (
+    <Modal show={show} onHide={() => !creating && onHide()}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Request Files</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {link ? renderCreated() : renderForm()}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={creating}>
+            {link ? 'Done' : 'Cancel'}
+          </Button>
+          {!link && (
+            <Button variant="primary" type="submit" disabled={creating || !canCreate}>
+              {creating ? (
+                <>
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  Creating...
+                </>
+              ) : (
+                <>
+                  <FaInbox className="me-2" />
+                  Create Link
+                </>
+              )}
+            </Button>
+          )}
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+UploadLinkModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  folderPath: PropTypes.string.isRequired,
+  folderName: PropTypes.string.isRequired,
+  onHide: PropTypes.func.isRequired
+};
+
+export default UploadLinkModal;
@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Table, Modal, Button, Spinner, Alert, Badge } from 'react-bootstrap';
+import { FaInbox, FaCopy, FaBan, FaList } from 'react-icons/fa';
+import { getUploadLinkStatus, listReceivedFiles } from '../services/uploadLinkService';
+import { formatFileSize } from '../services/s3Service';
+
+const STATUS_BADGES = {
+  active: { bg: 'success', label: 'Active' },
+  expired: { bg: 'secondary', label: 'Expired' },
+  revoked: { bg: 'danger', label: 'Revoked' }
+};
+
+// Upload links of the Shares page, with the files received through each of them
+const UploadLinksTable = ({ links, loading, showInactive, revoking, onCopy, onRevoke }) => {
+  // Link whose received files are shown, and those files
+  const [receivedLink, setReceivedLink] = useState(null);
+  const [receivedFiles, setReceivedFiles] = useState([]);
+  const [loadingReceived, setLoadingReceived] = useState(false);
+  const [receivedError, setReceivedError] = useState(null);
+
+  const showReceived = async (link) => {
+    setReceivedLink(link);
+    setReceivedFiles([]);
+    setReceivedError(null);
+    setLoadingReceived(true);
+    try {
+      setReceivedFiles(await listReceivedFiles(link));
+    } catch (error) {
+      setReceivedError(error.message);
+    } finally {
+      setLoadingReceived(false);
+    }
+  };
+
+  const renderLimits = (link) => {
+    const limits = [];
+    if (link.maxFileSize) limits.push(`Up to ${formatFileSize(link.maxFileSize)}`);
+    if (link.allowedTypes.length > 0) limits.push(link.allowedTypes.join(', '));
+    return limits.length > 0 && <span className="text-muted small d-block">{limits.join(' · ')}</span>;
+  };
+
+  return (
+    <>
+      <div className="table-responsive custom-table-container">
+        <Table hover className="custom-table">
+          <thead>
+            <tr>
+              <th className="name-column">Folder</th>
+              <th className="name-column">Created</th>
+              <th className="name-column">Expires</th>
+              <th className="size-column">Received</th>
+              <th className="size-column">Status</th>
+              <th className="size-column">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6" className="text-center p-4">
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  Loading upload links...
+                </td>
+              </tr>
+            ) : links.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center text-muted p-4">
+                  {showInactive ? 'No upload links yet' : 'No active upload links'}
+                </td>
+              </tr>
+            ) : (
+              links.map(link => {
+                const status = getUploadLinkStatus(link);
+                const badge = STATUS_BADGES[status];
+                return (
+                  <tr key={link.id} className="file-row">
+                    <td>
+                      <div className="file-name">
+                        <FaInbox className="file-type-icon text-warning" />
+                        <span title={link.targetPrefix || 'Home'}>{link.folderName}</span>
+                      </div>
+                      {renderLimits(link)}
+                    </td>
+                    <td>{link.createdAt.toLocaleString()}</td>
+                    <td>{link.revokedAt ? `Revoked ${link.revokedAt.toLocaleString()}` : link.expiresAt.toLocaleString()}</td>
+                    <td>
+                      {link.uploadCount} {link.uploadCount === 1 ? 'file' : 'files'}
+                      <span className="text-muted small d-block">{formatFileSize(link.uploadedBytes)}</span>
+                    </td>
+                    <td><Badge bg={badge.bg}>{badge.label}</Badge></td>
+                    <td className="text-center">
+                      <div className="shares-actions">
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          onClick={() => onCopy(link)}
+                          disabled={status !== 'active'}
+                        >
+                          <FaCopy className="me-1" /> Copy Link
+                        </Button>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          onClick={() => showReceived(link)}
+                          disabled={link.uploadCount === 0}
+                        >
+                          <FaList className="me-1" /> Files
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => onRevoke(link)}
+                          disabled={status === 'revoked' || revoking}
+                        >
+                          <FaBan className="me-1" /> Revoke
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </Table>
+      </div>
+
+      {/* Received Files Modal */}
+      <Modal show={Boolean(receivedLink)} onHide={() => setReceivedLink(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Files received in {receivedLink?.folderName}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {loadingReceived ? (
+            <div className="text-center p-4">
+              <Spinner animation="border" size="sm" className="me-2" />
+              Loading received files...
+            </div>
+          ) : receivedError ? (
+            <Alert variant="danger" className="mb-0">{receivedError}</Alert>
+          ) : receivedFiles.length === 0 ? (
+            <p className="text-muted text-center mb-0">No files received yet</p>
+          ) : (
+            <Table hover size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Size</th>
+                  <th>From</th>
+                  <th>Received</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receivedFiles.map((file, index) => (
+                  <tr key={`${file.key}-${index}`}>
+                    <td title={file.key}>{file.name}</td>
+                    <td>{formatFileSize(file.size)}</td>
+                    <td>{file.uploader || <span className="text-muted">Anonymous</span>}</td>
+                    <td>{file.receivedAt.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReceivedLink(null)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+};
+
+UploadLinksTable.propTypes = {
+  links: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    folderName: PropTypes.string.isRequired,
+    targetPrefix: PropTypes.string,
+    uploadCount: PropTypes.number.isRequired,
+    uploadedBytes: PropTypes.number.isRequired
+  })).isRequired,
+  loading: PropTypes.bool.isRequired,
+  showInactive: PropTypes.bool.isRequired,
+  revoking: PropTypes.bool.isRequired,
+  onCopy: PropTypes.func.isRequired,
+  onRevoke: PropTypes.func.isRequired
+};
+
+export default UploadLinksTable;
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Button, Table, Badge, Spinner, Alert } from 'react-bootstrap';
+import { FaDownload, FaUndo, FaTrashAlt } from 'react-icons/fa';
+import {
+  listFileVersions,
+  downloadFileVersion,
+  restoreFileVersion,
+  deleteFileVersion,
+  formatFileSize
+} from '../services/s3Service';
+import { useToast } from '../contexts/ToastContext';
+
+// Version ids are long opaque strings, the start is enough to tell them apart
+const shortVersionId = (versionId) => (versionId.length > 12 ? `${versionId.slice(0, 12)}…` : versionId);
+
+const VersionsModal = ({ show, item, onHide, onChange }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Version id of the version being downloaded, restored or deleted
+  const [workingVersionId, setWorkingVersionId] = useState(null);
+  // Version waiting for the delete confirmation
+  const [versionToDelete, setVersionToDelete] = useState(null);
+  const { showToast } = useToast();
+
+  const loadVersions = useCallback(async () => {
+    if (!item) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setVersions(await listFileVersions(item.key));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [item]);
+
+  useEffect(() => {
+    if (show) {
+      setVersions([]);
+      setVersionToDelete(null);
+      loadVersions();
+    }
+  }, [show, loadVersions]);
+
+  const handleDownload = async (version) => {
+    setWorkingVersionId(version.versionId);
+    try {
+      const url = await downloadFileVersion(item, version);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = item.name;
+      a.style.display = 'none';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    } catch (err) {
+      showToast(`Error downloading version: ${err.message}`, 'error');
+    } finally {
+      setWorkingVersionId(null);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    setWorkingVersionId(version.versionId);
+    try {
+      await restoreFileVersion(item, version);
+      showToast(`Version from ${new Date(version.lastModified).toLocaleString()} is now the current version of ${item.name}`, 'success');
+      onChange && onChange();
+      await loadVersions();
+    } catch (err) {
+      showToast(`Error restoring version: ${err.message}`, 'error');
+    } finally {
+      setWorkingVersionId(null);
+    }
+  };
+
+  const confirmDelete = async () => {
+    const version = versionToDelete;
+    setWorkingVersionId(version.versionId);
+    try {
+      await deleteFileVersion(item, version);
+      showToast(version.isDeleteMarker ? 'Delete marker removed' : 'Version deleted', 'success');
+      onChange && onChange();
+      await loadVersions();
+    } catch (err) {
+      showToast(`Error deleting version: ${err.message}`, 'error');
+    } finally {
+      setWorkingVersionId(null);
+      setVersionToDelete(null);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={() => !workingVersionId && onHide()} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Versions of {item?.name}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {versionToDelete && (
+          <Alert variant="danger">
+            <p className="mb-2">
+              {versionToDelete.isDeleteMarker
+                ? 'Remove this delete marker? The previous version becomes current again.'
+                : `Permanently delete the version from ${new Date(versionToDelete.lastModified).toLocaleString()}?`}
+              {versionToDelete.isLatest && !versionToDelete.isDeleteMarker && ' The previous version becomes the current one.'}
+              {' '}This cannot be undone.
+            </p>
+            <div className="d-flex gap-2">
+              <Button variant="danger" size="sm" onClick={confirmDelete} disabled={Boolean(workingVersionId)}>
+                {workingVersionId ? 'Deleting...' : 'Delete Version'}
+              </Button>
+              <Button variant="outline-secondary" size="sm" onClick={() => setVersionToDelete(null)} disabled={Boolean(workingVersionId)}>
+                Cancel
+              </Button>
+            </div>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="text-center p-4">
+            <Spinner animation="border" size="sm" className="me-2" />
+            Loading versions...
+          </div>
+        ) : (
+          <Table hover responsive size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Modified</th>
+                <th>Size</th>
+                <th>Storage Class</th>
+                <th className="text-end">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.length === 0 && !error && (
+                <tr>
+                  <td colSpan="5" className="text-center text-muted">No versions found</td>
+                </tr>
+              )}
+              {versions.map(version => (
+                <tr key={version.versionId}>
+                  <td>
+                    <code title={version.versionId}>{shortVersionId(version.versionId)}</code>
+                    {version.isLatest && <Badge bg="success" className="ms-2">Current</Badge>}
+                    {version.isDeleteMarker && <Badge bg="secondary" className="ms-2">Delete marker</Badge>}
+                  </td>
+                  <td>{new Date(version.lastModified).toLocaleString()}</td>
+                  <td>{version.isDeleteMarker ? '-' : formatFileSize(version.size)}</td>
+                  <td>{version.storageClass || '-'}</td>
+                  <td>
+                    <div className="d-flex gap-2 justify-content-end">
+                      {!version.isDeleteMarker && (
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          onClick={() => handleDownload(version)}
+                          disabled={Boolean(workingVersionId)}
+                          title="Download this version"
+                        >
+                          <FaDownload />
+                        </Button>
+                      )}
+                      {!version.isDeleteMarker && !version.isLatest && (
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          onClick={() => handleRestore(version)}
+                          disabled={Boolean(workingVersionId)}
+                          title="Make this the current version"
+                        >
+                          {workingVersionId === version.versionId ? <Spinner animation="border" size="sm" /> : <FaUndo />}
+                        </Button>
+                      )}
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => setVersionToDelete(version)}
+                        disabled={Boolean(workingVersionId)}
+                        title="Delete this version permanently"
+                      >
+                        <FaTrashAlt />
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <span className="me-auto text-muted small">
+          Restoring copies the version over the current one, older versions are kept.
+        </span>
+        <Button variant="secondary" onClick={onHide} disabled={Boolean(workingVersionId)}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+VersionsModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  item: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }),
+  onHide: PropTypes.func.isRequired,
+  onChange: PropTypes.func
+};
+
+export default VersionsModal;
@@ -10,6 +10,9 @@ import {
   sendEmailVerification,
   RecaptchaVerifier
 } from 'firebase/auth';
+import { clearFederatedCredentials } from '../services/awsCredentials';
+import { clearConnectionSecrets } from '../services/connectionService';
+import { clearMetadataIndex } from '../services/metadataIndexService';
 
 const AuthContext = createContext();
 
@@ -80,6 +83,10 @@ export function AuthProvider({ children }) {
       window.recaptchaVerifier.clear();
       window.recaptchaVerifier = null;
     }
+    clearFederatedCredentials();
+    clearConnectionSecrets();
+    // The index lists every key of the bucket, it should not outlive the session
+    await clearMetadataIndex().catch(() => {});
     return signOut(auth);
   };
 
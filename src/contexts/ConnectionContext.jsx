@@ -0,0 +1,53 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from './AuthContext';
+import {
+  getConnections,
+  getActiveConnection,
+  setActiveConnection,
+  saveConnection,
+  removeConnection,
+  onConnectionChange,
+  supportsMultipleConnections
+} from '../services/connectionService';
+
+const ConnectionContext = createContext();
+
+export const ConnectionProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const [connections, setConnections] = useState(() => getConnections());
+  const [activeConnection, setActiveConnectionState] = useState(() => getActiveConnection());
+
+  const refresh = useCallback(() => {
+    setConnections(getConnections());
+    setActiveConnectionState(getActiveConnection());
+  }, []);
+
+  // Saved connections are per user, reload them when someone else signs in
+  useEffect(() => {
+    refresh();
+  }, [currentUser?.uid, refresh]);
+
+  useEffect(() => onConnectionChange(refresh), [refresh]);
+
+  const value = {
+    connections,
+    activeConnection,
+    canAddConnections: supportsMultipleConnections(),
+    switchConnection: setActiveConnection,
+    saveConnection,
+    removeConnection
+  };
+
+  return (
+    <ConnectionContext.Provider value={value}>
+      {children}
+    </ConnectionContext.Provider>
+  );
+};
+
+ConnectionProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export const useConnections = () => useContext(ConnectionContext);
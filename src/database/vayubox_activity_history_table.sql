@@ -14,7 +14,7 @@ CREATE TABLE IF NOT EXISTS vayubox_activity_history (
     user_email TEXT,
     
     -- Activity details
-    action TEXT NOT NULL CHECK (action IN ('Upload', 'Download', 'Delete', 'Rename', 'Move', 'Restore')),
+    action TEXT NOT NULL CHECK (action IN ('Upload', 'Download', 'Delete', 'Rename', 'Move', 'Restore', 'Create', 'Copy', 'Update', 'Share')),
     item_name TEXT NOT NULL,
     
     -- File/folder metadata
@@ -86,7 +86,7 @@ COLUMN DESCRIPTIONS:
 id: UUID primary key for unique record identification
 user_id: Firebase Auth user ID to associate activities with specific Vayubox users
 user_email: User's email address for easier identification (optional)
-action: Type of activity (Upload, Download, Delete, Rename, Move, Restore)
+action: Type of activity (Upload, Download, Delete, Rename, Move, Restore, Create, Copy, Update, Share)
 item_name: Name of the file or folder being acted upon
 file_size: Size of the file in bytes (0 for folders)
 file_count: Number of files affected (1 for single file, multiple for folders)
@@ -165,4 +165,13 @@ RLS POLICIES:
 -- FROM vayubox_activity_history 
 -- WHERE user_id = 'firebase_user_id'
 -- GROUP BY bucket_name, action
--- ORDER BY bucket_name, activity_count DESC;
\ No newline at end of file
+-- ORDER BY bucket_name, activity_count DESC;
+
+-- =====================================================
+-- UPGRADING AN EXISTING VAYUBOX TABLE
+-- =====================================================
+
+-- Tables created before an action was added reject it; recreate the check constraint
+-- ALTER TABLE vayubox_activity_history DROP CONSTRAINT IF EXISTS vayubox_activity_history_action_check;
+-- ALTER TABLE vayubox_activity_history ADD CONSTRAINT vayubox_activity_history_action_check
+--     CHECK (action IN ('Upload', 'Download', 'Delete', 'Rename', 'Move', 'Restore', 'Create', 'Copy', 'Update', 'Share'));
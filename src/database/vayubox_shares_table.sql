@@ -0,0 +1,243 @@
+-- =====================================================
+-- SUPABASE TABLE SCHEMA FOR VAYUBOX SHARE LINKS
+-- =====================================================
+
+-- Share links give people without a Vayubox account access to one file or
+-- folder. The owner manages them through the table; recipients only reach
+-- them through the functions below, which check the token, expiry, password
+-- and download limit and record every access in the activity history.
+-- Run vayubox_activity_history_table.sql first.
+
+-- Passwords are stored as bcrypt hashes
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS vayubox_shares (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- Random token in the share URL (/share/<token>)
+    token TEXT NOT NULL UNIQUE,
+
+    -- Owner (from Firebase Auth)
+    user_id TEXT NOT NULL,
+    user_email TEXT,
+
+    -- Shared file or folder. target_key is relative to key_prefix, the
+    -- owner's prefix when users are restricted to their own part of the bucket.
+    bucket_name TEXT,
+    key_prefix TEXT NOT NULL DEFAULT '',
+    target_key TEXT NOT NULL,
+    target_type TEXT NOT NULL CHECK (target_type IN ('file', 'folder')),
+    item_name TEXT NOT NULL,
+    folder_path TEXT,
+
+    -- Limits
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- Written as plain text, the trigger below replaces it with its hash
+    password_hash TEXT,
+    has_password BOOLEAN GENERATED ALWAYS AS (password_hash IS NOT NULL) STORED,
+    max_downloads INTEGER CHECK (max_downloads IS NULL OR max_downloads > 0),
+
+    -- Usage
+    download_count INTEGER NOT NULL DEFAULT 0,
+    access_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_vayubox_shares_user_created ON vayubox_shares(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vayubox_shares_bucket ON vayubox_shares(bucket_name);
+
+-- Hash new and changed passwords
+CREATE OR REPLACE FUNCTION hash_vayubox_share_password()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.password_hash IS NOT NULL
+        AND (TG_OP = 'INSERT' OR NEW.password_hash IS DISTINCT FROM OLD.password_hash) THEN
+        NEW.password_hash = extensions.crypt(NEW.password_hash, extensions.gen_salt('bf'));
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE TRIGGER hash_vayubox_share_password
+    BEFORE INSERT OR UPDATE ON vayubox_shares
+    FOR EACH ROW
+    EXECUTE FUNCTION hash_vayubox_share_password();
+
+-- Reuses the updated_at function of the activity history table
+CREATE OR REPLACE TRIGGER update_vayubox_shares_updated_at
+    BEFORE UPDATE ON vayubox_shares
+    FOR EACH ROW
+    EXECUTE FUNCTION update_vayubox_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE vayubox_shares ENABLE ROW LEVEL SECURITY;
+
+-- Owners manage their own shares; recipients have no table access
+CREATE POLICY "Vayubox users can view own shares" ON vayubox_shares
+    FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Vayubox users can create own shares" ON vayubox_shares
+    FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Vayubox users can update own shares" ON vayubox_shares
+    FOR UPDATE USING (auth.uid()::text = user_id);
+
+-- =====================================================
+-- RECIPIENT ACCESS
+-- =====================================================
+
+-- Share access is recorded with the 'Share' history action
+ALTER TABLE vayubox_activity_history DROP CONSTRAINT IF EXISTS vayubox_activity_history_action_check;
+ALTER TABLE vayubox_activity_history ADD CONSTRAINT vayubox_activity_history_action_check
+    CHECK (action IN ('Upload', 'Download', 'Delete', 'Rename', 'Move', 'Restore', 'Create', 'Copy', 'Update', 'Share'));
+
+-- Why a share cannot be used, or 'ok':
+-- not_found, revoked, expired, exhausted (download limit reached), password_required, invalid_password
+CREATE OR REPLACE FUNCTION vayubox_share_status(share vayubox_shares, p_password TEXT)
+RETURNS TEXT AS $$
+BEGIN
+    IF share.id IS NULL THEN
+        RETURN 'not_found';
+    END IF;
+    IF share.revoked_at IS NOT NULL THEN
+        RETURN 'revoked';
+    END IF;
+    IF share.expires_at <= NOW() THEN
+        RETURN 'expired';
+    END IF;
+    IF share.max_downloads IS NOT NULL AND share.download_count >= share.max_downloads THEN
+        RETURN 'exhausted';
+    END IF;
+    IF share.password_hash IS NOT NULL THEN
+        IF p_password IS NULL OR p_password = '' THEN
+            RETURN 'password_required';
+        END IF;
+        IF extensions.crypt(p_password, share.password_hash) <> share.password_hash THEN
+            RETURN 'invalid_password';
+        END IF;
+    END IF;
+    RETURN 'ok';
+END;
+$$ language 'plpgsql' STABLE;
+
+-- What recipients learn about a share, never the password hash or the owner
+CREATE OR REPLACE FUNCTION vayubox_share_target(share vayubox_shares)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'id', share.id,
+        'bucket_name', share.bucket_name,
+        'key_prefix', share.key_prefix,
+        'target_key', share.target_key,
+        'target_type', share.target_type,
+        'item_name', share.item_name,
+        'expires_at', share.expires_at,
+        'max_downloads', share.max_downloads,
+        'download_count', share.download_count
+    );
+$$ language 'sql' IMMUTABLE;
+
+-- Open a share: counts the access, logs it in the owner's history and returns the target
+CREATE OR REPLACE FUNCTION vayubox_open_share(p_token TEXT, p_password TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    share vayubox_shares;
+    share_status TEXT;
+BEGIN
+    SELECT * INTO share FROM vayubox_shares WHERE token = p_token;
+    share_status = vayubox_share_status(share, p_password);
+    IF share_status <> 'ok' THEN
+        RETURN jsonb_build_object('status', share_status);
+    END IF;
+
+    UPDATE vayubox_shares
+        SET access_count = access_count + 1, last_accessed_at = NOW()
+        WHERE id = share.id;
+
+    INSERT INTO vayubox_activity_history
+        (user_id, user_email, action, item_name, file_count, folder_path, bucket_name, metadata)
+    VALUES
+        (share.user_id, share.user_email, 'Share', share.item_name, 1, share.folder_path, share.bucket_name,
+         jsonb_build_object('share_id', share.id, 'share_event', 'opened', 'timestamp', NOW()));
+
+    RETURN jsonb_build_object('status', 'ok', 'share', vayubox_share_target(share));
+END;
+$$ language 'plpgsql' SECURITY DEFINER SET search_path = public;
+
+-- Check a share without counting it, used by the presign service to authorise
+-- the storage requests of recipients
+CREATE OR REPLACE FUNCTION vayubox_check_share(p_token TEXT, p_password TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    share vayubox_shares;
+    share_status TEXT;
+BEGIN
+    SELECT * INTO share FROM vayubox_shares WHERE token = p_token;
+    share_status = vayubox_share_status(share, p_password);
+    IF share_status <> 'ok' THEN
+        RETURN jsonb_build_object('status', share_status);
+    END IF;
+    RETURN jsonb_build_object('status', 'ok', 'share', vayubox_share_target(share));
+END;
+$$ language 'plpgsql' SECURITY DEFINER SET search_path = public;
+
+-- Count a download against the limit and log it in the owner's history
+CREATE OR REPLACE FUNCTION vayubox_record_share_download(
+    p_token TEXT,
+    p_password TEXT DEFAULT NULL,
+    p_item_name TEXT DEFAULT NULL,
+    p_file_size BIGINT DEFAULT 0,
+    p_file_count INTEGER DEFAULT 1
+)
+RETURNS JSONB AS $$
+DECLARE
+    share vayubox_shares;
+    share_status TEXT;
+BEGIN
+    SELECT * INTO share FROM vayubox_shares WHERE token = p_token;
+    share_status = vayubox_share_status(share, p_password);
+    IF share_status <> 'ok' THEN
+        RETURN jsonb_build_object('status', share_status);
+    END IF;
+
+    -- Checked again in the update so parallel downloads cannot exceed the limit
+    UPDATE vayubox_shares
+        SET download_count = download_count + 1, last_accessed_at = NOW()
+        WHERE id = share.id AND (max_downloads IS NULL OR download_count < max_downloads);
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'exhausted');
+    END IF;
+
+    INSERT INTO vayubox_activity_history
+        (user_id, user_email, action, item_name, file_size, file_count, folder_path, bucket_name, metadata)
+    VALUES
+        (share.user_id, share.user_email, 'Download', COALESCE(p_item_name, share.item_name),
+         COALESCE(p_file_size, 0), COALESCE(p_file_count, 1), share.folder_path, share.bucket_name,
+         jsonb_build_object('share_id', share.id, 'share_event', 'downloaded', 'timestamp', NOW()));
+
+    RETURN jsonb_build_object('status', 'ok', 'download_count', share.download_count + 1);
+END;
+$$ language 'plpgsql' SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION vayubox_open_share(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION vayubox_record_share_download(TEXT, TEXT, TEXT, BIGINT, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION vayubox_check_share(TEXT, TEXT) TO anon, authenticated;
+
+-- =====================================================
+-- SAMPLE VAYUBOX QUERIES
+-- =====================================================
+
+-- Active shares of a user
+-- SELECT item_name, expires_at, download_count, max_downloads FROM vayubox_shares
+-- WHERE user_id = 'firebase_user_id' AND revoked_at IS NULL AND expires_at > NOW()
+-- ORDER BY created_at DESC;
+
+-- Revoke every share of a folder
+-- UPDATE vayubox_shares SET revoked_at = NOW()
+-- WHERE user_id = 'firebase_user_id' AND target_key LIKE 'reports/%';
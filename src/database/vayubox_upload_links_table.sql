@@ -0,0 +1,170 @@
+-- =====================================================
+-- SUPABASE TABLE SCHEMA FOR VAYUBOX UPLOAD LINKS
+-- =====================================================
+
+-- Upload links let people without a Vayubox account send files into one
+-- folder ("file drop"). They can upload, but not see what is in the folder.
+-- The owner manages the links through the table; uploaders only reach them
+-- through the functions below, which check the token and expiry and record
+-- every received file in the owner's activity history.
+-- Run vayubox_activity_history_table.sql first.
+
+CREATE TABLE IF NOT EXISTS vayubox_upload_links (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- Random token in the upload URL (/upload/<token>)
+    token TEXT NOT NULL UNIQUE,
+
+    -- Owner (from Firebase Auth)
+    user_id TEXT NOT NULL,
+    user_email TEXT,
+
+    -- Folder files are uploaded to. target_prefix is relative to key_prefix,
+    -- the owner's prefix when users are restricted to their own part of the bucket.
+    bucket_name TEXT,
+    key_prefix TEXT NOT NULL DEFAULT '',
+    target_prefix TEXT NOT NULL DEFAULT '',
+    folder_name TEXT NOT NULL,
+    -- Shown to uploaders, e.g. 'Please send the signed contracts'
+    message TEXT,
+
+    -- Limits
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_file_size BIGINT CHECK (max_file_size IS NULL OR max_file_size > 0),
+    -- File extensions ('.pdf') and content types ('image/*'), like the accept attribute of file inputs
+    allowed_types TEXT[],
+
+    -- Usage
+    upload_count INTEGER NOT NULL DEFAULT 0,
+    uploaded_bytes BIGINT NOT NULL DEFAULT 0,
+    last_upload_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_vayubox_upload_links_user_created ON vayubox_upload_links(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vayubox_upload_links_bucket ON vayubox_upload_links(bucket_name);
+-- Received files are looked up in the history by link
+CREATE INDEX IF NOT EXISTS idx_vayubox_activity_upload_link
+    ON vayubox_activity_history((metadata->>'upload_link_id'))
+    WHERE metadata ? 'upload_link_id';
+
+-- Reuses the updated_at function of the activity history table
+CREATE OR REPLACE TRIGGER update_vayubox_upload_links_updated_at
+    BEFORE UPDATE ON vayubox_upload_links
+    FOR EACH ROW
+    EXECUTE FUNCTION update_vayubox_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE vayubox_upload_links ENABLE ROW LEVEL SECURITY;
+
+-- Owners manage their own links; uploaders have no table access
+CREATE POLICY "Vayubox users can view own upload links" ON vayubox_upload_links
+    FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Vayubox users can create own upload links" ON vayubox_upload_links
+    FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Vayubox users can update own upload links" ON vayubox_upload_links
+    FOR UPDATE USING (auth.uid()::text = user_id);
+
+-- =====================================================
+-- UPLOADER ACCESS
+-- =====================================================
+
+-- Check an upload link: returns { status, link } where status is 'ok',
+-- 'not_found', 'revoked' or 'expired'. Used by the upload page and by the
+-- presign service to authorise every upload request.
+CREATE OR REPLACE FUNCTION vayubox_check_upload_link(p_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    link vayubox_upload_links;
+BEGIN
+    SELECT * INTO link FROM vayubox_upload_links WHERE token = p_token;
+    IF link.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'not_found');
+    END IF;
+    IF link.revoked_at IS NOT NULL THEN
+        RETURN jsonb_build_object('status', 'revoked');
+    END IF;
+    IF link.expires_at <= NOW() THEN
+        RETURN jsonb_build_object('status', 'expired');
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'ok',
+        'link', jsonb_build_object(
+            'id', link.id,
+            'bucket_name', link.bucket_name,
+            'key_prefix', link.key_prefix,
+            'target_prefix', link.target_prefix,
+            'folder_name', link.folder_name,
+            'message', link.message,
+            'expires_at', link.expires_at,
+            'max_file_size', link.max_file_size,
+            'allowed_types', link.allowed_types
+        )
+    );
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER SET search_path = public;
+
+-- Record a received file in the owner's history, attributed to the link
+CREATE OR REPLACE FUNCTION vayubox_record_link_upload(
+    p_token TEXT,
+    p_file_key TEXT,
+    p_file_size BIGINT DEFAULT 0,
+    p_uploader TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    link vayubox_upload_links;
+BEGIN
+    SELECT * INTO link FROM vayubox_upload_links
+        WHERE token = p_token AND revoked_at IS NULL AND expires_at > NOW();
+    IF link.id IS NULL THEN
+        RETURN jsonb_build_object('status', 'not_found');
+    END IF;
+    IF p_file_key IS NULL OR NOT starts_with(p_file_key, link.target_prefix) THEN
+        RETURN jsonb_build_object('status', 'invalid_key');
+    END IF;
+
+    UPDATE vayubox_upload_links
+        SET upload_count = upload_count + 1,
+            uploaded_bytes = uploaded_bytes + COALESCE(p_file_size, 0),
+            last_upload_at = NOW()
+        WHERE id = link.id;
+
+    INSERT INTO vayubox_activity_history
+        (user_id, user_email, action, item_name, file_size, file_count, folder_path, bucket_name, metadata)
+    VALUES
+        (link.user_id, link.user_email, 'Upload', regexp_replace(p_file_key, '^.*/', ''),
+         COALESCE(p_file_size, 0), 1, NULLIF(regexp_replace(p_file_key, '/[^/]*$', ''), p_file_key), link.bucket_name,
+         jsonb_build_object(
+             'upload_link_id', link.id,
+             'upload_link_event', 'received',
+             'file_key', p_file_key,
+             'uploader', NULLIF(LEFT(TRIM(p_uploader), 100), ''),
+             'timestamp', NOW()
+         ));
+
+    RETURN jsonb_build_object('status', 'ok');
+END;
+$$ language 'plpgsql' SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION vayubox_check_upload_link(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION vayubox_record_link_upload(TEXT, TEXT, BIGINT, TEXT) TO anon, authenticated;
+
+-- =====================================================
+-- SAMPLE VAYUBOX QUERIES
+-- =====================================================
+
+-- Files received through a link
+-- SELECT item_name, file_size, metadata->>'uploader' AS uploader, created_at
+-- FROM vayubox_activity_history
+-- WHERE metadata->>'upload_link_id' = 'link_id'
+-- ORDER BY created_at DESC;
@@ -0,0 +1,289 @@
+import { useState } from 'react';
+import { Table, Modal, Button, Form, Badge, Alert, Row, Col } from 'react-bootstrap';
+import { FaDatabase, FaPlus, FaEdit, FaTrashAlt, FaCheckCircle, FaExchangeAlt, FaInfoCircle } from 'react-icons/fa';
+import { useConnections } from '../contexts/ConnectionContext';
+import { useToast } from '../contexts/ToastContext';
+import './Connections.css';
+
+const EMPTY_FORM = {
+  name: '',
+  bucket: '',
+  region: '',
+  endpoint: '',
+  forcePathStyle: true,
+  accessKeyId: '',
+  secretAccessKey: '',
+  costTagKey: '',
+  costTagValue: ''
+};
+
+const Connections = () => {
+  const {
+    connections,
+    activeConnection,
+    canAddConnections,
+    switchConnection,
+    saveConnection,
+    removeConnection
+  } = useConnections();
+  const { showToast } = useToast();
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [connectionToRemove, setConnectionToRemove] = useState(null);
+
+  const openForm = (connection = null) => {
+    setForm(connection ? { ...EMPTY_FORM, ...connection } : EMPTY_FORM);
+    setShowFormModal(true);
+  };
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const saved = saveConnection(form);
+      showToast(`Connection ${saved.name} saved`, 'success');
+      setShowFormModal(false);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleSwitch = (connection) => {
+    if (connection.needsSecret) {
+      openForm(connection);
+      return;
+    }
+    try {
+      switchConnection(connection.id);
+      showToast(`Switched to ${connection.name}`, 'success');
+    } catch (error) {
+      showToast(`Failed to switch connection: ${error.message}`, 'error');
+    }
+  };
+
+  const handleRemove = () => {
+    try {
+      removeConnection(connectionToRemove.id);
+      showToast(`Connection ${connectionToRemove.name} removed`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    } finally {
+      setConnectionToRemove(null);
+    }
+  };
+
+  return (
+    <div className="connections-container">
+      <div className="connections-header">
+        <h2 className="connections-title">Connections</h2>
+        <div className="connections-controls">
+          <p className="connections-subtitle">Buckets you can switch between from the navigation bar</p>
+          {canAddConnections && (
+            <Button variant="primary" onClick={() => openForm()}>
+              <FaPlus className="me-2" />
+              Add Connection
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {!canAddConnections && (
+        <Alert variant="info" className="d-flex align-items-center">
+          <FaInfoCircle className="me-2" />
+          Additional connections are only available with the S3 storage backend.
+        </Alert>
+      )}
+
+      <div className="folder-content-wrapper">
+        <div className="table-responsive custom-table-container">
+          <Table hover className="custom-table">
+            <thead>
+              <tr>
+                <th className="name-column">Name</th>
+                <th className="name-column">Bucket</th>
+                <th className="name-column">Region / Endpoint</th>
+                <th className="name-column">Credentials</th>
+                <th className="size-column">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {connections.map(connection => {
+                const isActive = connection.id === activeConnection?.id;
+                return (
+                  <tr key={connection.id} className="file-row">
+                    <td>
+                      <div className="file-name">
+                        <FaDatabase className="file-type-icon" />
+                        <span>{connection.name}</span>
+                        {connection.isDefault && <Badge bg="secondary" className="ms-2">Default</Badge>}
+                        {isActive && <Badge bg="success" className="ms-2">Active</Badge>}
+                      </div>
+                    </td>
+                    <td>{connection.bucket}</td>
+                    <td>{connection.endpoint || connection.region || '-'}</td>
+                    <td>
+                      {connection.accessKeyId ? 'Own access key' : 'App credentials'}
+                      {connection.needsSecret && <Badge bg="warning" text="dark" className="ms-2">Secret key needed</Badge>}
+                    </td>
+                    <td className="text-center">
+                      <div className="connection-actions">
+                        {!isActive && (
+                          <Button variant="outline-primary" size="sm" onClick={() => handleSwitch(connection)}>
+                            <FaExchangeAlt className="me-1" /> Switch
+                          </Button>
+                        )}
+                        {!connection.isDefault && (
+                          <>
+                            <Button variant="outline-secondary" size="sm" onClick={() => openForm(connection)}>
+                              <FaEdit />
+                            </Button>
+                            <Button variant="outline-danger" size="sm" onClick={() => setConnectionToRemove(connection)}>
+                              <FaTrashAlt />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </div>
+      </div>
+
+      <div className="welcome-section mt-4">
+        <h2 className="welcome-title mb-4">One App, Many Buckets</h2>
+        <p className="welcome-text">
+          Listings, Glacier statistics, cost data and activity history all follow the connection
+          selected in the navigation bar.
+        </p>
+        <ul className="feature-list">
+          <li><FaCheckCircle className="feature-icon" /> Buckets in any region</li>
+          <li><FaCheckCircle className="feature-icon" /> Separate AWS accounts with their own access keys</li>
+          <li><FaCheckCircle className="feature-icon" /> S3-compatible endpoints</li>
+          <li><FaCheckCircle className="feature-icon" /> Cost data scoped by region and cost allocation tag</li>
+        </ul>
+      </div>
+
+      {/* Add / Edit Modal */}
+      <Modal show={showFormModal} onHide={() => setShowFormModal(false)} size="lg">
+        <Form onSubmit={handleSave}>
+          <Modal.Header closeButton>
+            <Modal.Title>{form.id ? 'Edit Connection' : 'Add Connection'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control value={form.name} onChange={updateField('name')} placeholder="Marketing assets" required />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Bucket</Form.Label>
+                  <Form.Control value={form.bucket} onChange={updateField('bucket')} placeholder="my-bucket" required />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Region</Form.Label>
+                  <Form.Control value={form.region} onChange={updateField('region')} placeholder="ap-south-1" />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Endpoint (S3-compatible only)</Form.Label>
+                  <Form.Control value={form.endpoint} onChange={updateField('endpoint')} placeholder="https://minio.example.com" />
+                  {form.endpoint && (
+                    <Form.Check
+                      type="checkbox"
+                      className="mt-2"
+                      label="Path-style addressing"
+                      checked={form.forcePathStyle}
+                      onChange={updateField('forcePathStyle')}
+                    />
+                  )}
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Access Key ID</Form.Label>
+                  <Form.Control value={form.accessKeyId} onChange={updateField('accessKeyId')} autoComplete="off" />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Secret Access Key</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={form.secretAccessKey}
+                    onChange={updateField('secretAccessKey')}
+                    autoComplete="new-password"
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            {form.needsSecret && (
+              <Alert variant="warning" className="small">
+                Enter the secret key again to use this connection, it is not kept after the page is closed.
+              </Alert>
+            )}
+            <Form.Text className="d-block mb-3">
+              Leave the keys empty to use the app credentials. The access key id is saved in this browser;
+              the secret key is only kept in memory until the page is closed or you sign out, so it has to be
+              entered again in each session. Use an IAM user limited to this bucket.
+            </Form.Text>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Cost allocation tag key</Form.Label>
+                  <Form.Control value={form.costTagKey} onChange={updateField('costTagKey')} placeholder="vayubox-bucket" />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Cost allocation tag value</Form.Label>
+                  <Form.Control value={form.costTagValue} onChange={updateField('costTagValue')} placeholder="marketing" />
+                </Form.Group>
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowFormModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit">
+              Save
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Remove Confirmation Modal */}
+      <Modal show={Boolean(connectionToRemove)} onHide={() => setConnectionToRemove(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Remove Connection</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          Remove {connectionToRemove?.name}? The bucket and its files are not affected.
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setConnectionToRemove(null)}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={handleRemove}>
+            Remove
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+};
+
+export default Connections;
@@ -314,6 +314,12 @@ const Cost = () => {
   return (
     <div className="cost-container">
       <h2 className="cost-title">Current Billing Cycle Costs</h2>
+      {metrics?.detailedCosts?.costDataUnavailable && (
+        <Alert variant="info" className="d-flex align-items-center">
+          <FaInfoCircle className="me-2" />
+          Billing data is not available for this storage backend. Storage totals below are calculated from the bucket contents.
+        </Alert>
+      )}
       <BillingHeader />
       <Row className="mt-4">
         <Col md={4}><StorageCostCard /></Col>
@@ -1,17 +1,24 @@
-import { useState, useEffect, useCallback } from 'react';
-import { Container, Form, Button, Modal, Spinner } from 'react-bootstrap';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Container, Form, Button, Modal, Spinner, Alert, InputGroup } from 'react-bootstrap';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { 
-  listS3Objects, 
+  listS3ObjectsPage,
+  attachFolderSummaries,
   getGlacierStats,
-  renameS3Object
+  renameS3Object,
+  getPendingRenameJobs,
+  resumeRenameJob,
+  rollbackRenameJob,
+  discardRenameJob,
+  purgeExpiredTrash,
+  onMetadataIndexChange
 } from '../services/s3Service';
 import { useToast } from '../contexts/ToastContext';
 import { useTransfer } from '../contexts/TransferContext';
 import EnhancedFileBrowser from '../components/EnhancedFileBrowser';
 import UploadArea from '../components/UploadArea';
 import UploadAnimation from '../components/UploadAnimation';
-import { FaCheckCircle } from 'react-icons/fa';
+import { FaCheckCircle, FaSearch } from 'react-icons/fa';
 import welcomeImage from '../images/4569774.jpg';
 
 const Folder = () => {
@@ -23,6 +30,14 @@ const Folder = () => {
   const [newName, setNewName] = useState('');
   const [glacierStats, setGlacierStats] = useState(null);
   const [showAnimation, setShowAnimation] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [renaming, setRenaming] = useState(false);
+  // Folder renames that were interrupted or left objects behind
+  const [pendingRenames, setPendingRenames] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  // Identifies the latest listing so pages of a folder we already left are ignored
+  const listingRequest = useRef(0);
   
   const location = useLocation();
   const navigate = useNavigate();
@@ -30,18 +45,46 @@ const Folder = () => {
   const transferContext = useTransfer();
   
   const loadFolderContents = useCallback(async (path) => {
+    const requestId = ++listingRequest.current;
     setLoading(true);
+    setPendingRenames(getPendingRenameJobs());
     try {
-      const result = await listS3Objects(path);
-      setItems(result);
+      const page = await listS3ObjectsPage(path);
+      if (requestId !== listingRequest.current) return;
+      setItems(page.items);
+      setNextCursor(page.nextCursor);
+      setLoading(false);
+
+      // Summarizing the folder also caches the summaries of its sub-folders
       const stats = await getGlacierStats(path);
+      if (requestId !== listingRequest.current) return;
       setGlacierStats(stats);
+      setItems(current => attachFolderSummaries(current));
     } catch (error) {
       showToast(`Error loading folder: ${error.message}`, 'error');
     } finally {
-      setLoading(false);
+      if (requestId === listingRequest.current) {
+        setLoading(false);
+      }
     }
   }, [showToast]);
+
+  // Append the next page of the current folder
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const requestId = listingRequest.current;
+    setLoadingMore(true);
+    try {
+      const page = await listS3ObjectsPage(currentPath, { cursor: nextCursor });
+      if (requestId !== listingRequest.current) return;
+      setItems(current => [...current, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      showToast(`Error loading more items: ${error.message}`, 'error');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [currentPath, nextCursor, loadingMore, showToast]);
   
   // Fetch items on component mount and path change
   useEffect(() => {
@@ -51,11 +94,32 @@ const Folder = () => {
     loadFolderContents(path);
   }, [location, loadFolderContents]);
   
+  // Trash entries past their retention period are purged in the background while browsing
+  useEffect(() => {
+    purgeExpiredTrash().catch(() => {});
+  }, []);
+
+  // Show changes the metadata index picked up in the background, e.g. files added from another device
+  useEffect(() => onMetadataIndexChange((change) => {
+    if (change.type === 'built' || (change.type === 'folder' && change.prefix === currentPath)) {
+      loadFolderContents(currentPath);
+    }
+  }), [currentPath, loadFolderContents]);
+
   // Handle navigation to a folder
   const handleNavigate = (path) => {
     navigate(`/folder${path ? `?path=${encodeURIComponent(path)}` : ''}`);
   };
   
+  // Show a new folder right away, among the other folders in name order
+  const handleFolderCreated = (folder) => {
+    setItems(current => {
+      const folders = [...current.filter(item => item.type === 'folder'), folder]
+        .sort((a, b) => a.name.localeCompare(b.name));
+      return [...folders, ...current.filter(item => item.type !== 'folder')];
+    });
+  };
+
   // Handle rename operation
   const handleRename = (item) => {
     setItemToRename(item);
@@ -69,20 +133,75 @@ const Folder = () => {
       return;
     }
     
+    setRenaming(true);
     try {
-      await renameS3Object(itemToRename, newName);
-      showToast(`Renamed ${itemToRename.name} to ${newName}`, 'success');
+      const result = await renameS3Object(itemToRename, newName, transferContext);
+      if (result?.failed?.length > 0) {
+        showToast(`Renamed ${itemToRename.name} to ${newName}, but ${result.failed.length} objects could not be moved`, 'warning');
+      } else {
+        showToast(`Renamed ${itemToRename.name} to ${newName}`, 'success');
+      }
       setShowRenameModal(false);
       loadFolderContents(currentPath);
     } catch (error) {
       showToast(`Rename failed: ${error.message}`, 'error');
+    } finally {
+      setRenaming(false);
     }
   };
+
+  const handlePendingRename = async (job, action) => {
+    setRenaming(true);
+    try {
+      const run = action === 'rollback' ? rollbackRenameJob : resumeRenameJob;
+      const result = await run(job, transferContext);
+      const label = action === 'rollback' ? 'Roll back' : 'Rename';
+      if (result.failed.length > 0) {
+        showToast(`${label} finished with ${result.failed.length} objects that could not be moved`, 'warning');
+      } else {
+        showToast(`${label} complete`, 'success');
+      }
+    } catch (error) {
+      showToast(`Failed to finish the rename: ${error.message}`, 'error');
+    } finally {
+      setRenaming(false);
+      loadFolderContents(currentPath);
+    }
+  };
+
+  const handleDiscardRename = (job) => {
+    discardRenameJob(job.id);
+    setPendingRenames(getPendingRenameJobs());
+  };
+
+  // Search opens the Search page scoped to the folder that is being browsed
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams({ q: searchQuery.trim() });
+    if (currentPath) {
+      params.set('path', currentPath);
+      params.set('scope', 'folder');
+    }
+    navigate(`/search?${params.toString()}`);
+  };
   
   return (
     <Container fluid className="py-4">
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h1>File Browser</h1>
+        <Form onSubmit={handleSearch} style={{ width: '320px' }}>
+          <InputGroup>
+            <Form.Control
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder={currentPath ? 'Search in this folder' : 'Search files'}
+            />
+            <Button type="submit" variant="outline-primary" title="Search">
+              <FaSearch />
+            </Button>
+          </InputGroup>
+        </Form>
       </div>
       
       {/* Enhanced upload area */}
@@ -92,20 +211,62 @@ const Folder = () => {
       />
       
       <div className="my-4"></div>
+
+      {pendingRenames.map(job => (
+        <Alert key={job.id} variant="warning">
+          <p className="mb-2">
+            Renaming <strong>/{job.sourcePrefix}</strong> to <strong>/{job.targetPrefix}</strong> did not finish.
+            {job.failedCount
+              ? ` ${job.failedCount} objects could not be moved and are still under the old name.`
+              : ' It was interrupted before every object was moved.'}
+          </p>
+          {job.failed?.length > 0 && (
+            <ul className="small mb-2">
+              {job.failed.map(failure => (
+                <li key={failure.key}>{failure.key}: {failure.error}</li>
+              ))}
+              {job.failedCount > job.failed.length && (
+                <li>and {job.failedCount - job.failed.length} more</li>
+              )}
+            </ul>
+          )}
+          <div className="d-flex gap-2">
+            <Button variant="warning" size="sm" onClick={() => handlePendingRename(job, 'resume')} disabled={renaming}>
+              Resume
+            </Button>
+            <Button variant="outline-secondary" size="sm" onClick={() => handlePendingRename(job, 'rollback')} disabled={renaming}>
+              Roll back
+            </Button>
+            <Button variant="link" size="sm" onClick={() => handleDiscardRename(job)} disabled={renaming}>
+              Dismiss
+            </Button>
+          </div>
+        </Alert>
+      ))}
       
       <EnhancedFileBrowser
         currentPath={currentPath}
         items={items}
         isLoading={loading}
+        hasMore={Boolean(nextCursor)}
+        isLoadingMore={loadingMore}
+        onLoadMore={loadMore}
         onNavigate={handleNavigate}
         onRename={handleRename}
         onUpload={() => loadFolderContents(currentPath)}
         onRestore={() => loadFolderContents(currentPath)}
+        onFolderCreated={handleFolderCreated}
+        onMove={() => loadFolderContents(currentPath)}
+        onCopy={() => loadFolderContents(currentPath)}
+        onDelete={() => loadFolderContents(currentPath)}
+        onVersionChange={() => loadFolderContents(currentPath)}
+        onStorageClassChange={() => loadFolderContents(currentPath)}
+        onDetailsChange={() => loadFolderContents(currentPath)}
         glacierStats={glacierStats}
       />
       
       {/* Rename Modal */}
-      <Modal show={showRenameModal} onHide={() => setShowRenameModal(false)}>
+      <Modal show={showRenameModal} onHide={() => !renaming && setShowRenameModal(false)}>
         <Modal.Header closeButton>
           <Modal.Title>Rename {itemToRename?.type}</Modal.Title>
         </Modal.Header>
@@ -117,15 +278,28 @@ const Folder = () => {
               value={newName}
               onChange={(e) => setNewName(e.target.value)}
               placeholder="Enter new name"
+              disabled={renaming}
             />
+            {itemToRename?.type === 'folder' && (
+              <Form.Text className="text-muted">
+                Every file in the folder is moved to the new name. Large folders can take a while.
+              </Form.Text>
+            )}
           </Form.Group>
         </Modal.Body>
         <Modal.Footer>
-          <Button variant="secondary" onClick={() => setShowRenameModal(false)}>
+          <Button variant="secondary" onClick={() => setShowRenameModal(false)} disabled={renaming}>
             Cancel
           </Button>
-          <Button variant="primary" onClick={confirmRename}>
-            Rename
+          <Button variant="primary" onClick={confirmRename} disabled={renaming}>
+            {renaming ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                Renaming...
+              </>
+            ) : (
+              'Rename'
+            )}
           </Button>
         </Modal.Footer>
       </Modal>
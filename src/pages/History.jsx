@@ -7,7 +7,12 @@ import {
   FaFileAlt,
   FaLayerGroup,
   FaTrashAlt,
-  FaCheckCircle 
+  FaCheckCircle,
+  FaFolderPlus,
+  FaShare,
+  FaCopy,
+  FaEdit,
+  FaLink
 } from 'react-icons/fa';
 import { useToast } from '../contexts/ToastContext';
 import { getActivityHistory, clearActivityHistory } from '../services/supabaseHistoryService';
@@ -101,6 +106,16 @@ const History = () => {
         return <FaCloudUploadAlt className="folder-icon" style={{ color: '#10b981' }} />;
       case 'download':
         return <FaCloudDownloadAlt className="folder-icon" style={{ color: '#3b82f6' }} />;
+      case 'create':
+        return <FaFolderPlus className="folder-icon" style={{ color: '#f59e0b' }} />;
+      case 'move':
+        return <FaShare className="folder-icon" style={{ color: '#8b5cf6' }} />;
+      case 'copy':
+        return <FaCopy className="folder-icon" style={{ color: '#0ea5e9' }} />;
+      case 'update':
+        return <FaEdit className="folder-icon" style={{ color: '#64748b' }} />;
+      case 'share':
+        return <FaLink className="folder-icon" style={{ color: '#ec4899' }} />;
       default:
         return <FaCloudUploadAlt className="folder-icon" />;
     }
@@ -159,6 +174,11 @@ const History = () => {
                     <div className="file-name">
                       <FaFileAlt className="file-type-icon" />
                       <span>{activity.item_name}</span>
+                      {activity.metadata?.upload_link_event === 'received' && (
+                        <span className="text-muted small ms-2">
+                          via upload link{activity.metadata.uploader ? ` from ${activity.metadata.uploader}` : ''}
+                        </span>
+                      )}
                     </div>
                   </td>
                   <td className="text-center">
@@ -12,7 +12,8 @@ import { Button } from 'react-bootstrap';  // Add this import
 import { useDropzone } from 'react-dropzone';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
-import { uploadToS3 } from '../services/s3Service';
+import { uploadToS3, getTagError, MAX_TAGS_PER_OBJECT } from '../services/s3Service';
+import KeyValueEditor from '../components/KeyValueEditor';
 import welcomeImage from '../images/7471053.jpg';
 import './Home.css';
 
@@ -24,6 +25,8 @@ const Home = () => {  // Remove unused initialTab prop
   const [previews, setPreviews] = useState({});
   const [uploadFolderName, setUploadFolderName] = useState('');
   const [uploadSource, setUploadSource] = useState(null);
+  // Tags set on every uploaded file
+  const [tagRows, setTagRows] = useState([]);
 
   // Define archive file types
   const archiveTypes = ['.zip', '.rar', '.tar', '.7z'];
@@ -289,11 +292,20 @@ const Home = () => {  // Remove unused initialTab prop
     }
   };
 
+  const toTag = (row) => ({ Key: row.key.trim(), Value: row.value });
+  const getTagRowError = (row, rows) => getTagError(toTag(row), rows.map(toTag));
+  const hasTagErrors = tagRows.some(row => getTagRowError(row, tagRows));
+
   const handleUpload = async () => {
     if (!files.length) {
       showToast('Please select files to upload', 'warning');
       return;
     }
+    if (hasTagErrors) {
+      showToast('Please fix the tags before uploading', 'warning');
+      return;
+    }
+    const tags = tagRows.map(toTag);
 
     setUploading(true);
     let uploadedCount = 0;
@@ -316,7 +328,7 @@ const Home = () => {  // Remove unused initialTab prop
 
           await uploadToS3(file, uploadPath, () => {
             // Progress callback left empty intentionally
-          });
+          }, null, { tags });
           
           uploadedCount++;
           showToast(`Uploaded ${uploadedCount} of ${files.length} files`, 'info');
@@ -333,6 +345,7 @@ const Home = () => {  // Remove unused initialTab prop
         showToast('All files uploaded successfully!', 'success');
         setFiles([]);
         setUploadFolderName('');
+        setTagRows([]);
       }
     } catch (error) {
       console.error('Upload error:', error);
@@ -439,7 +452,7 @@ const Home = () => {  // Remove unused initialTab prop
                 <button
                   className={`upload-button ${uploading ? 'uploading' : ''}`}
                   onClick={handleUpload}
-                  disabled={uploading}
+                  disabled={uploading || hasTagErrors}
                 >
                   {uploading ? (
                     <>
@@ -456,6 +469,18 @@ const Home = () => {  // Remove unused initialTab prop
               </div>
             </div>
 
+            <div className="upload-tags">
+              <h5>Tags <span className="text-muted small">(optional, set on every file)</span></h5>
+              <KeyValueEditor
+                rows={tagRows}
+                onChange={setTagRows}
+                getError={getTagRowError}
+                maxRows={MAX_TAGS_PER_OBJECT}
+                disabled={uploading}
+                addLabel="Add tag"
+              />
+            </div>
+
             <div className="files-list">
               {files.map((file, index) => (
                 <div key={index} className="file-card">
@@ -0,0 +1,339 @@
+import { useState, useEffect, useRef } from 'react';
+import { Table, Form, Button, Row, Col, Spinner, Alert, Badge, InputGroup } from 'react-bootstrap';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import {
+  FaSearch,
+  FaFile,
+  FaFileImage,
+  FaFileVideo,
+  FaFileAudio,
+  FaFileAlt,
+  FaFileArchive,
+  FaFolderOpen,
+  FaStop,
+  FaSyncAlt
+} from 'react-icons/fa';
+import {
+  searchObjects,
+  formatFileSize,
+  FILE_CATEGORIES,
+  MAX_SEARCH_RESULTS,
+  STORAGE_CLASSES,
+  buildMetadataIndex,
+  getMetadataIndexStatus,
+  onMetadataIndexChange
+} from '../services/s3Service';
+import { useToast } from '../contexts/ToastContext';
+import './Search.css';
+
+const MB = 1024 * 1024;
+
+const CATEGORY_ICONS = {
+  image: FaFileImage,
+  video: FaFileVideo,
+  audio: FaFileAudio,
+  document: FaFileAlt,
+  archive: FaFileArchive,
+  other: FaFile
+};
+
+// Form fields and the query string parameters they are kept in
+const EMPTY_FORM = {
+  q: '',
+  path: '',
+  scope: 'bucket',
+  storageClass: '',
+  category: '',
+  minSize: '',
+  maxSize: '',
+  after: '',
+  before: ''
+};
+
+const readForm = (search) => {
+  const params = new URLSearchParams(search);
+  const form = { ...EMPTY_FORM };
+  Object.keys(EMPTY_FORM).forEach(field => {
+    if (params.has(field)) form[field] = params.get(field);
+  });
+  return form;
+};
+
+// Turn the form into search criteria; sizes are entered in MB, dates cover whole days
+const toCriteria = (form) => ({
+  query: form.q,
+  prefix: form.scope === 'folder' ? form.path : '',
+  storageClass: form.storageClass || undefined,
+  category: form.category || undefined,
+  minSize: form.minSize !== '' ? Number(form.minSize) * MB : undefined,
+  maxSize: form.maxSize !== '' ? Number(form.maxSize) * MB : undefined,
+  modifiedAfter: form.after ? new Date(`${form.after}T00:00:00`) : undefined,
+  modifiedBefore: form.before ? new Date(`${form.before}T23:59:59.999`) : undefined
+});
+
+const folderLink = (folder) => `/folder${folder ? `?path=${encodeURIComponent(folder)}` : ''}`;
+
+const Search = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { showToast } = useToast();
+  const [form, setForm] = useState(() => readForm(location.search));
+  const [results, setResults] = useState([]);
+  const [scannedCount, setScannedCount] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [truncated, setTruncated] = useState(false);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [indexStatus, setIndexStatus] = useState(null);
+  const abortRef = useRef(null);
+
+  // Searches read the metadata index once it is built, show how current it is
+  useEffect(() => {
+    const loadIndexStatus = () => {
+      getMetadataIndexStatus()
+        .then(setIndexStatus)
+        .catch(() => setIndexStatus(null));
+    };
+    loadIndexStatus();
+    return onMetadataIndexChange((change) => {
+      if (change.type === 'progress') {
+        setIndexStatus(current => current && { ...current, building: true, scannedCount: change.scannedCount });
+      } else if (change.type === 'built') {
+        loadIndexStatus();
+      }
+    });
+  }, []);
+
+  // The query string is the source of truth, so back navigation from a folder repeats the search
+  useEffect(() => {
+    const current = readForm(location.search);
+    setForm(current);
+    if (!new URLSearchParams(location.search).has('q')) return undefined;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setSearching(true);
+    setHasSearched(true);
+    setResults([]);
+    setScannedCount(0);
+    setTruncated(false);
+
+    searchObjects(toCriteria(current), {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        if (controller.signal.aborted) return;
+        setScannedCount(progress.scannedCount);
+        setResults(progress.results);
+      }
+    })
+      .then(result => {
+        if (controller.signal.aborted) return;
+        setResults(result.results);
+        setScannedCount(result.scannedCount);
+        setTruncated(result.truncated);
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) {
+          showToast(`Search failed: ${error.message}`, 'error');
+        }
+      })
+      .finally(() => {
+        if (abortRef.current === controller) {
+          setSearching(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [location.search, showToast]);
+
+  const updateField = (field) => (e) => {
+    setForm(current => ({ ...current, [field]: e.target.value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams();
+    Object.entries(form).forEach(([field, value]) => {
+      if (field === 'q' || value !== EMPTY_FORM[field]) params.set(field, value);
+    });
+    navigate(`/search?${params.toString()}`);
+  };
+
+  const handleRebuildIndex = () => {
+    setIndexStatus(current => current && { ...current, building: true, scannedCount: 0 });
+    buildMetadataIndex().catch(error => {
+      showToast(`Failed to index the bucket: ${error.message}`, 'error');
+      getMetadataIndexStatus().then(setIndexStatus).catch(() => {});
+    });
+  };
+
+  // Stop after the current page, keeping what was found so far
+  const handleStop = () => {
+    abortRef.current?.abort();
+    setSearching(false);
+    setTruncated(true);
+  };
+
+  return (
+    <div className="search-container">
+      <div className="search-header">
+        <h2 className="search-title">Search</h2>
+        <p className="search-subtitle">
+          Find files by name, or by a pattern like <code>*.pdf</code>, and narrow the results with filters
+        </p>
+        {indexStatus?.supported && (
+          <div className="search-index-status">
+            {indexStatus.building ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                Indexing the bucket, {indexStatus.scannedCount.toLocaleString()} objects so far.
+                {!indexStatus.builtAt && ' Searches list the bucket until the index is ready.'}
+              </>
+            ) : indexStatus.builtAt ? (
+              <>
+                Searching the index of {indexStatus.objectCount.toLocaleString()} objects, last full scan {indexStatus.builtAt.toLocaleString()}.
+                <Button variant="link" size="sm" onClick={handleRebuildIndex}>
+                  <FaSyncAlt className="me-1" />
+                  Scan again
+                </Button>
+              </>
+            ) : null}
+          </div>
+        )}
+      </div>
+
+      <Form onSubmit={handleSubmit} className="search-form">
+        <Row className="g-3">
+          <Col md={8}>
+            <InputGroup>
+              <Form.Control
+                type="search"
+                value={form.q}
+                onChange={updateField('q')}
+                placeholder="File name or pattern"
+                autoFocus
+              />
+              <Button type="submit" variant="primary" disabled={searching}>
+                <FaSearch className="me-2" />
+                Search
+              </Button>
+            </InputGroup>
+          </Col>
+          <Col md={4}>
+            <Form.Select value={form.scope} onChange={updateField('scope')} aria-label="Search in">
+              <option value="bucket">Whole bucket</option>
+              {form.path && <option value="folder">In /{form.path}</option>}
+            </Form.Select>
+          </Col>
+          <Col sm={6} lg={3}>
+            <Form.Label className="search-filter-label">Type</Form.Label>
+            <Form.Select value={form.category} onChange={updateField('category')}>
+              <option value="">Any type</option>
+              {FILE_CATEGORIES.map(category => (
+                <option key={category} value={category}>{category.charAt(0).toUpperCase() + category.slice(1)}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col sm={6} lg={3}>
+            <Form.Label className="search-filter-label">Storage Class</Form.Label>
+            <Form.Select value={form.storageClass} onChange={updateField('storageClass')}>
+              <option value="">Any storage class</option>
+              {STORAGE_CLASSES.map(storageClass => (
+                <option key={storageClass} value={storageClass}>{storageClass}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col sm={6} lg={3}>
+            <Form.Label className="search-filter-label">Size (MB)</Form.Label>
+            <InputGroup>
+              <Form.Control type="number" min="0" step="any" placeholder="Min" value={form.minSize} onChange={updateField('minSize')} />
+              <Form.Control type="number" min="0" step="any" placeholder="Max" value={form.maxSize} onChange={updateField('maxSize')} />
+            </InputGroup>
+          </Col>
+          <Col sm={6} lg={3}>
+            <Form.Label className="search-filter-label">Modified</Form.Label>
+            <InputGroup>
+              <Form.Control type="date" value={form.after} onChange={updateField('after')} aria-label="Modified after" />
+              <Form.Control type="date" value={form.before} onChange={updateField('before')} aria-label="Modified before" />
+            </InputGroup>
+          </Col>
+        </Row>
+      </Form>
+
+      {hasSearched && (
+        <div className="search-status">
+          <span className="text-muted">
+            {searching && <Spinner animation="border" size="sm" className="me-2" />}
+            {results.length.toLocaleString()} {results.length === 1 ? 'match' : 'matches'} in {scannedCount.toLocaleString()} files searched
+          </span>
+          {searching && (
+            <Button variant="outline-secondary" size="sm" onClick={handleStop}>
+              <FaStop className="me-2" />
+              Stop
+            </Button>
+          )}
+        </div>
+      )}
+
+      {truncated && !searching && (
+        <Alert variant="warning">
+          {results.length >= MAX_SEARCH_RESULTS
+            ? `Only the first ${MAX_SEARCH_RESULTS.toLocaleString()} matches are shown. Narrow the search to see the rest.`
+            : 'The search was stopped before the whole bucket was searched.'}
+        </Alert>
+      )}
+
+      {hasSearched && (
+        <div className="folder-content-wrapper">
+          <div className="table-responsive custom-table-container">
+            <Table hover className="custom-table">
+              <thead>
+                <tr>
+                  <th className="name-column">Name</th>
+                  <th className="name-column">Folder</th>
+                  <th className="size-column">Size</th>
+                  <th className="name-column">Last Modified</th>
+                  <th className="size-column">Storage Class</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.length === 0 && !searching && (
+                  <tr>
+                    <td colSpan="5" className="text-center text-muted p-4">No files match the search</td>
+                  </tr>
+                )}
+                {results.map(result => {
+                  const Icon = CATEGORY_ICONS[result.category] || FaFile;
+                  return (
+                    <tr key={result.key} className="file-row">
+                      <td>
+                        <div className="file-name">
+                          <Icon className="file-type-icon" />
+                          <span>{result.name}</span>
+                        </div>
+                      </td>
+                      <td>
+                        <Link to={folderLink(result.folder)} className="search-folder-link">
+                          <FaFolderOpen className="me-1 text-warning" />
+                          /{result.folder}
+                        </Link>
+                      </td>
+                      <td>{formatFileSize(result.size)}</td>
+                      <td>{result.lastModified.toLocaleString()}</td>
+                      <td>
+                        <Badge bg={result.storageClass === 'GLACIER' || result.storageClass === 'DEEP_ARCHIVE' ? 'info' : 'secondary'}>
+                          {result.storageClass}
+                        </Badge>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,462 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { Table, Button, Form, Alert, Spinner, ProgressBar, Badge } from 'react-bootstrap';
+import {
+  FaFolder,
+  FaFile,
+  FaDownload,
+  FaEye,
+  FaLock,
+  FaClock,
+  FaBan,
+  FaUnlink,
+  FaFileArchive,
+  FaExclamationTriangle
+} from 'react-icons/fa';
+import { useToast } from '../contexts/ToastContext';
+import { openShare } from '../services/shareService';
+import {
+  createShareStorage,
+  getUnavailableStatus,
+  getSharedFile,
+  listSharedFolder,
+  downloadSharedFile,
+  previewSharedFile,
+  downloadSharedFolder
+} from '../services/shareAccessService';
+import { formatFileSize, getPreviewType } from '../services/s3Service';
+import FilePreviewModal from '../components/FilePreviewModal';
+import brandLogo from '../images/Logo.png';
+import './SharedItem.css';
+
+// Pages shown instead of the shared item, keyed by share status
+const UNAVAILABLE_PAGES = {
+  not_found: {
+    icon: FaUnlink,
+    title: 'Link not found',
+    text: 'This share link does not exist. Check that you copied the whole link.'
+  },
+  revoked: {
+    icon: FaBan,
+    title: 'Link revoked',
+    text: 'The owner has stopped sharing this item. Ask them for a new link if you still need it.'
+  },
+  expired: {
+    icon: FaClock,
+    title: 'Link expired',
+    text: 'This share link is no longer valid. Ask the owner for a new link if you still need it.'
+  },
+  exhausted: {
+    icon: FaBan,
+    title: 'Download limit reached',
+    text: 'This share link has been used as often as the owner allowed. Ask them for a new link if you still need it.'
+  },
+  missing: {
+    icon: FaUnlink,
+    title: 'No longer available',
+    text: 'The shared item has been moved or deleted since the link was created.'
+  },
+  unsupported: {
+    icon: FaExclamationTriangle,
+    title: 'Sharing is not available',
+    text: 'This Vayubox installation cannot serve share links to people without an account. The owner has to set up the presign service.'
+  }
+};
+
+const SharedItem = () => {
+  const { token } = useParams();
+  // 'loading', 'ok', 'password_required', 'invalid_password', 'archived', 'error' or a key of UNAVAILABLE_PAGES
+  const [status, setStatus] = useState('loading');
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [passwordInput, setPasswordInput] = useState('');
+  // Password the share was opened with, sent along with every request
+  const [password, setPassword] = useState(null);
+  const [share, setShare] = useState(null);
+  const [storage, setStorage] = useState(null);
+  // The shared file, or the folder currently listed and its contents
+  const [file, setFile] = useState(null);
+  const [path, setPath] = useState(null);
+  const [items, setItems] = useState([]);
+  const [listing, setListing] = useState(false);
+  const [previewItem, setPreviewItem] = useState(null);
+  // Key of the file being downloaded, or the folder key while its zip is built
+  const [downloading, setDownloading] = useState(null);
+  const [zipProgress, setZipProgress] = useState(0);
+  const { showToast } = useToast();
+
+  // The link stopped working while it was open, or something else went wrong
+  const handleError = useCallback((error, action) => {
+    const unavailable = getUnavailableStatus(error);
+    if (unavailable) {
+      setStatus(unavailable);
+    } else {
+      showToast(`${action} failed: ${error.message}`, 'error');
+    }
+  }, [showToast]);
+
+  const open = useCallback(async (enteredPassword) => {
+    setStatus('loading');
+    setErrorMessage(null);
+    try {
+      const result = await openShare(token, enteredPassword);
+      if (result.status !== 'ok') {
+        setStatus(result.status);
+        return;
+      }
+
+      const shareStorage = createShareStorage(result.share, token, enteredPassword);
+      if (!shareStorage) {
+        setStatus('unsupported');
+        return;
+      }
+      setShare(result.share);
+      setStorage(shareStorage);
+      setPassword(enteredPassword || null);
+
+      if (result.share.targetType === 'folder') {
+        setPath(result.share.targetKey);
+        setStatus('ok');
+        return;
+      }
+      const sharedFile = await getSharedFile(shareStorage, result.share);
+      setFile(sharedFile);
+      setStatus(!sharedFile ? 'missing' : sharedFile.archived ? 'archived' : 'ok');
+    } catch (error) {
+      const unavailable = getUnavailableStatus(error);
+      setStatus(unavailable || 'error');
+      setErrorMessage(error.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    open();
+  }, [open]);
+
+  useEffect(() => {
+    if (!storage || path === null) return undefined;
+    let cancelled = false;
+    setListing(true);
+    listSharedFolder(storage, path)
+      .then(found => {
+        if (!cancelled) setItems(found);
+      })
+      .catch(error => {
+        if (!cancelled) handleError(error, 'Loading the folder');
+      })
+      .finally(() => {
+        if (!cancelled) setListing(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, path, handleError]);
+
+  const updateDownloadCount = (result) => {
+    if (result.status !== 'ok') {
+      setStatus(result.status);
+      return false;
+    }
+    // The presign service counts single files without reporting the total
+    setShare(current => ({ ...current, downloadCount: result.downloadCount ?? current.downloadCount + 1 }));
+    return true;
+  };
+
+  // Previews count as downloads, a link used up by one shows why on the page
+  const loadSharedPreview = useCallback(async (item) => {
+    try {
+      const preview = await previewSharedFile(storage, token, password, item);
+      if (!preview.archived) {
+        setShare(current => ({ ...current, downloadCount: current.downloadCount + 1 }));
+      }
+      return preview;
+    } catch (error) {
+      if (getUnavailableStatus(error)) {
+        setPreviewItem(null);
+        handleError(error, 'Preview');
+      }
+      throw error;
+    }
+  }, [storage, token, password, handleError]);
+
+  const handleDownload = async (item) => {
+    setDownloading(item.key);
+    try {
+      updateDownloadCount(await downloadSharedFile(storage, token, password, item));
+    } catch (error) {
+      handleError(error, 'Download');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleDownloadFolder = async () => {
+    const folder = {
+      key: path,
+      name: path === share.targetKey ? share.itemName : path.slice(0, -1).split('/').pop()
+    };
+    setDownloading(folder.key);
+    setZipProgress(0);
+    try {
+      const result = await downloadSharedFolder(storage, token, password, folder, setZipProgress);
+      if (updateDownloadCount(result) && result.skippedCount > 0) {
+        showToast(
+          `${result.skippedCount} ${result.skippedCount === 1 ? 'file was' : 'files were'} left out of the zip because ${result.skippedCount === 1 ? 'it is' : 'they are'} archived or unreadable`,
+          'warning'
+        );
+      }
+    } catch (error) {
+      handleError(error, 'Download');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    open(passwordInput);
+  };
+
+  // Folders between the shared folder and the listed one, e.g. [{ name: 'photos', key }, { name: '2024', key }]
+  const getBreadcrumbs = () => {
+    const below = path.slice(share.targetKey.length).split('/').filter(Boolean);
+    return [
+      { name: share.itemName, key: share.targetKey },
+      ...below.map((name, index) => ({ name, key: `${share.targetKey}${below.slice(0, index + 1).join('/')}/` }))
+    ];
+  };
+
+  const renderLimits = () => (
+    <p className="shared-limits text-muted small">
+      Link valid until {share.expiresAt.toLocaleString()}
+      {share.maxDownloads && ` · ${share.downloadCount} of ${share.maxDownloads} downloads used, previews count as downloads`}
+    </p>
+  );
+
+  const renderFile = () => (
+    <div className="shared-file">
+      <FaFile className="shared-file-icon" />
+      <h2 className="shared-name">{file.name}</h2>
+      <p className="text-muted">{formatFileSize(file.size)}</p>
+      {renderLimits()}
+      <div className="shared-actions">
+        {getPreviewType(file.name) && (
+          <Button variant="outline-primary" onClick={() => setPreviewItem(file)}>
+            <FaEye className="me-2" />
+            Preview
+          </Button>
+        )}
+        <Button variant="primary" onClick={() => handleDownload(file)} disabled={Boolean(downloading)}>
+          {downloading ? <Spinner animation="border" size="sm" className="me-2" /> : <FaDownload className="me-2" />}
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+
+  const renderFolder = () => {
+    const breadcrumbs = getBreadcrumbs();
+    const hasArchived = items.some(item => item.archived);
+    return (
+      <>
+        <div className="shared-folder-header">
+          <div>
+            <nav className="shared-breadcrumbs" aria-label="Folder">
+              {breadcrumbs.map((crumb, index) => (
+                <span key={crumb.key}>
+                  {index > 0 && <span className="text-muted"> / </span>}
+                  {index < breadcrumbs.length - 1 ? (
+                    <Button variant="link" className="p-0" onClick={() => setPath(crumb.key)}>{crumb.name}</Button>
+                  ) : (
+                    <strong>{crumb.name}</strong>
+                  )}
+                </span>
+              ))}
+            </nav>
+            {renderLimits()}
+          </div>
+          <Button
+            variant="primary"
+            onClick={handleDownloadFolder}
+            disabled={Boolean(downloading) || listing || items.length === 0}
+          >
+            <FaFileArchive className="me-2" />
+            Download as zip
+          </Button>
+        </div>
+
+        {downloading === path && (
+          <ProgressBar now={zipProgress} label={`${zipProgress}%`} className="mb-3" />
+        )}
+        {hasArchived && (
+          <Alert variant="warning">
+            Some files are archived in Glacier. They cannot be previewed or downloaded until the owner restores them.
+          </Alert>
+        )}
+
+        <div className="table-responsive">
+          <Table hover className="custom-table">
+            <thead>
+              <tr>
+                <th className="name-column">Name</th>
+                <th className="size-column">Size</th>
+                <th className="size-column">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {listing ? (
+                <tr>
+                  <td colSpan="3" className="text-center p-4">
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    Loading...
+                  </td>
+                </tr>
+              ) : items.length === 0 ? (
+                <tr>
+                  <td colSpan="3" className="text-center text-muted p-4">
+                    {path === share.targetKey ? 'This folder is empty or no longer exists' : 'This folder is empty'}
+                  </td>
+                </tr>
+              ) : (
+                items.map(item => (
+                  <tr key={item.key} className="file-row">
+                    <td>
+                      {item.type === 'folder' ? (
+                        <Button variant="link" className="file-name p-0" onClick={() => setPath(item.key)}>
+                          <FaFolder className="file-type-icon text-warning" />
+                          <span>{item.name}</span>
+                        </Button>
+                      ) : (
+                        <div className="file-name">
+                          <FaFile className="file-type-icon" />
+                          <span>{item.name}</span>
+                          {item.archived && <Badge bg="secondary" className="ms-2">Archived</Badge>}
+                        </div>
+                      )}
+                    </td>
+                    <td>{item.type === 'folder' ? '-' : formatFileSize(item.size)}</td>
+                    <td className="text-center">
+                      {item.type === 'file' && (
+                        <div className="shared-actions">
+                          {getPreviewType(item.name) && (
+                            <Button
+                              variant="outline-secondary"
+                              size="sm"
+                              onClick={() => setPreviewItem(item)}
+                              disabled={item.archived}
+                              title="Preview"
+                            >
+                              <FaEye />
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            onClick={() => handleDownload(item)}
+                            disabled={item.archived || Boolean(downloading)}
+                            title="Download"
+                          >
+                            {downloading === item.key ? <Spinner animation="border" size="sm" /> : <FaDownload />}
+                          </Button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </div>
+      </>
+    );
+  };
+
+  const renderPasswordForm = () => (
+    <div className="shared-message">
+      <FaLock className="shared-message-icon" />
+      <h2>Password required</h2>
+      <p className="text-muted">The owner protected this link with a password.</p>
+      <Form onSubmit={handlePasswordSubmit} className="shared-password-form">
+        <Form.Control
+          type="password"
+          autoFocus
+          autoComplete="off"
+          placeholder="Password"
+          value={passwordInput}
+          onChange={(e) => setPasswordInput(e.target.value)}
+          isInvalid={status === 'invalid_password'}
+          aria-label="Password"
+        />
+        <Form.Control.Feedback type="invalid">Wrong password</Form.Control.Feedback>
+        <Button type="submit" variant="primary" className="mt-3 w-100" disabled={!passwordInput}>
+          Open
+        </Button>
+      </Form>
+    </div>
+  );
+
+  const renderMessage = ({ icon: Icon, title, text }, action = null) => (
+    <div className="shared-message">
+      <Icon className="shared-message-icon" />
+      <h2>{title}</h2>
+      <p className="text-muted mb-0">{text}</p>
+      {action}
+    </div>
+  );
+
+  const renderContent = () => {
+    switch (status) {
+      case 'loading':
+        return (
+          <div className="shared-message">
+            <Spinner animation="border" />
+          </div>
+        );
+      case 'ok':
+        return share.targetType === 'folder' ? renderFolder() : renderFile();
+      case 'password_required':
+      case 'invalid_password':
+        return renderPasswordForm();
+      case 'archived':
+        return renderMessage({
+          icon: FaClock,
+          title: 'File archived',
+          text: file.restoring
+            ? `${file.name} is archived in ${file.storageClass} and is being restored. Try again in a few hours.`
+            : `${file.name} is archived in ${file.storageClass}. The owner has to restore it before it can be downloaded.`
+        });
+      case 'error':
+        return renderMessage(
+          { icon: FaExclamationTriangle, title: 'Something went wrong', text: errorMessage },
+          <Button variant="outline-primary" className="mt-3" onClick={() => open(password)}>Try again</Button>
+        );
+      default:
+        return renderMessage(UNAVAILABLE_PAGES[status] || UNAVAILABLE_PAGES.not_found);
+    }
+  };
+
+  return (
+    <div className="shared-page">
+      <header className="shared-brand">
+        <img src={brandLogo} alt="Vayubox" className="shared-brand-logo" />
+        <span>Vayubox</span>
+      </header>
+      <main className="shared-card">
+        {renderContent()}
+      </main>
+
+      <FilePreviewModal
+        show={Boolean(previewItem)}
+        item={previewItem}
+        adapter={storage}
+        load={loadSharedPreview}
+        onHide={() => setPreviewItem(null)}
+        onDownload={(item) => {
+          setPreviewItem(null);
+          handleDownload(item);
+        }}
+      />
+    </div>
+  );
+};
+
+export default SharedItem;
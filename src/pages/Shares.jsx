@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Table, Modal, Button, Spinner, Alert, Badge, Form, Tabs, Tab } from 'react-bootstrap';
+import { FaFolder, FaFile, FaCopy, FaBan, FaInfoCircle } from 'react-icons/fa';
+import { listShares, revokeShare, getShareStatus } from '../services/shareService';
+import { listUploadLinks, revokeUploadLink, getUploadLinkStatus } from '../services/uploadLinkService';
+import { useToast } from '../contexts/ToastContext';
+import UploadLinksTable from '../components/UploadLinksTable';
+import './Shares.css';
+
+const STATUS_BADGES = {
+  active: { bg: 'success', label: 'Active' },
+  expired: { bg: 'secondary', label: 'Expired' },
+  exhausted: { bg: 'warning', label: 'Limit reached' },
+  revoked: { bg: 'danger', label: 'Revoked' }
+};
+
+const Shares = () => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploadLinks, setUploadLinks] = useState([]);
+  const [loadingUploadLinks, setLoadingUploadLinks] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  // 'shares' or 'uploads'
+  const [activeTab, setActiveTab] = useState('shares');
+  // Share or upload link waiting for the revoke confirmation
+  const [shareToRevoke, setShareToRevoke] = useState(null);
+  const [uploadLinkToRevoke, setUploadLinkToRevoke] = useState(null);
+  const [revoking, setRevoking] = useState(false);
+  const { showToast } = useToast();
+
+  const loadShares = useCallback(async () => {
+    setLoading(true);
+    try {
+      setShares(await listShares({ includeInactive: showInactive }));
+    } catch (error) {
+      showToast(`Error loading share links: ${error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showInactive, showToast]);
+
+  const loadUploadLinks = useCallback(async () => {
+    setLoadingUploadLinks(true);
+    try {
+      setUploadLinks(await listUploadLinks({ includeInactive: showInactive }));
+    } catch (error) {
+      showToast(`Error loading upload links: ${error.message}`, 'error');
+    } finally {
+      setLoadingUploadLinks(false);
+    }
+  }, [showInactive, showToast]);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares]);
+
+  useEffect(() => {
+    loadUploadLinks();
+  }, [loadUploadLinks]);
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      showToast('Link copied to the clipboard', 'success');
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      showToast('Could not copy the link', 'warning');
+    }
+  };
+
+  const confirmRevoke = async () => {
+    setRevoking(true);
+    try {
+      if (uploadLinkToRevoke) {
+        await revokeUploadLink(uploadLinkToRevoke);
+        showToast(`The upload link to ${uploadLinkToRevoke.folderName} no longer works`, 'success');
+      } else {
+        await revokeShare(shareToRevoke);
+        showToast(`The link to ${shareToRevoke.itemName} no longer works`, 'success');
+      }
+    } catch (error) {
+      showToast(`Revoke failed: ${error.message}`, 'error');
+    } finally {
+      setRevoking(false);
+      if (uploadLinkToRevoke) {
+        setUploadLinkToRevoke(null);
+        loadUploadLinks();
+      } else {
+        setShareToRevoke(null);
+        loadShares();
+      }
+    }
+  };
+
+  const closeRevokeModal = () => {
+    setShareToRevoke(null);
+    setUploadLinkToRevoke(null);
+  };
+
+  const activeCount = activeTab === 'uploads'
+    ? uploadLinks.filter(link => getUploadLinkStatus(link) === 'active').length
+    : shares.filter(share => getShareStatus(share) === 'active').length;
+
+  return (
+    <div className="shares-container">
+      <div className="shares-header">
+        <h2 className="shares-title">Shares</h2>
+        <div className="shares-controls">
+          <p className="shares-subtitle">
+            {activeCount} active {activeCount === 1 ? 'link' : 'links'}
+          </p>
+          <Form.Check
+            type="switch"
+            id="shares-show-inactive"
+            label="Show expired and revoked links"
+            checked={showInactive}
+            onChange={(e) => setShowInactive(e.target.checked)}
+          />
+        </div>
+      </div>
+
+      <Alert variant="info" className="d-flex align-items-center">
+        <FaInfoCircle className="me-2" />
+        {activeTab === 'uploads'
+          ? 'Upload links are created with the Request Files button of the file browser. Every received file is recorded in the Activity page.'
+          : 'Links are created with the Share button of the file browser. Every visit and download is recorded in the Activity page.'}
+      </Alert>
+
+      <Tabs activeKey={activeTab} onSelect={(key) => setActiveTab(key)} className="mb-3">
+        <Tab eventKey="shares" title="Share links">
+          <div className="folder-content-wrapper">
+            <div className="table-responsive custom-table-container">
+              <Table hover className="custom-table">
+                <thead>
+                  <tr>
+                    <th className="name-column">Name</th>
+                    <th className="name-column">Created</th>
+                    <th className="name-column">Expires</th>
+                    <th className="size-column">Downloads</th>
+                    <th className="size-column">Visits</th>
+                    <th className="size-column">Status</th>
+                    <th className="size-column">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan="7" className="text-center p-4">
+                        <Spinner animation="border" size="sm" className="me-2" />
+                        Loading share links...
+                      </td>
+                    </tr>
+                  ) : shares.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="text-center text-muted p-4">
+                        {showInactive ? 'No share links yet' : 'No active share links'}
+                      </td>
+                    </tr>
+                  ) : (
+                    shares.map(share => {
+                      const status = getShareStatus(share);
+                      const badge = STATUS_BADGES[status];
+                      return (
+                        <tr key={share.id} className="file-row">
+                          <td>
+                            <div className="file-name">
+                              {share.targetType === 'folder'
+                                ? <FaFolder className="file-type-icon text-warning" />
+                                : <FaFile className="file-type-icon" />}
+                              <span title={share.targetKey}>{share.itemName}</span>
+                              {share.hasPassword && <Badge bg="light" text="dark" className="ms-2">Password</Badge>}
+                            </div>
+                          </td>
+                          <td>{share.createdAt.toLocaleString()}</td>
+                          <td>{share.revokedAt ? `Revoked ${share.revokedAt.toLocaleString()}` : share.expiresAt.toLocaleString()}</td>
+                          <td>{share.downloadCount}{share.maxDownloads ? ` / ${share.maxDownloads}` : ''}</td>
+                          <td>
+                            {share.accessCount}
+                            {share.lastAccessedAt && (
+                              <span className="text-muted small d-block">Last {share.lastAccessedAt.toLocaleString()}</span>
+                            )}
+                          </td>
+                          <td><Badge bg={badge.bg}>{badge.label}</Badge></td>
+                          <td className="text-center">
+                            <div className="shares-actions">
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                onClick={() => handleCopy(share)}
+                                disabled={status !== 'active'}
+                              >
+                                <FaCopy className="me-1" /> Copy Link
+                              </Button>
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => setShareToRevoke(share)}
+                                disabled={status === 'revoked' || revoking}
+                              >
+                                <FaBan className="me-1" /> Revoke
+                              </Button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </Table>
+            </div>
+          </div>
+        </Tab>
+        <Tab eventKey="uploads" title="Upload links">
+          <div className="folder-content-wrapper">
+            <UploadLinksTable
+              links={uploadLinks}
+              loading={loadingUploadLinks}
+              showInactive={showInactive}
+              revoking={revoking}
+              onCopy={handleCopy}
+              onRevoke={setUploadLinkToRevoke}
+            />
+          </div>
+        </Tab>
+      </Tabs>
+
+      {/* Revoke Confirmation Modal */}
+      <Modal show={Boolean(shareToRevoke || uploadLinkToRevoke)} onHide={() => !revoking && closeRevokeModal()}>
+        <Modal.Header closeButton>
+          <Modal.Title>Revoke Link</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {uploadLinkToRevoke ? (
+            <p className="mb-0">
+              Revoke the upload link to <strong>{uploadLinkToRevoke.folderName}</strong>? Nobody can upload
+              through it anymore. Files already received stay in your bucket.
+            </p>
+          ) : (
+            <p className="mb-0">
+              Revoke the link to <strong>{shareToRevoke?.itemName}</strong>? Anyone who has it loses access
+              immediately. The file stays in your bucket.
+            </p>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeRevokeModal} disabled={revoking}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={confirmRevoke} disabled={revoking}>
+            {revoking ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                Revoking...
+              </>
+            ) : (
+              'Revoke'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+};
+
+export default Shares;
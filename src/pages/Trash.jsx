@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Table, Modal, Button, Spinner, Alert } from 'react-bootstrap';
+import { FaFolder, FaFile, FaUndo, FaTrashAlt, FaInfoCircle } from 'react-icons/fa';
+import {
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  purgeExpiredTrash,
+  formatFileSize,
+  TRASH_RETENTION_DAYS
+} from '../services/s3Service';
+import { useToast } from '../contexts/ToastContext';
+import { useTransfer } from '../contexts/TransferContext';
+import './Trash.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Folder an entry was deleted from, e.g. '/photos/2024' for 'photos/2024/beach.jpg'
+const getOriginalLocation = (entry) => {
+  if (!entry.originalKey) return 'Unknown';
+  const parts = entry.originalKey.split('/').filter(Boolean);
+  return `/${parts.slice(0, -1).join('/')}`;
+};
+
+const Trash = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Id of the entry being restored or deleted, 'all' while emptying the trash
+  const [workingId, setWorkingId] = useState(null);
+  // Entries waiting for the "delete forever" confirmation
+  const [entriesToDelete, setEntriesToDelete] = useState(null);
+  const { showToast } = useToast();
+  const transferContext = useTransfer();
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      // Expired entries are removed before the list is shown
+      await purgeExpiredTrash({ force: true }).catch(() => {});
+      setEntries(await listTrash());
+    } catch (error) {
+      showToast(`Error loading the trash: ${error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (entry) => {
+    setWorkingId(entry.id);
+    try {
+      const result = await restoreFromTrash(entry, transferContext);
+      if (result.failed.length === 0) {
+        showToast(`Restored ${entry.name} to ${getOriginalLocation(entry)}`, 'success');
+      } else if (result.completedCount > 0) {
+        showToast(`Restored ${result.completedCount} objects of ${entry.name}, ${result.failed.length} failed`, 'warning');
+      } else {
+        showToast(`Could not restore ${entry.name}: ${result.failed[0].error}`, 'error');
+      }
+    } catch (error) {
+      showToast(`Restore failed: ${error.message}`, 'error');
+    } finally {
+      setWorkingId(null);
+      loadTrash();
+    }
+  };
+
+  const confirmDeleteForever = async () => {
+    const toDelete = entriesToDelete;
+    setWorkingId(toDelete.length === 1 ? toDelete[0].id : 'all');
+    let failedCount = 0;
+    try {
+      for (const entry of toDelete) {
+        const result = await deleteFromTrash(entry, transferContext);
+        failedCount += result.failed.length;
+      }
+      if (failedCount > 0) {
+        showToast(`${failedCount} ${failedCount === 1 ? 'object' : 'objects'} could not be deleted`, 'warning');
+      } else {
+        showToast(toDelete.length === 1 ? `Deleted ${toDelete[0].name} for good` : 'Trash emptied', 'success');
+      }
+    } catch (error) {
+      showToast(`Delete failed: ${error.message}`, 'error');
+    } finally {
+      setWorkingId(null);
+      setEntriesToDelete(null);
+      loadTrash();
+    }
+  };
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  return (
+    <div className="trash-container">
+      <div className="trash-header">
+        <h2 className="trash-title">Trash</h2>
+        <div className="trash-controls">
+          <p className="trash-subtitle">
+            {entries.length} {entries.length === 1 ? 'item' : 'items'} ({formatFileSize(totalSize)})
+          </p>
+          <Button
+            variant="outline-danger"
+            onClick={() => setEntriesToDelete(entries)}
+            disabled={loading || Boolean(workingId) || entries.length === 0}
+          >
+            <FaTrashAlt className="me-2" />
+            Empty Trash
+          </Button>
+        </div>
+      </div>
+
+      <Alert variant="info" className="d-flex align-items-center">
+        <FaInfoCircle className="me-2" />
+        Deleted files and folders stay here for {TRASH_RETENTION_DAYS} days, then they are deleted for good.
+      </Alert>
+
+      <div className="folder-content-wrapper">
+        <div className="table-responsive custom-table-container">
+          <Table hover className="custom-table">
+            <thead>
+              <tr>
+                <th className="name-column">Name</th>
+                <th className="name-column">Original Location</th>
+                <th className="name-column">Deleted</th>
+                <th className="size-column">Size</th>
+                <th className="size-column">Deleted For Good In</th>
+                <th className="size-column">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="6" className="text-center p-4">
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    Loading the trash...
+                  </td>
+                </tr>
+              ) : entries.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center text-muted p-4">The trash is empty</td>
+                </tr>
+              ) : (
+                entries.map(entry => {
+                  const daysLeft = Math.max(0, Math.ceil((entry.expiresAt.getTime() - Date.now()) / DAY_MS));
+                  return (
+                    <tr key={entry.id} className="file-row">
+                      <td>
+                        <div className="file-name">
+                          {entry.type === 'folder'
+                            ? <FaFolder className="file-type-icon text-warning" />
+                            : <FaFile className="file-type-icon" />}
+                          <span>{entry.name}</span>
+                        </div>
+                      </td>
+                      <td>{getOriginalLocation(entry)}</td>
+                      <td>{entry.deletedAt.toLocaleString()}</td>
+                      <td>
+                        {formatFileSize(entry.size)}
+                        {entry.type === 'folder' && (
+                          <span className="text-muted small"> ({entry.fileCount} {entry.fileCount === 1 ? 'file' : 'files'})</span>
+                        )}
+                      </td>
+                      <td>{daysLeft} {daysLeft === 1 ? 'day' : 'days'}</td>
+                      <td className="text-center">
+                        <div className="trash-actions">
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            onClick={() => handleRestore(entry)}
+                            disabled={Boolean(workingId) || !entry.originalKey}
+                          >
+                            {workingId === entry.id ? (
+                              <Spinner animation="border" size="sm" />
+                            ) : (
+                              <><FaUndo className="me-1" /> Restore</>
+                            )}
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => setEntriesToDelete([entry])}
+                            disabled={Boolean(workingId)}
+                          >
+                            <FaTrashAlt className="me-1" /> Delete Forever
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </Table>
+        </div>
+      </div>
+
+      {/* Delete Forever Confirmation Modal */}
+      <Modal show={Boolean(entriesToDelete)} onHide={() => !workingId && setEntriesToDelete(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>{entriesToDelete?.length === 1 ? 'Delete Forever' : 'Empty Trash'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            {entriesToDelete?.length === 1
+              ? <>Delete <strong>{entriesToDelete[0].name}</strong> ({formatFileSize(entriesToDelete[0].size)}) for good?</>
+              : <>Delete all {entriesToDelete?.length} items in the trash ({formatFileSize(totalSize)}) for good?</>}
+          </p>
+          <Alert variant="danger" className="mb-0">
+            This cannot be undone.
+          </Alert>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setEntriesToDelete(null)} disabled={Boolean(workingId)}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={confirmDeleteForever} disabled={Boolean(workingId)}>
+            {workingId ? (
+              <>
+                <Spinner animation="border" size="sm" className="me-2" />
+                Deleting...
+              </>
+            ) : (
+              'Delete Forever'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { Table, Button, Form, Spinner } from 'react-bootstrap';
+import { FaClock, FaBan, FaUnlink, FaExclamationTriangle, FaCheckCircle } from 'react-icons/fa';
+import { openUploadLink } from '../services/uploadLinkService';
+import { createUploadLinkStorage, getUnavailableStatus, uploadToLink } from '../services/shareAccessService';
+import { formatFileSize } from '../services/s3Service';
+import { useTransfer } from '../contexts/TransferContext';
+import UploadArea from '../components/UploadArea';
+import TransferProgress from '../components/TransferProgress';
+import brandLogo from '../images/Logo.png';
+import './SharedItem.css';
+
+// Pages shown instead of the upload area, keyed by link status
+const UNAVAILABLE_PAGES = {
+  not_found: {
+    icon: FaUnlink,
+    title: 'Link not found',
+    text: 'This upload link does not exist. Check that you copied the whole link.'
+  },
+  revoked: {
+    icon: FaBan,
+    title: 'Link revoked',
+    text: 'The owner no longer accepts files through this link. Ask them for a new link if you still need to send files.'
+  },
+  expired: {
+    icon: FaClock,
+    title: 'Link expired',
+    text: 'This upload link is no longer valid. Ask the owner for a new link if you still need to send files.'
+  },
+  unsupported: {
+    icon: FaExclamationTriangle,
+    title: 'Uploading is not available',
+    text: 'This Vayubox installation cannot accept files from people without an account. The owner has to set up the presign service.'
+  }
+};
+
+const UploadRequest = () => {
+  const { token } = useParams();
+  // 'loading', 'ok', 'error' or a key of UNAVAILABLE_PAGES
+  const [status, setStatus] = useState('loading');
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [link, setLink] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const [uploader, setUploader] = useState('');
+  // Files uploaded since the page was opened, uploaders cannot list the folder
+  const [uploaded, setUploaded] = useState([]);
+  const transferContext = useTransfer();
+
+  const open = useCallback(async () => {
+    setStatus('loading');
+    setErrorMessage(null);
+    try {
+      const result = await openUploadLink(token);
+      if (result.status !== 'ok') {
+        setStatus(result.status);
+        return;
+      }
+
+      const linkStorage = createUploadLinkStorage(result.link, token);
+      if (!linkStorage) {
+        setStatus('unsupported');
+        return;
+      }
+      setLink(result.link);
+      setStorage(linkStorage);
+      setStatus('ok');
+    } catch (error) {
+      setStatus('error');
+      setErrorMessage(error.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    open();
+  }, [open]);
+
+  // Called by UploadArea in place of uploadToS3, paths are relative to the link's folder
+  const uploadFile = useCallback(async (file, relativePath) => {
+    try {
+      const result = await uploadToLink(storage, link, token, file, relativePath, {
+        uploader: uploader.trim() || null,
+        transferContext
+      });
+      setUploaded(current => [{ name: result.key.slice(link.targetPrefix.length), size: result.size }, ...current]);
+      return result;
+    } catch (error) {
+      // The link stopped working while the page was open
+      const unavailable = getUnavailableStatus(error);
+      if (unavailable) {
+        setStatus(unavailable);
+      }
+      throw error;
+    }
+  }, [storage, link, token, uploader, transferContext]);
+
+  const renderLimits = () => {
+    const limits = [`Link valid until ${link.expiresAt.toLocaleString()}`];
+    if (link.maxFileSize) {
+      limits.push(`Files up to ${formatFileSize(link.maxFileSize)}`);
+    }
+    if (link.allowedTypes.length > 0) {
+      limits.push(`Accepted types: ${link.allowedTypes.join(', ')}`);
+    }
+    return limits.join(' · ');
+  };
+
+  const renderUpload = () => (
+    <>
+      <div className="shared-message pt-0">
+        <h2>Send files to {link.folderName}</h2>
+        {link.message && <p className="mb-2">{link.message}</p>}
+        <p className="shared-limits text-muted small">
+          Files you upload can only be seen by the owner of this link.
+        </p>
+      </div>
+
+      <Form.Group className="shared-password-form mb-4" controlId="uploaderName">
+        <Form.Label>Your name (optional)</Form.Label>
+        <Form.Control
+          type="text"
+          maxLength={100}
+          value={uploader}
+          onChange={(e) => setUploader(e.target.value)}
+          placeholder="So the owner knows who sent the files"
+        />
+      </Form.Group>
+
+      <UploadArea
+        currentPath=""
+        uploadFile={uploadFile}
+        title="Drop Files Here"
+        hint={renderLimits()}
+        accept={link.allowedTypes.length > 0 ? link.allowedTypes.join(',') : undefined}
+      />
+
+      {uploaded.length > 0 && (
+        <div className="table-responsive mt-4">
+          <Table hover className="custom-table">
+            <thead>
+              <tr>
+                <th className="name-column">Uploaded</th>
+                <th className="size-column">Size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {uploaded.map((file, index) => (
+                <tr key={`${file.name}-${index}`}>
+                  <td>
+                    <FaCheckCircle className="text-success me-2" />
+                    {file.name}
+                  </td>
+                  <td>{formatFileSize(file.size)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      )}
+    </>
+  );
+
+  const renderMessage = ({ icon: Icon, title, text }, action = null) => (
+    <div className="shared-message">
+      <Icon className="shared-message-icon" />
+      <h2>{title}</h2>
+      <p className="text-muted mb-0">{text}</p>
+      {action}
+    </div>
+  );
+
+  const renderContent = () => {
+    switch (status) {
+      case 'loading':
+        return (
+          <div className="shared-message">
+            <Spinner animation="border" />
+          </div>
+        );
+      case 'ok':
+        return renderUpload();
+      case 'error':
+        return renderMessage(
+          { icon: FaExclamationTriangle, title: 'Something went wrong', text: errorMessage },
+          <Button variant="outline-primary" className="mt-3" onClick={open}>Try again</Button>
+        );
+      default:
+        return renderMessage(UNAVAILABLE_PAGES[status] || UNAVAILABLE_PAGES.not_found);
+    }
+  };
+
+  return (
+    <div className="shared-page">
+      <header className="shared-brand">
+        <img src={brandLogo} alt="Vayubox" className="shared-brand-logo" />
+        <span>Vayubox</span>
+      </header>
+      <main className="shared-card">
+        {renderContent()}
+      </main>
+      <TransferProgress />
+    </div>
+  );
+};
+
+export default UploadRequest;
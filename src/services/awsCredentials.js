@@ -0,0 +1,202 @@
+import { STSClient, AssumeRoleWithWebIdentityCommand } from "@aws-sdk/client-sts";
+import { CognitoIdentityClient, GetIdCommand, GetOpenIdTokenCommand } from "@aws-sdk/client-cognito-identity";
+import { auth } from '../firebase.js';
+
+/**
+ * Vayubox AWS Credentials
+ * Instead of shipping one shared access key, the Firebase ID token of the
+ * signed-in user can be exchanged for short-lived AWS credentials:
+ *   'web-identity' - STS AssumeRoleWithWebIdentity with the Firebase token
+ *                    (Firebase registered as an IAM OIDC identity provider)
+ *   'cognito'      - Cognito identity pool with Firebase as OpenID provider,
+ *                    its OpenID token is then exchanged through STS
+ * When VITE_AWS_USER_PREFIX is set, the app treats that prefix as the user's
+ * bucket root. The prefix is only enforced by the role's own policy, which has
+ * to scope S3 access with the token's identity (see the README); anyone can
+ * call STS without the session policy the browser adds.
+ */
+
+// 'static' uses VITE_ACCESS_KEY_ID / VITE_SECRET_KEY
+export const CREDENTIALS_MODE = import.meta.env.VITE_AWS_CREDENTIALS || 'static';
+
+const FEDERATED_CONFIG = {
+  roleArn: import.meta.env.VITE_AWS_ROLE_ARN,
+  identityPoolId: import.meta.env.VITE_COGNITO_IDENTITY_POOL_ID,
+  // Identity pools live in a region, which is also the first part of the pool id
+  identityPoolRegion: import.meta.env.VITE_COGNITO_REGION
+    || import.meta.env.VITE_COGNITO_IDENTITY_POOL_ID?.split(':')[0],
+  region: import.meta.env.VITE_REGION || 'us-east-1',
+  bucket: import.meta.env.VITE_BUCKET_NAME,
+  // Prefix template such as 'users/{uid}/', it must match the prefix the role policy allows
+  userPrefix: import.meta.env.VITE_AWS_USER_PREFIX || '',
+  sessionDuration: Number(import.meta.env.VITE_AWS_SESSION_DURATION) || 3600,
+  firebaseProvider: `securetoken.google.com/${import.meta.env.VITE_FIREBASE_PROJECT_ID}`
+};
+
+// Refresh credentials this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether AWS credentials are exchanged from the Firebase login
+ * @returns {boolean} True for 'web-identity' and 'cognito' modes
+ */
+export const isFederatedCredentials = () => CREDENTIALS_MODE === 'web-identity' || CREDENTIALS_MODE === 'cognito';
+
+/**
+ * Get the bucket prefix the app uses as the signed-in user's root
+ * @returns {string|null} Prefix ending with '/', or null when no user prefix is configured
+ */
+export const getUserKeyPrefix = () => {
+  const uid = auth.currentUser?.uid;
+  if (!isFederatedCredentials() || !FEDERATED_CONFIG.userPrefix || !uid) {
+    return null;
+  }
+  const prefix = FEDERATED_CONFIG.userPrefix.replace('{uid}', uid);
+  return prefix.endsWith('/') ? prefix : `${prefix}/`;
+};
+
+/**
+ * Build the session policy narrowing the credentials to the user's prefix. It
+ * keeps the app's own requests within the prefix, but the caller chooses
+ * whether to send it, so the role policy is what keeps users apart.
+ * @param {string} prefix - User prefix
+ * @returns {string} IAM policy document
+ */
+const buildSessionPolicy = (prefix) => JSON.stringify({
+  Version: '2012-10-17',
+  Statement: [
+    {
+      Sid: 'ListOwnPrefix',
+      Effect: 'Allow',
+      Action: ['s3:ListBucket', 's3:ListBucketVersions'],
+      Resource: `arn:aws:s3:::${FEDERATED_CONFIG.bucket}`,
+      Condition: { StringLike: { 's3:prefix': [`${prefix}*`] } }
+    },
+    {
+      // Lets the Versions panel find out whether the bucket keeps versions
+      Sid: 'ReadBucketVersioning',
+      Effect: 'Allow',
+      Action: ['s3:GetBucketVersioning'],
+      Resource: `arn:aws:s3:::${FEDERATED_CONFIG.bucket}`
+    },
+    {
+      Sid: 'ObjectsUnderOwnPrefix',
+      Effect: 'Allow',
+      Action: [
+        's3:GetObject',
+        's3:GetObjectVersion',
+        's3:PutObject',
+        's3:DeleteObject',
+        's3:DeleteObjectVersion',
+        's3:RestoreObject',
+        's3:GetObjectTagging',
+        's3:PutObjectTagging',
+        's3:AbortMultipartUpload',
+        's3:ListMultipartUploadParts'
+      ],
+      Resource: `arn:aws:s3:::${FEDERATED_CONFIG.bucket}/${prefix}*`
+    },
+    {
+      Sid: 'CostExplorer',
+      Effect: 'Allow',
+      Action: ['ce:GetCostAndUsage'],
+      Resource: '*'
+    }
+  ]
+});
+
+// Exchange the Firebase token for a Cognito OpenID token
+const getCognitoOpenIdToken = async (firebaseToken) => {
+  const client = new CognitoIdentityClient({ region: FEDERATED_CONFIG.identityPoolRegion });
+  const Logins = { [FEDERATED_CONFIG.firebaseProvider]: firebaseToken };
+  const { IdentityId } = await client.send(new GetIdCommand({
+    IdentityPoolId: FEDERATED_CONFIG.identityPoolId,
+    Logins
+  }));
+  const { Token } = await client.send(new GetOpenIdTokenCommand({ IdentityId, Logins }));
+  return Token;
+};
+
+const assumeRole = async (user) => {
+  if (!FEDERATED_CONFIG.roleArn) {
+    throw new Error('VITE_AWS_ROLE_ARN is required for federated AWS credentials');
+  }
+
+  const firebaseToken = await user.getIdToken();
+  const webIdentityToken = CREDENTIALS_MODE === 'cognito'
+    ? await getCognitoOpenIdToken(firebaseToken)
+    : firebaseToken;
+  const prefix = getUserKeyPrefix();
+
+  const stsClient = new STSClient({ region: FEDERATED_CONFIG.region });
+  const { Credentials } = await stsClient.send(new AssumeRoleWithWebIdentityCommand({
+    RoleArn: FEDERATED_CONFIG.roleArn,
+    RoleSessionName: `vayubox-${user.uid}`.slice(0, 64),
+    WebIdentityToken: webIdentityToken,
+    DurationSeconds: FEDERATED_CONFIG.sessionDuration,
+    ...(prefix && { Policy: buildSessionPolicy(prefix) })
+  }));
+
+  return {
+    accessKeyId: Credentials.AccessKeyId,
+    secretAccessKey: Credentials.SecretAccessKey,
+    sessionToken: Credentials.SessionToken,
+    expiration: new Date(Credentials.Expiration)
+  };
+};
+
+let cachedCredentials = null;
+let cachedUid = null;
+let pendingCredentials = null;
+
+/**
+ * Credential provider for AWS SDK clients backed by the Firebase login.
+ * Credentials are cached per user and renewed shortly before they expire.
+ * @returns {Promise<Object>} Temporary AWS credentials
+ */
+export const getFederatedCredentials = async () => {
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error('You must be signed in to access AWS');
+  }
+
+  const isFresh = cachedCredentials
+    && cachedUid === user.uid
+    && cachedCredentials.expiration.getTime() - REFRESH_MARGIN_MS > Date.now();
+  if (isFresh) {
+    return cachedCredentials;
+  }
+
+  if (!pendingCredentials) {
+    pendingCredentials = assumeRole(user)
+      .then(credentials => {
+        cachedCredentials = credentials;
+        cachedUid = user.uid;
+        return credentials;
+      })
+      .catch(error => {
+        console.error('Error getting federated AWS credentials:', error);
+        throw error;
+      })
+      .finally(() => {
+        pendingCredentials = null;
+      });
+  }
+  return pendingCredentials;
+};
+
+/**
+ * Drop cached credentials, e.g. after signing out
+ */
+export const clearFederatedCredentials = () => {
+  cachedCredentials = null;
+  cachedUid = null;
+};
+
+export default {
+  CREDENTIALS_MODE,
+  isFederatedCredentials,
+  getUserKeyPrefix,
+  getFederatedCredentials,
+  clearFederatedCredentials
+};
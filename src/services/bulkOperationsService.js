@@ -0,0 +1,279 @@
+import JSZip from 'jszip';
+import { getStorageAdapter } from './storageAdapter.js';
+import { getParentPath, listAllObjects, deleteFolder } from './objectOperationsService.js';
+import { moveToTrash } from './trashService.js';
+import { restoreFromGlacier, restoreFromGlacierBulk } from './glacierService.js';
+import { logActivity } from './supabaseHistoryService.js';
+
+/**
+ * Vayubox Bulk Operations Service
+ * Actions on a selection of files and folders from the file browser. Each
+ * action shows up as one transfer with the progress of the whole selection,
+ * and items that fail are reported back instead of stopping the rest.
+ */
+
+// Objects fetched at the same time while building a zip
+const ZIP_BATCH_SIZE = 10;
+
+// History records store folder paths without the trailing slash
+const toFolderPath = (prefix) => prefix.replace(/\/$/, '') || null;
+
+// Name a selection in transfer labels, e.g. 'report.pdf' or '3 items'
+const describeItems = (items) => (items.length === 1 ? items[0].name : `${items.length} items`);
+
+// Count a finished item against the selection's transfer
+const createItemProgress = (transferContext, transferId, total) => {
+  let done = 0;
+  return () => {
+    done++;
+    if (transferId) {
+      transferContext.updateTransferProgress(transferId, done, total);
+    }
+  };
+};
+
+const finishTransfer = (transferContext, transferId, failed, verb) => {
+  if (!transferId) return;
+  if (failed.length === 0) {
+    transferContext.completeTransfer(transferId);
+  } else {
+    transferContext.errorTransfer(transferId, new Error(`${failed.length} ${failed.length === 1 ? 'item' : 'items'} could not be ${verb}`));
+  }
+};
+
+/**
+ * Download a selection of files and folders as one zip. Folders keep their
+ * structure inside the zip. Archived Glacier objects that are not restored
+ * are left out and reported as failed.
+ * @param {Array} items - Listing items ({ key, name, type, size, storageClass })
+ * @param {string} zipName - File name of the zip, without '.zip'
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { downloadedCount, failed: [{ key, error }] }
+ */
+export const downloadItemsAsZip = async (items, zipName, transferContext = null) => {
+  let transferId = null;
+  try {
+    const objects = [];
+    for (const item of items) {
+      const basePath = getParentPath(item.key);
+      const itemObjects = item.type === 'folder'
+        ? (await listAllObjects(item.key)).filter(object => !object.Key.endsWith('/'))
+        : [{ Key: item.key, Size: item.size || 0 }];
+      itemObjects.forEach(object => objects.push({ ...object, path: object.Key.slice(basePath.length) }));
+    }
+
+    if (objects.length === 0) {
+      throw new Error('The selected folders are empty');
+    }
+
+    const totalSize = objects.reduce((sum, object) => sum + (object.Size || 0), 0);
+    if (transferContext) {
+      transferId = transferContext.addTransfer({
+        name: `${zipName}.zip`,
+        type: 'download',
+        size: totalSize,
+        fileCount: objects.length
+      });
+    }
+
+    const zip = new JSZip();
+    const failed = [];
+    let downloadedCount = 0;
+    let downloadedSize = 0;
+    let processedSize = 0;
+
+    for (let i = 0; i < objects.length; i += ZIP_BATCH_SIZE) {
+      await Promise.all(objects.slice(i, i + ZIP_BATCH_SIZE).map(async (object) => {
+        try {
+          const response = await getStorageAdapter().getObject({ Key: object.Key });
+          zip.file(object.path, await response.Body.transformToByteArray());
+          downloadedCount++;
+          downloadedSize += object.Size || 0;
+        } catch (error) {
+          console.error(`Error adding ${object.Key} to the zip:`, error);
+          failed.push({
+            key: object.Key,
+            error: error.name === 'InvalidObjectState' ? 'Archived in Glacier and not restored' : error.message
+          });
+        }
+        processedSize += object.Size || 0;
+        if (transferId && totalSize > 0) {
+          transferContext.updateTransferProgress(transferId, processedSize, totalSize);
+        }
+      }));
+    }
+
+    if (downloadedCount === 0) {
+      throw new Error('None of the selected files could be downloaded');
+    }
+
+    const content = await zip.generateAsync({
+      type: 'blob',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 5 }
+    }, (metadata) => {
+      if (transferId) {
+        transferContext.updateTransfer(transferId, {
+          progress: Math.round(metadata.percent),
+          status: 'compressing'
+        });
+      }
+    });
+
+    const url = window.URL.createObjectURL(content);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${zipName}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+
+    await logActivity({
+      action: 'Download',
+      itemName: `${zipName}.zip`,
+      size: downloadedSize,
+      fileCount: downloadedCount,
+      folderPath: toFolderPath(getParentPath(items[0].key)),
+      metadata: {
+        items: items.map(item => item.name),
+        failed_count: failed.length
+      }
+    });
+
+    if (transferId) {
+      if (failed.length === 0) {
+        transferContext.completeTransfer(transferId);
+      } else {
+        transferContext.errorTransfer(transferId, new Error(`${failed.length} ${failed.length === 1 ? 'file was' : 'files were'} left out of the zip`));
+      }
+    }
+
+    return { downloadedCount, failed };
+  } catch (error) {
+    console.error('Error downloading selection:', error);
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+// Delete a single file for good
+const deleteFile = async (item) => {
+  await getStorageAdapter().deleteObject({ Key: item.key });
+  await logActivity({
+    action: 'Delete',
+    itemName: item.name,
+    size: item.size || 0,
+    fileCount: 1,
+    folderPath: toFolderPath(getParentPath(item.key))
+  });
+  return { deletedCount: 1, failed: [] };
+};
+
+/**
+ * Delete a selection of files and folders, moving them to the trash unless
+ * they are deleted permanently
+ * @param {Array} items - Listing items ({ key, name, type, size, storageClass })
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.permanent] - Delete for good instead of moving to the trash
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { deletedCount, failed: [{ key, error }] }
+ */
+export const deleteItems = async (items, { permanent = false } = {}, transferContext = null) => {
+  let transferId = null;
+  try {
+    if (transferContext) {
+      transferId = transferContext.addTransfer({
+        name: `${permanent ? 'Delete' : 'Move to trash'}: ${describeItems(items)}`,
+        type: 'delete',
+        fileCount: items.length
+      });
+    }
+    const itemDone = createItemProgress(transferContext, transferId, items.length);
+
+    let deletedCount = 0;
+    const failed = [];
+    for (const item of items) {
+      try {
+        const result = !permanent
+          ? await moveToTrash(item)
+          : item.type === 'folder' ? await deleteFolder(item) : await deleteFile(item);
+        deletedCount += result.deletedCount;
+        failed.push(...result.failed);
+      } catch (error) {
+        failed.push({ key: item.key, error: error.message });
+      }
+      itemDone();
+    }
+
+    finishTransfer(transferContext, transferId, failed, 'deleted');
+    return { deletedCount, failed };
+  } catch (error) {
+    console.error('Error deleting selection:', error);
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Start Glacier restores for a selection of archived files and folders, all with the same tier
+ * @param {Array} items - Listing items ({ key, name, type })
+ * @param {string} tier - Retrieval tier: 'Expedited', 'Standard', or 'Bulk'
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { initiatedCount, failed: [{ key, error }] }
+ */
+export const restoreItemsFromGlacier = async (items, tier = 'Standard', transferContext = null) => {
+  let transferId = null;
+  try {
+    if (transferContext) {
+      transferId = transferContext.addTransfer({
+        name: `Restore: ${describeItems(items)}`,
+        type: 'bulk-restore',
+        fileCount: items.length,
+        tier
+      });
+    }
+    const itemDone = createItemProgress(transferContext, transferId, items.length);
+
+    let initiatedCount = 0;
+    const failed = [];
+    for (const item of items) {
+      try {
+        if (item.type === 'folder') {
+          const result = await restoreFromGlacierBulk(item.key, tier);
+          initiatedCount += result.restoredFiles;
+          if (result.failedFiles > 0) {
+            failed.push({ key: item.key, error: `${result.failedFiles} ${result.failedFiles === 1 ? 'file' : 'files'} could not be restored` });
+          }
+        } else {
+          const result = await restoreFromGlacier(item.key, tier);
+          if (result.status === 'initiated') {
+            initiatedCount++;
+          }
+        }
+      } catch (error) {
+        failed.push({ key: item.key, error: error.message });
+      }
+      itemDone();
+    }
+
+    finishTransfer(transferContext, transferId, failed, 'restored');
+    return { initiatedCount, failed };
+  } catch (error) {
+    console.error('Error restoring selection from Glacier:', error);
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+export default {
+  downloadItemsAsZip,
+  deleteItems,
+  restoreItemsFromGlacier
+};
@@ -0,0 +1,269 @@
+import { auth } from '../firebase.js';
+import { STORAGE_CONFIG, getAwsCredentials } from './storageClient.js';
+
+/**
+ * Vayubox Connection Service
+ * Manages the buckets a user can switch between. The bucket configured through
+ * VITE_BUCKET_NAME is always available as the default connection; additional
+ * connections (other buckets, regions, accounts or S3-compatible endpoints)
+ * are saved per user in localStorage. Their secret keys are only kept in
+ * memory and have to be entered again after the page is reloaded.
+ */
+
+export const DEFAULT_CONNECTION_ID = 'default';
+
+const CONNECTIONS_KEY = 'vayubox_connections';
+const ACTIVE_CONNECTION_KEY = 'vayubox_active_connection';
+
+const changeListeners = new Set();
+// Secret keys of saved connections, keyed like the storage entries; never written to storage
+const sessionSecrets = new Map();
+
+// Connections are stored per Firebase user so people sharing a browser don't see each other's keys
+const storageKey = (key) => `${key}_${auth.currentUser?.uid || 'anonymous'}`;
+
+const readJson = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(storageKey(key));
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error('Error reading saved connections:', error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  localStorage.setItem(storageKey(key), JSON.stringify(value));
+};
+
+// Saved connections without their secrets. Secrets stored by older versions are moved to memory
+const readSavedConnections = () => {
+  const saved = readJson(CONNECTIONS_KEY, []);
+  if (!saved.some(connection => connection.secretAccessKey)) {
+    return saved;
+  }
+  const stripped = saved.map(({ secretAccessKey, ...connection }) => {
+    if (secretAccessKey) {
+      sessionSecrets.set(storageKey(connection.id), secretAccessKey);
+    }
+    return connection;
+  });
+  writeJson(CONNECTIONS_KEY, stripped);
+  return stripped;
+};
+
+// A connection with its own access key needs the secret entered in this session
+const withSecret = (connection) => {
+  const secretAccessKey = sessionSecrets.get(storageKey(connection.id)) || '';
+  return {
+    ...connection,
+    secretAccessKey,
+    needsSecret: Boolean(connection.accessKeyId && !secretAccessKey)
+  };
+};
+
+const notifyChange = () => {
+  changeListeners.forEach(listener => {
+    try {
+      listener(getActiveConnection());
+    } catch (error) {
+      console.error('Error in connection listener:', error);
+    }
+  });
+};
+
+/**
+ * Check whether extra connections can be added. Only the S3 backend talks to
+ * arbitrary buckets; the presign service and the memory backend have one bucket.
+ * @returns {boolean} True if connections other than the default can be used
+ */
+export const supportsMultipleConnections = () => STORAGE_CONFIG.backend === 's3';
+
+/**
+ * The connection configured through the environment
+ * @returns {Object} Default connection
+ */
+export const getDefaultConnection = () => ({
+  id: DEFAULT_CONNECTION_ID,
+  name: import.meta.env.VITE_BUCKET_NAME || 'Default bucket',
+  bucket: import.meta.env.VITE_BUCKET_NAME,
+  region: STORAGE_CONFIG.region || '',
+  endpoint: STORAGE_CONFIG.endpoint || '',
+  isDefault: true
+});
+
+/**
+ * Get all connections, the default connection first
+ * @returns {Array} Connections
+ */
+export const getConnections = () => {
+  const saved = supportsMultipleConnections() ? readSavedConnections().map(withSecret) : [];
+  return [getDefaultConnection(), ...saved];
+};
+
+/**
+ * Get the connection currently selected in the Navbar. Until its secret key is
+ * entered again, a connection selected before a reload falls back to the default.
+ * @returns {Object} Active connection
+ */
+export const getActiveConnection = () => {
+  const activeId = readJson(ACTIVE_CONNECTION_KEY, DEFAULT_CONNECTION_ID);
+  const connections = getConnections();
+  return connections.find(connection => connection.id === activeId && !connection.needsSecret) || connections[0];
+};
+
+/**
+ * Bucket of the active connection, used to scope history records
+ * @returns {string} Bucket name
+ */
+export const getActiveBucketName = () => getActiveConnection().bucket;
+
+/**
+ * Select the connection used by all storage operations
+ * @param {string} connectionId - Connection id
+ */
+export const setActiveConnection = (connectionId) => {
+  const connection = getConnections().find(existing => existing.id === connectionId);
+  if (!connection) {
+    throw new Error('Connection not found');
+  }
+  if (connection.needsSecret) {
+    throw new Error(`Enter the secret key of ${connection.name} again, it is not kept after the page is closed`);
+  }
+  writeJson(ACTIVE_CONNECTION_KEY, connectionId);
+  notifyChange();
+};
+
+/**
+ * Add or update a saved connection
+ * @param {Object} connection - Connection details
+ * @param {string} [connection.id] - Id of the connection to update
+ * @param {string} connection.name - Display name
+ * @param {string} connection.bucket - Bucket name
+ * @param {string} [connection.region] - Bucket region
+ * @param {string} [connection.endpoint] - S3-compatible endpoint
+ * @param {boolean} [connection.forcePathStyle] - Use path-style addressing
+ * @param {string} [connection.accessKeyId] - Access key, the app credentials are used when empty
+ * @param {string} [connection.secretAccessKey] - Secret key, kept in memory for this session only
+ * @param {string} [connection.costTagKey] - Cost allocation tag used to scope Cost Explorer data
+ * @param {string} [connection.costTagValue] - Cost allocation tag value
+ * @returns {Object} Saved connection
+ */
+export const saveConnection = (connection) => {
+  if (!supportsMultipleConnections()) {
+    throw new Error('Additional connections are only available with the S3 storage backend');
+  }
+
+  const name = connection.name?.trim();
+  const bucket = connection.bucket?.trim();
+  if (!name) {
+    throw new Error('Connection name is required');
+  }
+  if (!bucket || !/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(bucket)) {
+    throw new Error('Enter a valid bucket name (3-63 lowercase letters, numbers, dots and hyphens)');
+  }
+  if (Boolean(connection.accessKeyId) !== Boolean(connection.secretAccessKey)) {
+    throw new Error('Enter both the access key and the secret key, or neither');
+  }
+
+  const saved = readSavedConnections();
+  const entry = {
+    id: connection.id || `conn-${Date.now().toString(36)}`,
+    name,
+    bucket,
+    region: connection.region?.trim() || '',
+    endpoint: connection.endpoint?.trim() || '',
+    forcePathStyle: Boolean(connection.forcePathStyle),
+    accessKeyId: connection.accessKeyId?.trim() || '',
+    costTagKey: connection.costTagKey?.trim() || '',
+    costTagValue: connection.costTagValue?.trim() || ''
+  };
+
+  const index = saved.findIndex(existing => existing.id === entry.id);
+  if (index >= 0) {
+    saved[index] = entry;
+  } else {
+    saved.push(entry);
+  }
+  writeJson(CONNECTIONS_KEY, saved);
+  if (entry.accessKeyId) {
+    sessionSecrets.set(storageKey(entry.id), connection.secretAccessKey);
+  } else {
+    sessionSecrets.delete(storageKey(entry.id));
+  }
+  notifyChange();
+  return withSecret(entry);
+};
+
+/**
+ * Remove a saved connection; the default connection becomes active if it was selected
+ * @param {string} connectionId - Connection id
+ */
+export const removeConnection = (connectionId) => {
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    throw new Error('The default connection cannot be removed');
+  }
+  writeJson(CONNECTIONS_KEY, readSavedConnections().filter(connection => connection.id !== connectionId));
+  sessionSecrets.delete(storageKey(connectionId));
+  if (readJson(ACTIVE_CONNECTION_KEY, DEFAULT_CONNECTION_ID) === connectionId) {
+    writeJson(ACTIVE_CONNECTION_KEY, DEFAULT_CONNECTION_ID);
+  }
+  notifyChange();
+};
+
+/**
+ * Forget the secret keys entered in this session, e.g. when signing out
+ */
+export const clearConnectionSecrets = () => {
+  sessionSecrets.clear();
+  notifyChange();
+};
+
+/**
+ * Subscribe to connection changes (switching, adding, editing, removing)
+ * @param {Function} listener - Called with the active connection
+ * @returns {Function} Unsubscribe function
+ */
+export const onConnectionChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+/**
+ * Credentials for AWS clients of a connection
+ * @param {Object} connection - Connection
+ * @returns {Object|Function} Connection keys, or the app credentials when it has none
+ */
+export const getConnectionCredentials = (connection) => (
+  connection.accessKeyId
+    ? { accessKeyId: connection.accessKeyId, secretAccessKey: connection.secretAccessKey }
+    : getAwsCredentials()
+);
+
+/**
+ * S3Client settings that differ from the central configuration for a connection
+ * @param {Object} connection - Connection
+ * @returns {Object} S3Client config overrides
+ */
+export const getConnectionClientConfig = (connection) => ({
+  region: connection.region || (connection.endpoint ? 'us-east-1' : STORAGE_CONFIG.region),
+  credentials: getConnectionCredentials(connection),
+  ...(connection.endpoint && { endpoint: connection.endpoint }),
+  forcePathStyle: connection.endpoint ? Boolean(connection.forcePathStyle) : STORAGE_CONFIG.forcePathStyle
+});
+
+export default {
+  DEFAULT_CONNECTION_ID,
+  supportsMultipleConnections,
+  getDefaultConnection,
+  getConnections,
+  getActiveConnection,
+  getActiveBucketName,
+  setActiveConnection,
+  saveConnection,
+  removeConnection,
+  clearConnectionSecrets,
+  onConnectionChange,
+  getConnectionCredentials,
+  getConnectionClientConfig
+};
@@ -1,23 +1,74 @@
 import { CostExplorerClient, GetCostAndUsageCommand } from "@aws-sdk/client-cost-explorer";
+import { STORAGE_CONFIG, supportsStorageFeature } from './storageClient.js';
+import { getActiveConnection, getConnectionCredentials } from './connectionService.js';
+
+// One Cost Explorer client per connection, since connections can live in other accounts
+const costExplorerClients = new Map();
+
+const getCostExplorerClient = (connection) => {
+  const cacheKey = `${connection.id}:${connection.accessKeyId || ''}:${connection.region || ''}`;
+  if (!costExplorerClients.has(cacheKey)) {
+    costExplorerClients.set(cacheKey, new CostExplorerClient({
+      region: connection.region || STORAGE_CONFIG.region,
+      credentials: getConnectionCredentials(connection),
+      maxAttempts: STORAGE_CONFIG.maxAttempts,
+      retryMode: STORAGE_CONFIG.retryMode
+    }));
+  }
+  return costExplorerClients.get(cacheKey);
+};
 
-const costExplorerClient = new CostExplorerClient({
-  region: import.meta.env.VITE_REGION,
-  credentials: {
-    accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
-    secretAccessKey: import.meta.env.VITE_SECRET_KEY,
+// Cost Explorer has no per-bucket dimension; saved connections narrow the data
+// down to their region and, if configured, a cost allocation tag on the bucket
+const getConnectionCostFilters = (connection) => {
+  if (connection.isDefault) {
+    return [];
   }
+  return [
+    ...(connection.region ? [{ Dimensions: { Key: 'REGION', Values: [connection.region] } }] : []),
+    ...(connection.costTagKey ? [{ Tags: { Key: connection.costTagKey, Values: [connection.costTagValue] } }] : [])
+  ];
+};
+
+// Empty cost breakdown returned when Cost Explorer is not available for the backend
+const getUnavailableCostData = () => ({
+  unavailable: true,
+  usageTypes: {},
+  storageClassDetails: {
+    standard: { size: 0, cost: 0 },
+    intelligentTiering: { size: 0, cost: 0 },
+    standardIA: { size: 0, cost: 0 },
+    oneZoneIA: { size: 0, cost: 0 },
+    glacier: { size: 0, cost: 0 },
+    glacierDeepArchive: { size: 0, cost: 0 }
+  },
+  dataTransferCosts: {
+    inbound: { size: 0, cost: 0 },
+    outbound: { size: 0, cost: 0 },
+    crossRegion: { size: 0, cost: 0 },
+    accelerated: { size: 0, cost: 0 }
+  },
+  dailyCosts: [],
+  monthlyTrends: [],
+  costAnomalies: []
 });
 
 export const getDetailedCostData = async () => {
+  // Cost Explorer only exists on AWS, S3-compatible backends have no billing API
+  const connection = getActiveConnection();
+  if (!supportsStorageFeature('costExplorer') || (!connection.isDefault && connection.endpoint)) {
+    return getUnavailableCostData();
+  }
+
   try {
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
     // Get detailed cost data for the current month
     const [storageData, requestData, transferData] = await Promise.all([
-      getCostsByMetric('StorageBytes'),
-      getCostsByMetric('Requests'),
-      getCostsByMetric('DataTransfer')
+      getCostsByMetric('StorageBytes', connection),
+      getCostsByMetric('Requests', connection),
+      getCostsByMetric('DataTransfer', connection)
     ]);
 
     // Process and combine the data
@@ -43,7 +94,7 @@ export const getDetailedCostData = async () => {
   }
 };
 
-const getCostsByMetric = async (metric) => {
+const getCostsByMetric = async (metric, connection) => {
   const now = new Date();
   const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
@@ -74,13 +125,14 @@ const getCostsByMetric = async (metric) => {
                 ? ['GetObject', 'PutObject', 'ListBucket', 'HeadObject']
                 : ['DataTransfer-In-Bytes', 'DataTransfer-Out-Bytes', 'DataTransfer-Regional-Bytes']
           }
-        }
+        },
+        ...getConnectionCostFilters(connection)
       ]
     }
   };
 
   const command = new GetCostAndUsageCommand(params);
-  return await costExplorerClient.send(command);
+  return await getCostExplorerClient(connection).send(command);
 };
 
 const processStorageData = (response) => {
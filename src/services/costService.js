@@ -68,6 +68,7 @@ export const getCostData = async () => {
     );
 
     return {
+      costDataUnavailable: Boolean(awsCosts.unavailable),
       totalSize,
       sizeInGB: Number(sizeInGB.toFixed(2)),
       billingCycle: {
@@ -1,46 +1,21 @@
-import { 
-  S3Client, 
-  ListObjectsV2Command, 
-  PutObjectCommand, 
-  HeadObjectCommand, 
-  RestoreObjectCommand, 
-  DeleteObjectCommand, 
-  DeleteObjectsCommand, 
-  GetObjectCommand, 
-  CopyObjectCommand,
-  CreateMultipartUploadCommand,
-  UploadPartCommand,
-  CompleteMultipartUploadCommand,
-  AbortMultipartUploadCommand,
-  ListPartsCommand
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import { Upload } from "@aws-sdk/lib-storage";
 import JSZip from 'jszip';
 
 // Import required functions from other services
 import { getAllObjects } from './s3Service';
 import { checkGlacierStatus } from './glacierService';
 import { logActivity } from './supabaseHistoryService.js';
+import { getStorageAdapter } from './storageAdapter.js';
+import { createThumbnail } from './thumbnailService.js';
+import { encodeTagging } from './objectOperationsService.js';
 
 // Optimized chunk size for large files - 100MB per chunk
 const OPTIMAL_CHUNK_SIZE = 100 * 1024 * 1024; // 100MB
 // For files larger than this, we'll use multipart upload with manual control
 const LARGE_FILE_THRESHOLD = 1024 * 1024 * 1024; // 1GB
 
-// Initialize S3 client
-const s3Client = new S3Client({
-  region: import.meta.env.VITE_REGION,
-  credentials: {
-    accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
-    secretAccessKey: import.meta.env.VITE_SECRET_KEY
-  },
-  forcePathStyle: false,
-  maxAttempts: 3
-});
-
 // Enhanced upload function with better handling for large files
-const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transferContext = null) => {
+// Tags ([{ Key, Value }]) are stored with the file, so it is never left untagged
+const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transferContext = null, { tags = [] } = {}) => {
   try {
     if (!file) {
       throw new Error('No file provided');
@@ -82,16 +57,19 @@ const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transfe
 
     try {
       console.log(`Starting upload for ${fileName}, size: ${fileSize} bytes`);
+      // Set in versioned buckets, recorded in the history
+      let versionId;
+      const tagging = tags.length > 0 ? encodeTagging(tags) : undefined;
       
       // For very large files (>1GB), use manual multipart upload for better control
       if (fileSize > LARGE_FILE_THRESHOLD) {
         console.log(`Using manual multipart upload for large file: ${fileName}`);
-        await uploadLargeFile(file, cleanPath, fileSize, (progress) => {
+        ({ versionId } = await uploadLargeFile(file, cleanPath, fileSize, (progress) => {
           onProgress(progress);
           if (transferContext && transferId) {
             transferContext.updateTransferProgress(transferId, progress.loaded, progress.total);
           }
-        });
+        }, tagging));
       } else {
         // For smaller files, decide between simple PUT and multipart upload
         console.log(`Using standard upload for file: ${fileName}`);
@@ -117,17 +95,16 @@ const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transfe
             const arrayBuffer = await file.arrayBuffer();
             console.log(`ArrayBuffer created, size: ${arrayBuffer.byteLength} bytes`);
             
-            const putCommand = new PutObjectCommand({
-              Bucket: import.meta.env.VITE_BUCKET_NAME,
+            console.log('Sending PUT command to S3...');
+            const result = await getStorageAdapter().putObject({
               Key: cleanPath,
               Body: new Uint8Array(arrayBuffer), // Use Uint8Array for maximum compatibility
               ContentType: file.type || 'application/octet-stream',
-              ContentLength: arrayBuffer.byteLength
+              ContentLength: arrayBuffer.byteLength,
+              ...(tagging && { Tagging: tagging })
             });
-            
-            console.log('Sending PUT command to S3...');
-            const result = await s3Client.send(putCommand);
             console.log(`Simple PUT upload completed for ${fileName}`, result);
+            versionId = result.VersionId;
             
             // Simulate progress for consistency
             onProgress({ loaded: fileSize, total: fileSize, percentage: 100 });
@@ -142,7 +119,7 @@ const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transfe
             if (putError.message.includes('memory') || putError.name === 'QuotaExceededError' || putError.name === 'TypeError') {
               console.log(`Falling back to multipart upload due to: ${putError.message}`);
               // Force multipart upload for this file
-              return await uploadLargeFile(file, cleanPath, fileSize, onProgress);
+              ({ versionId } = await uploadLargeFile(file, cleanPath, fileSize, onProgress, tagging));
             }
             throw putError;
           }
@@ -156,74 +133,79 @@ const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transfe
             const arrayBuffer = await file.arrayBuffer();
             console.log(`ArrayBuffer created for multipart, size: ${arrayBuffer.byteLength} bytes`);
             
-            const upload = new Upload({
-              client: s3Client,
+            const result = await getStorageAdapter().upload({
               params: {
-                Bucket: import.meta.env.VITE_BUCKET_NAME,
                 Key: cleanPath,
                 Body: new Uint8Array(arrayBuffer), // Use Uint8Array for compatibility
                 ContentType: file.type || 'application/octet-stream',
-                ContentLength: arrayBuffer.byteLength
+                ContentLength: arrayBuffer.byteLength,
+                ...(tagging && { Tagging: tagging })
               },
               queueSize: 4,
               partSize: 10 * 1024 * 1024, // Always use 10MB parts for multipart uploads
-              leavePartsOnError: false
-            });
-
-          // Add progress handling with error protection
-          upload.on("httpUploadProgress", (progress) => {
-            try {
-              if (progress && progress.loaded !== undefined && progress.total !== undefined) {
-                const percentage = Math.round((progress.loaded / progress.total) * 100);
-                onProgress({ loaded: progress.loaded, total: progress.total, percentage });
-                
-                if (transferContext && transferId) {
-                  transferContext.updateTransferProgress(transferId, progress.loaded, progress.total);
+              // Progress handling with error protection
+              onProgress: (progress) => {
+                try {
+                  if (progress && progress.loaded !== undefined && progress.total !== undefined) {
+                    const percentage = Math.round((progress.loaded / progress.total) * 100);
+                    onProgress({ loaded: progress.loaded, total: progress.total, percentage });
+                    
+                    if (transferContext && transferId) {
+                      transferContext.updateTransferProgress(transferId, progress.loaded, progress.total);
+                    }
+                  }
+                } catch (error) {
+                  console.error('Error in upload progress callback:', error);
                 }
               }
-            } catch (error) {
-              console.error('Error in upload progress callback:', error);
-            }
-          });
-
-          await upload.done();
-          console.log(`Multipart upload completed for ${fileName}`);
+            });
+            console.log(`Multipart upload completed for ${fileName}`);
+            versionId = result.VersionId;
           } catch (multipartError) {
             console.error(`Multipart upload failed for ${fileName}:`, multipartError);
             
             // If ArrayBuffer approach fails, fallback to large file upload
             if (multipartError.message.includes('memory') || multipartError.name === 'QuotaExceededError') {
               console.log(`Falling back to large file upload due to: ${multipartError.message}`);
-              return await uploadLargeFile(file, cleanPath, fileSize, onProgress);
+              ({ versionId } = await uploadLargeFile(file, cleanPath, fileSize, onProgress, tagging));
             }
             throw multipartError;
           }
         } else {
           // For very large files (>100MB), use manual multipart upload
           console.log(`Using manual multipart upload for very large file: ${fileName}`);
-          await uploadLargeFile(file, cleanPath, fileSize, (progress) => {
+          ({ versionId } = await uploadLargeFile(file, cleanPath, fileSize, (progress) => {
             onProgress(progress);
             if (transferContext && transferId) {
               transferContext.updateTransferProgress(transferId, progress.loaded, progress.total);
             }
-          });
+          }, tagging));
         }
       }
 
       console.log(`Upload completed successfully for ${fileName}`);
-      
+
       // Complete the transfer
       if (transferContext && transferId) {
         transferContext.completeTransfer(transferId);
       }
 
+      // Thumbnails are made in the background, the upload is done either way
+      createThumbnail(file, cleanPath);
+
       // Log the upload activity using Supabase
       await logActivity({
         action: 'Upload',
         itemName: fileName,
         size: fileSize,
         fileCount: 1,
-        folderPath: cleanPath.substring(0, cleanPath.lastIndexOf('/')) || null
+        folderPath: cleanPath.substring(0, cleanPath.lastIndexOf('/')) || null,
+        ...((versionId || tags.length > 0) && {
+          metadata: {
+            ...(versionId && { version_id: versionId }),
+            ...(tags.length > 0 && { tags: Object.fromEntries(tags.map(tag => [tag.Key, tag.Value])) })
+          }
+        })
       });
 
       return { success: true, key: cleanPath };
@@ -242,17 +224,16 @@ const uploadToS3Enhanced = async (file, filePath, onProgress = () => {}, transfe
 };
 
 // Function to handle very large file uploads with manual multipart control
-const uploadLargeFile = async (file, key, fileSize, onProgress) => {
-  // Initiate multipart upload
-  const createCommand = new CreateMultipartUploadCommand({
-    Bucket: import.meta.env.VITE_BUCKET_NAME,
-    Key: key,
-    ContentType: file.type || 'application/octet-stream'
-  });
-  
+// Tagging is the encoded tag set the file is stored with
+const uploadLargeFile = async (file, key, fileSize, onProgress, tagging) => {
   let uploadId;
   try {
-    const { UploadId } = await s3Client.send(createCommand);
+    // Initiate multipart upload
+    const { UploadId } = await getStorageAdapter().createMultipartUpload({
+      Key: key,
+      ContentType: file.type || 'application/octet-stream',
+      ...(tagging && { Tagging: tagging })
+    });
     uploadId = UploadId;
     
     // Calculate number of parts based on optimal chunk size for file size
@@ -282,18 +263,14 @@ const uploadLargeFile = async (file, key, fileSize, onProgress) => {
           // Convert chunk to ArrayBuffer for reliable upload
           const chunkBuffer = await chunk.arrayBuffer();
           
-          // Prepare part upload command
-          const uploadPartCommand = new UploadPartCommand({
-            Bucket: import.meta.env.VITE_BUCKET_NAME,
+          // Upload the part
+          const response = await getStorageAdapter().uploadPart({
             Key: key,
             PartNumber: partNumber,
             UploadId: uploadId,
             Body: new Uint8Array(chunkBuffer),
             ContentLength: chunkBuffer.byteLength
-          });
-          
-          // Upload the part
-          const response = await s3Client.send(uploadPartCommand, { 
+          }, { 
             abortSignal: controller.signal 
           });
           
@@ -335,17 +312,14 @@ const uploadLargeFile = async (file, key, fileSize, onProgress) => {
     }
     
     // Complete the multipart upload
-    const completeCommand = new CompleteMultipartUploadCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const completed = await getStorageAdapter().completeMultipartUpload({
       Key: key,
       UploadId: uploadId,
       MultipartUpload: {
         Parts: completedParts.sort((a, b) => a.PartNumber - b.PartNumber)
       }
     });
-    
-    await s3Client.send(completeCommand);
-    return { success: true };
+    return { success: true, versionId: completed.VersionId };
     
   } catch (error) {
     console.error('Error during large file upload:', error);
@@ -353,11 +327,10 @@ const uploadLargeFile = async (file, key, fileSize, onProgress) => {
     // Abort the multipart upload if something goes wrong and we have an uploadId
     if (uploadId) {
       try {
-        await s3Client.send(new AbortMultipartUploadCommand({
-          Bucket: import.meta.env.VITE_BUCKET_NAME,
+        await getStorageAdapter().abortMultipartUpload({
           Key: key,
           UploadId: uploadId
-        }));
+        });
         console.log('Multipart upload aborted');
       } catch (abortError) {
         console.error('Error aborting multipart upload:', abortError);
@@ -376,11 +349,6 @@ const getS3DownloadUrlEnhanced = async (key, size, transferContext = null) => {
       throw new Error('File is in Glacier storage and not yet restored');
     }
 
-    const command = new GetObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
-      Key: key
-    });
-
     // Get the file name from the key
     const fileName = key.split('/').pop();
 
@@ -396,7 +364,7 @@ const getS3DownloadUrlEnhanced = async (key, size, transferContext = null) => {
     // For large files, use direct signed URL instead of chunked download to avoid Vercel timeouts
     if (size > 50 * 1024 * 1024) { // 50MB
       console.log(`Using direct signed URL for large file: ${fileName}`);
-      const url = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+      const url = await getStorageAdapter().getDownloadUrl({ Key: key }, { expiresIn: 3600 });
       
       if (transferContext) {
         const transferId = transferContext.addTransfer({
@@ -421,7 +389,7 @@ const getS3DownloadUrlEnhanced = async (key, size, transferContext = null) => {
       return url;
     } else {
       // For smaller files, use signed URL
-      const url = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+      const url = await getStorageAdapter().getDownloadUrl({ Key: key }, { expiresIn: 3600 });
       
       // Create transfer record if context provided
       if (transferContext) {
@@ -484,7 +452,8 @@ const getS3DownloadUrlEnhanced = async (key, size, transferContext = null) => {
 const downloadFolderEnhanced = async (folderKey, transferContext = null) => {
   try {
     const zip = new JSZip();
-    const objects = await getAllObjects(folderKey);
+    // Downloads list the bucket, so files the metadata index has not seen yet are included
+    const objects = await getAllObjects(folderKey, { useIndex: false });
     
     if (objects.length === 0) {
       throw new Error('No files found in folder');
@@ -521,12 +490,9 @@ const downloadFolderEnhanced = async (folderKey, transferContext = null) => {
             return;
           }
           
-          const command = new GetObjectCommand({
-            Bucket: import.meta.env.VITE_BUCKET_NAME,
+          const response = await getStorageAdapter().getObject({
             Key: obj.Key
           });
-          
-          const response = await s3Client.send(command);
           const data = await response.Body.transformToByteArray();
           
           // Add file to zip
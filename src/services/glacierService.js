@@ -1,19 +1,5 @@
-import { 
-  S3Client, 
-  HeadObjectCommand, 
-  RestoreObjectCommand,
-  ListObjectsV2Command
-} from "@aws-sdk/client-s3";
-
-// Initialize S3 client
-const s3Client = new S3Client({
-  region: import.meta.env.VITE_REGION,
-  credentials: {
-    accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
-    secretAccessKey: import.meta.env.VITE_SECRET_KEY
-  },
-  forcePathStyle: false
-});
+import { supportsStorageFeature } from './storageClient.js';
+import { getStorageAdapter } from './storageAdapter.js';
 
 // Constants for restoration tiers
 export const GLACIER_RETRIEVAL_TIERS = {
@@ -34,20 +20,25 @@ export const GLACIER_RETRIEVAL_TIERS = {
   }
 };
 
+// Glacier restore is an AWS-only API, S3-compatible backends reject it
+const assertGlacierRestoreSupported = () => {
+  if (!supportsStorageFeature('glacierRestore')) {
+    throw new Error('Glacier restore is not supported by the configured storage backend');
+  }
+};
+
 /**
  * Check if an object is in Glacier storage and get its restore status
  * @param {string} key - Object key in S3
+ * @param {Object} [adapter] - Storage adapter, the active connection's by default
  * @returns {Object} Object with Glacier status information
  */
-export const checkGlacierStatus = async (key) => {
+export const checkGlacierStatus = async (key, adapter = getStorageAdapter()) => {
   try {
-    const command = new HeadObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await adapter.headObject({
       Key: key
     });
     
-    const response = await s3Client.send(command);
-    
     const isGlacier = 
       response.StorageClass === 'GLACIER' || 
       response.StorageClass === 'DEEP_ARCHIVE';
@@ -90,6 +81,8 @@ export const checkGlacierStatus = async (key) => {
  */
 export const restoreFromGlacier = async (key, tier = 'Standard', transferContext = null) => {
   try {
+    assertGlacierRestoreSupported();
+
     // First check the current status
     const statusCheck = await checkGlacierStatus(key);
     
@@ -125,8 +118,7 @@ export const restoreFromGlacier = async (key, tier = 'Standard', transferContext
     }
     
     // Initiate the restore
-    const command = new RestoreObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    await getStorageAdapter().restoreObject({
       Key: key,
       RestoreRequest: {
         Days: 7, // Number of days to keep the restored copy available
@@ -136,8 +128,6 @@ export const restoreFromGlacier = async (key, tier = 'Standard', transferContext
       }
     });
     
-    await s3Client.send(command);
-    
     // Update the transfer
     if (transferContext && transferId) {
       transferContext.updateTransfer(transferId, {
@@ -201,15 +191,14 @@ export const restoreFromGlacier = async (key, tier = 'Standard', transferContext
  */
 export const restoreFromGlacierBulk = async (folderKey, tier = 'Standard', transferContext = null) => {
   try {
+    assertGlacierRestoreSupported();
+
     // Get all objects in the folder
-    const command = new ListObjectsV2Command({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await getStorageAdapter().listObjects({
       Prefix: folderKey,
       MaxKeys: 1000 // Increase for large folders
     });
     
-    const response = await s3Client.send(command);
-    
     if (!response.Contents || response.Contents.length === 0) {
       throw new Error('No objects found in folder');
     }
@@ -0,0 +1,499 @@
+/**
+ * Vayubox Memory Storage Adapter
+ * Local storage backend for offline demos and for exercising the UI without an
+ * AWS account. Objects live in memory and are persisted to IndexedDB when it is
+ * available. Storage classes and Glacier restore delays are simulated so the
+ * archive workflows behave like they do against S3.
+ */
+
+const DB_NAME = 'vayubox-memory-storage';
+const DB_VERSION = 1;
+const OBJECT_STORE = 'objects';
+
+const GLACIER_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+const DEFAULT_MAX_KEYS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Simulated time before a restored copy becomes available, per retrieval tier
+export const DEFAULT_RESTORE_DELAYS = {
+  Expedited: 10 * 1000,
+  Standard: 60 * 1000,
+  Bulk: 3 * 60 * 1000
+};
+
+// Build an error shaped like the ones thrown by the AWS SDK
+const storageError = (name, message, httpStatusCode) => {
+  const error = new Error(message);
+  error.name = name;
+  error.Code = name;
+  error.$metadata = { httpStatusCode };
+  return error;
+};
+
+const toBytes = async (body) => {
+  if (!body) return new Uint8Array(0);
+  if (body instanceof Uint8Array) return body;
+  if (body instanceof ArrayBuffer) return new Uint8Array(body);
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return new Uint8Array(await body.arrayBuffer());
+  }
+  if (typeof body === 'string') return new TextEncoder().encode(body);
+  throw storageError('InvalidArgument', 'Unsupported body type', 400);
+};
+
+// FNV-1a hash, good enough to produce stable ETags for simulated objects
+const createEtag = (bytes) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `"${(hash >>> 0).toString(16).padStart(8, '0')}${bytes.length.toString(16)}"`;
+};
+
+// Tagging headers are URL-encoded query strings, e.g. 'project=alpha&owner=ops'
+const parseTagging = (tagging) => Object.fromEntries(new URLSearchParams(tagging || ''));
+
+const createId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+// Minimal stream-like body matching the parts of the SDK body API Vayubox uses
+const createBody = (bytes) => ({
+  transformToByteArray: async () => bytes,
+  transformToString: async () => new TextDecoder().decode(bytes)
+});
+
+const parseRange = (range, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range || '');
+  if (!match) return null;
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  return { start, end };
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(OBJECT_STORE, { keyPath: 'key' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = (db, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(OBJECT_STORE, mode);
+  const request = operation(transaction.objectStore(OBJECT_STORE));
+  transaction.oncomplete = () => resolve(request?.result);
+  transaction.onerror = () => reject(transaction.error);
+});
+
+// Demo content loaded into an empty store so the browser has something to show
+const SEED_OBJECTS = [
+  { key: 'Welcome.txt', text: 'Welcome to Vayubox! This bucket is simulated in your browser.', ageDays: 1 },
+  { key: 'projects/website/index.html', text: '<!doctype html><title>Demo</title><h1>Hello from Vayubox</h1>', ageDays: 20 },
+  { key: 'projects/website/notes.md', text: '# Notes\n\n- Launch checklist\n- Review copy', ageDays: 45 },
+  { key: 'projects/data/sales.csv', text: 'month,revenue\nJan,1200\nFeb,1350\nMar,1610', ageDays: 75 },
+  { key: 'archive/2023/annual-report.txt', text: 'Annual report 2023 (archived).', ageDays: 400, storageClass: 'GLACIER' },
+  { key: 'archive/2022/raw-footage.txt', text: 'Raw footage index (deep archive).', ageDays: 800, storageClass: 'DEEP_ARCHIVE' }
+];
+
+/**
+ * Create an in-browser storage adapter
+ * @param {Object} [options] - Adapter options
+ * @param {boolean} [options.persist] - Persist objects to IndexedDB when available
+ * @param {boolean} [options.seed] - Load demo objects into an empty store
+ * @param {Object} [options.restoreDelays] - Restore delay in ms per retrieval tier
+ * @returns {Object} Storage adapter
+ */
+export const createMemoryStorageAdapter = ({
+  persist = true,
+  seed = true,
+  restoreDelays = DEFAULT_RESTORE_DELAYS
+} = {}) => {
+  const objects = new Map();
+  const multipartUploads = new Map();
+  let db = null;
+
+  const save = (record) => {
+    if (!db) return;
+    runTransaction(db, 'readwrite', store => store.put(record))
+      .catch(error => console.error('Error persisting object to IndexedDB:', error));
+  };
+
+  const remove = (key) => {
+    if (!db) return;
+    runTransaction(db, 'readwrite', store => store.delete(key))
+      .catch(error => console.error('Error removing object from IndexedDB:', error));
+  };
+
+  const writeObject = (key, bytes, { contentType, storageClass, metadata, tags, lastModified } = {}) => {
+    const record = {
+      key,
+      body: bytes,
+      size: bytes.length,
+      contentType: contentType || 'application/octet-stream',
+      storageClass: storageClass || 'STANDARD',
+      metadata: metadata || {},
+      tags: tags || {},
+      etag: createEtag(bytes),
+      lastModified: lastModified || new Date(),
+      restore: null
+    };
+    objects.set(key, record);
+    save(record);
+    return record;
+  };
+
+  const ready = (async () => {
+    if (persist && typeof indexedDB !== 'undefined') {
+      try {
+        db = await openDatabase();
+        const records = await runTransaction(db, 'readonly', store => store.getAll());
+        (records || []).forEach(record => objects.set(record.key, record));
+      } catch (error) {
+        console.warn('IndexedDB unavailable, memory storage will not persist:', error);
+        db = null;
+      }
+    }
+
+    if (seed && objects.size === 0) {
+      const encoder = new TextEncoder();
+      SEED_OBJECTS.forEach(({ key, text, ageDays, storageClass }) => {
+        writeObject(key, encoder.encode(text), {
+          contentType: key.endsWith('.html') ? 'text/html' : key.endsWith('.csv') ? 'text/csv' : 'text/plain',
+          storageClass,
+          lastModified: new Date(Date.now() - ageDays * DAY_MS)
+        });
+      });
+    }
+  })();
+
+  // Resolve the simulated restore state, completing restores whose delay has elapsed
+  const getRestoreState = (record) => {
+    const restore = record.restore;
+    if (!restore) return null;
+    const now = Date.now();
+    if (restore.expiresAt && now >= restore.expiresAt) {
+      record.restore = null;
+      save(record);
+      return null;
+    }
+    if (restore.ongoing && now >= restore.readyAt) {
+      record.restore = { ongoing: false, readyAt: restore.readyAt, expiresAt: restore.readyAt + restore.days * DAY_MS, days: restore.days };
+      save(record);
+    }
+    return record.restore;
+  };
+
+  const getRestoreHeader = (record) => {
+    const restore = getRestoreState(record);
+    if (!restore) return undefined;
+    if (restore.ongoing) return 'ongoing-request="true"';
+    return `ongoing-request="false", expiry-date="${new Date(restore.expiresAt).toUTCString()}"`;
+  };
+
+  const isReadable = (record) => {
+    if (!GLACIER_CLASSES.includes(record.storageClass)) return true;
+    const restore = getRestoreState(record);
+    return Boolean(restore && !restore.ongoing);
+  };
+
+  const getRecord = async (key, notFoundName = 'NoSuchKey') => {
+    await ready;
+    const record = objects.get(key);
+    if (!record) {
+      throw storageError(notFoundName, `The specified key does not exist: ${key}`, 404);
+    }
+    return record;
+  };
+
+  const assertReadable = (record) => {
+    if (!isReadable(record)) {
+      throw storageError('InvalidObjectState', 'The operation is not valid for the object\'s storage class', 403);
+    }
+  };
+
+  return {
+    name: 'memory',
+    bucket: 'vayubox-local',
+
+    listObjects: async ({ Prefix = '', Delimiter, ContinuationToken, StartAfter, MaxKeys = DEFAULT_MAX_KEYS } = {}) => {
+      await ready;
+      const after = ContinuationToken || StartAfter || '';
+      const keys = [...objects.keys()]
+        .filter(key => key.startsWith(Prefix) && key > after)
+        .sort();
+
+      const contents = [];
+      const commonPrefixes = [];
+      let lastToken = null;
+      let truncated = false;
+
+      for (const key of keys) {
+        const rest = key.slice(Prefix.length);
+        const delimiterIndex = Delimiter ? rest.indexOf(Delimiter) : -1;
+        const commonPrefix = delimiterIndex !== -1
+          ? Prefix + rest.slice(0, delimiterIndex + Delimiter.length)
+          : null;
+
+        // Keys rolled up into the previous common prefix do not count towards MaxKeys
+        if (commonPrefix && commonPrefixes[commonPrefixes.length - 1]?.Prefix === commonPrefix) {
+          continue;
+        }
+
+        if (contents.length + commonPrefixes.length >= MaxKeys) {
+          truncated = true;
+          break;
+        }
+
+        if (commonPrefix) {
+          commonPrefixes.push({ Prefix: commonPrefix });
+          // Resume after every key under this common prefix
+          lastToken = `${commonPrefix}\uffff`;
+          continue;
+        }
+
+        const record = objects.get(key);
+        contents.push({
+          Key: key,
+          Size: record.size,
+          LastModified: new Date(record.lastModified),
+          StorageClass: record.storageClass,
+          ETag: record.etag
+        });
+        lastToken = key;
+      }
+
+      return {
+        Contents: contents,
+        CommonPrefixes: commonPrefixes,
+        KeyCount: contents.length + commonPrefixes.length,
+        IsTruncated: truncated,
+        NextContinuationToken: truncated ? lastToken : undefined
+      };
+    },
+
+    headObject: async ({ Key }) => {
+      const record = await getRecord(Key, 'NotFound');
+      return {
+        ContentLength: record.size,
+        ContentType: record.contentType,
+        LastModified: new Date(record.lastModified),
+        ETag: record.etag,
+        StorageClass: record.storageClass === 'STANDARD' ? undefined : record.storageClass,
+        Metadata: { ...record.metadata },
+        Restore: getRestoreHeader(record)
+      };
+    },
+
+    getObject: async ({ Key, Range }) => {
+      const record = await getRecord(Key);
+      assertReadable(record);
+      const range = Range ? parseRange(Range, record.size) : null;
+      const bytes = range ? record.body.slice(range.start, range.end + 1) : record.body;
+      return {
+        Body: createBody(bytes),
+        ContentLength: bytes.length,
+        ContentType: record.contentType,
+        ContentRange: range ? `bytes ${range.start}-${range.end}/${record.size}` : undefined,
+        LastModified: new Date(record.lastModified),
+        ETag: record.etag,
+        Metadata: { ...record.metadata }
+      };
+    },
+
+    putObject: async ({ Key, Body, ContentType, StorageClass, Metadata, Tagging }) => {
+      await ready;
+      const record = writeObject(Key, await toBytes(Body), {
+        contentType: ContentType,
+        storageClass: StorageClass,
+        metadata: Metadata,
+        tags: parseTagging(Tagging)
+      });
+      return { ETag: record.etag };
+    },
+
+    copyObject: async ({ SourceKey, Key, MetadataDirective, ContentType, Metadata, StorageClass, TaggingDirective, Tagging }) => {
+      const source = await getRecord(SourceKey);
+      assertReadable(source);
+      const replace = MetadataDirective === 'REPLACE';
+      const record = writeObject(Key, source.body.slice(), {
+        contentType: replace ? ContentType : source.contentType,
+        metadata: replace ? Metadata : source.metadata,
+        tags: TaggingDirective === 'REPLACE' ? parseTagging(Tagging) : { ...source.tags },
+        storageClass: StorageClass
+      });
+      return { CopyObjectResult: { ETag: record.etag, LastModified: record.lastModified } };
+    },
+
+    deleteObject: async ({ Key }) => {
+      await ready;
+      objects.delete(Key);
+      remove(Key);
+      return {};
+    },
+
+    deleteObjects: async ({ Delete }) => {
+      await ready;
+      const deleted = (Delete?.Objects || []).map(({ Key }) => {
+        objects.delete(Key);
+        remove(Key);
+        return { Key };
+      });
+      return { Deleted: Delete?.Quiet ? [] : deleted, Errors: [] };
+    },
+
+    restoreObject: async ({ Key, RestoreRequest = {} }) => {
+      const record = await getRecord(Key);
+      if (!GLACIER_CLASSES.includes(record.storageClass)) {
+        throw storageError('InvalidObjectState', 'Restore is not allowed for the object\'s current storage class', 403);
+      }
+      if (getRestoreState(record)?.ongoing) {
+        throw storageError('RestoreAlreadyInProgress', 'Object restore is already in progress', 409);
+      }
+      const tier = RestoreRequest.GlacierJobParameters?.Tier || 'Standard';
+      const delay = restoreDelays[tier] ?? restoreDelays.Standard;
+      // Deep Archive retrievals take longer than Glacier ones on AWS as well
+      const classFactor = record.storageClass === 'DEEP_ARCHIVE' ? 2 : 1;
+      record.restore = {
+        ongoing: true,
+        readyAt: Date.now() + delay * classFactor,
+        days: RestoreRequest.Days || 1
+      };
+      save(record);
+      return {};
+    },
+
+    createMultipartUpload: async ({ Key, ContentType, StorageClass, Metadata, Tagging }) => {
+      await ready;
+      const uploadId = createId();
+      multipartUploads.set(uploadId, {
+        key: Key,
+        contentType: ContentType,
+        storageClass: StorageClass,
+        metadata: Metadata,
+        tags: parseTagging(Tagging),
+        parts: new Map()
+      });
+      return { UploadId: uploadId, Key };
+    },
+
+    uploadPart: async ({ UploadId, PartNumber, Body }) => {
+      const upload = multipartUploads.get(UploadId);
+      if (!upload) throw storageError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+      const bytes = await toBytes(Body);
+      const etag = createEtag(bytes);
+      upload.parts.set(PartNumber, { bytes, etag });
+      return { ETag: etag };
+    },
+
+    uploadPartCopy: async ({ UploadId, PartNumber, SourceKey, CopySourceRange }) => {
+      const upload = multipartUploads.get(UploadId);
+      if (!upload) throw storageError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+      const source = await getRecord(SourceKey);
+      assertReadable(source);
+      const range = CopySourceRange ? parseRange(CopySourceRange, source.size) : null;
+      const bytes = range ? source.body.slice(range.start, range.end + 1) : source.body.slice();
+      const etag = createEtag(bytes);
+      upload.parts.set(PartNumber, { bytes, etag });
+      return { CopyPartResult: { ETag: etag, LastModified: new Date() } };
+    },
+
+    listParts: async ({ UploadId }) => {
+      const upload = multipartUploads.get(UploadId);
+      if (!upload) throw storageError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+      const parts = [...upload.parts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([partNumber, part]) => ({ PartNumber: partNumber, ETag: part.etag, Size: part.bytes.length }));
+      return { Parts: parts };
+    },
+
+    completeMultipartUpload: async ({ UploadId, MultipartUpload }) => {
+      const upload = multipartUploads.get(UploadId);
+      if (!upload) throw storageError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+      const chunks = (MultipartUpload?.Parts || []).map(({ PartNumber }) => {
+        const part = upload.parts.get(PartNumber);
+        if (!part) throw storageError('InvalidPart', `Part ${PartNumber} was not uploaded`, 400);
+        return part.bytes;
+      });
+      const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      let offset = 0;
+      chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      });
+      multipartUploads.delete(UploadId);
+      const record = writeObject(upload.key, bytes, {
+        contentType: upload.contentType,
+        storageClass: upload.storageClass,
+        metadata: upload.metadata,
+        tags: upload.tags
+      });
+      return { Key: upload.key, ETag: record.etag };
+    },
+
+    abortMultipartUpload: async ({ UploadId }) => {
+      multipartUploads.delete(UploadId);
+      return {};
+    },
+
+    upload: async ({ params, onProgress }) => {
+      await ready;
+      const bytes = await toBytes(params.Body);
+      const record = writeObject(params.Key, bytes, {
+        contentType: params.ContentType,
+        storageClass: params.StorageClass,
+        metadata: params.Metadata,
+        tags: parseTagging(params.Tagging)
+      });
+      onProgress && onProgress({ loaded: bytes.length, total: bytes.length });
+      return { Key: params.Key, ETag: record.etag };
+    },
+
+    getObjectTagging: async ({ Key }) => {
+      const record = await getRecord(Key);
+      return {
+        TagSet: Object.entries(record.tags || {}).map(([tagKey, value]) => ({ Key: tagKey, Value: value }))
+      };
+    },
+
+    putObjectTagging: async ({ Key, Tagging }) => {
+      const record = await getRecord(Key);
+      record.tags = Object.fromEntries((Tagging?.TagSet || []).map(tag => [tag.Key, tag.Value]));
+      save(record);
+      return {};
+    },
+
+    // The simulated bucket is not versioned, so every object has the single version 'null'
+    listObjectVersions: async ({ Prefix = '' } = {}) => {
+      await ready;
+      const versions = [...objects.keys()]
+        .filter(key => key.startsWith(Prefix))
+        .sort()
+        .map(key => {
+          const record = objects.get(key);
+          return {
+            Key: key,
+            VersionId: 'null',
+            IsLatest: true,
+            Size: record.size,
+            LastModified: new Date(record.lastModified),
+            StorageClass: record.storageClass,
+            ETag: record.etag
+          };
+        });
+      return { Versions: versions, DeleteMarkers: [], IsTruncated: false };
+    },
+
+    getBucketVersioning: async () => ({}),
+
+    getDownloadUrl: async ({ Key }, { expiresIn = 3600 } = {}) => {
+      const record = await getRecord(Key);
+      assertReadable(record);
+      const url = URL.createObjectURL(new Blob([record.body], { type: record.contentType }));
+      setTimeout(() => URL.revokeObjectURL(url), expiresIn * 1000);
+      return url;
+    }
+  };
+};
+
+export default createMemoryStorageAdapter;
@@ -0,0 +1,471 @@
+import { auth } from '../firebase.js';
+import { getStorageAdapter, onStorageMutation } from './storageAdapter.js';
+import { getActiveConnection } from './connectionService.js';
+
+/**
+ * Vayubox Metadata Index Service
+ * Keeps the key, size, date and storage class of every object in IndexedDB so
+ * browsing, search, folder sizes and statistics do not have to list the bucket.
+ * The index is built with one full listing and then kept current by:
+ *   - Vayubox's own writes, reported through onStorageMutation
+ *   - listing a folder again in the background whenever it is opened
+ *   - a full listing in the background once the index is older than INDEX_REFRESH_MS
+ * Operations that act on objects (downloads, moves, deletes) still list the
+ * bucket, so an index that missed a change made elsewhere only affects what is shown.
+ */
+
+const DB_NAME = 'vayubox-metadata-index';
+const DB_VERSION = 1;
+const OBJECT_STORE = 'objects';
+const STATUS_STORE = 'status';
+
+const INDEX_REFRESH_MS = 60 * 60 * 1000;
+// Folders with more written keys than this are listed again instead of checked key by key
+const MAX_HEAD_REQUESTS = 20;
+// Sorts after every key that starts with the same prefix
+const KEY_MAX = '\uffff';
+
+// Each user and connection has its own index, like the prefix summaries
+const getScope = () => `${auth.currentUser?.uid || ''}:${getActiveConnection().id}`;
+
+// Parent folder of a key, e.g. 'a/b/' for 'a/b/c.txt' and 'a/' for 'a/b/'
+const getFolder = (key) => {
+  const trimmed = key.endsWith('/') ? key.slice(0, -1) : key;
+  return trimmed.substring(0, trimmed.lastIndexOf('/') + 1);
+};
+
+/**
+ * Check whether the browser can keep a metadata index
+ * @returns {boolean} True when IndexedDB is available
+ */
+export const isMetadataIndexSupported = () => typeof indexedDB !== 'undefined';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OBJECT_STORE, { keyPath: ['scope', 'key'] });
+        request.result.createObjectStore(STATUS_STORE, { keyPath: 'scope' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Run work in one transaction. Work may return a function that reads its result once the transaction committed.
+const runTransaction = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const result = work(transaction);
+    transaction.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Every indexed key of a scope that starts with the prefix, beginning at `from`
+const keyRange = (scope, prefix, from = prefix) => IDBKeyRange.bound([scope, from], [scope, `${prefix}${KEY_MAX}`]);
+
+const toRecord = (scope, object, seenAt) => ({
+  scope,
+  key: object.Key,
+  size: object.Size || 0,
+  lastModified: object.LastModified ? new Date(object.LastModified).getTime() : 0,
+  storageClass: object.StorageClass || 'STANDARD',
+  seenAt
+});
+
+// Records are handed out in the shape of S3 listing entries
+const toObject = (record) => ({
+  Key: record.key,
+  Size: record.size,
+  LastModified: new Date(record.lastModified),
+  StorageClass: record.storageClass
+});
+
+const isSameRecord = (a, b) => a.size === b.size && a.lastModified === b.lastModified && a.storageClass === b.storageClass;
+
+const readStatus = (scope) => runTransaction(STATUS_STORE, 'readonly', transaction => {
+  const request = transaction.objectStore(STATUS_STORE).get(scope);
+  return () => request.result || null;
+});
+
+/**
+ * Read one level of an indexed folder, like a listing with a '/' delimiter.
+ * Sub-folders are skipped over with the cursor, so only one key per sub-folder is read.
+ * @returns {Promise<Object>} { files: [records], folders: [prefixes], nextStartAt }
+ */
+const readFolder = (scope, prefix, { startAt, pageSize = Infinity } = {}) => runTransaction(OBJECT_STORE, 'readonly', transaction => {
+  const page = { files: [], folders: [], nextStartAt: null };
+  const request = transaction.objectStore(OBJECT_STORE).openCursor(keyRange(scope, prefix, startAt || prefix));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const { key } = cursor.value;
+    if (page.files.length + page.folders.length === pageSize) {
+      page.nextStartAt = key;
+      return;
+    }
+    const slash = key.indexOf('/', prefix.length);
+    if (slash === -1) {
+      page.files.push(cursor.value);
+      cursor.continue([scope, `${key}\0`]);
+    } else {
+      page.folders.push(key.slice(0, slash + 1));
+      // '0' follows '/', so this skips every key in the sub-folder
+      cursor.continue([scope, `${key.slice(0, slash)}0`]);
+    }
+  };
+  return page;
+});
+
+const changeListeners = new Set();
+
+/**
+ * Subscribe to changes of the index that were not made by Vayubox itself
+ * @param {Function} listener - Called with { type: 'folder', prefix } when a folder
+ *   changed outside Vayubox, { type: 'progress', scannedCount } while the index is
+ *   built and { type: 'built' } when a full listing finished
+ * @returns {Function} Unsubscribe function
+ */
+export const onMetadataIndexChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+// Only changes of the index that is in use are reported
+const emitChange = (scope, change) => {
+  if (scope !== getScope()) return;
+  changeListeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Error in metadata index listener:', error);
+    }
+  });
+};
+
+const putObjects = (scope, objects, seenAt) => runTransaction(OBJECT_STORE, 'readwrite', transaction => {
+  const store = transaction.objectStore(OBJECT_STORE);
+  objects.forEach(object => store.put(toRecord(scope, object, seenAt)));
+});
+
+// List everything below a prefix into the index, returns the number of objects listed
+const indexPrefix = async (scope, prefix, onPage = () => {}) => {
+  let objectCount = 0;
+  let continuationToken;
+  do {
+    const response = await getStorageAdapter().listObjects({
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    });
+    // Stop if the user or connection changed, the listing belongs to another index now
+    if (scope !== getScope()) return null;
+    const contents = response.Contents || [];
+    await putObjects(scope, contents, Date.now());
+    objectCount += contents.length;
+    onPage(objectCount);
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+  return objectCount;
+};
+
+const buildProgress = new Map();
+const builds = new Map();
+
+const buildIndex = async (scope) => {
+  const startedAt = Date.now();
+  buildProgress.set(scope, 0);
+  const objectCount = await indexPrefix(scope, '', (scannedCount) => {
+    buildProgress.set(scope, scannedCount);
+    emitChange(scope, { type: 'progress', scannedCount });
+  });
+  if (objectCount === null) return;
+
+  // Objects that were not listed again were deleted outside Vayubox
+  await runTransaction([OBJECT_STORE, STATUS_STORE], 'readwrite', transaction => {
+    const request = transaction.objectStore(OBJECT_STORE).openCursor(keyRange(scope, ''));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.seenAt < startedAt) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    transaction.objectStore(STATUS_STORE).put({ scope, builtAt: Date.now(), objectCount });
+  });
+  emitChange(scope, { type: 'built' });
+};
+
+/**
+ * List the whole bucket into the index. Calls made while a listing of the same
+ * index is running share that listing.
+ * @returns {Promise<void>} Resolves when the index is complete
+ */
+export const buildMetadataIndex = () => {
+  const scope = getScope();
+  if (!builds.has(scope)) {
+    const build = buildIndex(scope)
+      .catch(error => {
+        console.error('Error building metadata index:', error);
+        throw error;
+      })
+      .finally(() => {
+        builds.delete(scope);
+        buildProgress.delete(scope);
+      });
+    builds.set(scope, build);
+  }
+  return builds.get(scope);
+};
+
+/**
+ * Check whether the index can be used, starting a full listing in the
+ * background when it has not been built yet or is older than INDEX_REFRESH_MS
+ * @returns {Promise<boolean>} True when the index has been built
+ */
+export const ensureMetadataIndex = async () => {
+  if (!isMetadataIndexSupported()) return false;
+  try {
+    const status = await readStatus(getScope());
+    if (!status || Date.now() - status.builtAt > INDEX_REFRESH_MS) {
+      buildMetadataIndex().catch(() => {});
+    }
+    return Boolean(status);
+  } catch (error) {
+    console.error('Error opening metadata index:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the state of the index of the active connection
+ * @returns {Promise<Object>} { supported, builtAt, objectCount, building, scannedCount }
+ */
+export const getMetadataIndexStatus = async () => {
+  const scope = getScope();
+  const status = isMetadataIndexSupported() ? await readStatus(scope) : null;
+  return {
+    supported: isMetadataIndexSupported(),
+    builtAt: status ? new Date(status.builtAt) : null,
+    objectCount: status?.objectCount || 0,
+    building: builds.has(scope),
+    scannedCount: buildProgress.get(scope) || 0
+  };
+};
+
+// Writes waiting to be applied, by scope and key
+const pendingChanges = new Map();
+let flushing = null;
+
+// Resolves once the writes Vayubox made so far are in the index
+const whenUpdated = () => flushing || Promise.resolve();
+
+/**
+ * List every indexed object below a prefix, including folder markers
+ * @param {string} [prefix] - Folder prefix ('' for the whole bucket)
+ * @returns {Promise<Array>} Objects shaped like S3 listing entries ({ Key, Size, LastModified, StorageClass })
+ */
+export const listIndexedObjects = async (prefix = '') => {
+  await whenUpdated();
+  const scope = getScope();
+  return runTransaction(OBJECT_STORE, 'readonly', transaction => {
+    const request = transaction.objectStore(OBJECT_STORE).getAll(keyRange(scope, prefix));
+    return () => request.result.map(toObject);
+  });
+};
+
+/**
+ * List one page of an indexed folder
+ * @param {string} [prefix] - Folder prefix
+ * @param {Object} [options] - Paging options
+ * @param {string} [options.startAt] - Value of nextStartAt returned by the previous page
+ * @param {number} [options.pageSize] - Maximum files and sub-folders per page
+ * @returns {Promise<Object>} { Contents, CommonPrefixes, nextStartAt } like an S3 listing with a '/' delimiter
+ */
+export const listIndexedFolder = async (prefix = '', { startAt, pageSize = 1000 } = {}) => {
+  await whenUpdated();
+  const page = await readFolder(getScope(), prefix, { startAt, pageSize });
+  return {
+    Contents: page.files.map(toObject),
+    CommonPrefixes: page.folders.map(folder => ({ Prefix: folder })),
+    nextStartAt: page.nextStartAt
+  };
+};
+
+// Compare one folder level with the bucket: files in the folder are updated,
+// sub-folders that are gone are dropped and new sub-folders are listed completely
+const refreshFolder = async (scope, prefix) => {
+  const files = [];
+  const folders = new Set();
+  let continuationToken;
+  do {
+    const response = await getStorageAdapter().listObjects({
+      Prefix: prefix,
+      Delimiter: '/',
+      ContinuationToken: continuationToken
+    });
+    files.push(...(response.Contents || []));
+    (response.CommonPrefixes || []).forEach(folder => folders.add(folder.Prefix));
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+  if (scope !== getScope()) return false;
+
+  const indexed = await readFolder(scope, prefix);
+  const indexedFiles = new Map(indexed.files.map(record => [record.key, record]));
+  const seenAt = Date.now();
+  const written = files
+    .map(object => toRecord(scope, object, seenAt))
+    .filter(record => !indexedFiles.has(record.key) || !isSameRecord(indexedFiles.get(record.key), record));
+  const listedKeys = new Set(files.map(object => object.Key));
+  const removedFiles = indexed.files.filter(record => !listedKeys.has(record.key));
+  const indexedFolders = new Set(indexed.folders);
+  const removedFolders = indexed.folders.filter(folder => !folders.has(folder));
+  const addedFolders = [...folders].filter(folder => !indexedFolders.has(folder));
+
+  if (written.length + removedFiles.length + removedFolders.length + addedFolders.length === 0) {
+    return false;
+  }
+
+  await runTransaction(OBJECT_STORE, 'readwrite', transaction => {
+    const store = transaction.objectStore(OBJECT_STORE);
+    written.forEach(record => store.put(record));
+    removedFiles.forEach(record => store.delete([scope, record.key]));
+    removedFolders.forEach(folder => store.delete(keyRange(scope, folder)));
+  });
+  for (const folder of addedFolders) {
+    await indexPrefix(scope, folder);
+  }
+  return true;
+};
+
+/**
+ * List a folder again and bring its index entries up to date, picking up
+ * changes made outside Vayubox. Does nothing before the index is built.
+ * @param {string} [prefix] - Folder prefix
+ * @returns {Promise<boolean>} True when the folder had changed
+ */
+export const refreshIndexedFolder = async (prefix = '') => {
+  const scope = getScope();
+  try {
+    if (!isMetadataIndexSupported() || !(await readStatus(scope))) return false;
+    const changed = await refreshFolder(scope, prefix);
+    if (changed) {
+      emitChange(scope, { type: 'folder', prefix });
+    }
+    return changed;
+  } catch (error) {
+    console.error('Error refreshing metadata index:', error);
+    throw error;
+  }
+};
+
+const isNotFound = (error) => error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+const applyChanges = async (changes) => {
+  const scope = getScope();
+  // Writes made under another user or connection are picked up when their folders are opened again
+  const current = changes.filter(change => change.scope === scope);
+  if (current.length === 0 || !(await readStatus(scope))) return;
+
+  const removedKeys = current.filter(change => change.deleted).map(change => change.key);
+  const writtenByFolder = new Map();
+  current.filter(change => !change.deleted).forEach(({ key }) => {
+    const folder = getFolder(key);
+    writtenByFolder.set(folder, [...(writtenByFolder.get(folder) || []), key]);
+  });
+
+  const written = [];
+  const foldersToList = [];
+  for (const [folder, keys] of writtenByFolder) {
+    if (keys.length > MAX_HEAD_REQUESTS) {
+      foldersToList.push(folder);
+      continue;
+    }
+    for (const key of keys) {
+      try {
+        const head = await getStorageAdapter().headObject({ Key: key });
+        written.push({ Key: key, Size: head.ContentLength, LastModified: head.LastModified, StorageClass: head.StorageClass });
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+        removedKeys.push(key);
+      }
+    }
+  }
+
+  await runTransaction(OBJECT_STORE, 'readwrite', transaction => {
+    const store = transaction.objectStore(OBJECT_STORE);
+    removedKeys.forEach(key => store.delete([scope, key]));
+    written.forEach(object => store.put(toRecord(scope, object, Date.now())));
+  });
+  for (const folder of foldersToList) {
+    await refreshFolder(scope, folder);
+  }
+};
+
+const flushChanges = async () => {
+  // Let writes that finish together be applied together
+  await Promise.resolve();
+  while (pendingChanges.size > 0) {
+    const changes = [...pendingChanges.values()];
+    pendingChanges.clear();
+    try {
+      await applyChanges(changes);
+    } catch (error) {
+      // The affected folders are corrected the next time they are opened
+      console.error('Error updating metadata index:', error);
+    }
+  }
+};
+
+// Vayubox's own writes are applied to the index as they happen
+onStorageMutation(({ operation, keys }) => {
+  if (!isMetadataIndexSupported()) return;
+  const scope = getScope();
+  const deleted = operation === 'deleteObject' || operation === 'deleteObjects';
+  keys.forEach(key => pendingChanges.set(`${scope}\n${key}`, { scope, key, deleted }));
+  if (!flushing) {
+    flushing = flushChanges().finally(() => {
+      flushing = null;
+    });
+  }
+});
+
+/**
+ * Remove every index from this browser, e.g. when signing out
+ * @returns {Promise<void>}
+ */
+export const clearMetadataIndex = async () => {
+  if (!isMetadataIndexSupported()) return;
+  try {
+    await runTransaction([OBJECT_STORE, STATUS_STORE], 'readwrite', transaction => {
+      transaction.objectStore(OBJECT_STORE).clear();
+      transaction.objectStore(STATUS_STORE).clear();
+    });
+  } catch (error) {
+    console.error('Error clearing metadata index:', error);
+    throw error;
+  }
+};
+
+export default {
+  isMetadataIndexSupported,
+  onMetadataIndexChange,
+  buildMetadataIndex,
+  ensureMetadataIndex,
+  getMetadataIndexStatus,
+  listIndexedObjects,
+  listIndexedFolder,
+  refreshIndexedFolder,
+  clearMetadataIndex
+};
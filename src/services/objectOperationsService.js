@@ -0,0 +1,1323 @@
+import { auth } from '../firebase.js';
+import { getStorageAdapter } from './storageAdapter.js';
+import { getActiveConnection } from './connectionService.js';
+import { getPrefixSummary } from './prefixSummaryService.js';
+import { logActivity } from './supabaseHistoryService.js';
+import { copyThumbnail } from './thumbnailService.js';
+
+/**
+ * Vayubox Object Operations Service
+ * Operations that touch every object below a folder. S3 has no folders and no
+ * move, so copying a folder copies each object under its prefix, and moving
+ * one also deletes the originals once their copy succeeded. Objects that fail
+ * stay where they were and are reported back to the caller.
+ */
+
+// Copies run a few at a time, enough to hide request latency without flooding the browser
+const COPY_CONCURRENCY = 4;
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+// CopyObject handles objects up to 5 GB, larger ones are copied in parts
+const MAX_SINGLE_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+const COPY_PART_SIZE = 512 * 1024 * 1024;
+// A multipart upload has at most 10,000 parts
+const MAX_PARTS = 10000;
+const MAX_COPY_NAME_ATTEMPTS = 100;
+// Folder renames in progress, so an interrupted rename can be resumed or rolled back
+const RENAME_JOBS_KEY = 'vayubox_rename_jobs';
+// Failed keys kept with a rename job for the report, the count covers the rest
+const MAX_REPORTED_FAILURES = 20;
+// S3 rejects a tag set with more tags than this
+export const MAX_TAGS_PER_OBJECT = 10;
+// S3 limits tag keys to 128 and values to 256 characters
+const MAX_TAG_KEY_LENGTH = 128;
+const MAX_TAG_VALUE_LENGTH = 256;
+// User metadata is sent as x-amz-meta-* headers, S3 accepts at most 2 KB of them
+export const MAX_METADATA_BYTES = 2048;
+// Header names S3 stores in lower case, values are limited to printable ASCII
+const METADATA_KEY_PATTERN = /^[a-z0-9._-]+$/;
+const METADATA_VALUE_PATTERN = /^[\x20-\x7e]*$/;
+// Storage classes objects can be changed to, cheapest to store last
+export const STORAGE_CLASSES = [
+  'STANDARD',
+  'INTELLIGENT_TIERING',
+  'STANDARD_IA',
+  'ONEZONE_IA',
+  'GLACIER_IR',
+  'GLACIER',
+  'DEEP_ARCHIVE'
+];
+
+// What moving to each class implies. Objects deleted or overwritten before the
+// minimum duration are billed for the rest of it, and smaller objects are
+// billed as if they were the minimum size
+export const STORAGE_CLASS_DETAILS = {
+  STANDARD: {
+    label: 'Standard',
+    minimumDays: 0,
+    minimumSize: 0,
+    retrieval: 'Immediate access with no retrieval fee.'
+  },
+  INTELLIGENT_TIERING: {
+    label: 'Intelligent-Tiering',
+    minimumDays: 0,
+    minimumSize: 0,
+    retrieval: 'Immediate access with no retrieval fee. Files are moved between access tiers automatically for a small monthly monitoring fee per file; files under 128 KB always stay in the frequent access tier.'
+  },
+  STANDARD_IA: {
+    label: 'Standard-IA',
+    minimumDays: 30,
+    minimumSize: 128 * 1024,
+    retrieval: 'Immediate access, with a fee for every GB downloaded.'
+  },
+  ONEZONE_IA: {
+    label: 'One Zone-IA',
+    minimumDays: 30,
+    minimumSize: 128 * 1024,
+    retrieval: 'Immediate access, with a fee for every GB downloaded. Stored in a single availability zone, so files are lost if that zone is destroyed.'
+  },
+  GLACIER_IR: {
+    label: 'Glacier Instant Retrieval',
+    minimumDays: 90,
+    minimumSize: 128 * 1024,
+    retrieval: 'Immediate access, with a higher fee for every GB downloaded than Standard-IA.'
+  },
+  GLACIER: {
+    label: 'Glacier Flexible Retrieval',
+    minimumDays: 90,
+    minimumSize: 0,
+    retrieval: 'Archived: files have to be restored before they can be downloaded, which takes from minutes (Expedited) to 12 hours (Bulk) and is billed per GB.'
+  },
+  DEEP_ARCHIVE: {
+    label: 'Glacier Deep Archive',
+    minimumDays: 180,
+    minimumSize: 0,
+    retrieval: 'Archived: files have to be restored before they can be downloaded, which takes 12 to 48 hours and is billed per GB.'
+  }
+};
+
+// Parent folder prefix of a key, e.g. 'a/b/' for 'a/b/c.txt' and for 'a/b/c/'
+export const getParentPath = (key) => {
+  const trimmed = key.endsWith('/') ? key.slice(0, -1) : key;
+  return trimmed.substring(0, trimmed.lastIndexOf('/') + 1);
+};
+
+// History records store folder paths without the trailing slash
+const toFolderPath = (prefix) => prefix.replace(/\/$/, '') || null;
+
+/**
+ * List every object below a folder prefix, following continuation tokens
+ * @param {string} prefix - Folder prefix
+ * @returns {Promise<Array>} S3 objects ({ Key, Size, StorageClass, ... })
+ */
+export const listAllObjects = async (prefix) => {
+  const objects = [];
+  let continuationToken;
+  do {
+    const response = await getStorageAdapter().listObjects({
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    });
+    objects.push(...(response.Contents || []));
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+  return objects;
+};
+
+// Check whether anything exists at a file key or below a folder prefix
+const targetExists = async (key) => {
+  if (key.endsWith('/')) {
+    const response = await getStorageAdapter().listObjects({ Prefix: key, MaxKeys: 1 });
+    return (response.Contents || []).length > 0;
+  }
+  try {
+    await getStorageAdapter().headObject({ Key: key });
+    return true;
+  } catch (error) {
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Run a task for each entry with a fixed number of workers
+const runWithConcurrency = async (entries, concurrency, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < entries.length) {
+      const entry = entries[next++];
+      await task(entry);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker));
+};
+
+// Delete keys in batches, returning the keys S3 refused to delete
+const deleteKeys = async (keys) => {
+  const failed = [];
+  for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+    const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+    try {
+      const response = await getStorageAdapter().deleteObjects({
+        Delete: {
+          Objects: batch.map(Key => ({ Key })),
+          Quiet: true
+        }
+      });
+      (response.Errors || []).forEach(error => {
+        failed.push({ key: error.Key, error: error.Message || error.Code || 'Delete failed' });
+      });
+    } catch (error) {
+      batch.forEach(key => failed.push({ key, error: error.message }));
+    }
+  }
+  return failed;
+};
+
+// Tag sets are passed to PutObject and CreateMultipartUpload as a URL-encoded query string
+export const encodeTagging = (tagSet = []) => tagSet
+  .map(({ Key, Value }) => `${encodeURIComponent(Key)}=${encodeURIComponent(Value)}`)
+  .join('&');
+
+// Headers a copy loses when its metadata is replaced, or when it is made in parts
+const getCopiedHeaders = (head) => ({
+  ContentType: head.ContentType,
+  ...(head.CacheControl && { CacheControl: head.CacheControl }),
+  ...(head.ContentDisposition && { ContentDisposition: head.ContentDisposition }),
+  ...(head.ContentEncoding && { ContentEncoding: head.ContentEncoding }),
+  ...(head.ContentLanguage && { ContentLanguage: head.ContentLanguage })
+});
+
+/**
+ * Copy an object with UploadPartCopy. CopyObject is limited to 5 GB and, unlike
+ * CopyObject, a multipart copy does not carry over the object's headers, so
+ * they are read from the source and set on the new upload.
+ * @param {Object} object - Source object ({ Key, VersionId })
+ * @param {string} targetKey - Destination key
+ * @param {Function} onBytes - Called with the size of every copied part
+ * @param {Object} [options] - Copy options
+ * @param {string} [options.storageClass] - Storage class of the copy, the source's by default
+ * @param {Object} [options.metadata] - User metadata of the copy, the source's by default
+ * @returns {Promise<string|undefined>} Version id of the copy in versioned buckets
+ */
+const multipartCopy = async (object, targetKey, onBytes, { storageClass, metadata } = {}) => {
+  const adapter = getStorageAdapter();
+  const source = { Key: object.Key, ...(object.VersionId && { VersionId: object.VersionId }) };
+  const [head, tagging] = await Promise.all([
+    adapter.headObject(source),
+    adapter.getObjectTagging(source)
+  ]);
+  const size = head.ContentLength;
+  const partSize = Math.max(COPY_PART_SIZE, Math.ceil(size / MAX_PARTS));
+  const tagSet = tagging.TagSet || [];
+  const targetStorageClass = storageClass || head.StorageClass;
+
+  const { UploadId } = await adapter.createMultipartUpload({
+    Key: targetKey,
+    ...getCopiedHeaders(head),
+    Metadata: metadata || head.Metadata,
+    ...(targetStorageClass && { StorageClass: targetStorageClass }),
+    ...(tagSet.length > 0 && { Tagging: encodeTagging(tagSet) })
+  });
+
+  try {
+    const partNumbers = Array.from({ length: Math.ceil(size / partSize) }, (_, i) => i + 1);
+    const parts = [];
+    await runWithConcurrency(partNumbers, COPY_CONCURRENCY, async (partNumber) => {
+      const start = (partNumber - 1) * partSize;
+      const end = Math.min(start + partSize, size) - 1;
+      const result = await adapter.uploadPartCopy({
+        Key: targetKey,
+        UploadId,
+        PartNumber: partNumber,
+        SourceKey: object.Key,
+        ...(object.VersionId && { SourceVersionId: object.VersionId }),
+        CopySourceRange: `bytes=${start}-${end}`
+      });
+      parts.push({ PartNumber: partNumber, ETag: result.CopyPartResult.ETag });
+      onBytes(end - start + 1);
+    });
+
+    const completed = await adapter.completeMultipartUpload({
+      Key: targetKey,
+      UploadId,
+      MultipartUpload: { Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber) }
+    });
+    // Copies made in parts don't reach the thumbnail sync, which follows copyObject
+    await copyThumbnail(object.Key, targetKey);
+    return completed.VersionId;
+  } catch (error) {
+    await adapter.abortMultipartUpload({ Key: targetKey, UploadId })
+      .catch(abortError => console.error('Error aborting multipart copy:', abortError));
+    throw error;
+  }
+};
+
+/**
+ * Copy one object to another key, keeping content type, metadata, tags and storage class
+ * @param {Object} object - Source object ({ Key, Size, StorageClass }), VersionId copies an older version
+ * @param {string} targetKey - Destination key
+ * @param {Function} [onBytes] - Called with the number of bytes copied so far
+ * @param {Object} [options] - Copy options
+ * @param {string} [options.storageClass] - Storage class of the copy, the source's by default
+ * @param {Object} [options.metadata] - User metadata of the copy, the source's by default
+ * @returns {Promise<string|undefined>} Version id of the copy in versioned buckets
+ */
+export const copyObjectTo = async (object, targetKey, onBytes = () => {}, { storageClass, metadata } = {}) => {
+  if ((object.Size || 0) > MAX_SINGLE_COPY_SIZE) {
+    return multipartCopy(object, targetKey, onBytes, { storageClass, metadata });
+  }
+  const adapter = getStorageAdapter();
+  const source = { Key: object.Key, ...(object.VersionId && { VersionId: object.VersionId }) };
+  // CopyObject keeps content type, metadata and tags, but not the storage class.
+  // A requested class is always sent, an in-place copy to STANDARD needs it.
+  const targetStorageClass = storageClass || object.StorageClass;
+  const result = await adapter.copyObject({
+    SourceKey: object.Key,
+    ...(object.VersionId && { SourceVersionId: object.VersionId }),
+    Key: targetKey,
+    ...(targetStorageClass && (storageClass || targetStorageClass !== 'STANDARD') && { StorageClass: targetStorageClass }),
+    // Replacing the metadata replaces the other headers too, so they are read from the source
+    ...(metadata && {
+      ...getCopiedHeaders(await adapter.headObject(source)),
+      MetadataDirective: 'REPLACE',
+      Metadata: metadata
+    })
+  });
+  onBytes(object.Size || 0);
+  return result.VersionId;
+};
+
+// First free name of the form 'name (copy)', 'name (copy 2)', ... in a folder
+const findCopyName = async (destinationPath, item) => {
+  const isFolder = item.type === 'folder';
+  const extensionIndex = isFolder ? -1 : item.name.lastIndexOf('.');
+  const base = extensionIndex > 0 ? item.name.slice(0, extensionIndex) : item.name;
+  const extension = extensionIndex > 0 ? item.name.slice(extensionIndex) : '';
+
+  for (let attempt = 1; attempt <= MAX_COPY_NAME_ATTEMPTS; attempt++) {
+    const name = `${base} (copy${attempt > 1 ? ` ${attempt}` : ''})${extension}${isFolder ? '/' : ''}`;
+    if (!(await targetExists(`${destinationPath}${name}`))) {
+      return name;
+    }
+  }
+  throw new Error(`Could not find a free name for ${item.name}`);
+};
+
+/**
+ * Copy or move listing items into a folder. Each item is handled on its own so
+ * one failing object doesn't stop the rest; failures are collected and returned.
+ * @param {Array} items - Listing items ({ key, name, type, size, storageClass })
+ * @param {string} destinationPath - Destination folder prefix ('' for the root)
+ * @param {Object} options - Transfer options
+ * @param {boolean} options.removeSource - Delete the originals after copying (move)
+ * @param {string} [options.action] - History action and transfer label, 'Move' or 'Copy' by default
+ * @param {Object} [options.metadata] - Extra history metadata
+ * @param {boolean} [options.logDestination] - Record the destination folder in history instead of the source folder
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, totalCount, failed: [{ key, error }] }
+ */
+export const transferItems = async (items, destinationPath, {
+  removeSource,
+  action = removeSource ? 'Move' : 'Copy',
+  metadata = {},
+  logDestination = false
+}, transferContext = null) => {
+  const verb = removeSource ? 'move' : 'copy';
+  let transferId = null;
+  try {
+    for (const item of items) {
+      if (item.type === 'folder' && destinationPath.startsWith(item.key)) {
+        throw new Error(`Cannot ${verb} ${item.name} into itself`);
+      }
+    }
+
+    const failed = [];
+    const plans = [];
+    for (const item of items) {
+      const sourcePath = getParentPath(item.key);
+      if (removeSource && sourcePath === destinationPath) {
+        failed.push({ key: item.key, error: 'Already in the destination folder' });
+        continue;
+      }
+
+      // 'name' for files, 'name/' for folders
+      let targetName = item.key.slice(sourcePath.length);
+      if (await targetExists(`${destinationPath}${targetName}`)) {
+        // Moves never overwrite; copies get a new name like a file manager would
+        if (removeSource) {
+          failed.push({ key: item.key, error: `${item.name} already exists in the destination folder` });
+          continue;
+        }
+        targetName = await findCopyName(destinationPath, item);
+      }
+
+      const objects = item.type === 'folder'
+        ? await listAllObjects(item.key)
+        : [{ Key: item.key, Size: item.size || 0, StorageClass: item.storageClass }];
+      plans.push({ item, sourcePath, targetKey: `${destinationPath}${targetName}`, objects });
+    }
+
+    const totalCount = plans.reduce((sum, plan) => sum + plan.objects.length, 0);
+    const totalBytes = plans.reduce((sum, plan) => sum + plan.objects.reduce((size, object) => size + (object.Size || 0), 0), 0);
+    let finishedCount = 0;
+    let copiedBytes = 0;
+
+    if (transferContext && totalCount > 0) {
+      transferId = transferContext.addTransfer({
+        name: `${action}: ${items.length === 1 ? items[0].name : `${items.length} items`}`,
+        type: verb,
+        fileCount: totalCount,
+        size: totalBytes
+      });
+    }
+
+    const reportProgress = () => {
+      if (!transferId) return;
+      // A selection of empty files has no bytes to report, count objects instead
+      if (totalBytes > 0) {
+        transferContext.updateTransferProgress(transferId, copiedBytes, totalBytes);
+      } else {
+        transferContext.updateTransferProgress(transferId, finishedCount, totalCount);
+      }
+    };
+
+    let completedCount = 0;
+    for (const plan of plans) {
+      const copiedObjects = [];
+      await runWithConcurrency(plan.objects, COPY_CONCURRENCY, async (object) => {
+        let objectBytes = 0;
+        try {
+          await copyObjectTo(object, `${plan.targetKey}${object.Key.slice(plan.item.key.length)}`, (bytes) => {
+            objectBytes += bytes;
+            copiedBytes += bytes;
+            reportProgress();
+          });
+          copiedObjects.push(object);
+        } catch (error) {
+          console.error(`Error copying ${object.Key}:`, error);
+          failed.push({ key: object.Key, error: error.message });
+          // Keep the bar consistent with the bytes that are left to copy
+          copiedBytes += (object.Size || 0) - objectBytes;
+        }
+        finishedCount++;
+        reportProgress();
+      });
+
+      // Only originals with a copy in place are deleted, so nothing is lost on failure
+      const deleteFailures = removeSource ? await deleteKeys(copiedObjects.map(object => object.Key)) : [];
+      failed.push(...deleteFailures.map(failure => ({ ...failure, error: `Copied but not removed: ${failure.error}` })));
+      const copiedFiles = copiedObjects.filter(object => !object.Key.endsWith('/'));
+      completedCount += copiedObjects.length;
+
+      if (copiedObjects.length > 0) {
+        await logActivity({
+          action,
+          itemName: plan.item.name,
+          size: copiedFiles.reduce((size, object) => size + (object.Size || 0), 0),
+          fileCount: copiedFiles.length,
+          folderPath: toFolderPath(logDestination ? destinationPath : plan.sourcePath),
+          metadata: {
+            item_type: plan.item.type,
+            source: plan.item.key,
+            destination: plan.targetKey,
+            failed_count: plan.objects.length - copiedObjects.length + deleteFailures.length,
+            ...metadata
+          }
+        });
+      }
+    }
+
+    if (transferId) {
+      if (failed.length === 0) {
+        transferContext.completeTransfer(transferId);
+      } else {
+        transferContext.errorTransfer(transferId, new Error(`${failed.length} ${failed.length === 1 ? 'object' : 'objects'} could not be ${removeSource ? 'moved' : 'copied'}`));
+      }
+    }
+
+    return { completedCount, totalCount, failed };
+  } catch (error) {
+    console.error(`Error during ${verb}:`, error);
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move files and folders into another folder (copy, then delete the originals).
+ * Items whose name is already taken in the destination are skipped and
+ * reported as failed rather than overwritten.
+ * @param {Array} items - Listing items to move ({ key, name, type, size })
+ * @param {string} destinationPath - Destination folder prefix ('' for the root)
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, totalCount, failed: [{ key, error }] }
+ */
+export const moveItems = (items, destinationPath, transferContext = null) =>
+  transferItems(items, destinationPath, { removeSource: true }, transferContext);
+
+/**
+ * Copy files and folders into another folder. The copy runs inside S3, nothing
+ * is downloaded. Objects over 5 GB are copied in parts. A copy into a folder
+ * that already has an item with the same name is named 'name (copy)'.
+ * @param {Array} items - Listing items to copy ({ key, name, type, size })
+ * @param {string} destinationPath - Destination folder prefix ('' for the root)
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, totalCount, failed: [{ key, error }] }
+ */
+export const copyItems = (items, destinationPath, transferContext = null) =>
+  transferItems(items, destinationPath, { removeSource: false }, transferContext);
+
+/**
+ * Run a task on every object of a selection of files and folders, with one
+ * transfer for the whole selection. Objects whose task throws are collected as
+ * failures, the rest keep going.
+ * @param {Array} items - Listing items ({ key, name, type, size, storageClass })
+ * @param {Object} options - Run options
+ * @param {string} options.name - Transfer name
+ * @param {string} options.type - Transfer type
+ * @param {boolean} [options.trackBytes] - Report progress in bytes instead of objects
+ * @param {Function} task - Called with each S3 object ({ Key, Size, StorageClass }) and an onBytes callback
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { plans: [{ item, objects, completed }], failed: [{ key, error }] }
+ */
+const runOnItemObjects = async (items, { name, type, trackBytes = false }, task, transferContext) => {
+  let transferId = null;
+  try {
+    const plans = [];
+    for (const item of items) {
+      // Folder markers hold no data, there is nothing to change on them
+      const objects = item.type === 'folder'
+        ? (await listAllObjects(item.key)).filter(object => !object.Key.endsWith('/'))
+        : [{ Key: item.key, Size: item.size || 0, StorageClass: item.storageClass }];
+      plans.push({ item, objects, completed: [] });
+    }
+
+    const totalCount = plans.reduce((sum, plan) => sum + plan.objects.length, 0);
+    const totalBytes = plans.reduce((sum, plan) => sum + plan.objects.reduce((size, object) => size + (object.Size || 0), 0), 0);
+    let finishedCount = 0;
+    let doneBytes = 0;
+
+    if (transferContext && totalCount > 0) {
+      transferId = transferContext.addTransfer({ name, type, fileCount: totalCount, size: totalBytes });
+    }
+
+    const reportProgress = () => {
+      if (!transferId) return;
+      if (trackBytes && totalBytes > 0) {
+        transferContext.updateTransferProgress(transferId, doneBytes, totalBytes);
+      } else {
+        transferContext.updateTransferProgress(transferId, finishedCount, totalCount);
+      }
+    };
+
+    const failed = [];
+    for (const plan of plans) {
+      await runWithConcurrency(plan.objects, COPY_CONCURRENCY, async (object) => {
+        let objectBytes = 0;
+        try {
+          await task(object, (bytes) => {
+            objectBytes += bytes;
+            doneBytes += bytes;
+            reportProgress();
+          });
+          plan.completed.push(object);
+        } catch (error) {
+          console.error(`Error processing ${object.Key}:`, error);
+          failed.push({ key: object.Key, error: error.message });
+        }
+        doneBytes += (object.Size || 0) - objectBytes;
+        finishedCount++;
+        reportProgress();
+      });
+    }
+
+    if (transferId) {
+      if (failed.length === 0) {
+        transferContext.completeTransfer(transferId);
+      } else {
+        transferContext.errorTransfer(transferId, new Error(`${failed.length} ${failed.length === 1 ? 'object' : 'objects'} failed`));
+      }
+    }
+
+    return { plans, failed };
+  } catch (error) {
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+// Name a selection in transfer labels, e.g. 'report.pdf' or '3 items'
+const describeItems = (items) => (items.length === 1 ? items[0].name : `${items.length} items`);
+
+const isArchivedObjectError = (error) => error.name === 'InvalidObjectState';
+
+/**
+ * Change the storage class of files and of every file in folders. S3 has no
+ * call for this, so each object is copied onto itself with the new class.
+ * Objects already in the class are left alone. Archived Glacier objects can
+ * only be copied once they are restored, until then they are reported as failed.
+ * @param {Array} items - Listing items ({ key, name, type, size, storageClass })
+ * @param {string} storageClass - Target storage class, e.g. 'STANDARD_IA'
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { changedCount, skippedCount, failed: [{ key, error }] }
+ */
+export const changeStorageClass = async (items, storageClass, transferContext = null) => {
+  try {
+    let skippedCount = 0;
+    const { plans, failed } = await runOnItemObjects(items, {
+      name: `Storage class ${storageClass}: ${describeItems(items)}`,
+      type: 'storage-class',
+      trackBytes: true
+    }, async (object, onBytes) => {
+      if ((object.StorageClass || 'STANDARD') === storageClass) {
+        skippedCount++;
+        return;
+      }
+      try {
+        await copyObjectTo(object, object.Key, onBytes, { storageClass });
+      } catch (error) {
+        if (isArchivedObjectError(error)) {
+          throw new Error('Archived in Glacier, restore it before changing its storage class');
+        }
+        throw error;
+      }
+    }, transferContext);
+
+    let changedCount = 0;
+    for (const { item, objects, completed } of plans) {
+      const changed = completed.filter(object => (object.StorageClass || 'STANDARD') !== storageClass);
+      changedCount += changed.length;
+      if (changed.length === 0) continue;
+      await logActivity({
+        action: 'Update',
+        itemName: item.name,
+        size: changed.reduce((size, object) => size + (object.Size || 0), 0),
+        fileCount: changed.length,
+        folderPath: toFolderPath(getParentPath(item.key)),
+        storageClass,
+        metadata: {
+          item_type: item.type,
+          change: 'storage_class',
+          ...(item.type === 'file' && { previous_storage_class: item.storageClass || 'STANDARD' }),
+          failed_count: objects.length - completed.length
+        }
+      });
+    }
+
+    return { changedCount, skippedCount, failed };
+  } catch (error) {
+    console.error('Error changing storage class:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add tags to files and to every file in folders. Existing tags are kept, a
+ * tag with the same key gets the new value.
+ * @param {Array} items - Listing items ({ key, name, type })
+ * @param {Array} tagSet - Tags to add ([{ Key, Value }])
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { taggedCount, failed: [{ key, error }] }
+ */
+export const addTags = async (items, tagSet, transferContext = null) => {
+  try {
+    const { plans, failed } = await runOnItemObjects(items, {
+      name: `Tag: ${describeItems(items)}`,
+      type: 'tag'
+    }, async (object) => {
+      const adapter = getStorageAdapter();
+      const current = (await adapter.getObjectTagging({ Key: object.Key })).TagSet || [];
+      const merged = [
+        ...current.filter(tag => !tagSet.some(added => added.Key === tag.Key)),
+        ...tagSet
+      ];
+      if (merged.length > MAX_TAGS_PER_OBJECT) {
+        throw new Error(`An object can have at most ${MAX_TAGS_PER_OBJECT} tags`);
+      }
+      await adapter.putObjectTagging({ Key: object.Key, Tagging: { TagSet: merged } });
+      forgetTags(object.Key);
+    }, transferContext);
+
+    let taggedCount = 0;
+    for (const { item, objects, completed } of plans) {
+      taggedCount += completed.length;
+      if (completed.length === 0) continue;
+      await logActivity({
+        action: 'Update',
+        itemName: item.name,
+        size: completed.reduce((size, object) => size + (object.Size || 0), 0),
+        fileCount: completed.length,
+        folderPath: toFolderPath(getParentPath(item.key)),
+        metadata: {
+          item_type: item.type,
+          change: 'tags',
+          tags: Object.fromEntries(tagSet.map(tag => [tag.Key, tag.Value])),
+          failed_count: objects.length - completed.length
+        }
+      });
+    }
+
+    return { taggedCount, failed };
+  } catch (error) {
+    console.error('Error adding tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a tag against the rules of S3
+ * @param {Object} tag - Tag ({ Key, Value })
+ * @param {Array} [tagSet] - Tag set the tag belongs to, to find keys used twice
+ * @returns {string|null} What is wrong with the tag, null if it is valid
+ */
+export const getTagError = ({ Key, Value }, tagSet = []) => {
+  if (!Key) return 'Enter a key';
+  if (Key.length > MAX_TAG_KEY_LENGTH) return `Keys can have at most ${MAX_TAG_KEY_LENGTH} characters`;
+  if (Value.length > MAX_TAG_VALUE_LENGTH) return `Values can have at most ${MAX_TAG_VALUE_LENGTH} characters`;
+  if (Key.startsWith('aws:')) return 'Keys starting with aws: are reserved';
+  if (tagSet.filter(other => other.Key === Key).length > 1) return 'Each key can only be used once';
+  return null;
+};
+
+/**
+ * Check a user metadata entry against the rules of S3 and of HTTP headers
+ * @param {Object} entry - Entry ({ Key, Value }), the key without the x-amz-meta- prefix
+ * @param {Array} [entries] - Entries the entry belongs to, to find keys used twice
+ * @returns {string|null} What is wrong with the entry, null if it is valid
+ */
+export const getMetadataError = ({ Key, Value }, entries = []) => {
+  if (!Key) return 'Enter a key';
+  if (!METADATA_KEY_PATTERN.test(Key)) return 'Keys can only use lower case letters, digits and - _ .';
+  if (!METADATA_VALUE_PATTERN.test(Value)) return 'Values can only use ASCII characters';
+  if (entries.filter(other => other.Key === Key).length > 1) return 'Each key can only be used once';
+  return null;
+};
+
+// Size S3 counts user metadata with, key and value of every entry
+const getMetadataSize = (metadata) => Object.entries(metadata)
+  .reduce((size, [key, value]) => size + key.length + value.length, 0);
+
+/**
+ * Read the properties, user metadata and tags of a file
+ * @param {string} key - File key
+ * @returns {Promise<Object>} { size, contentType, lastModified, storageClass, etag, versionId,
+ *   archived, metadata: { key: value }, tags: [{ Key, Value }] }
+ */
+export const getObjectDetails = async (key) => {
+  try {
+    const adapter = getStorageAdapter();
+    const [head, tagging] = await Promise.all([
+      adapter.headObject({ Key: key }),
+      adapter.getObjectTagging({ Key: key })
+    ]);
+    const storageClass = head.StorageClass || 'STANDARD';
+    return {
+      size: head.ContentLength || 0,
+      contentType: head.ContentType || null,
+      lastModified: head.LastModified ? new Date(head.LastModified) : null,
+      storageClass,
+      etag: head.ETag ? head.ETag.replace(/"/g, '') : null,
+      versionId: head.VersionId || null,
+      // Archived objects cannot be copied, so their metadata cannot change until they are restored
+      archived: (storageClass === 'GLACIER' || storageClass === 'DEEP_ARCHIVE') &&
+        !(head.Restore || '').includes('ongoing-request="false"'),
+      metadata: head.Metadata || {},
+      tags: tagging.TagSet || []
+    };
+  } catch (error) {
+    console.error('Error reading object details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the tags of a file
+ * @param {Object} item - Listing item ({ key, name, size })
+ * @param {Array} tagSet - New tags ([{ Key, Value }]), an empty set removes every tag
+ * @returns {Promise<void>}
+ */
+export const updateObjectTags = async (item, tagSet) => {
+  try {
+    if (tagSet.length > MAX_TAGS_PER_OBJECT) {
+      throw new Error(`An object can have at most ${MAX_TAGS_PER_OBJECT} tags`);
+    }
+    const invalid = tagSet.map(tag => getTagError(tag, tagSet)).find(Boolean);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+
+    await getStorageAdapter().putObjectTagging({ Key: item.key, Tagging: { TagSet: tagSet } });
+    forgetTags(item.key);
+
+    await logActivity({
+      action: 'Update',
+      itemName: item.name,
+      size: item.size || 0,
+      fileCount: 1,
+      folderPath: toFolderPath(getParentPath(item.key)),
+      metadata: {
+        item_type: 'file',
+        change: 'tags',
+        tags: Object.fromEntries(tagSet.map(tag => [tag.Key, tag.Value])),
+        replaced: true
+      }
+    });
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the user metadata (x-amz-meta-* headers) of a file. S3 cannot change
+ * metadata in place, so the file is copied onto itself with the new metadata;
+ * in versioned buckets this creates a new version.
+ * @param {Object} item - Listing item ({ key, name, size, storageClass })
+ * @param {Object} metadata - New metadata ({ key: value }), keys without the x-amz-meta- prefix
+ * @returns {Promise<void>}
+ */
+export const updateObjectMetadata = async (item, metadata) => {
+  try {
+    const entries = Object.entries(metadata).map(([Key, Value]) => ({ Key, Value }));
+    const invalid = entries.map(entry => getMetadataError(entry, entries)).find(Boolean);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+    if (getMetadataSize(metadata) > MAX_METADATA_BYTES) {
+      throw new Error(`Metadata can be at most ${MAX_METADATA_BYTES / 1024} KB`);
+    }
+
+    let versionId;
+    try {
+      versionId = await copyObjectTo(
+        { Key: item.key, Size: item.size || 0, StorageClass: item.storageClass },
+        item.key,
+        () => {},
+        { metadata }
+      );
+    } catch (error) {
+      if (isArchivedObjectError(error)) {
+        throw new Error('Archived in Glacier, restore it before changing its metadata');
+      }
+      throw error;
+    }
+
+    await logActivity({
+      action: 'Update',
+      itemName: item.name,
+      size: item.size || 0,
+      fileCount: 1,
+      folderPath: toFolderPath(getParentPath(item.key)),
+      storageClass: item.storageClass,
+      metadata: {
+        item_type: 'file',
+        change: 'metadata',
+        metadata_keys: Object.keys(metadata),
+        ...(versionId && { version_id: versionId })
+      }
+    });
+  } catch (error) {
+    console.error('Error updating metadata:', error);
+    throw error;
+  }
+};
+
+// Tags of listed files by connection and key. Changing tags does not change
+// LastModified, so tagging through Vayubox drops the cached entry.
+const tagCache = new Map();
+
+const tagCacheKey = (key) => `${getActiveConnection().id}:${key}`;
+
+const forgetTags = (key) => {
+  tagCache.delete(tagCacheKey(key));
+};
+
+/**
+ * Read the tags of listed files, for filtering a listing by tag. Tags are
+ * requested file by file, a few at a time, and cached until the file changes.
+ * @param {Array} items - Listing items ({ key, type, lastModified }), folders are skipped
+ * @returns {Promise<Map>} Tag sets ([{ Key, Value }]) by key, files whose tags could not be read are missing
+ */
+export const getTagsForItems = async (items) => {
+  const adapter = getStorageAdapter();
+  const version = (item) => String(item.lastModified || '');
+  const files = items.filter(item => item.type === 'file');
+  const missing = files.filter(item => tagCache.get(tagCacheKey(item.key))?.version !== version(item));
+
+  await runWithConcurrency(missing, COPY_CONCURRENCY, async (item) => {
+    try {
+      const { TagSet } = await adapter.getObjectTagging({ Key: item.key });
+      tagCache.set(tagCacheKey(item.key), { version: version(item), tags: TagSet || [] });
+    } catch (error) {
+      console.error(`Error reading tags of ${item.key}:`, error);
+    }
+  });
+
+  const tags = new Map();
+  files.forEach(item => {
+    const cached = tagCache.get(tagCacheKey(item.key));
+    if (cached) tags.set(item.key, cached.tags);
+  });
+  return tags;
+};
+
+/**
+ * Parse a tag filter typed by the user
+ * @param {string} text - 'key' matches files with the tag, 'key=value' files with the tag set to the value
+ * @returns {Object|null} { key, value } where value is null for 'key', null for an empty filter
+ */
+export const parseTagFilter = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+  const separator = trimmed.indexOf('=');
+  return separator === -1
+    ? { key: trimmed, value: null }
+    : { key: trimmed.slice(0, separator).trim(), value: trimmed.slice(separator + 1).trim() };
+};
+
+/**
+ * Check a tag set against a filter from parseTagFilter(). Keys match exactly,
+ * values ignore case.
+ * @param {Array} tagSet - Tags of a file ([{ Key, Value }])
+ * @param {Object} filter - Filter ({ key, value })
+ * @returns {boolean} True if the file matches
+ */
+export const matchesTagFilter = (tagSet, filter) => tagSet.some(tag => tag.Key === filter.key &&
+  (filter.value === null || tag.Value.toLowerCase() === filter.value.toLowerCase()));
+
+// Rename jobs are stored per Firebase user, like saved connections
+const renameJobsKey = () => `${RENAME_JOBS_KEY}_${auth.currentUser?.uid || 'anonymous'}`;
+
+const readRenameJobs = () => {
+  try {
+    return JSON.parse(localStorage.getItem(renameJobsKey())) || [];
+  } catch (error) {
+    console.error('Error reading rename jobs:', error);
+    return [];
+  }
+};
+
+const writeRenameJobs = (jobs) => {
+  localStorage.setItem(renameJobsKey(), JSON.stringify(jobs));
+};
+
+const saveRenameJob = (job) => {
+  writeRenameJobs([...readRenameJobs().filter(existing => existing.id !== job.id), job]);
+};
+
+/**
+ * Drop a rename job without touching any objects
+ * @param {string} jobId - Rename job id
+ */
+export const discardRenameJob = (jobId) => {
+  writeRenameJobs(readRenameJobs().filter(job => job.id !== jobId));
+};
+
+// Jobs running in this tab are not pending, they are still being worked on
+const runningRenameJobs = new Set();
+
+/**
+ * Folder renames of the active connection that were interrupted or finished with failures
+ * @returns {Array} Jobs ({ id, sourcePrefix, targetPrefix, startedAt, failedCount, failed })
+ */
+export const getPendingRenameJobs = () => {
+  const connectionId = getActiveConnection().id;
+  return readRenameJobs().filter(job => job.connectionId === connectionId && !runningRenameJobs.has(job.id));
+};
+
+/**
+ * Move every object from one prefix to another, one listing page at a time.
+ * Originals are deleted as soon as their copy exists, so running it again after
+ * an interruption continues with whatever is still under the source prefix.
+ * @param {string} sourcePrefix - Prefix to move from
+ * @param {string} targetPrefix - Prefix to move to
+ * @param {Function} onProgress - Called with ({ copiedBytes, finishedCount })
+ * @returns {Promise<Object>} { movedObjects, failed }
+ */
+const movePrefix = async (sourcePrefix, targetPrefix, onProgress) => {
+  const failed = [];
+  const movedObjects = [];
+  let copiedBytes = 0;
+  let finishedCount = 0;
+  let startAfter;
+
+  do {
+    const response = await getStorageAdapter().listObjects({
+      Prefix: sourcePrefix,
+      StartAfter: startAfter
+    });
+    const objects = response.Contents || [];
+    // Failed keys stay under the source prefix, so continue after this page instead of from the top
+    startAfter = response.IsTruncated && objects.length > 0 ? objects[objects.length - 1].Key : undefined;
+
+    const copied = [];
+    await runWithConcurrency(objects, COPY_CONCURRENCY, async (object) => {
+      try {
+        await copyObjectTo(object, `${targetPrefix}${object.Key.slice(sourcePrefix.length)}`, (bytes) => {
+          copiedBytes += bytes;
+          onProgress({ copiedBytes, finishedCount });
+        });
+        copied.push(object);
+      } catch (error) {
+        console.error(`Error copying ${object.Key}:`, error);
+        failed.push({ key: object.Key, error: error.message });
+      }
+      finishedCount++;
+      onProgress({ copiedBytes, finishedCount });
+    });
+
+    const deleteFailures = await deleteKeys(copied.map(object => object.Key));
+    failed.push(...deleteFailures.map(failure => ({ ...failure, error: `Copied but not removed: ${failure.error}` })));
+    const undeleted = new Set(deleteFailures.map(failure => failure.key));
+    movedObjects.push(...copied.filter(object => !undeleted.has(object.Key)));
+  } while (startAfter);
+
+  return { movedObjects, failed };
+};
+
+// Run a rename job to the end and keep it around if anything failed
+const runRenameJob = async (job, { sourcePrefix, targetPrefix, itemName, rollback }, transferContext) => {
+  let transferId = null;
+  let reportProgress = () => {};
+  runningRenameJobs.add(job.id);
+  try {
+    if (transferContext) {
+      // The summary gives the size of what is left to move, also when resuming
+      const summary = await getPrefixSummary(sourcePrefix);
+      transferId = transferContext.addTransfer({
+        name: `${rollback ? 'Roll back' : 'Rename'}: ${itemName}`,
+        type: 'rename',
+        fileCount: summary.objectCount,
+        size: summary.totalSize
+      });
+      reportProgress = ({ copiedBytes, finishedCount }) => {
+        if (summary.totalSize > 0) {
+          transferContext.updateTransferProgress(transferId, Math.min(copiedBytes, summary.totalSize), summary.totalSize);
+        } else if (summary.objectCount > 0) {
+          transferContext.updateTransferProgress(transferId, Math.min(finishedCount, summary.objectCount), summary.objectCount);
+        }
+      };
+    }
+
+    const { movedObjects, failed } = await movePrefix(sourcePrefix, targetPrefix, reportProgress);
+
+    if (failed.length === 0) {
+      discardRenameJob(job.id);
+    } else {
+      saveRenameJob({
+        ...job,
+        failedCount: failed.length,
+        failed: failed.slice(0, MAX_REPORTED_FAILURES)
+      });
+    }
+
+    const movedFiles = movedObjects.filter(object => !object.Key.endsWith('/'));
+    if (movedObjects.length > 0) {
+      await logActivity({
+        action: 'Rename',
+        itemName,
+        size: movedFiles.reduce((size, object) => size + (object.Size || 0), 0),
+        fileCount: movedFiles.length,
+        folderPath: toFolderPath(getParentPath(sourcePrefix)),
+        metadata: {
+          item_type: 'folder',
+          source: sourcePrefix,
+          destination: targetPrefix,
+          failed_count: failed.length,
+          ...(rollback && { rollback: true })
+        }
+      });
+    }
+
+    if (transferId) {
+      if (failed.length === 0) {
+        transferContext.completeTransfer(transferId);
+      } else {
+        transferContext.errorTransfer(transferId, new Error(`${failed.length} ${failed.length === 1 ? 'object' : 'objects'} could not be moved`));
+      }
+    }
+
+    return { completedCount: movedObjects.length, failed };
+  } catch (error) {
+    // Listing or deleting failed outright; the job stays pending so it can be resumed
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  } finally {
+    runningRenameJobs.delete(job.id);
+  }
+};
+
+/**
+ * Rename a file in its folder, keeping its storage class, content type,
+ * metadata and tags. Refuses to overwrite a file that has the new name.
+ * @param {Object} item - File listing item ({ key, name, size, storageClass })
+ * @param {string} newName - New file name
+ * @returns {Promise<boolean>} True once the file is renamed
+ */
+export const renameFile = async (item, newName) => {
+  try {
+    const targetKey = `${getParentPath(item.key)}${newName}`;
+    if (targetKey === item.key) {
+      return true;
+    }
+    if (await targetExists(targetKey)) {
+      throw new Error(`A file named ${newName} already exists`);
+    }
+
+    const versionId = await copyObjectTo({ Key: item.key, Size: item.size, StorageClass: item.storageClass }, targetKey);
+    await getStorageAdapter().deleteObject({ Key: item.key });
+
+    await logActivity({
+      action: 'Rename',
+      itemName: `${item.name} → ${newName}`,
+      size: item.size || 0,
+      fileCount: 1,
+      folderPath: toFolderPath(getParentPath(item.key)),
+      // Version created under the new name in versioned buckets
+      ...(versionId && { metadata: { version_id: versionId } })
+    });
+    return true;
+  } catch (error) {
+    console.error('Error renaming file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a folder by moving every object under its prefix. Refuses to merge
+ * into an existing folder. Progress is saved as it goes: if the rename is
+ * interrupted or some objects fail, it shows up in getPendingRenameJobs() and
+ * can be resumed with resumeRenameJob() or undone with rollbackRenameJob().
+ * @param {Object} item - Folder listing item ({ key, name, size })
+ * @param {string} newName - New folder name
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, failed: [{ key, error }] }
+ */
+export const renameFolder = async (item, newName, transferContext = null) => {
+  try {
+    const sourcePrefix = item.key;
+    const targetPrefix = `${getParentPath(sourcePrefix)}${newName}/`;
+    if (targetPrefix === sourcePrefix) {
+      return { completedCount: 0, failed: [] };
+    }
+
+    const pending = getPendingRenameJobs().find(job =>
+      job.sourcePrefix === sourcePrefix || job.targetPrefix === sourcePrefix);
+    if (pending) {
+      throw new Error(`${item.name} has an unfinished rename, resume or roll it back first`);
+    }
+    if (await targetExists(targetPrefix)) {
+      throw new Error(`A folder named ${newName} already exists`);
+    }
+
+    const job = {
+      id: `rename-${Date.now().toString(36)}`,
+      connectionId: getActiveConnection().id,
+      sourcePrefix,
+      targetPrefix,
+      startedAt: new Date().toISOString()
+    };
+    saveRenameJob(job);
+
+    return await runRenameJob(job, {
+      sourcePrefix,
+      targetPrefix,
+      itemName: `${item.name} → ${newName}`
+    }, transferContext);
+  } catch (error) {
+    console.error('Error renaming folder:', error);
+    throw error;
+  }
+};
+
+// Display name of a folder prefix, e.g. 'b' for 'a/b/'
+const prefixName = (prefix) => prefix.split('/').slice(-2)[0];
+
+/**
+ * Count what deleting a folder would remove, for the confirmation dialog
+ * @param {string} prefix - Folder prefix
+ * @returns {Promise<Object>} { objectCount, totalSize }
+ */
+export const getFolderDeletionSummary = async (prefix) => {
+  // Always list again, the dialog must not understate what is about to be deleted
+  const summary = await getPrefixSummary(prefix, { force: true });
+  return { objectCount: summary.objectCount, totalSize: summary.totalSize };
+};
+
+/**
+ * Delete every object below a prefix, one listing page (and one DeleteObjects
+ * request of up to 1000 keys) at a time. Keys that S3 refuses to delete are
+ * skipped and reported, the rest of the prefix is still deleted.
+ * @param {string} prefix - Folder prefix
+ * @param {Function} [onProgress] - Called with the number of files deleted so far
+ * @returns {Promise<Object>} { deletedCount, deletedFiles, deletedBytes, failed: [{ key, error }] }
+ */
+export const deletePrefix = async (prefix, onProgress = () => {}) => {
+  const failed = [];
+  let deletedCount = 0;
+  let deletedFiles = 0;
+  let deletedBytes = 0;
+  let startAfter;
+
+  do {
+    const response = await getStorageAdapter().listObjects({
+      Prefix: prefix,
+      StartAfter: startAfter
+    });
+    const objects = response.Contents || [];
+    // Keys that failed are still listed, so continue after this page instead of from the top
+    startAfter = response.IsTruncated && objects.length > 0 ? objects[objects.length - 1].Key : undefined;
+
+    const pageFailures = await deleteKeys(objects.map(object => object.Key));
+    failed.push(...pageFailures);
+    const failedKeys = new Set(pageFailures.map(failure => failure.key));
+    objects.filter(object => !failedKeys.has(object.Key)).forEach(object => {
+      deletedCount++;
+      if (!object.Key.endsWith('/')) {
+        deletedFiles++;
+        deletedBytes += object.Size || 0;
+      }
+    });
+    onProgress(deletedFiles);
+  } while (startAfter);
+
+  return { deletedCount, deletedFiles, deletedBytes, failed };
+};
+
+/**
+ * Delete a folder and everything below it for good. Keys that S3 refuses to
+ * delete are skipped and reported, the rest of the folder is still deleted.
+ * @param {Object} item - Folder listing item ({ key, name })
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { deletedCount, failed: [{ key, error }] }
+ */
+export const deleteFolder = async (item, transferContext = null) => {
+  let transferId = null;
+  try {
+    const summary = transferContext ? await getPrefixSummary(item.key) : null;
+    if (transferContext) {
+      transferId = transferContext.addTransfer({
+        name: `Delete: ${item.name}`,
+        type: 'delete',
+        fileCount: summary.objectCount,
+        size: summary.totalSize
+      });
+    }
+
+    const { deletedCount, deletedFiles, deletedBytes, failed } = await deletePrefix(item.key, (filesDone) => {
+      if (transferId && summary.objectCount > 0) {
+        transferContext.updateTransferProgress(transferId, Math.min(filesDone, summary.objectCount), summary.objectCount);
+      }
+    });
+
+    if (deletedCount > 0) {
+      await logActivity({
+        action: 'Delete',
+        itemName: item.name,
+        size: deletedBytes,
+        fileCount: deletedFiles,
+        folderPath: toFolderPath(getParentPath(item.key)),
+        metadata: {
+          item_type: 'folder',
+          failed_count: failed.length
+        }
+      });
+    }
+
+    if (transferId) {
+      if (failed.length === 0) {
+        transferContext.completeTransfer(transferId);
+      } else {
+        transferContext.errorTransfer(transferId, new Error(`${failed.length} ${failed.length === 1 ? 'object' : 'objects'} could not be deleted`));
+      }
+    }
+
+    return { deletedCount, failed };
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Continue an interrupted or partially failed folder rename
+ * @param {Object} job - Job from getPendingRenameJobs()
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, failed: [{ key, error }] }
+ */
+export const resumeRenameJob = async (job, transferContext = null) => {
+  try {
+    return await runRenameJob(job, {
+      sourcePrefix: job.sourcePrefix,
+      targetPrefix: job.targetPrefix,
+      itemName: `${prefixName(job.sourcePrefix)} → ${prefixName(job.targetPrefix)}`
+    }, transferContext);
+  } catch (error) {
+    console.error('Error resuming folder rename:', error);
+    throw error;
+  }
+};
+
+/**
+ * Undo a folder rename by moving everything that already moved back to the old name
+ * @param {Object} job - Job from getPendingRenameJobs()
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, failed: [{ key, error }] }
+ */
+export const rollbackRenameJob = async (job, transferContext = null) => {
+  try {
+    return await runRenameJob(job, {
+      sourcePrefix: job.targetPrefix,
+      targetPrefix: job.sourcePrefix,
+      itemName: `${prefixName(job.targetPrefix)} → ${prefixName(job.sourcePrefix)}`,
+      rollback: true
+    }, transferContext);
+  } catch (error) {
+    console.error('Error rolling back folder rename:', error);
+    throw error;
+  }
+};
+
+export default {
+  getParentPath,
+  listAllObjects,
+  copyObjectTo,
+  transferItems,
+  deletePrefix,
+  moveItems,
+  copyItems,
+  changeStorageClass,
+  addTags,
+  getTagError,
+  getMetadataError,
+  getObjectDetails,
+  updateObjectTags,
+  updateObjectMetadata,
+  getTagsForItems,
+  parseTagFilter,
+  matchesTagFilter,
+  STORAGE_CLASSES,
+  STORAGE_CLASS_DETAILS,
+  MAX_TAGS_PER_OBJECT,
+  MAX_METADATA_BYTES,
+  encodeTagging,
+  renameFile,
+  renameFolder,
+  getPendingRenameJobs,
+  resumeRenameJob,
+  rollbackRenameJob,
+  discardRenameJob,
+  getFolderDeletionSummary,
+  deleteFolder
+};
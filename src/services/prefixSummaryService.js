@@ -0,0 +1,432 @@
+import { auth } from '../firebase.js';
+import { getStorageAdapter, onStorageMutation } from './storageAdapter.js';
+import { getActiveConnection } from './connectionService.js';
+import { STORAGE_CONFIG } from './storageClient.js';
+import { ensureMetadataIndex, listIndexedObjects, onMetadataIndexChange } from './metadataIndexService.js';
+
+/**
+ * Vayubox Prefix Summary Service
+ * Keeps a cached summary per folder prefix: object count, bytes and the count
+ * and bytes per storage class. Summarizing a prefix lists it once and fills in
+ * the summaries of every sub-folder on the way, so opening a folder costs one
+ * paginated listing instead of one listing per sub-folder, or none once the
+ * metadata index is built. Vayubox's own writes are applied to the cached
+ * summaries as deltas: the size and storage class of the key before and after
+ * the write are removed from and added to every summary above it. The key,
+ * size, date and class of each listed object are kept for this. Summaries
+ * above a folder the index saw change elsewhere are dropped, and all of them
+ * expire after SUMMARY_TTL_MS to pick up other changes made outside the app.
+ */
+
+const SUMMARY_TTL_MS = 5 * 60 * 1000;
+const ARCHIVE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+// Standard objects are expected to move to Glacier this many days after upload
+const LIFECYCLE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Only the next few transitions are shown, so each summary keeps a short list
+const MAX_PENDING_TRANSITIONS = 10;
+
+// Per user and connection: { summaries: prefix -> summary, objects: key -> { size, storageClass, lastModified } }
+const scopes = new Map();
+const pendingSummaries = new Map();
+// Summaries being computed, with the writes made under their prefix in the meantime
+const runningComputations = new Set();
+// Writes are applied one at a time, in the order they were made
+let mutationQueue = Promise.resolve();
+
+// Summaries belong to the signed-in user and the active connection
+const getScopeKey = () => `${auth.currentUser?.uid || ''}:${getActiveConnection().id}`;
+
+const getScope = (scopeKey) => {
+  if (!scopes.has(scopeKey)) {
+    scopes.set(scopeKey, { summaries: new Map(), objects: new Map() });
+  }
+  return scopes.get(scopeKey);
+};
+
+/**
+ * Check whether a storage class requires a restore before download
+ * @param {string} storageClass - S3 storage class
+ * @returns {boolean} True for Glacier and Deep Archive
+ */
+export const isArchiveStorageClass = (storageClass) => ARCHIVE_CLASSES.includes(storageClass);
+
+const createSummary = (prefix) => ({
+  prefix,
+  objectCount: 0,
+  totalSize: 0,
+  storageClasses: {},
+  archivedCount: 0,
+  archivedSize: 0,
+  pendingTransitions: [],
+  totalPendingCount: 0,
+  computedAt: Date.now()
+});
+
+const toObjectState = (object) => ({
+  size: object.Size || 0,
+  storageClass: object.StorageClass || 'STANDARD',
+  lastModified: object.LastModified ? new Date(object.LastModified).getTime() : null
+});
+
+// Standard objects that have not reached the lifecycle transition when the summary was computed
+const getPendingTransition = (key, state, since) => {
+  if (state.storageClass !== 'STANDARD' || !state.lastModified) return null;
+  const transitionDate = new Date(state.lastModified + LIFECYCLE_DAYS * DAY_MS);
+  return transitionDate.getTime() > since
+    ? { key, name: key.split('/').pop(), size: state.size, transitionDate }
+    : null;
+};
+
+// Deleted items and thumbnails only count in summaries of the trash or thumbnail prefix itself
+const countsIn = (prefix, key) =>
+  (prefix.startsWith(STORAGE_CONFIG.trashPrefix) || !key.startsWith(STORAGE_CONFIG.trashPrefix))
+  && (prefix.startsWith(STORAGE_CONFIG.thumbnailPrefix) || !key.startsWith(STORAGE_CONFIG.thumbnailPrefix));
+
+const addPendingTransition = (summary, transition) => {
+  summary.totalPendingCount++;
+  const list = summary.pendingTransitions;
+  if (list.length === MAX_PENDING_TRANSITIONS && transition.transitionDate >= list[list.length - 1].transitionDate) {
+    return;
+  }
+  const index = list.findIndex(existing => existing.transitionDate > transition.transitionDate);
+  list.splice(index === -1 ? list.length : index, 0, transition);
+  if (list.length > MAX_PENDING_TRANSITIONS) {
+    list.pop();
+  }
+};
+
+const addObject = (summary, key, state) => {
+  const { storageClass, size } = state;
+
+  summary.objectCount++;
+  summary.totalSize += size;
+  const classTotals = summary.storageClasses[storageClass] || (summary.storageClasses[storageClass] = { count: 0, size: 0 });
+  classTotals.count++;
+  classTotals.size += size;
+
+  if (isArchiveStorageClass(storageClass)) {
+    summary.archivedCount++;
+    summary.archivedSize += size;
+  } else {
+    const transition = getPendingTransition(key, state, summary.computedAt);
+    if (transition) {
+      addPendingTransition(summary, transition);
+    }
+  }
+};
+
+// Undo addObject. Only the first MAX_PENDING_TRANSITIONS transitions are listed,
+// so the list can be shorter than the count until the summary is computed again
+const removeObject = (summary, key, state) => {
+  const { storageClass, size } = state;
+
+  summary.objectCount--;
+  summary.totalSize -= size;
+  const classTotals = summary.storageClasses[storageClass];
+  if (classTotals) {
+    classTotals.count--;
+    classTotals.size -= size;
+    if (classTotals.count <= 0) {
+      delete summary.storageClasses[storageClass];
+    }
+  }
+
+  if (isArchiveStorageClass(storageClass)) {
+    summary.archivedCount--;
+    summary.archivedSize -= size;
+  } else if (getPendingTransition(key, state, summary.computedAt)) {
+    summary.totalPendingCount--;
+    summary.pendingTransitions = summary.pendingTransitions.filter(transition => transition.key !== key);
+  }
+};
+
+// Summaries handed out are not changed in place, so React state holding one sees a new object
+const cloneSummary = (summary) => ({
+  ...summary,
+  storageClasses: Object.fromEntries(Object.entries(summary.storageClasses).map(([storageClass, totals]) => [storageClass, { ...totals }])),
+  pendingTransitions: [...summary.pendingTransitions]
+});
+
+// Folder prefixes between the summarized prefix and the object, e.g. 'a/b/' for 'a/b/c/file.txt' under 'a/'
+const getSubPrefixes = (prefix, key) => {
+  const parts = key.slice(prefix.length).split('/').slice(0, -1);
+  const subPrefixes = [];
+  let current = prefix;
+  for (const part of parts) {
+    current = `${current}${part}/`;
+    subPrefixes.push(current);
+  }
+  return subPrefixes;
+};
+
+// The bucket root and every folder a key is in
+const getPrefixesAbove = (key) => ['', ...getSubPrefixes('', key)];
+
+const dropSummariesAbove = (scope, key) => {
+  getPrefixesAbove(key).forEach(prefix => scope.summaries.delete(prefix));
+};
+
+/**
+ * Apply a change of one key to the summaries above it
+ * @param {Map} summaries - Summaries by prefix, replaced rather than changed in place
+ * @param {string} key - Object key
+ * @param {Object|null} previous - State of the key before the change, null if it did not exist
+ * @param {Object|null} next - State after the change, null if it was deleted
+ */
+const applyObjectChange = (summaries, key, previous, next) => {
+  let parent = null;
+  for (const prefix of getPrefixesAbove(key)) {
+    let summary = summaries.get(prefix);
+    // A folder created by the write: the parent summary was computed with all of its sub-folders
+    if (!summary && next && parent && countsIn(parent.prefix, key)) {
+      summary = { ...createSummary(prefix), computedAt: parent.computedAt };
+      summaries.set(prefix, summary);
+    }
+    // Folder marker objects only make the folder exist, they are not counted
+    if (summary && countsIn(prefix, key) && !key.endsWith('/')) {
+      summary = cloneSummary(summary);
+      if (previous) removeObject(summary, key, previous);
+      if (next) addObject(summary, key, next);
+      summaries.set(prefix, summary);
+    }
+    parent = summary || null;
+  }
+};
+
+// Summarize every object below a prefix, returning the summaries and the state of each listed key
+const computeSummaries = async (prefix, { useIndex }) => {
+  const computed = new Map([[prefix, createSummary(prefix)]]);
+  const objects = new Map();
+
+  const addObjects = (listed) => {
+    for (const object of listed) {
+      const state = toObjectState(object);
+      objects.set(object.Key, state);
+      if (!countsIn(prefix, object.Key)) continue;
+
+      const subPrefixes = getSubPrefixes(prefix, object.Key);
+      subPrefixes.forEach(subPrefix => {
+        if (!computed.has(subPrefix)) {
+          computed.set(subPrefix, createSummary(subPrefix));
+        }
+      });
+
+      if (object.Key.endsWith('/')) continue;
+
+      addObject(computed.get(prefix), object.Key, state);
+      subPrefixes.forEach(subPrefix => addObject(computed.get(subPrefix), object.Key, state));
+    }
+  };
+
+  if (useIndex && await ensureMetadataIndex()) {
+    addObjects(await listIndexedObjects(prefix));
+    return { computed, objects };
+  }
+
+  let continuationToken;
+  do {
+    const response = await getStorageAdapter().listObjects({
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    });
+    addObjects(response.Contents || []);
+    continuationToken = response.NextContinuationToken;
+  } while (continuationToken);
+
+  return { computed, objects };
+};
+
+// Keep a finished computation, with the writes made while it ran applied on top of what it listed
+const storeComputation = (computation, computed, objects) => {
+  const scope = getScope(computation.scopeKey);
+  computation.changes.forEach((next, key) => {
+    applyObjectChange(computed, key, objects.get(key) || null, next);
+  });
+
+  computed.forEach((summary, summaryPrefix) => {
+    scope.summaries.set(summaryPrefix, summary);
+  });
+  for (const key of scope.objects.keys()) {
+    if (key.startsWith(computation.prefix) && !objects.has(key)) {
+      scope.objects.delete(key);
+    }
+  }
+  objects.forEach((state, key) => scope.objects.set(key, state));
+  computation.changes.forEach((next, key) => {
+    if (next) {
+      scope.objects.set(key, next);
+    } else {
+      scope.objects.delete(key);
+    }
+  });
+};
+
+const isFresh = (summary) => summary && Date.now() - summary.computedAt < SUMMARY_TTL_MS;
+
+/**
+ * Get the cached summary of a prefix without listing the bucket
+ * @param {string} prefix - Folder prefix ('' for the bucket root)
+ * @returns {Object|null} Summary, or null if it is not cached
+ */
+export const peekPrefixSummary = (prefix) => {
+  const summary = scopes.get(getScopeKey())?.summaries.get(prefix);
+  return isFresh(summary) ? summary : null;
+};
+
+/**
+ * Get the summary of a prefix, listing it if the cache has no fresh summary.
+ * The summaries of all sub-folders are cached along the way.
+ * @param {string} [prefix] - Folder prefix ('' for the bucket root)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Ignore the cached summary and the metadata index, listing the bucket
+ * @returns {Promise<Object>} Summary
+ */
+export const getPrefixSummary = async (prefix = '', { force = false } = {}) => {
+  const scopeKey = getScopeKey();
+  const key = `${scopeKey}:${prefix}`;
+  if (!force) {
+    const cached = peekPrefixSummary(prefix);
+    if (cached) return cached;
+  }
+
+  if (!pendingSummaries.has(key)) {
+    const computation = { scopeKey, prefix, changes: new Map(), stale: false };
+    runningComputations.add(computation);
+    const pending = computeSummaries(prefix, { useIndex: !force })
+      .then(({ computed, objects }) => {
+        // Changes made elsewhere were noticed while listing, the next read lists again
+        if (!computation.stale) {
+          storeComputation(computation, computed, objects);
+        }
+        return computed.get(prefix);
+      })
+      .catch(error => {
+        console.error('Error summarizing prefix:', error);
+        throw error;
+      })
+      .finally(() => {
+        runningComputations.delete(computation);
+        pendingSummaries.delete(key);
+      });
+    pendingSummaries.set(key, pending);
+  }
+  return pendingSummaries.get(key);
+};
+
+/**
+ * Drop the cached summaries that include an object key: its folder and every parent folder.
+ * Computations of these folders that are still running are not cached either.
+ * @param {string} key - Object key or folder prefix that changed
+ */
+export const invalidatePrefixSummary = (key) => {
+  const scopeKey = getScopeKey();
+  const scope = scopes.get(scopeKey);
+  const prefixes = getPrefixesAbove(key);
+  if (scope) {
+    dropSummariesAbove(scope, key);
+  }
+  runningComputations.forEach(computation => {
+    if (computation.scopeKey === scopeKey && prefixes.includes(computation.prefix)) {
+      computation.stale = true;
+    }
+  });
+};
+
+/**
+ * Drop every cached summary
+ */
+export const clearPrefixSummaries = () => {
+  scopes.clear();
+  runningComputations.forEach(computation => {
+    computation.stale = true;
+  });
+};
+
+const getBodySize = (body) => {
+  if (body === undefined || body === null) return 0;
+  if (typeof body === 'string') return new Blob([body]).size;
+  if (typeof body.size === 'number') return body.size;
+  if (typeof body.byteLength === 'number') return body.byteLength;
+  return null;
+};
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+// State of a key after a write, from what was written when possible and from the bucket otherwise
+const getWrittenState = async (operation, input, objects) => {
+  const lastModified = Date.now();
+  if (operation === 'putObject' || operation === 'upload') {
+    const params = operation === 'upload' ? input.params : input;
+    const size = getBodySize(params.Body);
+    if (size !== null) {
+      return { size, storageClass: params.StorageClass || 'STANDARD', lastModified };
+    }
+  }
+  // Copies are made in the class they ask for, like S3 does. Older versions may have another size
+  if (operation === 'copyObject' && !input.SourceVersionId && objects.has(input.SourceKey)) {
+    return { size: objects.get(input.SourceKey).size, storageClass: input.StorageClass || 'STANDARD', lastModified };
+  }
+  try {
+    const head = await getStorageAdapter().headObject({ Key: input.Key || input.params?.Key });
+    return toObjectState({ Size: head.ContentLength, StorageClass: head.StorageClass, LastModified: head.LastModified });
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+};
+
+const applyMutation = async (scopeKey, { operation, keys, input }) => {
+  const scope = getScope(scopeKey);
+  const deleted = operation === 'deleteObject' || operation === 'deleteObjects';
+  for (const key of keys) {
+    const computations = [...runningComputations]
+      .filter(computation => computation.scopeKey === scopeKey && key.startsWith(computation.prefix));
+    const summarized = getPrefixesAbove(key).some(prefix => scope.summaries.has(prefix));
+    if (!summarized && computations.length === 0) {
+      scope.objects.delete(key);
+      continue;
+    }
+
+    const next = deleted ? null : await getWrittenState(operation, input, scope.objects);
+    applyObjectChange(scope.summaries, key, scope.objects.get(key) || null, next);
+    if (next) {
+      scope.objects.set(key, next);
+    } else {
+      scope.objects.delete(key);
+    }
+    computations.forEach(computation => computation.changes.set(key, next));
+  }
+};
+
+// Vayubox's own writes are applied to the summaries they affect
+onStorageMutation((mutation) => {
+  const scopeKey = getScopeKey();
+  mutationQueue = mutationQueue
+    .then(() => applyMutation(scopeKey, mutation))
+    .catch(error => {
+      // Summaries that could not be updated are listed again
+      console.error('Error updating prefix summaries:', error);
+      const scope = scopes.get(scopeKey);
+      if (scope) {
+        mutation.keys.forEach(key => dropSummariesAbove(scope, key));
+      }
+    });
+});
+
+// So do changes made elsewhere once the metadata index notices them
+onMetadataIndexChange((change) => {
+  if (change.type === 'folder') {
+    invalidatePrefixSummary(change.prefix);
+  } else if (change.type === 'built') {
+    clearPrefixSummaries();
+  }
+});
+
+export default {
+  isArchiveStorageClass,
+  peekPrefixSummary,
+  getPrefixSummary,
+  invalidatePrefixSummary,
+  clearPrefixSummaries
+};
@@ -0,0 +1,273 @@
+import { auth } from '../firebase.js';
+import { STORAGE_CONFIG } from './storageClient.js';
+
+/**
+ * Vayubox Presign Storage Adapter
+ * Talks to the Vayubox presign service (see /server) instead of signing
+ * requests in the browser, so no AWS keys are shipped in the bundle. The
+ * service verifies the Firebase ID token of the signed-in user, runs metadata
+ * operations itself and hands out short-lived presigned URLs for transfers,
+ * which the browser then uses to talk to S3 directly.
+ */
+
+const DEFAULT_PART_SIZE = 10 * 1024 * 1024;
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Fields the service returns as ISO strings that the SDK would return as Dates
+const DATE_FIELDS = new Set(['LastModified', 'Initiated', 'Expires']);
+
+// Build an error shaped like the ones thrown by the AWS SDK
+const storageError = (name, message, httpStatusCode) => {
+  const error = new Error(message);
+  error.name = name;
+  error.Code = name;
+  error.$metadata = { httpStatusCode };
+  return error;
+};
+
+const reviveDates = (value) => {
+  if (Array.isArray(value)) return value.map(reviveDates);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    DATE_FIELDS.has(field) && typeof fieldValue === 'string' ? new Date(fieldValue) : reviveDates(fieldValue)
+  ]));
+};
+
+// S3 reports errors on presigned requests as an XML document
+const errorFromS3Response = async (response) => {
+  const text = await response.text().catch(() => '');
+  const code = /<Code>([^<]+)<\/Code>/.exec(text)?.[1];
+  const message = /<Message>([^<]+)<\/Message>/.exec(text)?.[1];
+  const fallbackName = response.status === 404 ? 'NoSuchKey' : `Http${response.status}`;
+  return storageError(code || fallbackName, message || response.statusText, response.status);
+};
+
+// Minimal stream-like body matching the parts of the SDK body API Vayubox uses
+const createBody = (response) => ({
+  transformToByteArray: async () => new Uint8Array(await response.arrayBuffer()),
+  transformToString: () => response.text(),
+  transformToWebStream: () => response.body
+});
+
+const getBodySize = (body) => {
+  if (!body) return 0;
+  if (typeof body === 'string') return new TextEncoder().encode(body).length;
+  return body.byteLength ?? body.size ?? 0;
+};
+
+const sliceBody = (body, start, end) => {
+  if (typeof body === 'string') return new TextEncoder().encode(body).slice(start, end);
+  return body.slice(start, end);
+};
+
+/**
+ * Create a storage adapter backed by the Vayubox presign service
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.serviceUrl] - Presign service URL, defaults to VITE_PRESIGN_SERVICE_URL
+ * @param {string} [options.bucket] - Bucket name shown in the UI and history, defaults to VITE_BUCKET_NAME
+ * @param {Function} [options.getIdToken] - Returns the Firebase ID token of the signed-in user
+ * @param {Function} [options.getAuthHeaders] - Returns the headers that authorise a request,
+ *   the Firebase ID token by default (share links send their token instead)
+ * @returns {Object} Storage adapter
+ */
+export const createPresignStorageAdapter = ({
+  serviceUrl = STORAGE_CONFIG.presignServiceUrl,
+  bucket = import.meta.env.VITE_BUCKET_NAME,
+  getIdToken = () => auth.currentUser?.getIdToken(),
+  getAuthHeaders = async () => {
+    const idToken = await getIdToken();
+    if (!idToken) {
+      throw storageError('Unauthorized', 'You must be signed in to access storage', 401);
+    }
+    return { 'Authorization': `Bearer ${idToken}` };
+  }
+} = {}) => {
+  if (!serviceUrl) {
+    throw new Error('VITE_PRESIGN_SERVICE_URL is required for the presign storage backend');
+  }
+  const baseUrl = serviceUrl.replace(/\/+$/, '');
+
+  const request = async (operation, input = {}, { abortSignal, headers = {} } = {}) => {
+    const authHeaders = await getAuthHeaders();
+
+    const response = await fetch(`${baseUrl}/storage/${operation}`, {
+      method: 'POST',
+      headers: {
+        ...authHeaders,
+        ...headers,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(input),
+      signal: abortSignal
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw storageError(
+        result.error || `Http${response.status}`,
+        result.message || `Presign service request failed: ${operation}`,
+        response.status
+      );
+    }
+    return reviveDates(result);
+  };
+
+  const presign = async (operation, input, options) => {
+    const { url } = await request(operation, input, options);
+    return url;
+  };
+
+  const putToUrl = async (url, body, headers, abortSignal) => {
+    const response = await fetch(url, { method: 'PUT', body, headers, signal: abortSignal });
+    if (!response.ok) {
+      throw await errorFromS3Response(response);
+    }
+    const etag = response.headers.get('ETag');
+    if (!etag) {
+      // The browser hides ETag unless the bucket CORS policy exposes it
+      throw storageError('MissingETag', 'ETag header is not exposed, check the bucket CORS configuration', response.status);
+    }
+    // Only set in versioned buckets whose CORS policy exposes the header
+    const versionId = response.headers.get('x-amz-version-id');
+    return { ETag: etag, ...(versionId && { VersionId: versionId }) };
+  };
+
+  // Tagging is signed as a header, the PUT has to send it unchanged
+  const putObject = async ({ Key, Body, ContentType, StorageClass, Metadata, Tagging }, { abortSignal } = {}) => {
+    const url = await presign('presignPutObject', { Key, ContentType, StorageClass, Metadata, Tagging }, { abortSignal });
+    return putToUrl(url, Body, {
+      ...(ContentType && { 'Content-Type': ContentType }),
+      ...(Tagging && { 'x-amz-tagging': Tagging })
+    }, abortSignal);
+  };
+
+  // The size is signed into the URL, upload links require it
+  const uploadPart = async ({ Key, UploadId, PartNumber, Body }, { abortSignal } = {}) => {
+    const url = await presign('presignUploadPart', { Key, UploadId, PartNumber, ContentLength: getBodySize(Body) }, { abortSignal });
+    return putToUrl(url, Body, {}, abortSignal);
+  };
+
+  return {
+    name: 'presign',
+    bucket,
+
+    listObjects: (input) => request('listObjects', input),
+
+    headObject: (input) => request('headObject', input),
+
+    // DownloadSession comes from startShareDownload
+    getObject: async ({ Key, Range, DownloadSession, ...input }, { abortSignal } = {}) => {
+      const url = await presign('presignGetObject', { Key, ...input }, {
+        abortSignal,
+        ...(DownloadSession && { headers: { 'X-Vayubox-Download-Session': DownloadSession } })
+      });
+      const response = await fetch(url, {
+        headers: Range ? { Range } : {},
+        signal: abortSignal
+      });
+      if (!response.ok) {
+        throw await errorFromS3Response(response);
+      }
+      const lastModified = response.headers.get('Last-Modified');
+      return {
+        Body: createBody(response),
+        ContentType: response.headers.get('Content-Type') || undefined,
+        ContentLength: Number(response.headers.get('Content-Length')) || undefined,
+        ContentRange: response.headers.get('Content-Range') || undefined,
+        ETag: response.headers.get('ETag') || undefined,
+        LastModified: lastModified ? new Date(lastModified) : undefined
+      };
+    },
+
+    putObject,
+
+    copyObject: (input) => request('copyObject', input),
+
+    deleteObject: (input) => request('deleteObject', input),
+
+    deleteObjects: (input) => request('deleteObjects', input),
+
+    restoreObject: (input) => request('restoreObject', input),
+
+    createMultipartUpload: (input) => request('createMultipartUpload', input),
+
+    uploadPart,
+
+    uploadPartCopy: (input) => request('uploadPartCopy', input),
+
+    completeMultipartUpload: (input) => request('completeMultipartUpload', input),
+
+    abortMultipartUpload: (input) => request('abortMultipartUpload', input),
+
+    listParts: (input) => request('listParts', input),
+
+    getObjectTagging: (input) => request('getObjectTagging', input),
+
+    putObjectTagging: (input) => request('putObjectTagging', input),
+
+    listObjectVersions: (input) => request('listObjectVersions', input),
+
+    getBucketVersioning: () => request('getBucketVersioning'),
+
+    // Managed upload: a single presigned PUT for small bodies, presigned parts otherwise
+    upload: async ({ params, queueSize = 4, partSize = DEFAULT_PART_SIZE, onProgress }) => {
+      const { Key, Body, ContentType, StorageClass, Metadata, Tagging } = params;
+      const total = getBodySize(Body);
+      const size = Math.max(partSize, MIN_PART_SIZE);
+
+      if (total <= size) {
+        const result = await putObject({ Key, Body, ContentType, StorageClass, Metadata, Tagging });
+        onProgress && onProgress({ loaded: total, total, part: 1, Key });
+        return { Key, ...result };
+      }
+
+      const { UploadId } = await request('createMultipartUpload', { Key, ContentType, StorageClass, Metadata, Tagging });
+      const numParts = Math.ceil(total / size);
+      const parts = [];
+      let nextPart = 1;
+      let loaded = 0;
+
+      const worker = async () => {
+        while (nextPart <= numParts) {
+          const partNumber = nextPart++;
+          const start = (partNumber - 1) * size;
+          const end = Math.min(start + size, total);
+          const { ETag } = await uploadPart({
+            Key,
+            UploadId,
+            PartNumber: partNumber,
+            Body: sliceBody(Body, start, end)
+          });
+          parts.push({ ETag, PartNumber: partNumber });
+          loaded += end - start;
+          onProgress && onProgress({ loaded, total, part: partNumber, Key });
+        }
+      };
+
+      try {
+        await Promise.all(Array.from({ length: Math.min(queueSize, numParts) }, worker));
+        parts.sort((a, b) => a.PartNumber - b.PartNumber);
+        return await request('completeMultipartUpload', {
+          Key,
+          UploadId,
+          MultipartUpload: { Parts: parts }
+        });
+      } catch (error) {
+        await request('abortMultipartUpload', { Key, UploadId }).catch(abortError => {
+          console.error('Error aborting multipart upload:', abortError);
+        });
+        throw error;
+      }
+    },
+
+    getDownloadUrl: (input, { expiresIn = 3600 } = {}) =>
+      presign('presignGetObject', { ...input, expiresIn }),
+
+    // Share links only: counts a folder zip as one download, its files are then fetched
+    // with getObject({ Key, DownloadSession: session }) without being counted again
+    startShareDownload: (input) => request('startShareDownload', input)
+  };
+};
+
+export default createPresignStorageAdapter;
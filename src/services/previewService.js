@@ -0,0 +1,220 @@
+import { getStorageAdapter } from './storageAdapter.js';
+import { checkGlacierStatus } from './glacierService.js';
+import { getLanguageForFile } from '../utils/syntaxHighlight.js';
+
+/**
+ * Vayubox Preview Service
+ * Prepares stored files for the preview modal. Images, PDFs, audio and video
+ * are shown from a short-lived presigned URL, so the browser streams them and
+ * seeks with range requests. Text, source code, JSON and CSV are read up to
+ * MAX_TEXT_PREVIEW_BYTES with a ranged GET. Archived Glacier objects that are
+ * not restored cannot be read and are reported instead.
+ */
+
+// Text files are cut off after this many bytes
+export const MAX_TEXT_PREVIEW_BYTES = 1024 * 1024;
+// JSON and CSV tables show at most this many rows and columns
+export const MAX_TABLE_ROWS = 500;
+const MAX_TABLE_COLUMNS = 50;
+// Presigned URLs only need to live while the preview is open
+const PREVIEW_URL_EXPIRY_SECONDS = 15 * 60;
+
+const PREVIEW_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'avif', 'ico'],
+  pdf: ['pdf'],
+  audio: ['mp3', 'wav', 'ogg', 'oga', 'opus', 'flac', 'aac', 'm4a'],
+  video: ['mp4', 'webm', 'ogv', 'mov', 'm4v'],
+  json: ['json', 'geojson'],
+  csv: ['csv', 'tsv'],
+  text: ['txt', 'text', 'md', 'markdown', 'log', 'rst', 'nfo']
+};
+
+// Types shown from a presigned URL instead of being read into the page
+const STREAMED_TYPES = ['image', 'pdf', 'audio', 'video'];
+
+/**
+ * Find out how a file can be previewed
+ * @param {string} filename - Name of the file
+ * @returns {string|null} 'image', 'pdf', 'audio', 'video', 'json', 'csv', 'code', 'text', or null if it cannot be previewed
+ */
+export const getPreviewType = (filename) => {
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const type = Object.keys(PREVIEW_EXTENSIONS).find(candidate => PREVIEW_EXTENSIONS[candidate].includes(extension));
+  if (type) return type;
+  return getLanguageForFile(filename) ? 'code' : null;
+};
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may contain the delimiter,
+ * line breaks and doubled quotes.
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Cell delimiter
+ * @returns {Array<Array<string>>} Rows
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Arrays of objects become one column per key, other arrays one value column and objects key/value rows
+const jsonToTable = (data) => {
+  if (Array.isArray(data)) {
+    if (data.length > 0 && data.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry))) {
+      const columns = [...new Set(data.flatMap(entry => Object.keys(entry)))].slice(0, MAX_TABLE_COLUMNS);
+      return {
+        columns,
+        rows: data.slice(0, MAX_TABLE_ROWS).map(entry => columns.map(column => formatCell(entry[column]))),
+        totalRows: data.length
+      };
+    }
+    return {
+      columns: ['Value'],
+      rows: data.slice(0, MAX_TABLE_ROWS).map(entry => [formatCell(entry)]),
+      totalRows: data.length
+    };
+  }
+  if (data && typeof data === 'object') {
+    const entries = Object.entries(data);
+    return {
+      columns: ['Key', 'Value'],
+      rows: entries.slice(0, MAX_TABLE_ROWS).map(([key, value]) => [key, formatCell(value)]),
+      totalRows: entries.length
+    };
+  }
+  return null;
+};
+
+const csvToTable = (text, delimiter, truncated) => {
+  const rows = parseCsv(text, delimiter);
+  // The last line of a cut off file is usually incomplete
+  if (truncated) rows.pop();
+  if (rows.length === 0) return null;
+  const [header, ...body] = rows;
+  return {
+    columns: header.slice(0, MAX_TABLE_COLUMNS),
+    rows: body.slice(0, MAX_TABLE_ROWS).map(row => row.slice(0, MAX_TABLE_COLUMNS)),
+    totalRows: body.length
+  };
+};
+
+/**
+ * Load what the preview of a file needs
+ * @param {Object} item - Listing item ({ key, name, size })
+ * @param {Object} [adapter] - Storage adapter, the active connection's by default (share links pass their own)
+ * @param {Object} [options] - Preview options
+ * @param {Function} [options.beforeRead] - Awaited before the file's content is read or a URL to it is
+ *   handed out, not for archived files. Share links count the preview there
+ * @returns {Promise<Object>} { type, archived, restoring, storageClass } for archived files,
+ *   { type, url } for streamed types, or { type, text, truncated, language, table } for text types
+ */
+export const loadPreview = async (item, adapter = getStorageAdapter(), { beforeRead } = {}) => {
+  try {
+    const type = getPreviewType(item.name);
+    if (!type) {
+      throw new Error('This file type cannot be previewed');
+    }
+
+    const status = await checkGlacierStatus(item.key, adapter);
+    if (status.isGlacier && !status.restoreStatus?.isReady) {
+      return {
+        type,
+        archived: true,
+        restoring: Boolean(status.restoreStatus?.ongoingRequest),
+        storageClass: status.storageClass
+      };
+    }
+
+    if (beforeRead) {
+      await beforeRead();
+    }
+
+    if (STREAMED_TYPES.includes(type)) {
+      const url = await adapter.getDownloadUrl({ Key: item.key }, { expiresIn: PREVIEW_URL_EXPIRY_SECONDS });
+      return { type, url };
+    }
+
+    let text = '';
+    const size = status.size || 0;
+    // A ranged GET on an empty object fails, there is nothing to read anyway
+    if (size > 0) {
+      const response = await adapter.getObject({
+        Key: item.key,
+        Range: `bytes=0-${MAX_TEXT_PREVIEW_BYTES - 1}`
+      });
+      text = new TextDecoder().decode(await response.Body.transformToByteArray());
+    }
+    const truncated = size > MAX_TEXT_PREVIEW_BYTES;
+
+    let table = null;
+    if (type === 'csv') {
+      table = csvToTable(text, item.name.toLowerCase().endsWith('.tsv') ? '\t' : ',', truncated);
+    } else if (type === 'json' && !truncated) {
+      try {
+        const data = JSON.parse(text);
+        table = jsonToTable(data);
+        text = JSON.stringify(data, null, 2);
+      } catch (parseError) {
+        // Invalid JSON is still shown as source
+        console.warn('Previewing invalid JSON as text:', parseError.message);
+      }
+    }
+
+    return {
+      type,
+      text,
+      truncated,
+      language: type === 'json' ? 'json' : getLanguageForFile(item.name),
+      table
+    };
+  } catch (error) {
+    console.error('Error loading preview:', error);
+    throw error;
+  }
+};
+
+export default {
+  MAX_TEXT_PREVIEW_BYTES,
+  MAX_TABLE_ROWS,
+  getPreviewType,
+  parseCsv,
+  loadPreview
+};
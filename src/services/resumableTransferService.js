@@ -1,25 +1,5 @@
-import { 
-  S3Client, 
-  CreateMultipartUploadCommand,
-  UploadPartCommand,
-  CompleteMultipartUploadCommand,
-  AbortMultipartUploadCommand,
-  ListPartsCommand,
-  GetObjectCommand,
-  HeadObjectCommand
-} from "@aws-sdk/client-s3";
 import { getOptimalChunkSize } from '../utils/fileUtils';
-
-// Initialize S3 client
-const s3Client = new S3Client({
-  region: import.meta.env.VITE_REGION,
-  credentials: {
-    accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
-    secretAccessKey: import.meta.env.VITE_SECRET_KEY
-  },
-  forcePathStyle: false,
-  maxAttempts: 3
-});
+import { getStorageAdapter } from './storageAdapter.js';
 
 /**
  * Resume a previously started multipart upload
@@ -33,13 +13,10 @@ const s3Client = new S3Client({
 export const resumeMultipartUpload = async (key, file, uploadId, onProgress = () => {}) => {
   try {
     // List already uploaded parts
-    const listPartsCommand = new ListPartsCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const listPartsResponse = await getStorageAdapter().listParts({
       Key: key,
       UploadId: uploadId
     });
-    
-    const listPartsResponse = await s3Client.send(listPartsCommand);
     const uploadedParts = listPartsResponse.Parts || [];
     
     // Map part numbers to ETags
@@ -84,16 +61,13 @@ export const resumeMultipartUpload = async (key, file, uploadId, onProgress = ()
       const end = Math.min(start + chunkSize, file.size);
       const chunk = file.slice(start, end);
       
-      const uploadPartCommand = new UploadPartCommand({
-        Bucket: import.meta.env.VITE_BUCKET_NAME,
+      const uploadPartResponse = await getStorageAdapter().uploadPart({
         Key: key,
         PartNumber: partNumber,
         UploadId: uploadId,
         Body: chunk
       });
       
-      const uploadPartResponse = await s3Client.send(uploadPartCommand);
-      
       newParts.push({
         ETag: uploadPartResponse.ETag,
         PartNumber: partNumber
@@ -109,8 +83,7 @@ export const resumeMultipartUpload = async (key, file, uploadId, onProgress = ()
     }
     
     // Complete the multipart upload
-    const completeCommand = new CompleteMultipartUploadCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    await getStorageAdapter().completeMultipartUpload({
       Key: key,
       UploadId: uploadId,
       MultipartUpload: {
@@ -118,8 +91,6 @@ export const resumeMultipartUpload = async (key, file, uploadId, onProgress = ()
       }
     });
     
-    await s3Client.send(completeCommand);
-    
     return { success: true, key };
   } catch (error) {
     console.error('Error resuming multipart upload:', error);
@@ -211,13 +182,10 @@ export const resumableDownload = async (key, totalSize, onProgress = () => {}, s
       const start = startByte + (i * chunkSize);
       const end = Math.min(start + chunkSize, totalSize) - 1;
       
-      const command = new GetObjectCommand({
-        Bucket: import.meta.env.VITE_BUCKET_NAME,
+      const response = await getStorageAdapter().getObject({
         Key: key,
         Range: `bytes=${start}-${end}`
       });
-      
-      const response = await s3Client.send(command);
       const chunk = await response.Body.transformToByteArray();
       chunks.push(chunk);
       
@@ -1,19 +1,84 @@
-import { S3Client, ListObjectsV2Command, PutObjectCommand, HeadObjectCommand, RestoreObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, GetObjectCommand, CopyObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import JSZip from 'jszip';
-import { Upload } from '@aws-sdk/lib-storage';
+import { getS3Client, supportsStorageFeature } from './storageClient.js';
+import { getStorageAdapter } from './storageAdapter.js';
+import { getPrefixSummary, peekPrefixSummary } from './prefixSummaryService.js';
+import {
+  moveItems,
+  copyItems,
+  changeStorageClass,
+  addTags,
+  getTagError,
+  getMetadataError,
+  getObjectDetails,
+  updateObjectTags,
+  updateObjectMetadata,
+  getTagsForItems,
+  parseTagFilter,
+  matchesTagFilter,
+  STORAGE_CLASSES,
+  STORAGE_CLASS_DETAILS,
+  MAX_TAGS_PER_OBJECT,
+  MAX_METADATA_BYTES,
+  renameFile,
+  renameFolder,
+  getPendingRenameJobs,
+  resumeRenameJob,
+  rollbackRenameJob,
+  discardRenameJob,
+  getFolderDeletionSummary,
+  deleteFolder
+} from './objectOperationsService.js';
+import {
+  isTrashKey,
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  purgeExpiredTrash,
+  TRASH_RETENTION_DAYS
+} from './trashService.js';
+import {
+  isThumbnailKey,
+  canHaveThumbnail,
+  listThumbnails,
+  getThumbnailUrl,
+  createThumbnailForObject,
+  onThumbnailsChange
+} from './thumbnailService.js';
+import {
+  getVersioningStatus,
+  listFileVersions,
+  downloadFileVersion,
+  restoreFileVersion,
+  deleteFileVersion
+} from './versionService.js';
+import {
+  downloadItemsAsZip,
+  deleteItems,
+  restoreItemsFromGlacier
+} from './bulkOperationsService.js';
+import {
+  ensureMetadataIndex,
+  buildMetadataIndex,
+  getMetadataIndexStatus,
+  onMetadataIndexChange,
+  listIndexedObjects,
+  listIndexedFolder,
+  refreshIndexedFolder
+} from './metadataIndexService.js';
+import {
+  getPreviewType,
+  loadPreview,
+  MAX_TEXT_PREVIEW_BYTES,
+  MAX_TABLE_ROWS
+} from './previewService.js';
+import {
+  searchObjects,
+  FILE_CATEGORIES,
+  MAX_SEARCH_RESULTS
+} from './searchService.js';
 import { logActivity as logSupabaseActivity, getActivityHistory as getSupabaseHistory, clearActivityHistory as clearSupabaseHistory } from './supabaseHistoryService.js';
 
-// Initialize S3 client
-const s3Client = new S3Client({
-  region: import.meta.env.VITE_REGION,
-  credentials: {
-    accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
-    secretAccessKey: import.meta.env.VITE_SECRET_KEY
-  },
-  forcePathStyle: false
-});
-
 // Function to upload file to S3
 const uploadToS3 = async (file, filePath, onProgress = () => {}) => {
   try {
@@ -33,28 +98,22 @@ const uploadToS3 = async (file, filePath, onProgress = () => {}) => {
 
     // Create the upload parameters
     const params = {
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
       Key: cleanPath,
       Body: file,
       ContentType: file.type || 'application/octet-stream'
     };
 
     // Use multipart upload for files larger than 5MB
-    const upload = new Upload({
-      client: s3Client,
+    const result = await getStorageAdapter().upload({
       params,
       queueSize: 4,
       partSize: 5 * 1024 * 1024, // 5MB parts
-      leavePartsOnError: false
-    });
-
-    // Add progress handling
-    upload.on("httpUploadProgress", (progress) => {
-      const percentage = Math.round((progress.loaded / progress.total) * 100);
-      onProgress(percentage);
+      // Add progress handling
+      onProgress: (progress) => {
+        const percentage = Math.round((progress.loaded / progress.total) * 100);
+        onProgress(percentage);
+      }
     });
-
-    const result = await upload.done();
     
     // Log the upload activity using Supabase
     await logSupabaseActivity({
@@ -62,7 +121,8 @@ const uploadToS3 = async (file, filePath, onProgress = () => {}) => {
       itemName: cleanPath.split('/').pop(),
       size: file.size,
       fileCount: 1,
-      folderPath: cleanPath.substring(0, cleanPath.lastIndexOf('/')) || null
+      folderPath: cleanPath.substring(0, cleanPath.lastIndexOf('/')) || null,
+      ...(result.VersionId && { metadata: { version_id: result.VersionId } })
     });
 
     return result;
@@ -72,22 +132,43 @@ const uploadToS3 = async (file, filePath, onProgress = () => {}) => {
   }
 };
 
+// The trash and the thumbnails are kept below hidden prefixes of the bucket root
+const isHiddenKey = (key) => isTrashKey(key) || isThumbnailKey(key);
+
 // Export listS3Objects function
-const listS3Objects = async (prefix = '') => {
+/**
+ * List one page of a folder
+ * @param {string} [prefix] - Folder prefix
+ * @param {Object} [options] - Paging options
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @param {number} [options.pageSize] - Maximum entries per page (S3 caps this at 1000)
+ * @returns {Promise<Object>} { items, nextCursor, hasMore }
+ */
+const listS3ObjectsPage = async (prefix = '', { cursor, pageSize = 1000 } = {}) => {
   try {
-    const command = new ListObjectsV2Command({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
-      Prefix: prefix,
-      Delimiter: '/'
-    });
-    
-    const response = await s3Client.send(command);
-    const folders = (response.CommonPrefixes || []).map(prefix => ({
-      key: prefix.Prefix,
-      name: prefix.Prefix.split('/').slice(-2)[0],
-      type: 'folder',
-      hasArchivedFiles: false
-    }));
+    // Once the metadata index is built folders are listed from it, and the
+    // first page checks the folder against the bucket in the background
+    const fromIndex = cursor ? Boolean(cursor.indexStartAt) : await ensureMetadataIndex();
+    if (fromIndex && !cursor) {
+      refreshIndexedFolder(prefix).catch(() => {});
+    }
+    const response = fromIndex
+      ? await listIndexedFolder(prefix, { startAt: cursor?.indexStartAt, pageSize })
+      : await getStorageAdapter().listObjects({
+        Prefix: prefix,
+        Delimiter: '/',
+        MaxKeys: pageSize,
+        ContinuationToken: cursor || undefined
+      });
+    // The trash is only shown on the Trash page, thumbnails only in the gallery
+    const folders = attachFolderSummaries((response.CommonPrefixes || [])
+      .filter(prefix => !isHiddenKey(prefix.Prefix))
+      .map(prefix => ({
+        key: prefix.Prefix,
+        name: prefix.Prefix.split('/').slice(-2)[0],
+        type: 'folder',
+        hasArchivedFiles: false
+      })));
     
     const files = (response.Contents || [])
       .filter(item => !item.Key.endsWith('/'))
@@ -100,35 +181,50 @@ const listS3Objects = async (prefix = '') => {
         storageClass: item.StorageClass
       }));
 
-    // Check each folder for archived files
-    for (let folder of folders) {
-      folder.hasArchivedFiles = await getFolderGlacierStatus(folder.key);
-    }
-    
-    return [...folders, ...files];
+    const nextCursor = fromIndex
+      ? response.nextStartAt && { indexStartAt: response.nextStartAt }
+      : response.IsTruncated && response.NextContinuationToken;
+
+    return {
+      items: [...folders, ...files],
+      nextCursor: nextCursor || null,
+      hasMore: Boolean(nextCursor)
+    };
   } catch (error) {
     console.error('Error listing S3 objects:', error);
     throw error;
   }
 };
 
-// Helper function to check if a folder contains any Glacier objects
-async function getFolderGlacierStatus(prefix) {
-  try {
-    const command = new ListObjectsV2Command({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
-      Prefix: prefix
-    });
-    
-    const response = await s3Client.send(command);
-    return (response.Contents || []).some(item => 
-      item.StorageClass === 'GLACIER' || item.StorageClass === 'DEEP_ARCHIVE'
-    );
-  } catch (error) {
-    console.error('Error checking Glacier status:', error);
-    return false;
-  }
-}
+// List every entry of a folder, following continuation tokens
+const listS3Objects = async (prefix = '') => {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await listS3ObjectsPage(prefix, { cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+};
+
+/**
+ * Fill in the Glacier badge and size of folders from the cached prefix summaries.
+ * Folders without a cached summary are returned unchanged.
+ * @param {Array} items - Listing items
+ * @returns {Array} Items with folder summaries applied
+ */
+const attachFolderSummaries = (items) => items.map(item => {
+  if (item.type !== 'folder') return item;
+  const summary = peekPrefixSummary(item.key);
+  if (!summary) return item;
+  return {
+    ...item,
+    size: summary.totalSize,
+    fileCount: summary.objectCount,
+    hasArchivedFiles: summary.archivedCount > 0
+  };
+});
 
 // Utility function to format file sizes
 const formatFileSize = (bytes) => {
@@ -142,67 +238,22 @@ const formatFileSize = (bytes) => {
 // Get statistics about Glacier storage for a given path
 const getGlacierStats = async (prefix = '') => {
   try {
-    let totalObjects = 0;
-    let glacierObjects = 0;
-    let totalSize = 0;
-    let glacierSize = 0;
-    let pendingTransitions = [];
-    let continuationToken;
-
-    const now = new Date();
-    const LIFECYCLE_DAYS = 90;
-
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: import.meta.env.VITE_BUCKET_NAME,
-        Prefix: prefix,
-        ContinuationToken: continuationToken
-      });
-
-      const response = await s3Client.send(command);
-      const contents = response.Contents || [];
-
-      for (const item of contents) {
-        // Skip folders (objects ending with /)
-        if (!item.Key.endsWith('/')) {
-          totalObjects++;
-          totalSize += item.Size;
-
-          if (item.StorageClass === 'GLACIER' || item.StorageClass === 'DEEP_ARCHIVE') {
-            glacierObjects++;
-            glacierSize += item.Size;
-          } else if (item.StorageClass === 'STANDARD') {
-            const lastModified = new Date(item.LastModified);
-            const daysOld = Math.floor((now - lastModified) / (1000 * 60 * 60 * 24));
-            const daysUntilTransition = LIFECYCLE_DAYS - daysOld;
-
-            if (daysUntilTransition > 0) {
-              pendingTransitions.push({
-                name: item.Key.split('/').pop(),
-                daysLeft: daysUntilTransition,
-                size: item.Size,
-                transitionDate: new Date(lastModified.getTime() + (LIFECYCLE_DAYS * 24 * 60 * 60 * 1000))
-              });
-            }
-          }
-        }
-      }
-
-      continuationToken = response.NextContinuationToken;
-    } while (continuationToken);
-
-    // Sort pending transitions by days left
-    pendingTransitions.sort((a, b) => a.daysLeft - b.daysLeft);
+    const summary = await getPrefixSummary(prefix);
+    const now = Date.now();
 
     return {
-      totalSize,
-      glacierSize,
-      totalCount: totalObjects,
-      glacierCount: glacierObjects,
-      glacierPercentage: totalObjects > 0 ? (glacierObjects / totalObjects) * 100 : 0,
-      glacierSizePercentage: totalSize > 0 ? (glacierSize / totalSize) * 100 : 0,
-      pendingTransitions: pendingTransitions.slice(0, 10),
-      totalPendingCount: pendingTransitions.length
+      totalSize: summary.totalSize,
+      glacierSize: summary.archivedSize,
+      totalCount: summary.objectCount,
+      glacierCount: summary.archivedCount,
+      glacierPercentage: summary.objectCount > 0 ? (summary.archivedCount / summary.objectCount) * 100 : 0,
+      glacierSizePercentage: summary.totalSize > 0 ? (summary.archivedSize / summary.totalSize) * 100 : 0,
+      // Sorted by transition date, i.e. by days left
+      pendingTransitions: summary.pendingTransitions.map(transition => ({
+        ...transition,
+        daysLeft: Math.ceil((transition.transitionDate.getTime() - now) / (1000 * 60 * 60 * 24))
+      })),
+      totalPendingCount: summary.totalPendingCount
     };
   } catch (error) {
     console.error('Error getting Glacier stats:', error);
@@ -213,13 +264,10 @@ const getGlacierStats = async (prefix = '') => {
 // Check if an object is in Glacier storage and get its restore status
 const checkGlacierStatus = async (key) => {
   try {
-    const command = new HeadObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await getStorageAdapter().headObject({
       Key: key
     });
     
-    const response = await s3Client.send(command);
-    
     const isGlacier = response.StorageClass === 'GLACIER' || response.StorageClass === 'DEEP_ARCHIVE';
     let restoreStatus = null;
     
@@ -250,8 +298,7 @@ const checkGlacierStatus = async (key) => {
 // Function to initiate restore of a Glacier object
 const restoreFromGlacier = async (key, tier = 'Standard') => {
   try {
-    const command = new RestoreObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await getStorageAdapter().restoreObject({
       Key: key,
       RestoreRequest: {
         Days: 7, // Number of days to keep the restored copy available
@@ -260,8 +307,6 @@ const restoreFromGlacier = async (key, tier = 'Standard') => {
         }
       }
     });
-
-    const response = await s3Client.send(command);
     return response;
   } catch (error) {
     console.error('Error restoring from Glacier:', error);
@@ -273,12 +318,9 @@ const restoreFromGlacier = async (key, tier = 'Standard') => {
 const restoreFromGlacierBulk = async (folderKey, tier = 'Standard') => {
   try {
     // List all objects in the folder
-    const command = new ListObjectsV2Command({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await getStorageAdapter().listObjects({
       Prefix: folderKey
     });
-    
-    const response = await s3Client.send(command);
     const contents = response.Contents || [];
     
     // Filter for Glacier objects and initiate restore for each
@@ -303,52 +345,24 @@ const restoreFromGlacierBulk = async (folderKey, tier = 'Standard') => {
   }
 };
 
-// Function to delete an object from S3
-const deleteS3Object = async (key) => {
+// Function to delete an object from S3; folders are deleted page by page
+const deleteS3Object = async (key, transferContext = null) => {
+  if (key.endsWith('/')) {
+    return deleteFolder({ key, name: key.split('/').slice(-2)[0] || 'folder' }, transferContext);
+  }
+
   try {
-    if (key.endsWith('/')) {
-      // For folders, we need to delete all objects inside first
-      const command = new ListObjectsV2Command({
-        Bucket: import.meta.env.VITE_BUCKET_NAME,
-        Prefix: key
-      });
-      
-      const response = await s3Client.send(command);
-      if (response.Contents && response.Contents.length > 0) {
-        // Delete multiple objects
-        const deleteCommand = new DeleteObjectsCommand({
-          Bucket: import.meta.env.VITE_BUCKET_NAME,
-          Delete: {
-            Objects: response.Contents.map(item => ({ Key: item.Key })),
-            Quiet: true
-          }
-        });
-        await s3Client.send(deleteCommand);
-        
-        // Log folder deletion activity using Supabase
-        await logSupabaseActivity({
-          action: 'Delete',
-          itemName: key.split('/').slice(-2)[0] || 'folder',
-          fileCount: response.Contents.length,
-          folderPath: key.substring(0, key.lastIndexOf('/')) || null
-        });
-      }
-    } else {
-      // For single files
-      const command = new DeleteObjectCommand({
-        Bucket: import.meta.env.VITE_BUCKET_NAME,
-        Key: key
-      });
-      await s3Client.send(command);
-      
-      // Log file deletion activity using Supabase
-      await logSupabaseActivity({
-        action: 'Delete',
-        itemName: key.split('/').pop(),
-        fileCount: 1,
-        folderPath: key.substring(0, key.lastIndexOf('/')) || null
-      });
-    }
+    await getStorageAdapter().deleteObject({
+      Key: key
+    });
+    
+    // Log file deletion activity using Supabase
+    await logSupabaseActivity({
+      action: 'Delete',
+      itemName: key.split('/').pop(),
+      fileCount: 1,
+      folderPath: key.substring(0, key.lastIndexOf('/')) || null
+    });
     return true;
   } catch (error) {
     console.error('Error deleting S3 object:', error);
@@ -359,12 +373,9 @@ const deleteS3Object = async (key) => {
 // Function to download a folder as a zip file
 const downloadFolder = async (folderKey, transferContext = null) => {
   try {
-    const command = new ListObjectsV2Command({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await getStorageAdapter().listObjects({
       Prefix: folderKey
     });
-    
-    const response = await s3Client.send(command);
     const zip = new JSZip();
     const contents = response.Contents || [];
     
@@ -374,12 +385,9 @@ const downloadFolder = async (folderKey, transferContext = null) => {
     
     for (const item of contents) {
       if (!item.Key.endsWith('/')) {
-        const getCommand = new GetObjectCommand({
-          Bucket: import.meta.env.VITE_BUCKET_NAME,
+        const { Body } = await getStorageAdapter().getObject({
           Key: item.Key
         });
-        
-        const { Body } = await s3Client.send(getCommand);
         const arrayBuffer = await Body.transformToByteArray();
         
         // Add file to zip, removing the prefix from the path
@@ -418,13 +426,8 @@ const downloadFolder = async (folderKey, transferContext = null) => {
 // Function to get a signed URL for downloading a file
 const getS3DownloadUrl = async (key, size, transferContext = null) => {
   try {
-    const command = new GetObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
-      Key: key
-    });
-    
     transferContext.initializeTransfer(size);
-    const url = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+    const url = await getStorageAdapter().getDownloadUrl({ Key: key }, { expiresIn: 3600 });
     transferContext.completeTransfer();
     return url;
   } catch (error) {
@@ -434,60 +437,117 @@ const getS3DownloadUrl = async (key, size, transferContext = null) => {
   }
 };
 
-// Function to rename an S3 object
-const renameS3Object = async (item, newName) => {
+// Function to rename an S3 object; folders are renamed by moving every key under them
+const renameS3Object = async (item, newName, transferContext = null) => {
+  if (item.type === 'folder') {
+    const validationError = validateFolderName(newName);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    return renameFolder(item, newName.trim(), transferContext);
+  }
+  // Files keep their storage class, content type, metadata and tags, and never overwrite another file
+  return renameFile(item, newName);
+};
+
+// S3 keys are limited to 1024 bytes
+const MAX_KEY_BYTES = 1024;
+
+/**
+ * Validate a new folder name
+ * @param {string} name - Folder name entered by the user
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+const validateFolderName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Folder name cannot be empty';
+  if (trimmed === '.' || trimmed === '..') return 'Folder name cannot be "." or ".."';
+  if (/[/\\]/.test(trimmed)) return 'Folder name cannot contain / or \\';
+  if ([...trimmed].some(c => c.charCodeAt(0) < 0x20 || c.charCodeAt(0) === 0x7f)) return 'Folder name cannot contain control characters';
+  if (new TextEncoder().encode(trimmed).length > 255) return 'Folder name is too long';
+  return null;
+};
+
+/**
+ * Create an empty folder by writing a folder marker object ("name/")
+ * @param {string} parentPath - Parent folder prefix ('' for the root)
+ * @param {string} name - Folder name
+ * @returns {Promise<Object>} Folder item as returned by listS3Objects
+ */
+const createFolder = async (parentPath, name) => {
   try {
-    const oldKey = item.key;
-    const newKey = oldKey.substring(0, oldKey.lastIndexOf('/') + 1) + newName;
-    
-    // Copy the object with the new key
-    const copyCommand = new CopyObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
-      CopySource: encodeURIComponent(import.meta.env.VITE_BUCKET_NAME + '/' + oldKey),
-      Key: newKey
+    const validationError = validateFolderName(name);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const folderName = name.trim();
+    const key = `${parentPath}${folderName}/`;
+    if (new TextEncoder().encode(key).length > MAX_KEY_BYTES) {
+      throw new Error('Folder path is too long');
+    }
+
+    // A folder exists as soon as any key starts with its prefix
+    const existing = await getStorageAdapter().listObjects({
+      Prefix: key,
+      MaxKeys: 1
     });
-    
-    await s3Client.send(copyCommand);
-    
-    // Delete the old object
-    const deleteCommand = new DeleteObjectCommand({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
-      Key: oldKey
+    if ((existing.Contents || []).length > 0) {
+      throw new Error(`A folder named ${folderName} already exists`);
+    }
+
+    await getStorageAdapter().putObject({
+      Key: key,
+      Body: '',
+      ContentType: 'application/x-directory'
     });
-    
-    await s3Client.send(deleteCommand);
-    
-    // Log rename activity using Supabase
+
     await logSupabaseActivity({
-      action: 'Rename',
-      itemName: `${oldKey.split('/').pop()} → ${newName}`,
-      size: item.size || 0,
-      fileCount: 1,
-      folderPath: oldKey.substring(0, oldKey.lastIndexOf('/')) || null
+      action: 'Create',
+      itemName: folderName,
+      fileCount: 0,
+      folderPath: parentPath.replace(/\/$/, '') || null,
+      metadata: { item_type: 'folder' }
     });
-    
-    return true;
+
+    return {
+      key,
+      name: folderName,
+      type: 'folder',
+      size: 0,
+      fileCount: 0,
+      hasArchivedFiles: false
+    };
   } catch (error) {
-    console.error('Error renaming S3 object:', error);
+    console.error('Error creating folder:', error);
     throw error;
   }
 };
 
-// Function to get all objects including those in subfolders
-const getAllObjects = async (prefix = '') => {
+/**
+ * Get all objects below a prefix, including those in sub-folders. Objects in
+ * the trash are left out unless the prefix is inside the trash, thumbnails always.
+ * @param {string} [prefix] - Folder prefix ('' for the whole bucket)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.useIndex] - Read the metadata index when it has been built instead of listing the bucket
+ * @returns {Promise<Array>} S3 listing entries
+ */
+const getAllObjects = async (prefix = '', { useIndex = true } = {}) => {
+  if (useIndex && await ensureMetadataIndex()) {
+    const indexed = await listIndexedObjects(prefix);
+    return isTrashKey(prefix) ? indexed : indexed.filter(object => !isHiddenKey(object.Key));
+  }
+
   const allObjects = [];
   let continuationToken;
 
   do {
-    const command = new ListObjectsV2Command({
-      Bucket: import.meta.env.VITE_BUCKET_NAME,
+    const response = await getStorageAdapter().listObjects({
       Prefix: prefix,
       ContinuationToken: continuationToken
     });
-
-    const response = await s3Client.send(command);
     if (response.Contents) {
-      allObjects.push(...response.Contents);
+      allObjects.push(...(isTrashKey(prefix) ? response.Contents : response.Contents.filter(object => !isHiddenKey(object.Key))));
     }
     continuationToken = response.NextContinuationToken;
   } while (continuationToken);
@@ -498,9 +558,8 @@ const getAllObjects = async (prefix = '') => {
 // Function to get folder size
 const getFolderSize = async (folderKey) => {
   try {
-    const allObjects = await getAllObjects(folderKey);
-    const totalSize = allObjects.reduce((acc, item) => acc + item.Size, 0);
-    return totalSize;
+    const summary = await getPrefixSummary(folderKey);
+    return summary.totalSize;
   } catch (error) {
     console.error('Error calculating folder size');
     return 0;
@@ -543,27 +602,15 @@ const getBucketMetrics = async () => {
   try {
     let totalSize = 0;
     let totalObjects = 0;
-    let continuationToken;
-
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: import.meta.env.VITE_BUCKET_NAME,
-        ContinuationToken: continuationToken
-      });
 
-      const response = await s3Client.send(command);
-      const contents = response.Contents || [];
-
-      // Count only actual files, not folders
-      contents.forEach(item => {
-        if (!item.Key.endsWith('/')) {
-          totalObjects++;
-          totalSize += item.Size;
-        }
-      });
-
-      continuationToken = response.NextContinuationToken;
-    } while (continuationToken);
+    // Count only actual files, not folders (getAllObjects leaves out the trash)
+    const allObjects = await getAllObjects();
+    allObjects.forEach(item => {
+      if (!item.Key.endsWith('/')) {
+        totalObjects++;
+        totalSize += item.Size;
+      }
+    });
 
     const storageGB = totalSize / (1024 * 1024 * 1024);
     const storageRate = 0.023; // per GB per month
@@ -639,8 +686,12 @@ import {
 
 // Export all services - using enhanced versions where available
 export {
-  s3Client,
+  getS3Client,
+  getStorageAdapter,
+  supportsStorageFeature,
   listS3Objects,
+  listS3ObjectsPage,
+  attachFolderSummaries,
   deleteS3Object,
   getFolderSize,
   getHistoryLog,
@@ -651,6 +702,58 @@ export {
   getDetailedFolderStructure,
   getAllObjects,
   renameS3Object,
+  validateFolderName,
+  createFolder,
+  moveItems,
+  copyItems,
+  changeStorageClass,
+  addTags,
+  getTagError,
+  getMetadataError,
+  getObjectDetails,
+  updateObjectTags,
+  updateObjectMetadata,
+  getTagsForItems,
+  parseTagFilter,
+  matchesTagFilter,
+  STORAGE_CLASSES,
+  STORAGE_CLASS_DETAILS,
+  MAX_TAGS_PER_OBJECT,
+  MAX_METADATA_BYTES,
+  downloadItemsAsZip,
+  deleteItems,
+  restoreItemsFromGlacier,
+  searchObjects,
+  FILE_CATEGORIES,
+  MAX_SEARCH_RESULTS,
+  buildMetadataIndex,
+  getMetadataIndexStatus,
+  onMetadataIndexChange,
+  getPreviewType,
+  loadPreview,
+  MAX_TEXT_PREVIEW_BYTES,
+  MAX_TABLE_ROWS,
+  canHaveThumbnail,
+  listThumbnails,
+  getThumbnailUrl,
+  createThumbnailForObject,
+  onThumbnailsChange,
+  getPendingRenameJobs,
+  resumeRenameJob,
+  rollbackRenameJob,
+  discardRenameJob,
+  getFolderDeletionSummary,
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  purgeExpiredTrash,
+  TRASH_RETENTION_DAYS,
+  getVersioningStatus,
+  listFileVersions,
+  downloadFileVersion,
+  restoreFileVersion,
+  deleteFileVersion,
   getGlacierStats,
   // Enhanced functions
   uploadToS3Enhanced as uploadToS3,
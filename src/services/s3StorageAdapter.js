@@ -0,0 +1,111 @@
+import {
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  RestoreObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+  ListObjectVersionsCommand,
+  GetBucketVersioningCommand
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getS3Client } from './storageClient.js';
+
+/**
+ * Create a storage adapter backed by AWS S3 (or an S3-compatible endpoint)
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.bucket] - Bucket name, defaults to VITE_BUCKET_NAME
+ * @param {Function} [options.getClient] - Returns the S3 client to use
+ * @returns {Object} Storage adapter
+ */
+export const createS3StorageAdapter = ({
+  bucket = import.meta.env.VITE_BUCKET_NAME,
+  getClient = getS3Client
+} = {}) => {
+  const send = (command, options) => getClient().send(command, options);
+  // CopySource names an object in this bucket, optionally one of its older versions
+  const copySource = (key, versionId) =>
+    `${encodeURIComponent(`${bucket}/${key}`)}${versionId ? `?versionId=${encodeURIComponent(versionId)}` : ''}`;
+
+  return {
+    name: 's3',
+    bucket,
+
+    listObjects: (input = {}) => send(new ListObjectsV2Command({ Bucket: bucket, ...input })),
+
+    headObject: (input) => send(new HeadObjectCommand({ Bucket: bucket, ...input })),
+
+    getObject: (input, options) => send(new GetObjectCommand({ Bucket: bucket, ...input }), options),
+
+    putObject: (input, options) => send(new PutObjectCommand({ Bucket: bucket, ...input }), options),
+
+    // SourceKey is an object key in the same bucket, SourceVersionId selects an older version
+    copyObject: ({ SourceKey, SourceVersionId, ...input }) => send(new CopyObjectCommand({
+      Bucket: bucket,
+      CopySource: copySource(SourceKey, SourceVersionId),
+      ...input
+    })),
+
+    deleteObject: (input) => send(new DeleteObjectCommand({ Bucket: bucket, ...input })),
+
+    deleteObjects: (input) => send(new DeleteObjectsCommand({ Bucket: bucket, ...input })),
+
+    restoreObject: (input) => send(new RestoreObjectCommand({ Bucket: bucket, ...input })),
+
+    createMultipartUpload: (input) => send(new CreateMultipartUploadCommand({ Bucket: bucket, ...input })),
+
+    uploadPart: (input, options) => send(new UploadPartCommand({ Bucket: bucket, ...input }), options),
+
+    // Copies a byte range of SourceKey (same bucket) into a part
+    uploadPartCopy: ({ SourceKey, SourceVersionId, ...input }) => send(new UploadPartCopyCommand({
+      Bucket: bucket,
+      CopySource: copySource(SourceKey, SourceVersionId),
+      ...input
+    })),
+
+    completeMultipartUpload: (input) => send(new CompleteMultipartUploadCommand({ Bucket: bucket, ...input })),
+
+    abortMultipartUpload: (input) => send(new AbortMultipartUploadCommand({ Bucket: bucket, ...input })),
+
+    listParts: (input) => send(new ListPartsCommand({ Bucket: bucket, ...input })),
+
+    getObjectTagging: (input) => send(new GetObjectTaggingCommand({ Bucket: bucket, ...input })),
+
+    putObjectTagging: (input) => send(new PutObjectTaggingCommand({ Bucket: bucket, ...input })),
+
+    listObjectVersions: (input = {}) => send(new ListObjectVersionsCommand({ Bucket: bucket, ...input })),
+
+    getBucketVersioning: () => send(new GetBucketVersioningCommand({ Bucket: bucket })),
+
+    // Managed upload that splits the body into parts automatically
+    upload: async ({ params, queueSize = 4, partSize, onProgress }) => {
+      const upload = new Upload({
+        client: getClient(),
+        params: { Bucket: bucket, ...params },
+        queueSize,
+        partSize,
+        leavePartsOnError: false
+      });
+      if (onProgress) {
+        upload.on('httpUploadProgress', onProgress);
+      }
+      return upload.done();
+    },
+
+    getDownloadUrl: (input, { expiresIn = 3600 } = {}) =>
+      getSignedUrl(getClient(), new GetObjectCommand({ Bucket: bucket, ...input }), { expiresIn })
+  };
+};
+
+export default createS3StorageAdapter;
@@ -0,0 +1,129 @@
+import { getStorageAdapter } from './storageAdapter.js';
+import { getParentPath } from './objectOperationsService.js';
+import { isTrashKey } from './trashService.js';
+import { isThumbnailKey } from './thumbnailService.js';
+import { ensureMetadataIndex, listIndexedObjects } from './metadataIndexService.js';
+import { detectFileType } from '../utils/fileUtils.js';
+
+/**
+ * Vayubox Search Service
+ * Finds files by name anywhere below a folder. S3 can only list by prefix, so
+ * every key is matched in the browser: from the metadata index once it is
+ * built, otherwise by walking the listing page by page.
+ * Names are matched as a case-insensitive substring, or as a glob when the
+ * query contains '*' or '?'. Items in the trash are never returned.
+ */
+
+// Categories returned by detectFileType()
+export const FILE_CATEGORIES = ['image', 'video', 'audio', 'document', 'archive', 'other'];
+// Searches stop once this many files matched, the user should narrow the query
+export const MAX_SEARCH_RESULTS = 1000;
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a matcher for a search query. A glob without '/' is matched against
+ * the whole file name ('*.pdf'), with '/' against the key below the searched
+ * folder ('2024/*.jpg'). Anything else matches as a substring of the name.
+ * @param {string} query - Search text
+ * @returns {Function} Called with (name, relativeKey), true when the file matches
+ */
+export const createNameMatcher = (query) => {
+  const trimmed = query.trim().toLowerCase();
+  if (!trimmed) return () => true;
+  if (!/[*?]/.test(trimmed)) {
+    return (name) => name.toLowerCase().includes(trimmed);
+  }
+  const pattern = new RegExp(`^${escapeRegExp(trimmed).replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+  return trimmed.includes('/')
+    ? (name, relativeKey) => pattern.test(relativeKey.toLowerCase())
+    : (name) => pattern.test(name.toLowerCase());
+};
+
+// Check the size, date, storage class and category filters of one result
+const matchesFilters = (result, filters) => {
+  if (filters.minSize != null && result.size < filters.minSize) return false;
+  if (filters.maxSize != null && result.size > filters.maxSize) return false;
+  if (filters.modifiedAfter && result.lastModified < filters.modifiedAfter) return false;
+  if (filters.modifiedBefore && result.lastModified > filters.modifiedBefore) return false;
+  if (filters.storageClass && result.storageClass !== filters.storageClass) return false;
+  if (filters.category && result.category !== filters.category) return false;
+  return true;
+};
+
+/**
+ * Search the files below a folder
+ * @param {Object} criteria - What to look for
+ * @param {string} [criteria.query] - Name substring or glob, empty matches every file
+ * @param {string} [criteria.prefix] - Folder prefix to search in, '' for the whole bucket
+ * @param {number} [criteria.minSize] - Smallest size in bytes
+ * @param {number} [criteria.maxSize] - Largest size in bytes
+ * @param {Date} [criteria.modifiedAfter] - Only files modified at or after this time
+ * @param {Date} [criteria.modifiedBefore] - Only files modified at or before this time
+ * @param {string} [criteria.storageClass] - Only files in this storage class
+ * @param {string} [criteria.category] - Only files of this category (see FILE_CATEGORIES)
+ * @param {Object} [options] - Search options
+ * @param {Function} [options.onProgress] - Called after every listing page with { scannedCount, results }
+ * @param {AbortSignal} [options.signal] - Stops the search after the current page
+ * @returns {Promise<Object>} { results, scannedCount, truncated }
+ */
+export const searchObjects = async ({ query = '', prefix = '', ...filters } = {}, { onProgress, signal } = {}) => {
+  try {
+    const matchesName = createNameMatcher(query);
+    const results = [];
+    let scannedCount = 0;
+
+    const matchObjects = (objects) => {
+      for (const object of objects) {
+        if (object.Key.endsWith('/') || isTrashKey(object.Key) || isThumbnailKey(object.Key)) continue;
+        scannedCount++;
+        const name = object.Key.split('/').pop();
+        if (!matchesName(name, object.Key.slice(prefix.length))) continue;
+        const result = {
+          key: object.Key,
+          name,
+          folder: getParentPath(object.Key),
+          size: object.Size || 0,
+          lastModified: new Date(object.LastModified),
+          storageClass: object.StorageClass || 'STANDARD',
+          category: detectFileType(name),
+          type: 'file'
+        };
+        if (matchesFilters(result, filters)) {
+          results.push(result);
+        }
+      }
+      onProgress && onProgress({ scannedCount, results: results.slice(0, MAX_SEARCH_RESULTS) });
+    };
+
+    let continuationToken;
+    if (await ensureMetadataIndex()) {
+      matchObjects(await listIndexedObjects(prefix));
+    } else {
+      do {
+        const response = await getStorageAdapter().listObjects({
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        });
+        matchObjects(response.Contents || []);
+        continuationToken = response.NextContinuationToken;
+      } while (continuationToken && results.length < MAX_SEARCH_RESULTS && !signal?.aborted);
+    }
+
+    return {
+      results: results.slice(0, MAX_SEARCH_RESULTS),
+      scannedCount,
+      truncated: Boolean(continuationToken) || results.length > MAX_SEARCH_RESULTS
+    };
+  } catch (error) {
+    console.error('Error searching objects:', error);
+    throw error;
+  }
+};
+
+export default {
+  FILE_CATEGORIES,
+  MAX_SEARCH_RESULTS,
+  createNameMatcher,
+  searchObjects
+};
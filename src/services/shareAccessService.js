@@ -0,0 +1,473 @@
+import JSZip from 'jszip';
+import { STORAGE_CONFIG } from './storageClient.js';
+import { isFederatedCredentials } from './awsCredentials.js';
+import { withKeyPrefix } from './storageAdapter.js';
+import { createS3StorageAdapter } from './s3StorageAdapter.js';
+import { createMemoryStorageAdapter } from './memoryStorageAdapter.js';
+import { createPresignStorageAdapter } from './presignStorageAdapter.js';
+import { checkGlacierStatus } from './glacierService.js';
+import { loadPreview } from './previewService.js';
+import { recordShareDownload } from './shareService.js';
+import { isAllowedType, recordLinkUpload } from './uploadLinkService.js';
+
+/**
+ * Vayubox Share Access Service
+ * Storage access for the public share and upload pages. Recipients have no
+ * Vayubox login, so they reach the bucket through an adapter of their own: the
+ * presign service checks the link's token on every request, while the s3 and
+ * memory backends use the app's own configuration. Downloads are counted
+ * before anything is fetched: the presign service counts every download URL it
+ * signs and a folder zip once per download session, the other backends count
+ * with recordShareDownload(). A preview hands over the file as well and counts
+ * as a download on every backend. Uploads through upload links are always
+ * multipart, which lets the presign service check the size of every part and
+ * of the finished file.
+ */
+
+// Objects fetched at the same time while building a zip
+const ZIP_BATCH_SIZE = 10;
+// Download links are only needed until the browser starts the download
+const DOWNLOAD_URL_EXPIRY_SECONDS = 300;
+// The largest part the presign service accepts for upload links
+const UPLOAD_PART_SIZE = 10 * 1024 * 1024;
+const UPLOAD_QUEUE_SIZE = 4;
+// 'report.pdf', 'report (1).pdf', ... are tried before an upload gives up
+const MAX_NAME_ATTEMPTS = 20;
+
+const isNotFound = (error) =>
+  error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+const isArchivedClass = (storageClass) => storageClass === 'GLACIER' || storageClass === 'DEEP_ARCHIVE';
+
+// Folder placeholders and the shared folder itself carry no content
+const isFileKey = (key) => !key.endsWith('/');
+
+// The presign service counts downloads itself, the s3 and memory backends leave it to the page
+const countsDownloads = (adapter) => adapter.name === 'presign';
+
+const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+/**
+ * Check whether this deployment can serve share links. Federated credentials
+ * are issued per signed-in user, so recipients need the presign service there.
+ * @returns {boolean} True if recipients can reach the bucket
+ */
+export const canServeShares = () => STORAGE_CONFIG.backend === 'presign'
+  || STORAGE_CONFIG.backend === 'memory'
+  || (STORAGE_CONFIG.backend === 's3' && !isFederatedCredentials());
+
+// Adapter for the configured backend, authorised by a link token when it goes through the presign service
+const createRecipientStorage = (keyPrefix, getAuthHeaders) => {
+  let adapter = null;
+  switch (STORAGE_CONFIG.backend) {
+    case 'presign':
+      adapter = createPresignStorageAdapter({ getAuthHeaders });
+      break;
+    case 's3':
+      adapter = isFederatedCredentials() ? null : createS3StorageAdapter();
+      break;
+    case 'memory':
+      adapter = createMemoryStorageAdapter();
+      break;
+    default:
+      adapter = null;
+  }
+  if (!adapter) return null;
+  return keyPrefix ? withKeyPrefix(adapter, keyPrefix) : adapter;
+};
+
+/**
+ * Create the storage adapter a recipient reads the share through
+ * @param {Object} share - Share returned by openShare()
+ * @param {string} token - Share token
+ * @param {string} [password] - Password the share was opened with
+ * @returns {Object|null} Storage adapter working with bucket-relative keys, null if shares cannot be served
+ */
+export const createShareStorage = (share, token, password) => createRecipientStorage(share.keyPrefix, () => ({
+  'Authorization': `Share ${token}`,
+  ...(password && { 'X-Vayubox-Share-Password': encodeURIComponent(password) })
+}));
+
+/**
+ * Create the storage adapter an uploader sends files through
+ * @param {Object} link - Link returned by openUploadLink()
+ * @param {string} token - Upload link token
+ * @returns {Object|null} Storage adapter working with bucket-relative keys, null if uploads cannot be served
+ */
+export const createUploadLinkStorage = (link, token) => createRecipientStorage(link.keyPrefix, () => ({
+  'Authorization': `Upload ${token}`
+}));
+
+/**
+ * Find out whether a storage error means the link stopped working since it was opened
+ * @param {Error} error - Error thrown by the share's storage adapter
+ * @returns {string|null} Share status ('expired', 'revoked', ...), null for other errors
+ */
+export const getUnavailableStatus = (error) => (error?.name === 'ShareUnavailable' ? error.message : null);
+
+/**
+ * Look up a shared file
+ * @param {Object} adapter - Adapter from createShareStorage()
+ * @param {Object} share - Share returned by openShare()
+ * @returns {Promise<Object|null>} Listing item ({ key, name, type, size, lastModified, storageClass,
+ *   archived, restoring }), null if the file no longer exists
+ */
+export const getSharedFile = async (adapter, share) => {
+  try {
+    const status = await checkGlacierStatus(share.targetKey, adapter);
+    return {
+      key: share.targetKey,
+      name: share.itemName,
+      type: 'file',
+      size: status.size || 0,
+      lastModified: status.lastModified,
+      storageClass: status.storageClass || 'STANDARD',
+      archived: status.isGlacier && !status.restoreStatus?.isReady,
+      restoring: Boolean(status.restoreStatus?.ongoingRequest)
+    };
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+};
+
+/**
+ * List one folder of a shared folder, subfolders first
+ * @param {Object} adapter - Adapter from createShareStorage()
+ * @param {string} prefix - Folder to list, the shared folder or one below it
+ * @returns {Promise<Array>} Listing items ({ key, name, type, size, lastModified, storageClass, archived })
+ */
+export const listSharedFolder = async (adapter, prefix) => {
+  try {
+    const folders = [];
+    const files = [];
+    let continuationToken;
+    do {
+      const response = await adapter.listObjects({
+        Prefix: prefix,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      });
+      (response.CommonPrefixes || []).forEach(({ Prefix }) => {
+        folders.push({ key: Prefix, name: Prefix.slice(prefix.length, -1), type: 'folder' });
+      });
+      (response.Contents || []).filter(object => isFileKey(object.Key)).forEach(object => {
+        files.push({
+          key: object.Key,
+          name: object.Key.slice(prefix.length),
+          type: 'file',
+          size: object.Size || 0,
+          lastModified: object.LastModified,
+          storageClass: object.StorageClass || 'STANDARD',
+          archived: isArchivedClass(object.StorageClass)
+        });
+      });
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    // Listings only give the storage class, restored copies show up in the object's headers
+    await Promise.all(files.filter(file => file.archived).map(async (file) => {
+      const status = await checkGlacierStatus(file.key, adapter).catch(() => null);
+      file.archived = !status?.restoreStatus?.isReady;
+    }));
+
+    return [...folders, ...files];
+  } catch (error) {
+    console.error('Error listing shared folder:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download one file of a share. The download is counted first, so nothing is
+ * handed over once the limit is reached.
+ * @param {Object} adapter - Adapter from createShareStorage()
+ * @param {string} token - Share token
+ * @param {string} [password] - Password the share was opened with
+ * @param {Object} item - File item from getSharedFile() or listSharedFolder()
+ * @returns {Promise<Object>} { status, downloadCount }, status as for openShare(). The presign
+ *   service does not report the count, downloadCount is null then
+ */
+export const downloadSharedFile = async (adapter, token, password, item) => {
+  try {
+    let result = { status: 'ok', downloadCount: null };
+    // The presign service counts when it signs the URL and refuses once the limit is reached
+    if (!countsDownloads(adapter)) {
+      result = await recordShareDownload(token, password, { itemName: item.name, size: item.size || 0 });
+      if (result.status !== 'ok') {
+        return result;
+      }
+    }
+
+    const url = await adapter.getDownloadUrl({
+      Key: item.key,
+      ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(item.name)}`
+    }, { expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS });
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = item.name;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    return result;
+  } catch (error) {
+    console.error('Error downloading shared file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load the preview of a shared file. Previews count as a download, before
+ * anything is read: the presign service counts the URL or ranged read it signs,
+ * the other backends count with recordShareDownload(). Archived files that
+ * cannot be read are not counted.
+ * @param {Object} adapter - Adapter from createShareStorage()
+ * @param {string} token - Share token
+ * @param {string} [password] - Password the share was opened with
+ * @param {Object} item - File item from getSharedFile() or listSharedFolder()
+ * @returns {Promise<Object>} Preview as returned by loadPreview()
+ * @throws {Error} A 'ShareUnavailable' error (see getUnavailableStatus()) once the limit is reached
+ */
+export const previewSharedFile = (adapter, token, password, item) => loadPreview(item, adapter, {
+  beforeRead: async () => {
+    if (countsDownloads(adapter)) return;
+    const result = await recordShareDownload(token, password, { itemName: item.name, size: item.size || 0 });
+    if (result.status !== 'ok') {
+      // Shaped like the errors of the presign service
+      const error = new Error(result.status);
+      error.name = 'ShareUnavailable';
+      throw error;
+    }
+  }
+});
+
+/**
+ * Download a shared folder, or a folder below it, as one zip. Archived Glacier
+ * files that are not restored are left out. The zip counts as one download,
+ * counted before the first file is fetched.
+ * @param {Object} adapter - Adapter from createShareStorage()
+ * @param {string} token - Share token
+ * @param {string} [password] - Password the share was opened with
+ * @param {Object} folder - { key, name } of the folder
+ * @param {Function} [onProgress] - Called with the percentage done
+ * @returns {Promise<Object>} { status, downloadCount, fileCount, skippedCount }
+ */
+export const downloadSharedFolder = async (adapter, token, password, folder, onProgress) => {
+  try {
+    const objects = [];
+    let continuationToken;
+    do {
+      const response = await adapter.listObjects({ Prefix: folder.key, ContinuationToken: continuationToken });
+      objects.push(...(response.Contents || []).filter(object => isFileKey(object.Key)));
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    if (objects.length === 0) {
+      throw new Error('This folder is empty');
+    }
+
+    const totalSize = objects.reduce((sum, object) => sum + (object.Size || 0), 0);
+    let result;
+    let session = null;
+    if (countsDownloads(adapter)) {
+      // Files fetched with the session are not counted again
+      const started = await adapter.startShareDownload({
+        Key: folder.key,
+        ItemName: `${folder.name}.zip`,
+        Size: totalSize,
+        FileCount: objects.length
+      });
+      session = started.session;
+      result = { status: 'ok', downloadCount: started.downloadCount };
+    } else {
+      result = await recordShareDownload(token, password, {
+        itemName: `${folder.name}.zip`,
+        size: totalSize,
+        fileCount: objects.length
+      });
+      if (result.status !== 'ok') {
+        return { ...result, fileCount: 0, skippedCount: objects.length };
+      }
+    }
+
+    const zip = new JSZip();
+    let processedSize = 0;
+    let zippedCount = 0;
+
+    // Archived objects are tried as well, a restored copy can be read
+    for (let i = 0; i < objects.length; i += ZIP_BATCH_SIZE) {
+      await Promise.all(objects.slice(i, i + ZIP_BATCH_SIZE).map(async (object) => {
+        try {
+          const response = await adapter.getObject({ Key: object.Key, ...(session && { DownloadSession: session }) });
+          zip.file(object.Key.slice(folder.key.length), await response.Body.transformToByteArray());
+          zippedCount++;
+        } catch (error) {
+          // The link or the download session stopped working, the other files would fail as well
+          if (getUnavailableStatus(error) || error.name === 'DownloadSessionExpired') throw error;
+          // Archived files without a restored copy are left out quietly
+          if (error.name !== 'InvalidObjectState') {
+            console.error(`Error adding ${object.Key} to the zip:`, error);
+          }
+        }
+        processedSize += object.Size || 0;
+        onProgress && totalSize > 0 && onProgress(Math.round((processedSize / totalSize) * 90));
+      }));
+    }
+
+    if (zippedCount === 0) {
+      throw new Error('None of the files in this folder can be downloaded');
+    }
+
+    const content = await zip.generateAsync({
+      type: 'blob',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 5 }
+    }, (metadata) => onProgress && onProgress(90 + Math.round(metadata.percent / 10)));
+
+    saveBlob(content, `${folder.name}.zip`);
+    return { ...result, fileCount: zippedCount, skippedCount: objects.length - zippedCount };
+  } catch (error) {
+    console.error('Error downloading shared folder:', error);
+    throw error;
+  }
+};
+
+// 'report.pdf' -> 'report (1).pdf', 'notes' -> 'notes (2)'
+const numberedKey = (key, number) => {
+  if (number === 0) return key;
+  const slash = key.lastIndexOf('/');
+  const dot = key.lastIndexOf('.');
+  return dot > slash + 1
+    ? `${key.slice(0, dot)} (${number})${key.slice(dot)}`
+    : `${key} (${number})`;
+};
+
+// Start a multipart upload under a key nobody uses yet, uploaders never overwrite files
+const startUpload = async (storage, key, contentType) => {
+  for (let attempt = 0; attempt < MAX_NAME_ATTEMPTS; attempt++) {
+    const candidate = numberedKey(key, attempt);
+    // The presign service refuses taken keys itself, uploaders may not look into the folder
+    if (storage.name !== 'presign') {
+      const taken = await storage.headObject({ Key: candidate }).then(() => true, error => {
+        if (isNotFound(error)) return false;
+        throw error;
+      });
+      if (taken) continue;
+    }
+    try {
+      const { UploadId } = await storage.createMultipartUpload({ Key: candidate, ContentType: contentType });
+      return { key: candidate, uploadId: UploadId };
+    } catch (error) {
+      if (error.name !== 'ObjectExists') throw error;
+    }
+  }
+  throw new Error('A file with this name already exists');
+};
+
+/**
+ * Upload a file through an upload link. Files whose name is taken get a
+ * numbered name, e.g. 'report (1).pdf'.
+ * @param {Object} storage - Adapter from createUploadLinkStorage()
+ * @param {Object} link - Link returned by openUploadLink()
+ * @param {string} token - Upload link token
+ * @param {File} file - File to upload
+ * @param {string} relativePath - Path below the link's folder, e.g. 'report.pdf' or 'scans/page-1.png'
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.uploader] - Name the uploader entered, recorded in the owner's history
+ * @param {Object} [options.transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { key, size } of the stored file
+ */
+export const uploadToLink = async (storage, link, token, file, relativePath, { uploader, transferContext } = {}) => {
+  if (link.maxFileSize && file.size > link.maxFileSize) {
+    throw new Error(`${file.name} is larger than the limit of this link`);
+  }
+  if (!isAllowedType(file, link.allowedTypes)) {
+    throw new Error(`${file.name} is not one of the file types this link accepts`);
+  }
+
+  let transferId = null;
+  let upload = null;
+  try {
+    const cleanPath = relativePath.replace(/^\/+/, '').replace(/\\/g, '/');
+    upload = await startUpload(storage, `${link.targetPrefix}${cleanPath}`, file.type || undefined);
+    if (transferContext) {
+      transferId = transferContext.addTransfer({
+        name: upload.key.split('/').pop(),
+        type: 'upload',
+        size: file.size
+      });
+    }
+
+    const numParts = Math.max(1, Math.ceil(file.size / UPLOAD_PART_SIZE));
+    const parts = [];
+    let nextPart = 1;
+    let loaded = 0;
+    const worker = async () => {
+      while (nextPart <= numParts) {
+        const partNumber = nextPart++;
+        const start = (partNumber - 1) * UPLOAD_PART_SIZE;
+        const end = Math.min(start + UPLOAD_PART_SIZE, file.size);
+        const { ETag } = await storage.uploadPart({
+          Key: upload.key,
+          UploadId: upload.uploadId,
+          PartNumber: partNumber,
+          Body: file.slice(start, end)
+        });
+        parts.push({ ETag, PartNumber: partNumber });
+        loaded += end - start;
+        if (transferId) {
+          transferContext.updateTransferProgress(transferId, loaded, file.size || 1);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(UPLOAD_QUEUE_SIZE, numParts) }, worker));
+
+    parts.sort((a, b) => a.PartNumber - b.PartNumber);
+    await storage.completeMultipartUpload({
+      Key: upload.key,
+      UploadId: upload.uploadId,
+      MultipartUpload: { Parts: parts }
+    });
+    upload.completed = true;
+
+    // The file is stored even if the history entry cannot be written
+    await recordLinkUpload(token, { key: upload.key, size: file.size, uploader }).catch(() => {});
+    if (transferId) {
+      transferContext.completeTransfer(transferId);
+    }
+    return { key: upload.key, size: file.size };
+  } catch (error) {
+    console.error(`Error uploading ${file.name} through upload link:`, error);
+    if (upload && !upload.completed) {
+      await storage.abortMultipartUpload({ Key: upload.key, UploadId: upload.uploadId }).catch(() => {});
+    }
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+export default {
+  canServeShares,
+  createShareStorage,
+  createUploadLinkStorage,
+  getUnavailableStatus,
+  getSharedFile,
+  listSharedFolder,
+  downloadSharedFile,
+  previewSharedFile,
+  downloadSharedFolder,
+  uploadToLink
+};
@@ -0,0 +1,323 @@
+import { supabase, handleSupabaseError } from './supabaseClient.js';
+import { auth } from '../firebase.js';
+import { getActiveConnection } from './connectionService.js';
+import { getUserKeyPrefix } from './awsCredentials.js';
+import { logActivity } from './supabaseHistoryService.js';
+
+/**
+ * Vayubox Share Service
+ * Share links give people without an account access to one file or folder
+ * until they expire, are revoked or reach their download limit, optionally
+ * behind a password. Links are records in the vayubox_shares Supabase table
+ * (see src/database/vayubox_shares_table.sql) identified by a random token.
+ * Recipients go through database functions that check the link and log every
+ * access in the owner's activity history. The database only counts what it
+ * is told about: download limits hold when the presign service counts each
+ * download URL before handing it out, not when the recipient's browser reads
+ * the bucket itself.
+ */
+
+const SHARES_TABLE = 'vayubox_shares';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TOKEN_BYTES = 24;
+
+// Expiry choices offered when creating a link, a custom date is also possible
+export const SHARE_EXPIRY_OPTIONS = [
+  { label: '1 hour', duration: HOUR_MS },
+  { label: '1 day', duration: DAY_MS },
+  { label: '7 days', duration: 7 * DAY_MS },
+  { label: '30 days', duration: 30 * DAY_MS }
+];
+
+// Owner-facing columns, the password hash is never read back
+const SHARE_COLUMNS = [
+  'id', 'token', 'bucket_name', 'target_key', 'target_type', 'item_name', 'folder_path',
+  'expires_at', 'has_password', 'max_downloads', 'download_count', 'access_count',
+  'last_accessed_at', 'revoked_at', 'created_at'
+].join(', ');
+
+const getCurrentUser = () => {
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error('User not authenticated');
+  }
+  return user;
+};
+
+// URL-safe random token, e.g. 'Xk3v...' (32 characters)
+const createToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// History records store folder paths without the trailing slash
+const toFolderPath = (key) => {
+  const parent = key.replace(/\/$/, '').split('/').slice(0, -1).join('/');
+  return parent || null;
+};
+
+/**
+ * Build the link a share is opened with
+ * @param {string} token - Share token
+ * @returns {string} Absolute URL of the share page
+ */
+export const getShareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+/**
+ * Find out whether a share can still be used
+ * @param {Object} share - Share returned by listShares()
+ * @returns {string} 'active', 'revoked', 'expired' or 'exhausted' (download limit reached)
+ */
+export const getShareStatus = (share) => {
+  if (share.revokedAt) return 'revoked';
+  if (share.expiresAt.getTime() <= Date.now()) return 'expired';
+  if (share.maxDownloads && share.downloadCount >= share.maxDownloads) return 'exhausted';
+  return 'active';
+};
+
+const toShare = (record) => ({
+  id: record.id,
+  token: record.token,
+  url: getShareUrl(record.token),
+  bucketName: record.bucket_name,
+  targetKey: record.target_key,
+  targetType: record.target_type,
+  itemName: record.item_name,
+  folderPath: record.folder_path,
+  expiresAt: new Date(record.expires_at),
+  hasPassword: record.has_password,
+  maxDownloads: record.max_downloads,
+  downloadCount: record.download_count,
+  accessCount: record.access_count,
+  lastAccessedAt: record.last_accessed_at ? new Date(record.last_accessed_at) : null,
+  revokedAt: record.revoked_at ? new Date(record.revoked_at) : null,
+  createdAt: new Date(record.created_at)
+});
+
+/**
+ * Check whether links can be created for the active connection. Recipients
+ * reach the bucket through the app's own storage backend, so files of saved
+ * connections, whose keys only exist in the owner's browser, cannot be shared.
+ * @returns {boolean} True if the active connection is the default one
+ */
+export const canShareFromActiveConnection = () => getActiveConnection().isDefault;
+
+/**
+ * Create a share link for a file or folder
+ * @param {Object} item - Listing item ({ key, name, type, size })
+ * @param {Object} options - Link options
+ * @param {Date} options.expiresAt - When the link stops working
+ * @param {string} [options.password] - Password recipients have to enter
+ * @param {number} [options.maxDownloads] - Downloads allowed before the link stops working
+ * @returns {Promise<Object>} The new share (see listShares)
+ */
+export const createShare = async (item, { expiresAt, password, maxDownloads }) => {
+  try {
+    if (!canShareFromActiveConnection()) {
+      throw new Error('Only files of the default connection can be shared');
+    }
+    if (!(expiresAt instanceof Date) || Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+      throw new Error('The expiry must be in the future');
+    }
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      throw new Error('The download limit must be a whole number of at least 1');
+    }
+
+    const user = getCurrentUser();
+    const { data, error } = await supabase
+      .from(SHARES_TABLE)
+      .insert({
+        token: createToken(),
+        user_id: user.uid,
+        user_email: user.email || '',
+        bucket_name: getActiveConnection().bucket || null,
+        key_prefix: getUserKeyPrefix() || '',
+        target_key: item.key,
+        target_type: item.type === 'folder' ? 'folder' : 'file',
+        item_name: item.name,
+        folder_path: toFolderPath(item.key),
+        expires_at: expiresAt.toISOString(),
+        // A database trigger stores the bcrypt hash instead
+        password_hash: password || null,
+        max_downloads: maxDownloads || null
+      })
+      .select(SHARE_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+
+    const share = toShare(data);
+    await logActivity({
+      action: 'Share',
+      itemName: item.name,
+      size: item.size || 0,
+      folderPath: share.folderPath,
+      metadata: {
+        share_id: share.id,
+        share_event: 'created',
+        expires_at: share.expiresAt.toISOString(),
+        password_protected: share.hasPassword,
+        max_downloads: share.maxDownloads
+      }
+    });
+    return share;
+  } catch (error) {
+    console.error('Error creating share:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the share links of the signed-in user for the active bucket, newest first
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeInactive] - Include revoked, expired and used up links
+ * @returns {Promise<Array>} Shares ({ id, url, itemName, targetKey, targetType, expiresAt, hasPassword,
+ *   maxDownloads, downloadCount, accessCount, lastAccessedAt, revokedAt, createdAt, ... })
+ */
+export const listShares = async ({ includeInactive = false } = {}) => {
+  try {
+    const user = getCurrentUser();
+    let query = supabase
+      .from(SHARES_TABLE)
+      .select(SHARE_COLUMNS)
+      .eq('user_id', user.uid)
+      .order('created_at', { ascending: false });
+
+    const bucket = getActiveConnection().bucket;
+    if (bucket) {
+      query = query.eq('bucket_name', bucket);
+    }
+    if (!includeInactive) {
+      query = query.is('revoked_at', null).gt('expires_at', new Date().toISOString());
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+
+    const shares = (data || []).map(toShare);
+    return includeInactive ? shares : shares.filter(share => getShareStatus(share) === 'active');
+  } catch (error) {
+    console.error('Error listing shares:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a share link, it stops working immediately
+ * @param {Object} share - Share returned by listShares()
+ * @returns {Promise<void>}
+ */
+export const revokeShare = async (share) => {
+  try {
+    const user = getCurrentUser();
+    const { error } = await supabase
+      .from(SHARES_TABLE)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', share.id)
+      .eq('user_id', user.uid);
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+
+    await logActivity({
+      action: 'Share',
+      itemName: share.itemName,
+      folderPath: share.folderPath,
+      metadata: { share_id: share.id, share_event: 'revoked' }
+    });
+  } catch (error) {
+    console.error('Error revoking share:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open a share link as a recipient. Counts the access and records it in the owner's history.
+ * @param {string} token - Share token from the URL
+ * @param {string} [password] - Password entered by the recipient
+ * @returns {Promise<Object>} { status, share } where status is 'ok', 'not_found', 'revoked', 'expired',
+ *   'exhausted', 'password_required' or 'invalid_password', and share ({ id, bucketName, keyPrefix,
+ *   targetKey, targetType, itemName, expiresAt, maxDownloads, downloadCount }) is only set when it is 'ok'
+ */
+export const openShare = async (token, password) => {
+  try {
+    const { data, error } = await supabase.rpc('vayubox_open_share', {
+      p_token: token,
+      p_password: password || null
+    });
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+    if (data.status !== 'ok') {
+      return { status: data.status, share: null };
+    }
+
+    const share = data.share;
+    return {
+      status: 'ok',
+      share: {
+        id: share.id,
+        bucketName: share.bucket_name,
+        keyPrefix: share.key_prefix || '',
+        targetKey: share.target_key,
+        targetType: share.target_type,
+        itemName: share.item_name,
+        expiresAt: new Date(share.expires_at),
+        maxDownloads: share.max_downloads,
+        downloadCount: share.download_count
+      }
+    };
+  } catch (error) {
+    console.error('Error opening share:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count a recipient's download against the link's limit and record it in the owner's history
+ * @param {string} token - Share token
+ * @param {string} [password] - Password the share was opened with
+ * @param {Object} download - What is downloaded
+ * @param {string} download.itemName - File name, or folder name for a zip
+ * @param {number} [download.size] - Bytes downloaded
+ * @param {number} [download.fileCount] - Files downloaded
+ * @returns {Promise<Object>} { status, downloadCount }, status as for openShare()
+ */
+export const recordShareDownload = async (token, password, { itemName, size = 0, fileCount = 1 }) => {
+  try {
+    const { data, error } = await supabase.rpc('vayubox_record_share_download', {
+      p_token: token,
+      p_password: password || null,
+      p_item_name: itemName,
+      p_file_size: size,
+      p_file_count: fileCount
+    });
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+    return { status: data.status, downloadCount: data.download_count ?? null };
+  } catch (error) {
+    console.error('Error recording share download:', error);
+    throw error;
+  }
+};
+
+export default {
+  SHARE_EXPIRY_OPTIONS,
+  getShareUrl,
+  getShareStatus,
+  canShareFromActiveConnection,
+  createShare,
+  listShares,
+  revokeShare,
+  openShare,
+  recordShareDownload
+};
@@ -0,0 +1,233 @@
+import { STORAGE_CONFIG, createStorageClient } from './storageClient.js';
+import { getUserKeyPrefix } from './awsCredentials.js';
+import { getActiveConnection, getConnectionClientConfig, onConnectionChange } from './connectionService.js';
+import { createS3StorageAdapter } from './s3StorageAdapter.js';
+import { createMemoryStorageAdapter } from './memoryStorageAdapter.js';
+import { createPresignStorageAdapter } from './presignStorageAdapter.js';
+
+/**
+ * Vayubox Storage Adapter
+ * All storage services go through an adapter instead of calling the AWS SDK
+ * directly, so the backend can be swapped (S3, presign service, in-browser memory storage, ...).
+ *
+ * Adapters take S3-style inputs without `Bucket` and return S3-style outputs:
+ *   listObjects({ Prefix, Delimiter, ContinuationToken, MaxKeys })
+ *   headObject({ Key, VersionId })
+ *   getObject({ Key, Range, VersionId })    -> { Body: { transformToByteArray() }, ... }
+ *   putObject({ Key, Body, ContentType, StorageClass, Metadata })
+ *   copyObject({ SourceKey, SourceVersionId, Key, ... })  -> copy within the same bucket
+ *   deleteObject({ Key, VersionId })
+ *   deleteObjects({ Delete: { Objects, Quiet } })
+ *   restoreObject({ Key, RestoreRequest })
+ *   createMultipartUpload / uploadPart / listParts / completeMultipartUpload / abortMultipartUpload
+ *   upload({ params, queueSize, partSize, onProgress })   -> managed multipart upload
+ *   getObjectTagging({ Key, VersionId }) / putObjectTagging({ Key, Tagging: { TagSet } })
+ *   listObjectVersions({ Prefix, KeyMarker, VersionIdMarker }) / getBucketVersioning()
+ *   getDownloadUrl({ Key, VersionId }, { expiresIn })
+ *
+ * Every adapter works on the bucket of the active connection (see connectionService.js).
+ * When users are restricted to their own prefix (see awsCredentials.js) the
+ * adapter is wrapped so the rest of the app keeps working with bucket-relative keys.
+ *
+ * Writes made through the adapter are reported to onStorageMutation listeners,
+ * which is how caches of bucket contents stay in sync with Vayubox's own changes.
+ */
+
+const backendFactories = {
+  s3: createS3StorageAdapter,
+  presign: createPresignStorageAdapter,
+  memory: createMemoryStorageAdapter
+};
+
+let activeAdapter = null;
+let activeKeyPrefix = null;
+let activeConnectionId = null;
+
+// Rebuild the adapter on the next call after switching or editing connections
+onConnectionChange(() => {
+  activeAdapter = null;
+});
+
+const mutationListeners = new Set();
+
+/**
+ * Subscribe to writes made through the storage adapter
+ * @param {Function} listener - Called with { operation, keys, input } after a successful write,
+ *   input is what the method was called with (e.g. SourceKey for copies). Keys a batch delete
+ *   reported in its Errors are left out of keys
+ * @returns {Function} Unsubscribe function
+ */
+export const onStorageMutation = (listener) => {
+  mutationListeners.add(listener);
+  return () => mutationListeners.delete(listener);
+};
+
+const emitMutation = (mutation) => {
+  mutationListeners.forEach(listener => {
+    try {
+      listener(mutation);
+    } catch (error) {
+      console.error('Error in storage mutation listener:', error);
+    }
+  });
+};
+
+// Objects of a batch delete that were removed, the ones listed in Errors are still there
+const getDeletedObjects = (input, result) => {
+  const failed = new Set((result?.Errors || []).map(error => `${error.Key}\n${error.VersionId || ''}`));
+  return input.Delete.Objects.filter(object => !failed.has(`${object.Key}\n${object.VersionId || ''}`));
+};
+
+// Keys created, overwritten or removed by each mutating adapter method, given its input and result
+const MUTATED_KEYS = {
+  putObject: (input) => [input.Key],
+  copyObject: (input) => [input.Key],
+  deleteObject: (input) => [input.Key],
+  deleteObjects: (input, result) => getDeletedObjects(input, result).map(object => object.Key),
+  completeMultipartUpload: (input) => [input.Key],
+  upload: ({ params }) => [params.Key]
+};
+
+const withMutationEvents = (adapter) => {
+  const observed = { ...adapter };
+  Object.entries(MUTATED_KEYS).forEach(([operation, getKeys]) => {
+    if (typeof adapter[operation] !== 'function') return;
+    observed[operation] = async (input, options) => {
+      const result = await adapter[operation](input, options);
+      const keys = getKeys(input, result);
+      if (keys.length > 0) {
+        emitMutation({ operation, keys, input });
+      }
+      return result;
+    };
+  });
+  return observed;
+};
+
+/**
+ * Wrap an adapter so every key lives under a prefix that is hidden from callers
+ * @param {Object} adapter - Storage adapter
+ * @param {string} keyPrefix - Prefix ending with '/'
+ * @returns {Object} Storage adapter working with keys relative to the prefix
+ */
+export const withKeyPrefix = (adapter, keyPrefix) => {
+  const scope = (key) => `${keyPrefix}${key}`;
+  const unscope = (key) => (typeof key === 'string' && key.startsWith(keyPrefix) ? key.slice(keyPrefix.length) : key);
+
+  const scopeInput = (input = {}) => ({
+    ...input,
+    ...(input.Key !== undefined && { Key: scope(input.Key) }),
+    ...(input.SourceKey !== undefined && { SourceKey: scope(input.SourceKey) }),
+    ...(input.StartAfter && { StartAfter: scope(input.StartAfter) }),
+    ...(input.KeyMarker && { KeyMarker: scope(input.KeyMarker) }),
+    ...(input.Delete && {
+      Delete: { ...input.Delete, Objects: input.Delete.Objects.map(object => ({ ...object, Key: scope(object.Key) })) }
+    })
+  });
+
+  const unscopeOutput = (output) => {
+    if (!output || typeof output !== 'object') return output;
+    const unscopeKeys = (items) => items?.map(item => ({ ...item, Key: unscope(item.Key) }));
+    return {
+      ...output,
+      ...(output.Key !== undefined && { Key: unscope(output.Key) }),
+      ...(output.Prefix !== undefined && { Prefix: unscope(output.Prefix) }),
+      ...(output.StartAfter !== undefined && { StartAfter: unscope(output.StartAfter) }),
+      ...(output.KeyMarker !== undefined && { KeyMarker: unscope(output.KeyMarker) }),
+      ...(output.NextKeyMarker !== undefined && { NextKeyMarker: unscope(output.NextKeyMarker) }),
+      ...(output.Contents && { Contents: unscopeKeys(output.Contents) }),
+      ...(output.Versions && { Versions: unscopeKeys(output.Versions) }),
+      ...(output.DeleteMarkers && { DeleteMarkers: unscopeKeys(output.DeleteMarkers) }),
+      ...(output.Deleted && { Deleted: unscopeKeys(output.Deleted) }),
+      ...(output.Errors && { Errors: unscopeKeys(output.Errors) }),
+      ...(output.CommonPrefixes && {
+        CommonPrefixes: output.CommonPrefixes.map(item => ({ ...item, Prefix: unscope(item.Prefix) }))
+      })
+    };
+  };
+
+  const scoped = { ...adapter };
+  Object.entries(adapter).forEach(([name, method]) => {
+    if (typeof method === 'function') {
+      scoped[name] = async (input, options) => unscopeOutput(await method(scopeInput(input), options));
+    }
+  });
+
+  // Listing without a prefix must still stay inside the user's prefix
+  scoped.listObjects = async (input = {}, options) => unscopeOutput(
+    await adapter.listObjects({ ...scopeInput(input), Prefix: scope(input.Prefix || '') }, options)
+  );
+  if (adapter.listObjectVersions) {
+    scoped.listObjectVersions = async (input = {}, options) => unscopeOutput(
+      await adapter.listObjectVersions({ ...scopeInput(input), Prefix: scope(input.Prefix || '') }, options)
+    );
+  }
+  scoped.upload = async ({ params, ...uploadOptions }) => unscopeOutput(
+    await adapter.upload({ params: scopeInput(params), ...uploadOptions })
+  );
+  scoped.getDownloadUrl = (input, options) => adapter.getDownloadUrl(scopeInput(input), options);
+
+  return scoped;
+};
+
+/**
+ * Register an additional storage backend
+ * @param {string} name - Backend name, selectable through VITE_STORAGE_BACKEND
+ * @param {Function} factory - Returns a storage adapter
+ */
+export const registerStorageBackend = (name, factory) => {
+  backendFactories[name] = factory;
+};
+
+// Saved connections always use S3, each with its own client
+const createConnectionAdapter = (connection) => {
+  if (connection.isDefault) {
+    const factory = backendFactories[STORAGE_CONFIG.backend];
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${STORAGE_CONFIG.backend}`);
+    }
+    return factory();
+  }
+
+  let client = null;
+  return createS3StorageAdapter({
+    bucket: connection.bucket,
+    getClient: () => client || (client = createStorageClient(getConnectionClientConfig(connection)))
+  });
+};
+
+/**
+ * Get the storage adapter for the active connection
+ * @returns {Object} Storage adapter
+ */
+export const getStorageAdapter = () => {
+  const connection = getActiveConnection();
+  // The prefix changes when a different user signs in. It is only enforced for
+  // the app credentials, connections with their own keys see the whole bucket.
+  const keyPrefix = connection.accessKeyId ? null : getUserKeyPrefix();
+  if (!activeAdapter || keyPrefix !== activeKeyPrefix || connection.id !== activeConnectionId) {
+    const adapter = createConnectionAdapter(connection);
+    activeAdapter = withMutationEvents(keyPrefix ? withKeyPrefix(adapter, keyPrefix) : adapter);
+    activeKeyPrefix = keyPrefix;
+    activeConnectionId = connection.id;
+  }
+  return activeAdapter;
+};
+
+/**
+ * Replace the active storage adapter (used for demos and switching backends at runtime)
+ * @param {Object} adapter - Storage adapter
+ */
+export const setStorageAdapter = (adapter) => {
+  activeAdapter = withMutationEvents(adapter);
+  activeKeyPrefix = getUserKeyPrefix();
+  activeConnectionId = getActiveConnection().id;
+};
+
+export default {
+  getStorageAdapter,
+  setStorageAdapter,
+  registerStorageBackend,
+  withKeyPrefix,
+  onStorageMutation
+};
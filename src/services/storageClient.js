@@ -0,0 +1,219 @@
+import { S3Client } from "@aws-sdk/client-s3";
+import { isFederatedCredentials, getFederatedCredentials } from './awsCredentials.js';
+
+/**
+ * Vayubox Storage Client
+ * Single place where the S3 client is configured. Every service imports the
+ * client from here so uploads, downloads and Glacier operations share the same
+ * region, retry policy, timeouts and middleware.
+ */
+
+const readNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const readBoolean = (value, fallback) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return fallback;
+};
+
+// Custom endpoint for S3-compatible backends (MinIO, Ceph, Cloudflare R2, Wasabi)
+const customEndpoint = import.meta.env.VITE_S3_ENDPOINT || null;
+
+// Vayubox presign service that holds the AWS credentials (see /server)
+const presignServiceUrl = import.meta.env.VITE_PRESIGN_SERVICE_URL || null;
+
+// 's3' talks to S3 through the SDK, 'presign' goes through the presign service,
+// 'memory' simulates a bucket in the browser
+const storageBackend = import.meta.env.VITE_STORAGE_BACKEND || (presignServiceUrl ? 'presign' : 's3');
+
+// Central configuration, overridable through VITE_S3_* environment variables
+export const STORAGE_CONFIG = {
+  backend: storageBackend,
+  // S3-compatible backends often ignore the region but the SDK still requires one
+  region: import.meta.env.VITE_REGION || (customEndpoint ? 'us-east-1' : undefined),
+  endpoint: customEndpoint,
+  presignServiceUrl,
+  // Path-style addressing (endpoint/bucket/key) is what most S3-compatible backends expect
+  forcePathStyle: readBoolean(import.meta.env.VITE_S3_FORCE_PATH_STYLE, Boolean(customEndpoint)),
+  // Total attempts per request (1 = no retries)
+  maxAttempts: readNumber(import.meta.env.VITE_S3_MAX_ATTEMPTS, 3),
+  // 'standard' uses exponential backoff with jitter, 'adaptive' also rate-limits the client
+  retryMode: import.meta.env.VITE_S3_RETRY_MODE === 'adaptive' ? 'adaptive' : 'standard',
+  // Per-request timeout in milliseconds (0 disables the timeout)
+  requestTimeout: readNumber(import.meta.env.VITE_S3_REQUEST_TIMEOUT, 0),
+  // Log every storage command to the console
+  debug: import.meta.env.VITE_S3_DEBUG === 'true',
+  // Deleted items are moved below this prefix, which listings and statistics skip
+  trashPrefix: '.vayubox-trash/',
+  // Days an item stays in the trash before it is deleted for good
+  trashRetentionDays: readNumber(import.meta.env.VITE_TRASH_RETENTION_DAYS, 30),
+  // Image and video thumbnails are stored below this prefix, mirroring the keys they belong to
+  thumbnailPrefix: '.vayubox-thumbnails/'
+};
+
+// AWS-only features, disabled by default when a custom endpoint is configured.
+// The memory backend simulates Glacier restores but has no billing data, and
+// Cost Explorer needs credentials in the browser, which the presign backend avoids.
+export const STORAGE_FEATURES = {
+  glacierRestore: readBoolean(import.meta.env.VITE_S3_SUPPORTS_GLACIER, storageBackend === 'memory' || !customEndpoint),
+  costExplorer: readBoolean(import.meta.env.VITE_S3_SUPPORTS_COST_EXPLORER, storageBackend === 's3' && !customEndpoint)
+};
+
+/**
+ * Check whether the configured storage backend supports an AWS-only feature
+ * @param {string} feature - Feature name from STORAGE_FEATURES
+ * @returns {boolean} True if the feature is available
+ */
+export const supportsStorageFeature = (feature) => Boolean(STORAGE_FEATURES[feature]);
+
+/**
+ * Check whether the app talks to a custom S3-compatible endpoint instead of AWS S3
+ * @returns {boolean} True if a custom endpoint is configured
+ */
+export const isCustomEndpoint = () => Boolean(STORAGE_CONFIG.endpoint);
+
+/**
+ * Credentials shared by the AWS clients: a provider for temporary credentials
+ * from the Firebase login, or the static keys from the environment
+ * @returns {Object|Function} Credentials or credential provider for AWS SDK clients
+ */
+export const getAwsCredentials = () => {
+  if (isFederatedCredentials()) {
+    return getFederatedCredentials;
+  }
+  return {
+    accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
+    secretAccessKey: import.meta.env.VITE_SECRET_KEY
+  };
+};
+
+// Middleware registered through addStorageMiddleware, re-applied to every new client
+const registeredMiddleware = [];
+const metricsListeners = new Set();
+
+/**
+ * Subscribe to per-command metrics (command name, duration, attempts, success)
+ * @param {Function} listener - Called with a metrics object after every command
+ * @returns {Function} Unsubscribe function
+ */
+export const onStorageMetrics = (listener) => {
+  metricsListeners.add(listener);
+  return () => metricsListeners.delete(listener);
+};
+
+const emitMetrics = (metrics) => {
+  metricsListeners.forEach(listener => {
+    try {
+      listener(metrics);
+    } catch (error) {
+      console.error('Error in storage metrics listener:', error);
+    }
+  });
+};
+
+// Built-in middleware that times each command and reports it to listeners/console
+const loggingAndMetricsMiddleware = (next, context) => async (args) => {
+  const startTime = Date.now();
+  const commandName = context.commandName;
+
+  try {
+    const result = await next(args);
+    const metrics = {
+      commandName,
+      duration: Date.now() - startTime,
+      attempts: result.output?.$metadata?.attempts || 1,
+      success: true
+    };
+    if (STORAGE_CONFIG.debug) {
+      console.log(`[storage] ${commandName} completed in ${metrics.duration}ms`, metrics);
+    }
+    emitMetrics(metrics);
+    return result;
+  } catch (error) {
+    const metrics = {
+      commandName,
+      duration: Date.now() - startTime,
+      attempts: error.$metadata?.attempts || 1,
+      success: false,
+      errorName: error.name
+    };
+    if (STORAGE_CONFIG.debug) {
+      console.warn(`[storage] ${commandName} failed after ${metrics.duration}ms`, error);
+    }
+    emitMetrics(metrics);
+    throw error;
+  }
+};
+
+const applyMiddleware = (client, { middleware, options }) => {
+  client.middlewareStack.add(middleware, options);
+};
+
+/**
+ * Create a new S3 client from the central configuration
+ * @param {Object} [overrides] - S3Client config values to override
+ * @returns {S3Client} Configured S3 client
+ */
+export const createStorageClient = (overrides = {}) => {
+  const client = new S3Client({
+    region: STORAGE_CONFIG.region,
+    credentials: getAwsCredentials(),
+    ...(STORAGE_CONFIG.endpoint && { endpoint: STORAGE_CONFIG.endpoint }),
+    forcePathStyle: STORAGE_CONFIG.forcePathStyle,
+    maxAttempts: STORAGE_CONFIG.maxAttempts,
+    retryMode: STORAGE_CONFIG.retryMode,
+    ...(STORAGE_CONFIG.requestTimeout && {
+      requestHandler: { requestTimeout: STORAGE_CONFIG.requestTimeout }
+    }),
+    ...overrides
+  });
+
+  client.middlewareStack.add(loggingAndMetricsMiddleware, {
+    step: 'initialize',
+    name: 'vayuboxLoggingAndMetrics'
+  });
+  registeredMiddleware.forEach(entry => applyMiddleware(client, entry));
+
+  return client;
+};
+
+let sharedClient = null;
+
+/**
+ * Get the shared S3 client used by all Vayubox services
+ * @returns {S3Client} Shared S3 client
+ */
+export const getS3Client = () => {
+  if (!sharedClient) {
+    sharedClient = createStorageClient();
+  }
+  return sharedClient;
+};
+
+/**
+ * Register an AWS SDK middleware on the shared client (and any client created later)
+ * @param {Function} middleware - AWS SDK middleware function
+ * @param {Object} options - Middleware stack options (step, name, priority)
+ */
+export const addStorageMiddleware = (middleware, options = {}) => {
+  const entry = { middleware, options: { step: 'initialize', ...options } };
+  registeredMiddleware.push(entry);
+  if (sharedClient) {
+    applyMiddleware(sharedClient, entry);
+  }
+};
+
+export default {
+  STORAGE_CONFIG,
+  STORAGE_FEATURES,
+  supportsStorageFeature,
+  isCustomEndpoint,
+  getS3Client,
+  createStorageClient,
+  addStorageMiddleware,
+  onStorageMetrics,
+  getAwsCredentials
+};
@@ -1,5 +1,6 @@
 import { supabase, handleSupabaseError } from './supabaseClient.js'
 import { auth } from '../firebase.js'
+import { getActiveConnection } from './connectionService.js'
 
 /**
  * Vayubox Activity History Service
@@ -20,6 +21,18 @@ const getCurrentFirebaseUser = () => {
   }
 }
 
+// Limit a query to the bucket of the active connection. Records logged before
+// buckets were tracked have no bucket name and belong to the default connection.
+const scopeToActiveBucket = (query) => {
+  const connection = getActiveConnection()
+  if (!connection.bucket) {
+    return query
+  }
+  return connection.isDefault
+    ? query.or(`bucket_name.eq.${connection.bucket},bucket_name.is.null`)
+    : query.eq('bucket_name', connection.bucket)
+}
+
 /**
  * Log a new activity to Supabase
  * @param {Object} activity - Activity details
@@ -43,7 +56,7 @@ export const logActivity = async (activity) => {
       file_size: activity.size || 0,
       file_count: activity.fileCount || 1,
       folder_path: activity.folderPath || null,
-      bucket_name: import.meta.env.VITE_BUCKET_NAME || null,
+      bucket_name: getActiveConnection().bucket || null,
       storage_class: activity.storageClass || 'STANDARD',
       metadata: {
         user_display_name: firebaseUser.displayName,
@@ -95,6 +108,7 @@ export const logActivity = async (activity) => {
  * @param {string} [options.action] - Filter by action type
  * @param {Date} [options.startDate] - Filter by start date
  * @param {Date} [options.endDate] - Filter by end date
+ * @param {boolean} [options.allBuckets] - Include activity from every connection
  * @returns {Promise<Array>} Array of activity records
  */
 export const getActivityHistory = async (options = {}) => {
@@ -108,6 +122,10 @@ export const getActivityHistory = async (options = {}) => {
       .order('created_at', { ascending: false })
 
     // Apply filters
+    if (!options.allBuckets) {
+      query = scopeToActiveBucket(query)
+    }
+
     if (options.action) {
       query = query.eq('action', options.action)
     }
@@ -190,6 +208,7 @@ export const clearActivityHistory = async () => {
  * @param {Object} [options] - Query options
  * @param {Date} [options.startDate] - Start date for statistics
  * @param {Date} [options.endDate] - End date for statistics
+ * @param {boolean} [options.allBuckets] - Include activity from every connection
  * @returns {Promise<Object>} Activity statistics
  */
 export const getActivityStatistics = async (options = {}) => {
@@ -200,6 +219,10 @@ export const getActivityStatistics = async (options = {}) => {
       .from('vayubox_activity_history')
       .select('action, file_size, file_count')
       .eq('user_id', firebaseUser.id)
+
+    if (!options.allBuckets) {
+      query = scopeToActiveBucket(query)
+    }
     
     if (options.startDate) {
       query = query.gte('created_at', options.startDate.toISOString())
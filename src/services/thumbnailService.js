@@ -0,0 +1,342 @@
+import { auth } from '../firebase.js';
+import { getStorageAdapter, onStorageMutation } from './storageAdapter.js';
+import { getActiveConnection } from './connectionService.js';
+import { STORAGE_CONFIG } from './storageClient.js';
+import { getPreviewType } from './previewService.js';
+import { isArchiveStorageClass } from './prefixSummaryService.js';
+
+/**
+ * Vayubox Thumbnail Service
+ * Images and the first frame of videos are scaled down in the browser and
+ * stored as JPEGs below a hidden thumbnail prefix that mirrors the original
+ * keys ('photos/cat.png' -> '<thumbnails>/photos/cat.png.jpg'). Thumbnails are
+ * created after uploads and kept in sync through storage mutation events:
+ * copies (and so renames and moves) copy the thumbnail along, deletes remove it.
+ * Listings, search and statistics skip the thumbnail prefix like the trash.
+ */
+
+const THUMBNAIL_PREFIX = STORAGE_CONFIG.thumbnailPrefix;
+// Longest side of a thumbnail in pixels
+export const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.8;
+// Video thumbnails show the frame at this time, the very first frame is often black
+const VIDEO_FRAME_TIME = 0.1;
+const VIDEO_LOAD_TIMEOUT_MS = 15 * 1000;
+// Thumbnail URLs are cached for a while, but not longer than they are valid
+const THUMBNAIL_URL_EXPIRY_SECONDS = 60 * 60;
+const URL_CACHE_MS = (THUMBNAIL_URL_EXPIRY_SECONDS - 5 * 60) * 1000;
+
+const urlCache = new Map();
+const changeListeners = new Set();
+// Sync work runs one step at a time so a move copies the thumbnail before the source's is deleted
+let syncQueue = Promise.resolve();
+
+// URLs belong to the signed-in user and the active connection
+const cacheKey = (key) => `${auth.currentUser?.uid || ''}:${getActiveConnection().id}:${key}`;
+
+const isNotFound = (error) =>
+  error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Subscribe to thumbnails being stored, copied or deleted
+ * @param {Function} listener - Called with { keys }, the keys of the files whose thumbnail changed
+ * @returns {Function} Unsubscribe function
+ */
+export const onThumbnailsChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+const emitChange = (keys) => {
+  keys.forEach(key => urlCache.delete(cacheKey(key)));
+  changeListeners.forEach(listener => {
+    try {
+      listener({ keys });
+    } catch (error) {
+      console.error('Error in thumbnail listener:', error);
+    }
+  });
+};
+
+/**
+ * Check whether a key or prefix is inside the thumbnail prefix
+ * @param {string} key - Object key or folder prefix
+ * @returns {boolean} True for keys below the thumbnail prefix
+ */
+export const isThumbnailKey = (key) => key.startsWith(THUMBNAIL_PREFIX);
+
+/**
+ * Get the key a file's thumbnail is stored at
+ * @param {string} key - Object key of the image or video
+ * @returns {string} Thumbnail key
+ */
+export const getThumbnailKey = (key) => `${THUMBNAIL_PREFIX}${key}.jpg`;
+
+/**
+ * Check whether a file gets a thumbnail: images and videos the browser can decode
+ * @param {string} filename - Name or key of the file
+ * @returns {boolean} True if a thumbnail can be created
+ */
+export const canHaveThumbnail = (filename) => {
+  const name = filename.split('/').pop();
+  const type = getPreviewType(name);
+  return type === 'image' || type === 'video';
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve({ source: image, width: image.naturalWidth, height: image.naturalHeight });
+  image.onerror = () => reject(new Error('The image could not be decoded'));
+  image.src = url;
+});
+
+const loadVideoFrame = (url) => new Promise((resolve, reject) => {
+  const video = document.createElement('video');
+  const timer = setTimeout(() => reject(new Error('Timed out reading the video')), VIDEO_LOAD_TIMEOUT_MS);
+  video.crossOrigin = 'anonymous';
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  video.onloadedmetadata = () => {
+    video.currentTime = Math.min(VIDEO_FRAME_TIME, (video.duration || 0) / 2);
+  };
+  video.onseeked = () => {
+    clearTimeout(timer);
+    resolve({ source: video, width: video.videoWidth, height: video.videoHeight });
+  };
+  video.onerror = () => {
+    clearTimeout(timer);
+    reject(new Error('The video could not be decoded'));
+  };
+  video.src = url;
+});
+
+const drawThumbnail = ({ source, width, height }) => new Promise((resolve, reject) => {
+  if (!width || !height) {
+    reject(new Error('The file has no dimensions to draw'));
+    return;
+  }
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency, transparent images get a white background
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode the thumbnail'))),
+    'image/jpeg',
+    THUMBNAIL_QUALITY
+  );
+});
+
+/**
+ * Scale an image, or the first frame of a video, down to a JPEG thumbnail
+ * @param {string} url - URL of the image or video (object or presigned URL)
+ * @param {string} filename - Name of the file, decides between image and video
+ * @returns {Promise<Blob>} JPEG thumbnail
+ */
+export const renderThumbnail = async (url, filename) => {
+  const frame = getPreviewType(filename) === 'video' ? await loadVideoFrame(url) : await loadImage(url);
+  return drawThumbnail(frame);
+};
+
+const storeThumbnail = async (key, blob) => {
+  await getStorageAdapter().putObject({
+    Key: getThumbnailKey(key),
+    Body: new Uint8Array(await blob.arrayBuffer()),
+    ContentType: 'image/jpeg'
+  });
+  emitChange([key]);
+};
+
+/**
+ * Create the thumbnail of a file that was just uploaded. Failures are logged
+ * and never fail the upload, the gallery shows an icon instead.
+ * @param {File|Blob} file - Uploaded image or video
+ * @param {string} key - Object key it was uploaded to
+ * @returns {Promise<boolean>} True if a thumbnail was stored
+ */
+export const createThumbnail = async (file, key) => {
+  if (!canHaveThumbnail(key)) return false;
+  const url = URL.createObjectURL(file);
+  try {
+    await storeThumbnail(key, await renderThumbnail(url, key));
+    return true;
+  } catch (error) {
+    console.error('Error creating thumbnail:', error);
+    return false;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Create the thumbnail of a file that is already stored, e.g. uploaded before
+ * thumbnails existed. Archived Glacier files cannot be read and are skipped.
+ * The bucket CORS policy must allow GET for the browser to draw the file.
+ * @param {Object} item - Listing item ({ key, storageClass })
+ * @returns {Promise<boolean>} True if a thumbnail was stored
+ */
+export const createThumbnailForObject = async (item) => {
+  if (!canHaveThumbnail(item.key) || isArchiveStorageClass(item.storageClass)) return false;
+  try {
+    const url = await getStorageAdapter().getDownloadUrl({ Key: item.key }, { expiresIn: THUMBNAIL_URL_EXPIRY_SECONDS });
+    try {
+      await storeThumbnail(item.key, await renderThumbnail(url, item.key));
+    } finally {
+      // The memory backend hands out object URLs
+      if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error creating thumbnail:', error);
+    return false;
+  }
+};
+
+/**
+ * Find the files of a folder that have a thumbnail
+ * @param {string} prefix - Folder prefix ('' for the root)
+ * @returns {Promise<Set<string>>} Keys of the files with a thumbnail
+ */
+export const listThumbnails = async (prefix = '') => {
+  try {
+    const thumbnails = new Set();
+    let continuationToken;
+    do {
+      const response = await getStorageAdapter().listObjects({
+        Prefix: `${THUMBNAIL_PREFIX}${prefix}`,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      });
+      (response.Contents || []).forEach(object => {
+        thumbnails.add(object.Key.slice(THUMBNAIL_PREFIX.length, -'.jpg'.length));
+      });
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+    return thumbnails;
+  } catch (error) {
+    console.error('Error listing thumbnails:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a URL that shows a file's thumbnail
+ * @param {string} key - Object key of the image or video
+ * @returns {Promise<string>} Presigned URL (object URL on the memory backend)
+ */
+export const getThumbnailUrl = async (key) => {
+  const cached = urlCache.get(cacheKey(key));
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.url;
+  }
+  const url = await getStorageAdapter().getDownloadUrl(
+    { Key: getThumbnailKey(key) },
+    { expiresIn: THUMBNAIL_URL_EXPIRY_SECONDS }
+  );
+  urlCache.set(cacheKey(key), { url, expiresAt: Date.now() + URL_CACHE_MS });
+  return url;
+};
+
+/**
+ * Copy a file's thumbnail to another key. Used where objects are copied in
+ * parts, which the mutation events cannot trace back to their source.
+ * A missing thumbnail is not an error.
+ * @param {string} sourceKey - Key of the original file
+ * @param {string} targetKey - Key of the copy
+ * @returns {Promise<void>}
+ */
+export const copyThumbnail = async (sourceKey, targetKey) => {
+  if (sourceKey === targetKey || !canHaveThumbnail(sourceKey) || !canHaveThumbnail(targetKey)) return;
+  try {
+    await getStorageAdapter().copyObject({
+      SourceKey: getThumbnailKey(sourceKey),
+      Key: getThumbnailKey(targetKey)
+    });
+    emitChange([targetKey]);
+  } catch (error) {
+    if (!isNotFound(error)) {
+      console.error('Error copying thumbnail:', error);
+    }
+  }
+};
+
+const deleteThumbnails = async (keys) => {
+  if (keys.length === 0) return;
+  try {
+    await getStorageAdapter().deleteObjects({
+      Delete: { Objects: keys.map(key => ({ Key: getThumbnailKey(key) })), Quiet: true }
+    });
+    emitChange(keys);
+  } catch (error) {
+    console.error('Error deleting thumbnails:', error);
+  }
+};
+
+// Deleting one version only removes the file when no other version is left
+const deleteThumbnailsOfRemovedVersions = async (keys) => {
+  const removed = [];
+  for (const key of new Set(keys)) {
+    try {
+      await getStorageAdapter().headObject({ Key: key });
+    } catch (error) {
+      if (isNotFound(error)) removed.push(key);
+    }
+  }
+  await deleteThumbnails(removed);
+};
+
+const syncCopy = async ({ SourceKey, SourceVersionId, Key }) => {
+  if (SourceKey !== Key) {
+    await copyThumbnail(SourceKey, Key);
+  } else if (SourceVersionId) {
+    // An older version was restored in place, its picture may differ
+    await createThumbnailForObject({ key: Key });
+  }
+  // Other in-place copies only change the storage class
+};
+
+const syncDeletes = async (objects) => {
+  const current = objects.filter(object => !object.VersionId).map(object => object.Key);
+  const versions = objects.filter(object => object.VersionId).map(object => object.Key);
+  await deleteThumbnails(current);
+  await deleteThumbnailsOfRemovedVersions(versions);
+};
+
+const enqueue = (task) => {
+  syncQueue = syncQueue.then(task).catch(error => console.error('Error syncing thumbnails:', error));
+};
+
+// Thumbnails follow the files they belong to
+onStorageMutation(({ operation, keys, input }) => {
+  if (operation === 'copyObject') {
+    if (isThumbnailKey(input.SourceKey) || isThumbnailKey(input.Key) || !canHaveThumbnail(input.Key)) return;
+    enqueue(() => syncCopy(input));
+  } else if (operation === 'deleteObject' || operation === 'deleteObjects') {
+    // Keys a batch delete failed on are left out of keys
+    const deleted = new Set(keys);
+    const objects = (operation === 'deleteObject' ? [input] : input.Delete.Objects)
+      .filter(object => deleted.has(object.Key) && !isThumbnailKey(object.Key) && canHaveThumbnail(object.Key));
+    if (objects.length === 0) return;
+    enqueue(() => syncDeletes(objects));
+  }
+});
+
+export default {
+  THUMBNAIL_SIZE,
+  onThumbnailsChange,
+  isThumbnailKey,
+  getThumbnailKey,
+  canHaveThumbnail,
+  renderThumbnail,
+  createThumbnail,
+  createThumbnailForObject,
+  listThumbnails,
+  getThumbnailUrl,
+  copyThumbnail
+};
@@ -0,0 +1,294 @@
+import { getStorageAdapter } from './storageAdapter.js';
+import { STORAGE_CONFIG } from './storageClient.js';
+import { getActiveConnection } from './connectionService.js';
+import { getPrefixSummary } from './prefixSummaryService.js';
+import { getParentPath, transferItems, deletePrefix } from './objectOperationsService.js';
+import { logActivity } from './supabaseHistoryService.js';
+
+/**
+ * Vayubox Trash Service
+ * Deleted files and folders are moved below a hidden trash prefix instead of
+ * being removed. Every deletion is one trash entry, '<trash>/<id>/', holding
+ * the item at its original key ('<trash>/<id>/a/b/report.pdf') and a marker
+ * object whose metadata records the original key and when it was deleted.
+ * Entries older than the retention period are purged.
+ */
+
+const TRASH_PREFIX = STORAGE_CONFIG.trashPrefix;
+export const TRASH_RETENTION_DAYS = STORAGE_CONFIG.trashRetentionDays;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expired entries are looked for at most once an hour per connection
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const lastPurges = new Map();
+
+// History records store folder paths without the trailing slash
+const toFolderPath = (prefix) => prefix.replace(/\/$/, '') || null;
+
+/**
+ * Check whether a key or prefix is inside the trash
+ * @param {string} key - Object key or folder prefix
+ * @returns {boolean} True for keys below the trash prefix
+ */
+export const isTrashKey = (key) => key.startsWith(TRASH_PREFIX);
+
+// Display name of a file key or folder prefix
+const nameOf = (key) => key.split('/').filter(Boolean).pop() || key;
+
+const isNotFound = (error) =>
+  error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Move a file or folder to the trash. Objects that cannot be copied, such as
+ * archived Glacier objects, stay where they are and are reported as failed.
+ * @param {Object} item - Listing item ({ key, name, type, size, storageClass })
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { deletedCount, failed: [{ key, error }] }
+ */
+export const moveToTrash = async (item, transferContext = null) => {
+  try {
+    if (isTrashKey(item.key)) {
+      throw new Error(`${item.name} is already in the trash`);
+    }
+
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const entryPrefix = `${TRASH_PREFIX}${id}/`;
+    // Metadata values must be ASCII, so the original key is URI-encoded
+    await getStorageAdapter().putObject({
+      Key: entryPrefix,
+      Body: '',
+      ContentType: 'application/x-directory',
+      Metadata: {
+        'original-key': encodeURIComponent(item.key),
+        'item-type': item.type,
+        'deleted-at': new Date().toISOString()
+      }
+    });
+
+    const result = await transferItems([item], `${entryPrefix}${getParentPath(item.key)}`, {
+      removeSource: true,
+      action: 'Delete',
+      metadata: { trash_entry: id }
+    }, transferContext);
+
+    // Nothing reached the trash, so the entry would only be an empty marker
+    if (result.completedCount === 0) {
+      await getStorageAdapter().deleteObject({ Key: entryPrefix });
+    }
+
+    return { deletedCount: result.completedCount, failed: result.failed };
+  } catch (error) {
+    console.error('Error moving to trash:', error);
+    throw error;
+  }
+};
+
+// Read a trash entry from its marker object
+const readEntry = async (entryPrefix) => {
+  const id = entryPrefix.slice(TRASH_PREFIX.length, -1);
+  try {
+    const head = await getStorageAdapter().headObject({ Key: entryPrefix });
+    const metadata = head.Metadata || {};
+    const originalKey = decodeURIComponent(metadata['original-key'] || '');
+    return {
+      id,
+      prefix: entryPrefix,
+      originalKey: originalKey || null,
+      name: originalKey ? nameOf(originalKey) : id,
+      type: metadata['item-type'] === 'folder' ? 'folder' : 'file',
+      deletedAt: new Date(metadata['deleted-at'] || head.LastModified)
+    };
+  } catch (error) {
+    if (!isNotFound(error)) throw error;
+    // Without its marker the original location is unknown, the entry can only be deleted
+    return {
+      id,
+      prefix: entryPrefix,
+      originalKey: null,
+      name: id,
+      type: 'folder',
+      deletedAt: new Date(parseInt(id.split('-')[0], 36) || Date.now())
+    };
+  }
+};
+
+/**
+ * List the trash of the active connection, most recently deleted first
+ * @returns {Promise<Array>} Entries ({ id, prefix, originalKey, name, type, deletedAt, expiresAt, size, fileCount })
+ */
+export const listTrash = async () => {
+  try {
+    const entryPrefixes = [];
+    let continuationToken;
+    do {
+      const response = await getStorageAdapter().listObjects({
+        Prefix: TRASH_PREFIX,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      });
+      entryPrefixes.push(...(response.CommonPrefixes || []).map(prefix => prefix.Prefix));
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    // One listing of the whole trash gives the size of every entry
+    const [entries] = await Promise.all([
+      Promise.all(entryPrefixes.map(readEntry)),
+      getPrefixSummary(TRASH_PREFIX)
+    ]);
+    const summaries = await Promise.all(entries.map(entry => getPrefixSummary(entry.prefix)));
+
+    return entries
+      .map((entry, i) => ({
+        ...entry,
+        expiresAt: new Date(entry.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS),
+        size: summaries[i].totalSize,
+        fileCount: summaries[i].objectCount
+      }))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a trash entry back to where it was deleted from. Refuses to overwrite
+ * an item that has since been created under the same name.
+ * @param {Object} entry - Entry from listTrash()
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { completedCount, failed: [{ key, error }] }
+ */
+export const restoreFromTrash = async (entry, transferContext = null) => {
+  try {
+    if (!entry.originalKey) {
+      throw new Error(`The original location of ${entry.name} is unknown`);
+    }
+
+    const trashKey = `${entry.prefix}${entry.originalKey}`;
+    // The storage class decides how a file is copied back, so read it from the object
+    const head = entry.type === 'file' ? await getStorageAdapter().headObject({ Key: trashKey }) : null;
+    const item = {
+      key: trashKey,
+      name: entry.name,
+      type: entry.type,
+      size: head ? head.ContentLength : entry.size,
+      storageClass: head?.StorageClass
+    };
+
+    const result = await transferItems([item], getParentPath(entry.originalKey), {
+      removeSource: true,
+      action: 'Restore',
+      metadata: { from_trash: true },
+      logDestination: true
+    }, transferContext);
+
+    if (result.failed.length === 0) {
+      await getStorageAdapter().deleteObject({ Key: entry.prefix });
+    }
+    return { completedCount: result.completedCount, failed: result.failed };
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    throw error;
+  }
+};
+
+// Delete an entry and its marker, logging it under the item's original location
+const deleteEntry = async (entry, metadata, onProgress) => {
+  const { deletedFiles, deletedBytes, failed } = await deletePrefix(entry.prefix, onProgress);
+  if (deletedFiles > 0) {
+    await logActivity({
+      action: 'Delete',
+      itemName: entry.name,
+      size: deletedBytes,
+      fileCount: deletedFiles,
+      folderPath: entry.originalKey ? toFolderPath(getParentPath(entry.originalKey)) : null,
+      metadata: {
+        item_type: entry.type,
+        failed_count: failed.length,
+        ...metadata
+      }
+    });
+  }
+  return { deletedCount: deletedFiles, failed };
+};
+
+/**
+ * Delete a trash entry for good
+ * @param {Object} entry - Entry from listTrash()
+ * @param {Object} [transferContext] - Transfer context used to show progress
+ * @returns {Promise<Object>} { deletedCount, failed: [{ key, error }] }
+ */
+export const deleteFromTrash = async (entry, transferContext = null) => {
+  let transferId = null;
+  try {
+    if (transferContext) {
+      transferId = transferContext.addTransfer({
+        name: `Delete forever: ${entry.name}`,
+        type: 'delete',
+        fileCount: entry.fileCount,
+        size: entry.size
+      });
+    }
+
+    const result = await deleteEntry(entry, { from_trash: true }, (deletedFiles) => {
+      if (transferId && entry.fileCount > 0) {
+        transferContext.updateTransferProgress(transferId, Math.min(deletedFiles, entry.fileCount), entry.fileCount);
+      }
+    });
+
+    if (transferId) {
+      if (result.failed.length === 0) {
+        transferContext.completeTransfer(transferId);
+      } else {
+        transferContext.errorTransfer(transferId, new Error(`${result.failed.length} ${result.failed.length === 1 ? 'object' : 'objects'} could not be deleted`));
+      }
+    }
+    return result;
+  } catch (error) {
+    console.error('Error deleting from trash:', error);
+    if (transferId) {
+      transferContext.errorTransfer(transferId, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete trash entries older than the retention period (VITE_TRASH_RETENTION_DAYS).
+ * Runs at most once an hour per connection unless forced.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Purge even if it ran recently
+ * @returns {Promise<Object>} { purgedCount }
+ */
+export const purgeExpiredTrash = async ({ force = false } = {}) => {
+  const connectionId = getActiveConnection().id;
+  const lastPurge = lastPurges.get(connectionId);
+  if (!force && lastPurge && Date.now() - lastPurge < PURGE_INTERVAL_MS) {
+    return { purgedCount: 0 };
+  }
+  lastPurges.set(connectionId, Date.now());
+
+  try {
+    const now = Date.now();
+    const expired = (await listTrash()).filter(entry => entry.expiresAt.getTime() <= now);
+    let purgedCount = 0;
+    for (const entry of expired) {
+      const { failed } = await deleteEntry(entry, { from_trash: true, purged: true });
+      if (failed.length === 0) {
+        purgedCount++;
+      }
+    }
+    return { purgedCount };
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    throw error;
+  }
+};
+
+export default {
+  isTrashKey,
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  purgeExpiredTrash
+};
@@ -0,0 +1,356 @@
+import { supabase, handleSupabaseError } from './supabaseClient.js';
+import { auth } from '../firebase.js';
+import { getActiveConnection } from './connectionService.js';
+import { getUserKeyPrefix } from './awsCredentials.js';
+import { logActivity } from './supabaseHistoryService.js';
+import { canShareFromActiveConnection } from './shareService.js';
+
+/**
+ * Vayubox Upload Link Service
+ * Upload links ("file drop") let people without an account send files into
+ * one folder until the link expires or is revoked, optionally limited in file
+ * size and type. Links are records in the vayubox_upload_links Supabase table
+ * (see src/database/vayubox_upload_links_table.sql). Every received file is
+ * recorded in the owner's activity history with the id of the link, which is
+ * how the owner sees what came in through it.
+ */
+
+const UPLOAD_LINKS_TABLE = 'vayubox_upload_links';
+const HISTORY_TABLE = 'vayubox_activity_history';
+const TOKEN_BYTES = 24;
+
+// Owner-facing columns
+const UPLOAD_LINK_COLUMNS = [
+  'id', 'token', 'bucket_name', 'target_prefix', 'folder_name', 'message', 'expires_at',
+  'max_file_size', 'allowed_types', 'upload_count', 'uploaded_bytes', 'last_upload_at',
+  'revoked_at', 'created_at'
+].join(', ');
+
+const getCurrentUser = () => {
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error('User not authenticated');
+  }
+  return user;
+};
+
+// URL-safe random token, e.g. 'Xk3v...' (32 characters)
+const createToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// History records store folder paths without the trailing slash
+const toFolderPath = (prefix) => prefix.replace(/\/$/, '') || null;
+
+/**
+ * Build the link uploaders open
+ * @param {string} token - Upload link token
+ * @returns {string} Absolute URL of the upload page
+ */
+export const getUploadLinkUrl = (token) => `${window.location.origin}/upload/${token}`;
+
+/**
+ * Find out whether an upload link can still be used
+ * @param {Object} link - Link returned by listUploadLinks()
+ * @returns {string} 'active', 'revoked' or 'expired'
+ */
+export const getUploadLinkStatus = (link) => {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt.getTime() <= Date.now()) return 'expired';
+  return 'active';
+};
+
+/**
+ * Turn the allowed types typed by the owner into a list
+ * @param {string} text - Comma separated extensions and content types, e.g. 'pdf, .zip, image/*'
+ * @returns {Array<string>} Normalised entries, e.g. ['.pdf', '.zip', 'image/*']
+ */
+export const parseAllowedTypes = (text) => [...new Set(
+  (text || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .map(entry => (entry.includes('/') || entry.startsWith('.') ? entry : `.${entry}`))
+)];
+
+/**
+ * Check a file against the allowed types of a link, like the accept attribute of a file input.
+ * Content types come from the uploader's browser, so only extensions are binding
+ * @param {File|Object} file - File ({ name, type })
+ * @param {Array<string>} [allowedTypes] - Entries from parseAllowedTypes(), empty or missing allows everything
+ * @returns {boolean} True if the file may be uploaded
+ */
+export const isAllowedType = (file, allowedTypes) => {
+  if (!allowedTypes || allowedTypes.length === 0) return true;
+  const name = file.name.toLowerCase();
+  const type = (file.type || '').toLowerCase();
+  return allowedTypes.some(entry => {
+    if (entry.startsWith('.')) return name.endsWith(entry);
+    if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+    return type === entry;
+  });
+};
+
+const toUploadLink = (record) => ({
+  id: record.id,
+  token: record.token,
+  url: getUploadLinkUrl(record.token),
+  bucketName: record.bucket_name,
+  targetPrefix: record.target_prefix,
+  folderName: record.folder_name,
+  message: record.message,
+  expiresAt: new Date(record.expires_at),
+  maxFileSize: record.max_file_size,
+  allowedTypes: record.allowed_types || [],
+  uploadCount: record.upload_count,
+  uploadedBytes: record.uploaded_bytes,
+  lastUploadAt: record.last_upload_at ? new Date(record.last_upload_at) : null,
+  revokedAt: record.revoked_at ? new Date(record.revoked_at) : null,
+  createdAt: new Date(record.created_at)
+});
+
+/**
+ * Create an upload link for a folder
+ * @param {string} folderPath - Folder prefix files are uploaded to, '' for the bucket root
+ * @param {Object} options - Link options
+ * @param {Date} options.expiresAt - When the link stops working
+ * @param {number} [options.maxFileSize] - Largest file accepted, in bytes
+ * @param {Array<string>} [options.allowedTypes] - Entries from parseAllowedTypes()
+ * @param {string} [options.message] - Shown to uploaders
+ * @returns {Promise<Object>} The new link (see listUploadLinks)
+ */
+export const createUploadLink = async (folderPath, { expiresAt, maxFileSize, allowedTypes, message }) => {
+  try {
+    if (!canShareFromActiveConnection()) {
+      throw new Error('Upload links can only be created for the default connection');
+    }
+    if (!(expiresAt instanceof Date) || Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+      throw new Error('The expiry must be in the future');
+    }
+    if (maxFileSize !== undefined && maxFileSize !== null && !(maxFileSize > 0)) {
+      throw new Error('The maximum file size must be greater than 0');
+    }
+
+    const user = getCurrentUser();
+    const connection = getActiveConnection();
+    const folderName = folderPath.replace(/\/$/, '').split('/').pop() || connection.bucket || 'Bucket';
+    const { data, error } = await supabase
+      .from(UPLOAD_LINKS_TABLE)
+      .insert({
+        token: createToken(),
+        user_id: user.uid,
+        user_email: user.email || '',
+        bucket_name: connection.bucket || null,
+        key_prefix: getUserKeyPrefix() || '',
+        target_prefix: folderPath,
+        folder_name: folderName,
+        message: message?.trim() || null,
+        expires_at: expiresAt.toISOString(),
+        max_file_size: maxFileSize ? Math.floor(maxFileSize) : null,
+        allowed_types: allowedTypes?.length ? allowedTypes : null
+      })
+      .select(UPLOAD_LINK_COLUMNS)
+      .single();
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+
+    const link = toUploadLink(data);
+    await logActivity({
+      action: 'Share',
+      itemName: link.folderName,
+      folderPath: toFolderPath(folderPath),
+      metadata: {
+        upload_link_id: link.id,
+        upload_link_event: 'created',
+        expires_at: link.expiresAt.toISOString(),
+        max_file_size: link.maxFileSize,
+        allowed_types: link.allowedTypes
+      }
+    });
+    return link;
+  } catch (error) {
+    console.error('Error creating upload link:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the upload links of the signed-in user for the active bucket, newest first
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeInactive] - Include revoked and expired links
+ * @returns {Promise<Array>} Links ({ id, url, targetPrefix, folderName, message, expiresAt, maxFileSize,
+ *   allowedTypes, uploadCount, uploadedBytes, lastUploadAt, revokedAt, createdAt, ... })
+ */
+export const listUploadLinks = async ({ includeInactive = false } = {}) => {
+  try {
+    const user = getCurrentUser();
+    let query = supabase
+      .from(UPLOAD_LINKS_TABLE)
+      .select(UPLOAD_LINK_COLUMNS)
+      .eq('user_id', user.uid)
+      .order('created_at', { ascending: false });
+
+    const bucket = getActiveConnection().bucket;
+    if (bucket) {
+      query = query.eq('bucket_name', bucket);
+    }
+    if (!includeInactive) {
+      query = query.is('revoked_at', null).gt('expires_at', new Date().toISOString());
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+    return (data || []).map(toUploadLink);
+  } catch (error) {
+    console.error('Error listing upload links:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an upload link, uploads in progress are refused from then on
+ * @param {Object} link - Link returned by listUploadLinks()
+ * @returns {Promise<void>}
+ */
+export const revokeUploadLink = async (link) => {
+  try {
+    const user = getCurrentUser();
+    const { error } = await supabase
+      .from(UPLOAD_LINKS_TABLE)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', link.id)
+      .eq('user_id', user.uid);
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+
+    await logActivity({
+      action: 'Share',
+      itemName: link.folderName,
+      folderPath: toFolderPath(link.targetPrefix),
+      metadata: { upload_link_id: link.id, upload_link_event: 'revoked' }
+    });
+  } catch (error) {
+    console.error('Error revoking upload link:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the files received through an upload link, newest first
+ * @param {Object} link - Link returned by listUploadLinks()
+ * @returns {Promise<Array>} Files ({ key, name, size, uploader, receivedAt })
+ */
+export const listReceivedFiles = async (link) => {
+  try {
+    const user = getCurrentUser();
+    const { data, error } = await supabase
+      .from(HISTORY_TABLE)
+      .select('item_name, file_size, metadata, created_at')
+      .eq('user_id', user.uid)
+      .eq('action', 'Upload')
+      .eq('metadata->>upload_link_id', link.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+
+    return (data || []).map(record => ({
+      key: record.metadata?.file_key || record.item_name,
+      name: record.item_name,
+      size: record.file_size || 0,
+      uploader: record.metadata?.uploader || null,
+      receivedAt: new Date(record.created_at)
+    }));
+  } catch (error) {
+    console.error('Error listing received files:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open an upload link as an uploader
+ * @param {string} token - Upload link token from the URL
+ * @returns {Promise<Object>} { status, link } where status is 'ok', 'not_found', 'revoked' or 'expired',
+ *   and link ({ id, bucketName, keyPrefix, targetPrefix, folderName, message, expiresAt, maxFileSize,
+ *   allowedTypes }) is only set when it is 'ok'
+ */
+export const openUploadLink = async (token) => {
+  try {
+    const { data, error } = await supabase.rpc('vayubox_check_upload_link', { p_token: token });
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+    if (data.status !== 'ok') {
+      return { status: data.status, link: null };
+    }
+
+    const link = data.link;
+    return {
+      status: 'ok',
+      link: {
+        id: link.id,
+        bucketName: link.bucket_name,
+        keyPrefix: link.key_prefix || '',
+        targetPrefix: link.target_prefix || '',
+        folderName: link.folder_name,
+        message: link.message,
+        expiresAt: new Date(link.expires_at),
+        maxFileSize: link.max_file_size,
+        allowedTypes: link.allowed_types || []
+      }
+    };
+  } catch (error) {
+    console.error('Error opening upload link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a file received through an upload link in the owner's history
+ * @param {string} token - Upload link token
+ * @param {Object} upload - The received file
+ * @param {string} upload.key - Key the file was stored under
+ * @param {number} upload.size - File size in bytes
+ * @param {string} [upload.uploader] - Name the uploader entered
+ * @returns {Promise<string>} 'ok', or why the upload was not recorded
+ */
+export const recordLinkUpload = async (token, { key, size, uploader }) => {
+  try {
+    const { data, error } = await supabase.rpc('vayubox_record_link_upload', {
+      p_token: token,
+      p_file_key: key,
+      p_file_size: size,
+      p_uploader: uploader || null
+    });
+
+    if (error) {
+      throw new Error(handleSupabaseError(error));
+    }
+    return data.status;
+  } catch (error) {
+    console.error('Error recording upload:', error);
+    throw error;
+  }
+};
+
+export default {
+  getUploadLinkUrl,
+  getUploadLinkStatus,
+  parseAllowedTypes,
+  isAllowedType,
+  createUploadLink,
+  listUploadLinks,
+  revokeUploadLink,
+  listReceivedFiles,
+  openUploadLink,
+  recordLinkUpload
+};
@@ -0,0 +1,194 @@
+import { getStorageAdapter } from './storageAdapter.js';
+import { getActiveConnection } from './connectionService.js';
+import { copyObjectTo, getParentPath } from './objectOperationsService.js';
+import { isArchiveStorageClass } from './prefixSummaryService.js';
+import { logActivity } from './supabaseHistoryService.js';
+
+/**
+ * Vayubox Version Service
+ * Version history of single files in buckets with S3 versioning enabled.
+ * Restoring a version copies it over the current one, so nothing is lost: the
+ * restored copy simply becomes the newest version.
+ */
+
+// Versioning status per connection, it rarely changes while the app is open
+const versioningStatuses = new Map();
+
+// History records store folder paths without the trailing slash
+const toFolderPath = (prefix) => prefix.replace(/\/$/, '') || null;
+
+/**
+ * Get the versioning status of the active connection's bucket
+ * @returns {Promise<string|null>} 'Enabled', 'Suspended', or null if versioning was never enabled
+ */
+export const getVersioningStatus = () => {
+  const connectionId = getActiveConnection().id;
+  if (!versioningStatuses.has(connectionId)) {
+    const adapter = getStorageAdapter();
+    const pending = typeof adapter.getBucketVersioning !== 'function'
+      ? Promise.resolve(null)
+      : adapter.getBucketVersioning()
+        .then(result => result.Status || null)
+        .catch(error => {
+          // Credentials without s3:GetBucketVersioning see the bucket as unversioned
+          console.error('Error reading bucket versioning:', error);
+          return null;
+        });
+    versioningStatuses.set(connectionId, pending);
+  }
+  return versioningStatuses.get(connectionId);
+};
+
+const toVersion = (entry, isDeleteMarker) => ({
+  versionId: entry.VersionId,
+  isLatest: Boolean(entry.IsLatest),
+  isDeleteMarker,
+  size: isDeleteMarker ? 0 : entry.Size || 0,
+  lastModified: entry.LastModified,
+  storageClass: isDeleteMarker ? null : entry.StorageClass || 'STANDARD'
+});
+
+/**
+ * List every version and delete marker of a file, newest first
+ * @param {string} key - File key
+ * @returns {Promise<Array>} Versions ({ versionId, isLatest, isDeleteMarker, size, lastModified, storageClass })
+ */
+export const listFileVersions = async (key) => {
+  try {
+    const versions = [];
+    let keyMarker;
+    let versionIdMarker;
+    let done = false;
+
+    do {
+      const response = await getStorageAdapter().listObjectVersions({
+        Prefix: key,
+        KeyMarker: keyMarker,
+        VersionIdMarker: versionIdMarker
+      });
+      const entries = [
+        ...(response.Versions || []).map(entry => ({ entry, isDeleteMarker: false })),
+        ...(response.DeleteMarkers || []).map(entry => ({ entry, isDeleteMarker: true }))
+      ];
+      // The prefix also matches longer keys ('report.pdf.bak'); they sort after the file itself
+      entries
+        .filter(({ entry }) => entry.Key === key)
+        .forEach(({ entry, isDeleteMarker }) => versions.push(toVersion(entry, isDeleteMarker)));
+      done = !response.IsTruncated || entries.some(({ entry }) => entry.Key !== key);
+      keyMarker = response.NextKeyMarker;
+      versionIdMarker = response.NextVersionIdMarker;
+    } while (!done);
+
+    return versions.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  } catch (error) {
+    console.error('Error listing file versions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a download URL for one version of a file
+ * @param {Object} item - File listing item ({ key, name })
+ * @param {Object} version - Version from listFileVersions()
+ * @returns {Promise<string>} Presigned URL
+ */
+export const downloadFileVersion = async (item, version) => {
+  try {
+    if (version.isDeleteMarker) {
+      throw new Error('A delete marker has no content to download');
+    }
+    if (isArchiveStorageClass(version.storageClass)) {
+      throw new Error('This version is archived in Glacier and cannot be downloaded');
+    }
+
+    const url = await getStorageAdapter().getDownloadUrl({ Key: item.key, VersionId: version.versionId }, { expiresIn: 3600 });
+    await logActivity({
+      action: 'Download',
+      itemName: item.name,
+      size: version.size,
+      fileCount: 1,
+      folderPath: toFolderPath(getParentPath(item.key)),
+      metadata: { version_id: version.versionId }
+    });
+    return url;
+  } catch (error) {
+    console.error('Error downloading file version:', error);
+    throw error;
+  }
+};
+
+/**
+ * Make an older version the current one by copying it over the file
+ * @param {Object} item - File listing item ({ key, name })
+ * @param {Object} version - Version from listFileVersions()
+ * @returns {Promise<string|undefined>} Version id of the new current version
+ */
+export const restoreFileVersion = async (item, version) => {
+  try {
+    if (version.isDeleteMarker) {
+      throw new Error('A delete marker cannot be restored, delete it instead');
+    }
+    if (version.isLatest) {
+      throw new Error('This version is already the current one');
+    }
+
+    const versionId = await copyObjectTo({
+      Key: item.key,
+      VersionId: version.versionId,
+      Size: version.size,
+      StorageClass: version.storageClass
+    }, item.key);
+
+    await logActivity({
+      action: 'Restore',
+      itemName: item.name,
+      size: version.size,
+      fileCount: 1,
+      folderPath: toFolderPath(getParentPath(item.key)),
+      storageClass: version.storageClass,
+      metadata: {
+        version_id: versionId,
+        restored_version_id: version.versionId
+      }
+    });
+    return versionId;
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete one version or delete marker of a file. Deleting the
+ * current version makes the previous one current, deleting a delete marker
+ * brings the file back.
+ * @param {Object} item - File listing item ({ key, name })
+ * @param {Object} version - Version from listFileVersions()
+ */
+export const deleteFileVersion = async (item, version) => {
+  try {
+    await getStorageAdapter().deleteObject({ Key: item.key, VersionId: version.versionId });
+    await logActivity({
+      action: 'Delete',
+      itemName: item.name,
+      size: version.size,
+      fileCount: 1,
+      folderPath: toFolderPath(getParentPath(item.key)),
+      metadata: {
+        version_id: version.versionId,
+        ...(version.isDeleteMarker && { delete_marker: true })
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting file version:', error);
+    throw error;
+  }
+};
+
+export default {
+  getVersioningStatus,
+  listFileVersions,
+  downloadFileVersion,
+  restoreFileVersion,
+  deleteFileVersion
+};
@@ -0,0 +1,197 @@
+/**
+ * Lightweight syntax highlighting for file previews.
+ * Splits source code into comment, string, number, keyword and tag tokens with
+ * one regular expression per language. It does not parse the code, which is
+ * enough to make previews readable without shipping a full highlighter.
+ */
+
+const C_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum', 'extends',
+  'false', 'final', 'finally', 'for', 'if', 'import', 'interface', 'new', 'null', 'package', 'private',
+  'protected', 'public', 'return', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'throws',
+  'true', 'try', 'void', 'while', 'int', 'long', 'float', 'double', 'char', 'bool', 'boolean', 'string',
+  'func', 'go', 'defer', 'chan', 'map', 'range', 'type', 'var', 'fn', 'let', 'mut', 'impl', 'pub', 'use',
+  'mod', 'match', 'trait', 'self', 'namespace', 'using', 'template', 'typename', 'virtual', 'override'
+];
+
+const LANGUAGES = {
+  javascript: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'", '`'],
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+      'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+      'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+      'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield', 'interface', 'type', 'enum',
+      'implements', 'private', 'public', 'readonly', 'as'
+    ]
+  },
+  json: {
+    quotes: ['"'],
+    keywords: ['true', 'false', 'null']
+  },
+  python: {
+    lineComment: '#',
+    quotes: ['"""', "'''", '"', "'"],
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+      'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+      'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield'
+    ]
+  },
+  clike: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    keywords: C_KEYWORDS
+  },
+  php: {
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    keywords: [
+      'abstract', 'array', 'as', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'echo',
+      'else', 'elseif', 'extends', 'false', 'finally', 'for', 'foreach', 'function', 'if', 'implements',
+      'namespace', 'new', 'null', 'private', 'protected', 'public', 'return', 'static', 'switch', 'throw',
+      'true', 'try', 'use', 'while'
+    ]
+  },
+  ruby: {
+    lineComment: '#',
+    quotes: ['"', "'"],
+    keywords: [
+      'begin', 'class', 'def', 'do', 'else', 'elsif', 'end', 'ensure', 'false', 'if', 'in', 'module', 'next',
+      'nil', 'require', 'rescue', 'return', 'self', 'then', 'true', 'unless', 'until', 'when', 'while', 'yield'
+    ]
+  },
+  shell: {
+    lineComment: '#',
+    quotes: ['"', "'"],
+    keywords: [
+      'case', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if', 'in', 'local',
+      'return', 'then', 'while', 'echo', 'exit'
+    ]
+  },
+  yaml: {
+    lineComment: '#',
+    quotes: ['"', "'"],
+    keywords: ['true', 'false', 'null', 'yes', 'no']
+  },
+  sql: {
+    lineComment: '--',
+    blockComment: ['/*', '*/'],
+    quotes: ["'", '"'],
+    caseInsensitive: true,
+    keywords: [
+      'select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table',
+      'alter', 'drop', 'index', 'join', 'left', 'right', 'inner', 'outer', 'on', 'and', 'or', 'not', 'null',
+      'is', 'in', 'as', 'order', 'by', 'group', 'having', 'limit', 'offset', 'distinct', 'primary', 'key',
+      'foreign', 'references', 'default', 'check', 'constraint', 'unique', 'union', 'case', 'when', 'then',
+      'else', 'end', 'begin', 'commit', 'returns', 'function', 'if', 'exists'
+    ]
+  },
+  css: {
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    keywords: ['important', 'media', 'import', 'keyframes', 'supports', 'root']
+  },
+  markup: {
+    blockComment: ['<!--', '-->'],
+    quotes: ['"', "'"],
+    keywords: [],
+    tags: true
+  }
+};
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', ts: 'javascript', tsx: 'javascript',
+  json: 'json', geojson: 'json',
+  py: 'python',
+  c: 'clike', h: 'clike', cpp: 'clike', hpp: 'clike', cc: 'clike', cs: 'clike', java: 'clike', kt: 'clike',
+  go: 'clike', rs: 'clike', swift: 'clike', scala: 'clike', dart: 'clike',
+  php: 'php',
+  rb: 'ruby',
+  sh: 'shell', bash: 'shell', zsh: 'shell', env: 'shell', ini: 'shell', conf: 'shell', toml: 'shell',
+  yml: 'yaml', yaml: 'yaml',
+  sql: 'sql',
+  css: 'css', scss: 'css', less: 'css',
+  html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup', vue: 'markup'
+};
+
+/**
+ * Find the highlighting language for a file name
+ * @param {string} filename - Name of the file
+ * @returns {string|null} Language name, or null if the file is not source code
+ */
+export const getLanguageForFile = (filename) => {
+  const name = filename.toLowerCase();
+  if (name === 'dockerfile' || name === 'makefile') return 'shell';
+  if (!name.includes('.')) return null;
+  return EXTENSION_LANGUAGES[name.split('.').pop()] || null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One alternation per token type, tried in this order at every position
+const buildPattern = (language) => {
+  const parts = [];
+  if (language.blockComment) {
+    const [open, close] = language.blockComment.map(escapeRegExp);
+    parts.push(`(?<comment>${open}[\\s\\S]*?(?:${close}|$)${language.lineComment ? `|${escapeRegExp(language.lineComment)}.*` : ''})`);
+  } else if (language.lineComment) {
+    parts.push(`(?<comment>${escapeRegExp(language.lineComment)}.*)`);
+  }
+  if (language.tags) {
+    parts.push('(?<tag></?[A-Za-z][\\w:.-]*|/?>)');
+  }
+  const quotes = language.quotes.map(quote => {
+    const q = escapeRegExp(quote);
+    // Triple quotes span lines, single quotes stop at the end of the line
+    return quote.length > 1 ? `${q}[\\s\\S]*?(?:${q}|$)` : `${q}(?:\\\\.|(?!${q})[^\\\\\\n])*${q}?`;
+  });
+  parts.push(`(?<string>${quotes.join('|')})`);
+  parts.push('(?<number>\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)');
+  if (language.keywords.length > 0) {
+    parts.push(`(?<keyword>\\b(?:${language.keywords.join('|')})\\b)`);
+  }
+  return new RegExp(parts.join('|'), language.caseInsensitive ? 'gi' : 'g');
+};
+
+const patterns = new Map();
+
+/**
+ * Split source code into highlighted tokens
+ * @param {string} code - Source code
+ * @param {string} languageName - Language returned by getLanguageForFile()
+ * @returns {Array} Tokens ({ type, text }) whose texts joined give back the code.
+ *   type is 'comment', 'string', 'number', 'keyword', 'tag' or null for plain text.
+ */
+export const highlightCode = (code, languageName) => {
+  const language = LANGUAGES[languageName];
+  if (!language) return [{ type: null, text: code }];
+  if (!patterns.has(languageName)) {
+    patterns.set(languageName, buildPattern(language));
+  }
+
+  const tokens = [];
+  let position = 0;
+  for (const match of code.matchAll(patterns.get(languageName))) {
+    if (!match[0]) continue;
+    if (match.index > position) {
+      tokens.push({ type: null, text: code.slice(position, match.index) });
+    }
+    const type = Object.keys(match.groups).find(group => match.groups[group] !== undefined);
+    tokens.push({ type, text: match[0] });
+    position = match.index + match[0].length;
+  }
+  if (position < code.length) {
+    tokens.push({ type: null, text: code.slice(position) });
+  }
+  return tokens;
+};
+
+export default {
+  getLanguageForFile,
+  highlightCode
+};